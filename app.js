@@ -8,14 +8,35 @@ import { initializeCore, setupMediaElements, setupGlobalEventListeners } from '.
 import { initializeUI, setupUIListeners } from './player-ui.js';
 import { initializePlaylist, loadPlaylistData } from './playlist-manager.js';
 import { setupXRMode } from './xr-mode.js';
+import { setupXRHotspots } from './xr-hotspots.js';
+import { setupXRProjection } from './xr-projection.js';
+import { setupViewGuide } from './xr-view-guide.js';
+import { setupVRControlPanel } from './vr-control-panel.js';
 import { ErrorLogger } from './error-logger.js';
 import { setupMediaPreloader } from './media-preloader.js';
+import { setupDownloadManager } from './download-manager.js';
+import { setupResumeManager } from './resume-manager.js';
+import { setupMediaSession } from './media-session.js';
+import { setupGeofencing } from './geofencing.js';
+import { setupCaptions } from './captions.js';
+import { setupTrackSections } from './track-sections.js';
+import { setupPlaybackSpeed } from './playback-speed.js';
+import { setupSleepTimer } from './sleep-timer.js';
+import { setupPlaybackQueue } from './playback-queue.js';
+import { setupListeningProgress } from './listening-progress.js';
+import { setupPlaylistSearch } from './playlist-search.js';
+import { setupTourMap } from './tour-map.js';
+import { setupDeepLinks } from './deep-link.js';
+import { setupEmbedApi } from './embed-api.js';
+import { setupLanguageManager } from './language-manager.js';
+import { createDomMediaAdapter } from './dom-media-adapter.js';
 
 // Import consolidated utility modules
 import { setupNetworkMonitoring } from './utils/network-monitor.js';
-import { detectMobileDevice, detectIOSDevice, checkOrientation } from './utils/device-detection.js';
+import { setMediaAdapter } from './utils/media-adapter.js';
+import { detectMobileDevice, detectIOSDevice } from './utils/device-detection.js';
 import { updateAllLayouts, optimizeMobileLayout, alignPlayerControlsWithIframeMargins } from './utils/layout-utils.js';
-import { showKeyboardShortcutsInfo } from './utils/messaging.js';
+import { loadUILanguage, setupI18n } from './utils/i18n.js';
 
 // Initialize the application when DOM is fully loaded
 document.addEventListener('DOMContentLoaded', initializeApp);
@@ -43,8 +64,12 @@ function initializeApp() {
       });
     });
     
-    // Initialize autoplay support first
-    initializeAutoplaySupport()
+    // Connect the player core to the page's media elements
+    setMediaAdapter(createDomMediaAdapter());
+    
+    // Load the UI strings before anything can show a message, then initialize autoplay support
+    loadUILanguage()
+      .then(initializeAutoplaySupport)
       .then(() => {
         console.log('Autoplay support initialized');
         
@@ -53,8 +78,7 @@ function initializeApp() {
         setupNetworkMonitoring();
         
         // Set up device detection
-        PlayerState.isMobileDevice = detectMobileDevice();
-        PlayerState.isIOS = detectIOSDevice();
+        PlayerState.set({ isMobileDevice: detectMobileDevice(), isIOS: detectIOSDevice() });
         
         // Set up UI
         initializeUI();
@@ -63,7 +87,27 @@ function initializeApp() {
         initializeCore();
         initializePlaylist();
         setupXRMode();
+        setupXRHotspots();
+        setupXRProjection();
+        setupViewGuide();
+        setupVRControlPanel();
         setupMediaPreloader();
+        setupDownloadManager();
+        setupResumeManager();
+        setupMediaSession();
+        setupGeofencing();
+        setupCaptions();
+        setupTrackSections();
+        setupPlaybackSpeed();
+        setupSleepTimer();
+        setupPlaybackQueue();
+        setupListeningProgress();
+        setupPlaylistSearch();
+        setupTourMap();
+        setupDeepLinks();
+        setupEmbedApi();
+        setupLanguageManager();
+        setupI18n();
         
         // Initialize layout optimizations
         alignPlayerControlsWithIframeMargins();
@@ -90,14 +134,33 @@ function initializeApp() {
         setupNetworkMonitoring();
         
         // Set up device detection
-        PlayerState.isMobileDevice = detectMobileDevice();
-        PlayerState.isIOS = detectIOSDevice();
+        PlayerState.set({ isMobileDevice: detectMobileDevice(), isIOS: detectIOSDevice() });
         
         initializeUI();
         initializeCore();
         initializePlaylist();
         setupXRMode();
+        setupXRHotspots();
+        setupXRProjection();
+        setupViewGuide();
+        setupVRControlPanel();
         setupMediaPreloader();
+        setupDownloadManager();
+        setupResumeManager();
+        setupMediaSession();
+        setupGeofencing();
+        setupCaptions();
+        setupTrackSections();
+        setupPlaybackSpeed();
+        setupSleepTimer();
+        setupPlaybackQueue();
+        setupListeningProgress();
+        setupPlaylistSearch();
+        setupTourMap();
+        setupDeepLinks();
+        setupEmbedApi();
+        setupLanguageManager();
+        setupI18n();
         
         // Initialize layout optimizations
         alignPlayerControlsWithIframeMargins();
@@ -160,12 +223,12 @@ function initializeAutoplaySupport() {
         playPromise
           .then(() => {
             console.log('Autoplay is supported without user interaction');
-            PlayerState.supportsAutoplay = true;
+            PlayerState.set({ supportsAutoplay: true });
             resolve(true);
           })
           .catch(error => {
             console.log('Autoplay is not supported without user interaction:', error);
-            PlayerState.supportsAutoplay = false;
+            PlayerState.set({ supportsAutoplay: false });
             
             // Set up user interaction handlers to unlock audio
             unlockAudioOnUserInteraction();
@@ -180,7 +243,7 @@ function initializeAutoplaySupport() {
           });
       } else {
         console.log('Autoplay support is unknown (older browser)');
-        PlayerState.supportsAutoplay = false;
+        PlayerState.set({ supportsAutoplay: false });
         
         // Set up user interaction handlers to unlock audio
         unlockAudioOnUserInteraction();
@@ -189,7 +252,7 @@ function initializeAutoplaySupport() {
       }
     } catch (error) {
       console.error('Error detecting autoplay support:', error);
-      PlayerState.supportsAutoplay = false;
+      PlayerState.set({ supportsAutoplay: false });
       
       // Set up user interaction handlers to unlock audio
       unlockAudioOnUserInteraction();
@@ -199,36 +262,6 @@ function initializeAutoplaySupport() {
   });
 }
 
-/**
- * Set up global event listeners
- */
-function setupGlobalEventListeners() {
-  console.log('Setting up global event listeners...');
-  
-  try {
-    // Set up visibility change handler
-    document.addEventListener('visibilitychange', handleVisibilityChange);
-    
-    // Set up keyboard shortcuts
-    document.addEventListener('keydown', handleKeyboardShortcuts);
-    
-    // Set up window resize handler
-    window.addEventListener('resize', handleWindowResize);
-    
-    // Set up orientation change handler for mobile
-    window.addEventListener('orientationchange', () => {
-      setTimeout(() => {
-        checkOrientation();
-        updateAllLayouts();
-      }, 300);
-    });
-    
-    console.log('Global event listeners set up');
-  } catch (error) {
-    ErrorLogger.handleError(error, { function: 'setupGlobalEventListeners' });
-  }
-}
-
 /**
  * Set up handlers to unlock audio on user interaction
  */
@@ -239,7 +272,9 @@ function unlockAudioOnUserInteraction() {
     const unlockAudio = () => {
       console.log('User interaction detected, attempting to unlock audio...');
       
-      if (PlayerState.audio) {
+      // Skip audio that's already playing, e.g. the play button this same click pressed;
+      // pausing it here would stop the track the listener just started
+      if (PlayerState.audio && PlayerState.audio.paused) {
         // Try to play and immediately pause to unlock audio
         const playPromise = PlayerState.audio.play();
         
@@ -248,7 +283,7 @@ function unlockAudioOnUserInteraction() {
             .then(() => {
               console.log('Audio unlocked successfully');
               PlayerState.audio.pause();
-              PlayerState.audioUnlocked = true;
+              PlayerState.set({ audioUnlocked: true });
             })
             .catch(error => {
               console.error('Failed to unlock audio:', error);
@@ -262,7 +297,7 @@ function unlockAudioOnUserInteraction() {
         document.removeEventListener('touchend', unlockAudio);
         document.removeEventListener('keydown', unlockAudio);
       } else {
-        PlayerState.unlockAttempts++;
+        PlayerState.set({ unlockAttempts: PlayerState.unlockAttempts + 1 });
       }
     };
     
@@ -277,109 +312,6 @@ function unlockAudioOnUserInteraction() {
   }
 }
 
-/**
- * Handle visibility change events
- */
-function handleVisibilityChange() {
-  try {
-    const isHidden = document.hidden;
-    console.log(`Document visibility changed: ${isHidden ? 'hidden' : 'visible'}`);
-    
-    // If becoming hidden, store the current playback state
-    if (isHidden) {
-      if (PlayerState.activeMediaElement) {
-        PlayerState.wasPlayingBeforeHidden = !PlayerState.activeMediaElement.paused;
-        
-        // Optionally pause when hidden (configurable)
-        const pauseWhenHidden = false; // Could be a user setting
-        if (pauseWhenHidden && PlayerState.wasPlayingBeforeHidden) {
-          PlayerState.activeMediaElement.pause();
-        }
-      }
-    } else {
-      // If becoming visible again, restore playback if it was playing before
-      if (PlayerState.wasPlayingBeforeHidden && PlayerState.activeMediaElement) {
-        // Attempt to resume playback
-        const playPromise = PlayerState.activeMediaElement.play();
-        
-        if (playPromise !== undefined) {
-          playPromise.catch(error => {
-            console.error('Error resuming playback after visibility change:', error);
-          });
-        }
-      }
-    }
-  } catch (error) {
-    ErrorLogger.handleError(error, { function: 'handleVisibilityChange' });
-  }
-}
-
-/**
- * Handle keyboard shortcuts for player control
- * @param {KeyboardEvent} event - The keyboard event
- */
-function handleKeyboardShortcuts(event) {
-  try {
-    // Skip if user is typing in an input field
-    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
-      return;
-    }
-    
-    const key = event.key.toLowerCase();
-    
-    // Space bar for play/pause
-    if (key === ' ' && !event.ctrlKey && !event.altKey && !event.metaKey) {
-      event.preventDefault();
-      
-      // Toggle play/pause on active media element
-      import('./player-core.js').then(module => {
-        if (typeof module.togglePlayPause === 'function') {
-          module.togglePlayPause();
-        }
-      }).catch(error => {
-        ErrorLogger.handleError(error, { function: 'handleKeyboardShortcuts' });
-      });
-    }
-    
-    // 'M' for mute/unmute
-    else if (key === 'm' && !event.ctrlKey && !event.altKey && !event.metaKey) {
-      event.preventDefault();
-      
-      // Toggle mute on active media element
-      import('./player-core.js').then(module => {
-        if (typeof module.toggleMute === 'function') {
-          module.toggleMute();
-        }
-      }).catch(error => {
-        ErrorLogger.handleError(error, { function: 'handleKeyboardShortcuts' });
-      });
-    }
-    
-    // '?' to show keyboard shortcuts
-    else if (key === '?' || (key === '/' && event.shiftKey)) {
-      event.preventDefault();
-      showKeyboardShortcutsInfo();
-    }
-  } catch (error) {
-    ErrorLogger.handleError(error, { function: 'handleKeyboardShortcuts' });
-  }
-}
-
-/**
- * Handle window resize events
- */
-function handleWindowResize() {
-  // Debounce resize events
-  if (PlayerState.resizeTimeout) {
-    clearTimeout(PlayerState.resizeTimeout);
-  }
-  
-  PlayerState.resizeTimeout = setTimeout(() => {
-    console.log('Window resized, updating layout');
-    updateAllLayouts();
-  }, 100); // Debounce resize events by 100ms
-}
-
 // Export public API
 export {
   initializeApp
@@ -0,0 +1,393 @@
+/**
+ * Captions Module
+ * Loads each track's WebVTT captions and shows the current cue under the album artwork
+ * in audio mode, on a caption plane in front of the viewer in XR mode, and in a
+ * scrollable transcript panel where tapping a cue seeks to it
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { seekToTime } from './player-core.js';
+import { parseVTT, findCueIndex } from './utils/vtt-parser.js';
+import { formatTime } from './utils/format-utils.js';
+import { t } from './utils/i18n.js';
+
+// localStorage key for the captions on/off preference
+const STORAGE_KEY = 'player.captionsEnabled';
+
+// Caption plane placement relative to the camera, below the line of sight
+const CAPTION_DISTANCE = 1.2;
+const CAPTION_HEIGHT = -0.42;
+const CAPTION_WIDTH = 1.1;
+const CAPTION_LINE_HEIGHT = 0.065;
+const CAPTION_CHARS_PER_LINE = 42;
+
+// Promises of parsed cues by captions URL, so switching back to a track (or searching
+// transcripts while it loads) doesn't refetch
+const cueCache = new Map();
+
+// Cues for the current track and the index of the one showing
+let cues = [];
+let currentCueIndex = -1;
+
+// Increments on every track change so a slow fetch for an old track is ignored
+let loadToken = 0;
+
+let captionsEnabled = true;
+
+// Caption plane entities, created on setup
+let captionPlane = null;
+let captionBackground = null;
+let captionText = null;
+
+/**
+ * Set up captions and the transcript panel
+ */
+export function setupCaptions() {
+  console.log('Setting up captions...');
+
+  try {
+    captionsEnabled = localStorage.getItem(STORAGE_KEY) !== 'false';
+    updateCaptionsButton();
+
+    const camera = document.getElementById('cameraEntity');
+    if (camera) {
+      captionPlane = createCaptionPlane();
+      camera.appendChild(captionPlane);
+    }
+
+    document.addEventListener('current-track-changed', (event) => {
+      loadTrackCaptions(event.detail.track);
+    });
+
+    // Multilingual tracks have captions per narration language
+    document.addEventListener('narration-language-changed', (event) => {
+      loadTrackCaptions(event.detail.track);
+    });
+
+    // Follow whichever element is driving playback
+    [PlayerState.audio, PlayerState.video].forEach(mediaElement => {
+      if (!mediaElement) return;
+      mediaElement.addEventListener('timeupdate', handleTimeUpdate);
+      mediaElement.addEventListener('seeked', handleTimeUpdate);
+    });
+
+    document.addEventListener('xr-mode-changed', renderCurrentCue);
+    document.addEventListener('ui-language-changed', updateCaptionsButton);
+
+    const captionsBtn = document.getElementById('captionsBtn');
+    if (captionsBtn) {
+      captionsBtn.addEventListener('click', toggleCaptions);
+    }
+
+    const transcriptBtn = document.getElementById('transcriptBtn');
+    if (transcriptBtn) {
+      transcriptBtn.addEventListener('click', toggleTranscriptPanel);
+    }
+
+    const transcriptClose = document.getElementById('transcriptClose');
+    if (transcriptClose) {
+      transcriptClose.addEventListener('click', hideTranscriptPanel);
+    }
+
+    const transcriptList = document.getElementById('transcriptList');
+    if (transcriptList) {
+      transcriptList.addEventListener('click', handleTranscriptClick);
+    }
+
+    console.log('Captions setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupCaptions' });
+  }
+}
+
+/**
+ * Fetch and parse a track's captions, then render the transcript
+ * @param {Object} track - Normalized track object
+ */
+async function loadTrackCaptions(track) {
+  const token = ++loadToken;
+
+  cues = [];
+  currentCueIndex = -1;
+  renderTranscript(track);
+  renderCurrentCue();
+  setCaptionControlsAvailable(false);
+
+  if (!track || !track.captionsSrc) return;
+
+  try {
+    const trackCues = await loadCues(track.captionsSrc);
+
+    // Another track was selected while this one loaded
+    if (token !== loadToken) return;
+
+    cues = trackCues;
+    console.log(`Loaded ${cues.length} caption cues for "${track.title}"`);
+
+    // Let screen readers pronounce the captions in the narration's language
+    ['captionDisplay', 'transcriptList'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.lang = track.language && track.language !== 'und' ? track.language : '';
+      }
+    });
+
+    setCaptionControlsAvailable(cues.length > 0);
+    renderTranscript(track);
+    handleTimeUpdate();
+  } catch (error) {
+    if (token !== loadToken) return;
+
+    console.warn(`Captions unavailable for "${track.title}":`, error.message);
+    ErrorLogger.logError(error, { function: 'loadTrackCaptions', captionsSrc: track.captionsSrc });
+  }
+}
+
+/**
+ * Fetch and parse a captions file, once per URL
+ * Also used by playlist search to look through transcripts.
+ * @param {string} captionsSrc - WebVTT file URL
+ * @returns {Promise<Array<Object>>} Cues as { start, end, text }
+ */
+export function loadCues(captionsSrc) {
+  if (!cueCache.has(captionsSrc)) {
+    const request = fetch(captionsSrc).then(async response => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} loading captions`);
+      }
+      return parseVTT(await response.text());
+    });
+
+    // Let a failed fetch be retried next time
+    request.catch(() => cueCache.delete(captionsSrc));
+    cueCache.set(captionsSrc, request);
+  }
+
+  return cueCache.get(captionsSrc);
+}
+
+/**
+ * Update the current cue when the active media element's time changes
+ * @param {Event} [event] - timeupdate or seeked event
+ */
+function handleTimeUpdate(event) {
+  const mediaElement = PlayerState.activeMediaElement;
+  if (!mediaElement || (event && event.target !== mediaElement)) return;
+
+  const cueIndex = findCueIndex(cues, mediaElement.currentTime);
+  if (cueIndex === currentCueIndex) return;
+
+  currentCueIndex = cueIndex;
+  renderCurrentCue();
+  highlightTranscriptCue();
+}
+
+/**
+ * Show the current cue in audio mode or on the XR caption plane
+ */
+function renderCurrentCue() {
+  const text = captionsEnabled && currentCueIndex !== -1 ? cues[currentCueIndex].text : '';
+
+  const captionDisplay = document.getElementById('captionDisplay');
+  if (captionDisplay) {
+    captionDisplay.textContent = PlayerState.isXRMode ? '' : text;
+  }
+
+  if (captionPlane) {
+    const showPlane = PlayerState.isXRMode && text !== '';
+    captionPlane.setAttribute('visible', showPlane);
+
+    if (showPlane) {
+      // Grow the background to fit the wrapped lines
+      const lineCount = text.split('\n')
+        .reduce((total, line) => total + Math.max(1, Math.ceil(line.length / CAPTION_CHARS_PER_LINE)), 0);
+
+      captionText.setAttribute('value', text);
+      captionBackground.setAttribute('height', lineCount * CAPTION_LINE_HEIGHT + 0.05);
+    }
+  }
+}
+
+/**
+ * Build the caption plane shown in front of the viewer in XR mode
+ * @returns {HTMLElement} The caption plane entity
+ */
+function createCaptionPlane() {
+  const planeEl = document.createElement('a-entity');
+  planeEl.setAttribute('id', 'captionPlane');
+  planeEl.setAttribute('position', `0 ${CAPTION_HEIGHT} ${-CAPTION_DISTANCE}`);
+  planeEl.setAttribute('visible', false);
+
+  captionBackground = document.createElement('a-plane');
+  captionBackground.setAttribute('width', CAPTION_WIDTH);
+  captionBackground.setAttribute('height', 0.12);
+  captionBackground.setAttribute('material', 'color: #182F48; opacity: 0.7; transparent: true; shader: flat');
+  planeEl.appendChild(captionBackground);
+
+  captionText = document.createElement('a-text');
+  captionText.setAttribute('value', '');
+  captionText.setAttribute('align', 'center');
+  captionText.setAttribute('anchor', 'center');
+  captionText.setAttribute('baseline', 'center');
+  captionText.setAttribute('color', '#FFFDEC');
+  captionText.setAttribute('width', CAPTION_WIDTH - 0.08);
+  captionText.setAttribute('wrap-count', CAPTION_CHARS_PER_LINE);
+  captionText.setAttribute('position', '0 0 0.005');
+  planeEl.appendChild(captionText);
+
+  return planeEl;
+}
+
+/**
+ * Show or hide the captions button and transcript button
+ * @param {boolean} isAvailable - Whether the current track has captions
+ */
+function setCaptionControlsAvailable(isAvailable) {
+  const captionsBtn = document.getElementById('captionsBtn');
+  if (captionsBtn && captionsBtn.parentElement) {
+    captionsBtn.parentElement.classList.toggle('available', isAvailable);
+  }
+
+  const transcriptBtn = document.getElementById('transcriptBtn');
+  if (transcriptBtn) {
+    transcriptBtn.classList.toggle('available', isAvailable);
+  }
+
+  if (!isAvailable) {
+    hideTranscriptPanel();
+  }
+}
+
+/**
+ * Turn captions on or off and remember the choice
+ */
+function toggleCaptions() {
+  captionsEnabled = !captionsEnabled;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, String(captionsEnabled));
+  } catch (error) {
+    console.warn('Could not save captions preference:', error);
+  }
+
+  updateCaptionsButton();
+  renderCurrentCue();
+}
+
+/**
+ * Reflect the captions preference on the captions button
+ */
+function updateCaptionsButton() {
+  const captionsBtn = document.getElementById('captionsBtn');
+  if (captionsBtn) {
+    captionsBtn.setAttribute('aria-pressed', String(captionsEnabled));
+    captionsBtn.title = t(captionsEnabled ? 'captions.hide' : 'captions.show');
+  }
+}
+
+/**
+ * Fill the transcript panel with a track's cues
+ * @param {Object} track - Normalized track object
+ */
+function renderTranscript(track) {
+  const list = document.getElementById('transcriptList');
+  if (!list) return;
+
+  const trackTitle = document.getElementById('transcriptTrackTitle');
+  if (trackTitle) {
+    trackTitle.textContent = track ? track.title : '';
+  }
+
+  const fragment = document.createDocumentFragment();
+
+  cues.forEach((cue, index) => {
+    const item = document.createElement('li');
+
+    const button = document.createElement('button');
+    button.className = 'transcript-cue';
+    button.dataset.cueIndex = index;
+
+    const time = document.createElement('span');
+    time.className = 'transcript-time';
+    time.textContent = formatTime(cue.start);
+
+    const text = document.createElement('span');
+    text.className = 'transcript-text';
+    text.textContent = cue.text;
+
+    button.appendChild(time);
+    button.appendChild(text);
+    item.appendChild(button);
+    fragment.appendChild(item);
+  });
+
+  list.innerHTML = '';
+  list.appendChild(fragment);
+  highlightTranscriptCue();
+}
+
+/**
+ * Highlight the current cue in the transcript and keep it in view
+ */
+function highlightTranscriptCue() {
+  const list = document.getElementById('transcriptList');
+  if (!list) return;
+
+  const previous = list.querySelector('.transcript-cue.active');
+  if (previous) {
+    previous.classList.remove('active');
+  }
+
+  if (currentCueIndex === -1) return;
+
+  const current = list.querySelector(`[data-cue-index="${currentCueIndex}"]`);
+  if (!current) return;
+
+  current.classList.add('active');
+
+  const panel = document.getElementById('transcriptPanel');
+  if (panel && panel.classList.contains('open')) {
+    current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+}
+
+/**
+ * Seek to a cue when it's tapped in the transcript
+ * @param {MouseEvent} event - Click event
+ */
+function handleTranscriptClick(event) {
+  const button = event.target.closest('.transcript-cue');
+  if (!button) return;
+
+  const cue = cues[Number(button.dataset.cueIndex)];
+  if (!cue) return;
+
+  // Same path as dragging the scrubber
+  seekToTime(cue.start);
+}
+
+/**
+ * Open or close the transcript panel
+ */
+function toggleTranscriptPanel() {
+  const panel = document.getElementById('transcriptPanel');
+  if (!panel) return;
+
+  if (panel.classList.contains('open')) {
+    hideTranscriptPanel();
+  } else {
+    panel.classList.add('open');
+    highlightTranscriptCue();
+  }
+}
+
+/**
+ * Close the transcript panel
+ */
+function hideTranscriptPanel() {
+  const panel = document.getElementById('transcriptPanel');
+  if (panel) {
+    panel.classList.remove('open');
+  }
+}
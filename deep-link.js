@@ -0,0 +1,188 @@
+/**
+ * Deep Link Module
+ * Opens the player at a chapter, time and mode given in the URL, and shares links to
+ * the moment being listened to
+ *
+ * URL parameters (all optional; index.html passes its own on to the player):
+ *   playlist=look-up  Playlist, by its playlist_name in lowercase with dashes for spaces
+ *   chapter=3         Chapter number within the playlist, or its position in a playlist
+ *                     whose tracks have no chapter numbers
+ *   track=<id>        A track by its id, instead of playlist and chapter
+ *   t=1m20s           Where to start: 1m20s, 80, 80s or 1:20
+ *   mode=xr           Open in the 360° scene (mode=audio is the default)
+ *
+ * For example `index.html?playlist=look-up&chapter=3&t=1m20s&mode=xr`. The link is read
+ * once when the page loads and applied by processPlaylistData in place of the resume
+ * offer. Playback still waits for the visitor to press play.
+ *
+ * Older links with defaultTrack=<id> or defaultTrack=chinatown_ch1 still open their track.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { showMessage } from './utils/messaging.js';
+import { t } from './utils/i18n.js';
+import { formatTime } from './utils/format-utils.js';
+import {
+  DEEP_LINK_PARAMS, parseDeepLink, findDeepLinkTrack, buildDeepLinkParams
+} from './utils/deep-link-utils.js';
+
+// Link from the page URL, until processPlaylistData takes it
+let pendingLink = null;
+
+/**
+ * Read the page's deep link and set up the share button
+ */
+export function setupDeepLinks() {
+  console.log('Setting up deep links...');
+
+  try {
+    pendingLink = parseDeepLink(window.location.search);
+    if (pendingLink) {
+      console.log('Deep link from URL:', pendingLink);
+    }
+
+    if (new URLSearchParams(window.location.search).has('defaultTrack')) {
+      console.warn('The defaultTrack URL parameter is deprecated; use playlist and chapter instead');
+    }
+
+    const shareBtn = document.getElementById('shareMomentBtn');
+    if (shareBtn) {
+      shareBtn.addEventListener('click', shareCurrentMoment);
+
+      document.addEventListener('current-track-changed', (event) => {
+        shareBtn.classList.toggle('available', Boolean(event.detail.track));
+      });
+    }
+
+    console.log('Deep links setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupDeepLinks' });
+  }
+}
+
+/**
+ * Take the page's deep link, once
+ * @param {Array<Object>} playlist - The normalized playlist
+ * @returns {Object|null} { index, time, mode } to open, or null if there is no link
+ *   or it matches no track
+ */
+export function takeDeepLink(playlist) {
+  const link = pendingLink;
+  pendingLink = null;
+
+  if (!link) return null;
+
+  const index = findDeepLinkTrack(playlist, link);
+  if (index === -1) {
+    console.warn('Deep link matches no track in the playlist:', link);
+    showMessage(t('share.notFound'), 3000, true);
+    return null;
+  }
+
+  return { index, time: link.time, mode: link.mode };
+}
+
+/**
+ * Seek and switch mode for a deep-linked track once it has loaded
+ * @param {Object} target - Result of takeDeepLink, after its track has been loaded
+ */
+export function applyDeepLink({ index, time, mode }) {
+  const track = PlayerState.playlist[index];
+  if (!track) return;
+
+  const mediaElement = track.audioSrc ? PlayerState.audio : PlayerState.video;
+  if (!mediaElement) return;
+
+  const apply = () => {
+    if (PlayerState.currentTrackIndex !== index) return;
+
+    import('./player-core.js').then(module => {
+      if (time && isFinite(mediaElement.duration)) {
+        const startTime = Math.min(time, Math.max(mediaElement.duration - 1, 0));
+        module.seekToTime(startTime);
+        console.log(`Deep link: starting "${track.title}" at ${formatTime(startTime)}`);
+      }
+
+      // Switching copies the audio position over to the 360° video
+      if (mode === 'xr' && track.videoSrc && !PlayerState.isXRMode) {
+        return import('./xr-mode.js').then(xrModule => xrModule.switchToXRMode());
+      }
+    }).catch(error => {
+      ErrorLogger.handleError(error, { function: 'applyDeepLink' });
+    });
+  };
+
+  if (mediaElement.readyState >= 1) {
+    apply();
+  } else {
+    mediaElement.addEventListener('loadedmetadata', apply, { once: true });
+  }
+}
+
+/**
+ * Build a link to the current track at the current time and mode
+ * @returns {string|null} The link, or null if no track is loaded
+ */
+export function getCurrentMomentLink() {
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+  if (!track) return null;
+
+  const mediaElement = PlayerState.activeMediaElement;
+  const url = new URL(getShareBaseUrl());
+
+  DEEP_LINK_PARAMS.concat('defaultTrack').forEach(name => url.searchParams.delete(name));
+
+  const params = buildDeepLinkParams(track, PlayerState.playlist, {
+    time: mediaElement ? mediaElement.currentTime : 0,
+    mode: PlayerState.isXRMode ? 'xr' : 'audio'
+  });
+  Object.keys(params).forEach(name => url.searchParams.set(name, params[name]));
+
+  return url.toString();
+}
+
+/**
+ * Share the current moment with the system share sheet, or copy the link
+ */
+async function shareCurrentMoment() {
+  const link = getCurrentMomentLink();
+  if (!link) return;
+
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: track.title, url: link });
+      return;
+    } catch (error) {
+      // Closing the share sheet isn't a failure
+      if (error.name === 'AbortError') return;
+      console.warn('Share failed, copying the link instead:', error);
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(link);
+    showMessage(t('share.copied'), 2000);
+  } catch (error) {
+    console.warn('Could not copy the link:', error);
+    window.prompt(t('share.copyPrompt'), link);
+  }
+}
+
+/**
+ * Get the URL people should open: the page embedding the player, when it's ours
+ * @returns {string} Page URL
+ */
+function getShareBaseUrl() {
+  try {
+    if (window.top !== window && window.top.location.origin === window.location.origin) {
+      return window.top.location.href;
+    }
+  } catch (error) {
+    // Embedded on another site, which we can't read
+  }
+
+  return window.location.href;
+}
@@ -5,6 +5,7 @@
 
 import { PlayerState } from './shared-state.js';
 import { ErrorLogger } from './error-logger.js';
+import { t } from './utils/i18n.js';
 
 /**
  * Set up device detection and initialize device-specific features
@@ -28,7 +29,7 @@ export function setupDeviceDetection() {
         // Listen for the experience-started event
         document.addEventListener('experience-started', () => {
           console.log('Experience started event received, skipping permission overlay');
-          PlayerState.experienceStarted = true;
+          PlayerState.set({ experienceStarted: true });
         });
         
         // Only check for permission if the experience hasn't been started
@@ -58,11 +59,13 @@ export function checkIfMobile() {
     const screenSizeCheck = window.innerWidth <= 768;
     
     // Combine all checks
-    PlayerState.isMobileDevice = userAgentCheck || (touchCheck && screenSizeCheck);
+    PlayerState.set({ isMobileDevice: userAgentCheck || (touchCheck && screenSizeCheck) });
     
     // Specific iOS detection
-    PlayerState.isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) || 
-            (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+    PlayerState.set({
+      isIOS: /iPad|iPhone|iPod/.test(navigator.userAgent) || 
+            (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1)
+    });
     
     console.log(`Device detection: Mobile: ${PlayerState.isMobileDevice}, iOS: ${PlayerState.isIOS}`);
     console.log(`Detection methods: UserAgent: ${userAgentCheck}, Touch: ${touchCheck}, ScreenSize: ${screenSizeCheck}`);
@@ -126,11 +129,11 @@ export function checkOrientation() {
     
     // Show a message for XR mode in portrait orientation
     if (PlayerState.isXRMode && isPortrait) {
-      showMessage("Rotate your device to landscape for the best 360° experience.", 5000);
+      showMessage(t('device.rotateToLandscape'), 5000);
     } else {
       // Hide the message if it's showing the orientation message
       if (PlayerState.elements.message && 
-          PlayerState.elements.message.textContent === "Rotate your device to landscape for the best 360° experience.") {
+          PlayerState.elements.message.textContent === t('device.rotateToLandscape')) {
         PlayerState.elements.message.style.display = "none";
       }
     }
@@ -187,7 +190,7 @@ export function checkDeviceMotionPermission(devMode = false) {
             showMessage("DEV MODE: Motion permission simulated", 3000);
             
             // Set the experience started flag
-            PlayerState.experienceStarted = true;
+            PlayerState.set({ experienceStarted: true });
           } else {
             // Normal iOS permission flow
             DeviceOrientationEvent.requestPermission()
@@ -197,23 +200,23 @@ export function checkDeviceMotionPermission(devMode = false) {
                   permissionOverlay.style.display = 'none';
                   
                   // Set the experience started flag
-                  PlayerState.experienceStarted = true;
+                  PlayerState.set({ experienceStarted: true });
                 } else {
                   console.log('Device motion permission denied');
-                  showMessage("Motion controls disabled. Some features may be limited.", 5000);
+                  showMessage(t('device.motionDisabled'), 5000);
                   permissionOverlay.style.display = 'none';
                   
                   // Set the experience started flag even if permission was denied
-                  PlayerState.experienceStarted = true;
+                  PlayerState.set({ experienceStarted: true });
                 }
               })
               .catch(error => {
                 ErrorLogger.handleError(error, { function: 'requestDeviceMotionPermission' });
-                showMessage("Error requesting motion permission. Some features may be limited.", 5000);
+                showMessage(t('device.motionError'), 5000);
                 permissionOverlay.style.display = 'none';
                 
                 // Set the experience started flag even if there was an error
-                PlayerState.experienceStarted = true;
+                PlayerState.set({ experienceStarted: true });
               });
           }
         });
@@ -222,13 +225,13 @@ export function checkDeviceMotionPermission(devMode = false) {
       console.log('Device does not require explicit motion permission');
       
       // Set the experience started flag
-      PlayerState.experienceStarted = true;
+      PlayerState.set({ experienceStarted: true });
     }
   } catch (error) {
     ErrorLogger.handleError(error, { function: 'checkDeviceMotionPermission' });
     
     // Set the experience started flag even if there was an error
-    PlayerState.experienceStarted = true;
+    PlayerState.set({ experienceStarted: true });
   }
 }
 
@@ -270,7 +273,7 @@ export function setupNetworkMonitoring() {
       isOffline = true;
       
       // Show a message to the user
-      showMessage("Network connection lost. Playback may be affected.", 5000);
+      showMessage(t('network.lost'), 5000);
       
       // Dispatch event for other modules to react
       document.dispatchEvent(new CustomEvent('network-status-changed', { 
@@ -284,7 +287,7 @@ export function setupNetworkMonitoring() {
       
       // Only show a message if we were previously offline
       if (isOffline) {
-        showMessage("Network connection restored.", 3000);
+        showMessage(t('network.restored'), 3000);
         
         // Dispatch event for other modules to react
         document.dispatchEvent(new CustomEvent('network-status-changed', { 
@@ -302,7 +305,7 @@ export function setupNetworkMonitoring() {
     // Check initial state
     if (isOffline) {
       console.log('Starting in offline mode');
-      showMessage("No network connection. Some features may be limited.", 5000);
+      showMessage(t('network.offline'), 5000);
       
       // Dispatch initial event
       document.dispatchEvent(new CustomEvent('network-status-changed', { 
@@ -0,0 +1,61 @@
+/**
+ * DOM Media Adapter Module
+ * The media adapter for the player page: the real audio and video elements, document
+ * events, and the page changes the player core asks for (see utils/media-adapter.js)
+ */
+
+import { PlayerState } from './shared-state.js';
+
+/**
+ * Create the adapter for the player page
+ * Call once the DOM has loaded.
+ * @returns {Object} Media adapter
+ */
+export function createDomMediaAdapter() {
+  return {
+    audio: document.getElementById('audioElement'),
+    video: document.getElementById('video360'),
+
+    emit(name, detail) {
+      document.dispatchEvent(new CustomEvent(name, { detail }));
+    },
+
+    resolveUrl(src) {
+      return new URL(src, document.baseURI).href;
+    },
+
+    loadVideo(src) {
+      if (!this.video) return;
+
+      // The <source> child is what 360video.html and A-Frame's videosphere read
+      const videoSource = document.getElementById('videoSource');
+      if (videoSource) {
+        videoSource.src = src;
+      } else {
+        this.video.src = src;
+      }
+      this.video.load();
+    },
+
+    createProbeVideo() {
+      return document.createElement('video');
+    },
+
+    setExitXRVisible(visible) {
+      const exitXRBtn = PlayerState.elements.exitXRBtn || document.getElementById('exitXRBtn');
+      if (!exitXRBtn) {
+        console.warn('Exit XR button element not found');
+        return;
+      }
+
+      exitXRBtn.style.display = visible ? 'flex' : 'none';
+      exitXRBtn.style.pointerEvents = visible ? 'auto' : 'none';
+      exitXRBtn.toggleAttribute('disabled', !visible);
+      exitXRBtn.classList.toggle('hidden', !visible);
+    },
+
+    setXROnlyTrack(isXROnly) {
+      document.body.classList.toggle('xr-only-track', isXROnly);
+    }
+  };
+}
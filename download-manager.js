@@ -0,0 +1,591 @@
+/**
+ * Download Manager Module
+ * Saves whole tours (playlist groups) to Cache Storage for offline playback
+ *
+ * Downloaded files are served back to the player by service-worker.js, including
+ * Range requests so seeking keeps working without a network connection.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { showMessage } from './utils/messaging.js';
+import { formatBytes } from './utils/format-utils.js';
+import { t } from './utils/i18n.js';
+
+// Must match MEDIA_CACHE in service-worker.js
+const MEDIA_CACHE = 'tour-media-v1';
+
+// localStorage key for the record of downloaded tours
+const MANIFEST_STORAGE_KEY = 'player.downloadedTours';
+
+// Downloads in progress, keyed by playlist name
+const activeDownloads = new Map();
+
+// Progress bar elements in the downloads panel, keyed by playlist name
+const progressBars = new Map();
+
+/**
+ * Set up the download manager
+ */
+export function setupDownloadManager() {
+  console.log('Setting up download manager...');
+
+  try {
+    registerServiceWorker();
+    setupDownloadsUI();
+
+    // Re-render the panel when the playlist changes so every tour is listed
+    document.addEventListener('playlist-updated', () => {
+      renderDownloadsPanel();
+    });
+
+    // Keep the panel in sync with download progress and state
+    document.addEventListener('download-progress', handleDownloadProgress);
+    document.addEventListener('download-state-changed', () => {
+      renderDownloadsPanel();
+    });
+    document.addEventListener('ui-language-changed', () => {
+      renderDownloadsPanel();
+    });
+
+    // Reassure the user when connectivity drops during a downloaded tour
+    document.addEventListener('network-status-changed', (event) => {
+      const currentTrack = PlayerState.playlist[PlayerState.currentTrackIndex];
+      if (!event.detail.isOnline && currentTrack && isTrackDownloaded(currentTrack)) {
+        showMessage(t('downloads.playingOffline'), 4000);
+      }
+    });
+
+    console.log('Download manager setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupDownloadManager' });
+  }
+}
+
+/**
+ * Register the service worker that serves downloaded media
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    console.warn('Service workers are not supported, offline downloads disabled');
+    return;
+  }
+
+  navigator.serviceWorker.register('service-worker.js')
+    .then(registration => {
+      console.log('Service worker registered with scope:', registration.scope);
+    })
+    .catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Set up the download button and downloads panel
+ */
+function setupDownloadsUI() {
+  if (PlayerState.elements.downloadAudioBtn) {
+    PlayerState.elements.downloadAudioBtn.addEventListener('click', showDownloadsPanel);
+  }
+
+  const closeBtn = document.getElementById('downloadsClose');
+  if (closeBtn) {
+    closeBtn.addEventListener('click', hideDownloadsPanel);
+  }
+}
+
+/**
+ * Show the downloads panel
+ */
+export function showDownloadsPanel() {
+  const panel = document.getElementById('downloadsPanel');
+  if (!panel) return;
+
+  renderDownloadsPanel();
+  panel.classList.add('open');
+}
+
+/**
+ * Hide the downloads panel
+ */
+export function hideDownloadsPanel() {
+  const panel = document.getElementById('downloadsPanel');
+  if (!panel) return;
+
+  panel.classList.remove('open');
+}
+
+/**
+ * Render the list of tours with their download state and per-track progress
+ */
+function renderDownloadsPanel() {
+  const list = document.getElementById('downloadsList');
+  if (!list) return;
+
+  try {
+    const manifest = loadManifest();
+    const currentTrack = PlayerState.playlist[PlayerState.currentTrackIndex];
+    const fragment = document.createDocumentFragment();
+
+    list.innerHTML = '';
+    progressBars.clear();
+
+    Object.keys(PlayerState.playlistGroups).forEach(playlistName => {
+      const tracks = PlayerState.playlistGroups[playlistName];
+      const entry = manifest[playlistName];
+      const download = activeDownloads.get(playlistName);
+
+      const tourElement = document.createElement('li');
+      tourElement.className = 'download-tour';
+      if (currentTrack && currentTrack.playlistName === playlistName) {
+        tourElement.classList.add('current');
+      }
+
+      // Tour header with name, status and actions
+      const header = document.createElement('div');
+      header.className = 'download-tour-header';
+
+      const info = document.createElement('div');
+      info.className = 'download-tour-info';
+
+      const name = document.createElement('div');
+      name.className = 'download-tour-name';
+      name.textContent = playlistName;
+      info.appendChild(name);
+
+      const status = document.createElement('div');
+      status.className = 'download-tour-status';
+      if (download) {
+        status.textContent = t('downloads.downloading');
+      } else if (entry && entry.status === 'complete') {
+        status.textContent = t('downloads.availableOffline', { size: formatBytes(getEntryBytes(entry)) });
+      } else if (entry && Object.keys(entry.files).length > 0) {
+        status.textContent = t('downloads.partial', { size: formatBytes(getEntryBytes(entry)) });
+      } else {
+        status.textContent = t('downloads.chapterCount', { count: tracks.length });
+      }
+      info.appendChild(status);
+      header.appendChild(info);
+
+      const actions = document.createElement('div');
+      actions.className = 'download-tour-actions';
+
+      if (download) {
+        actions.appendChild(createActionButton('fa-times', t('downloads.cancel'), () => cancelTourDownload(playlistName)));
+      } else {
+        if (!entry || entry.status !== 'complete') {
+          actions.appendChild(createActionButton('fa-download', t('downloads.download'), () => {
+            const includeXR = document.getElementById('downloadsIncludeXR');
+            downloadTour(playlistName, { includeXR: Boolean(includeXR && includeXR.checked) });
+          }));
+        }
+        if (entry && Object.keys(entry.files).length > 0) {
+          actions.appendChild(createActionButton('fa-trash', t('downloads.delete'), () => deleteDownloadedTour(playlistName)));
+        }
+      }
+      header.appendChild(actions);
+      tourElement.appendChild(header);
+
+      // Per-track progress rows
+      const trackList = document.createElement('div');
+      trackList.className = 'download-tracks';
+      const bars = [];
+
+      tracks.forEach((track, trackIndex) => {
+        const row = document.createElement('div');
+        row.className = 'download-track';
+
+        const title = document.createElement('span');
+        title.className = 'download-track-title';
+        title.textContent = track.title;
+        row.appendChild(title);
+
+        const progress = document.createElement('div');
+        progress.className = 'download-progress';
+        const bar = document.createElement('div');
+        bar.className = 'download-progress-bar';
+
+        const trackProgress = download ? download.trackProgress[trackIndex] : (isTrackDownloaded(track) ? 1 : 0);
+        bar.style.width = `${Math.round(trackProgress * 100)}%`;
+
+        progress.appendChild(bar);
+        row.appendChild(progress);
+        trackList.appendChild(row);
+        bars.push(bar);
+      });
+
+      progressBars.set(playlistName, bars);
+      tourElement.appendChild(trackList);
+      fragment.appendChild(tourElement);
+    });
+
+    list.appendChild(fragment);
+    updateStorageDisplay();
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'renderDownloadsPanel' });
+  }
+}
+
+/**
+ * Create an icon button for the downloads panel
+ * @param {string} icon - Font Awesome icon class
+ * @param {string} label - Accessible label and tooltip
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+function createActionButton(icon, label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'download-action';
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.innerHTML = `<i class="fas ${icon}"></i>`;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Update a track's progress bar from a download-progress event
+ * @param {CustomEvent} event - The download-progress event
+ */
+function handleDownloadProgress(event) {
+  const { playlistName, trackIndex, progress } = event.detail;
+  const bars = progressBars.get(playlistName);
+
+  if (bars && bars[trackIndex]) {
+    bars[trackIndex].style.width = `${Math.round(progress * 100)}%`;
+  }
+}
+
+/**
+ * Show the total storage used by downloaded tours
+ */
+function updateStorageDisplay() {
+  const storageElement = document.getElementById('downloadsStorage');
+  if (!storageElement) return;
+
+  getStorageUsage().then(({ tourBytes, quota }) => {
+    storageElement.textContent = quota ?
+      t('downloads.storageOfQuota', { used: formatBytes(tourBytes), quota: formatBytes(quota) }) :
+      t('downloads.storage', { used: formatBytes(tourBytes) });
+  });
+}
+
+/**
+ * Download every track in a tour for offline playback
+ * @param {string} playlistName - Name of the playlist group in PlayerState.playlistGroups
+ * @param {Object} options - Download options
+ * @param {boolean} options.includeXR - Whether to also download the 360° scene videos
+ * @returns {Promise<boolean>} Whether the whole tour was downloaded
+ */
+export async function downloadTour(playlistName, { includeXR = false } = {}) {
+  if (activeDownloads.has(playlistName)) {
+    console.log(`Tour "${playlistName}" is already downloading`);
+    return false;
+  }
+
+  if (!('caches' in window)) {
+    showMessage(t('downloads.notSupported'), 3000, true);
+    return false;
+  }
+
+  const tracks = PlayerState.playlistGroups[playlistName];
+  if (!tracks || tracks.length === 0) {
+    console.error(`No tracks found for tour "${playlistName}"`);
+    return false;
+  }
+
+  const download = {
+    controller: new AbortController(),
+    trackProgress: tracks.map(() => 0)
+  };
+  activeDownloads.set(playlistName, download);
+
+  const manifest = loadManifest();
+  const entry = manifest[playlistName] || { files: {} };
+  entry.status = 'downloading';
+  entry.includeXR = includeXR;
+  manifest[playlistName] = entry;
+  saveManifest(manifest);
+
+  dispatchDownloadState(playlistName, 'downloading');
+  showMessage(t('downloads.started', { name: playlistName }), 2000);
+
+  // Ask the browser not to evict downloaded tours under storage pressure
+  if (navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+
+  try {
+    const cache = await caches.open(MEDIA_CACHE);
+
+    for (let trackIndex = 0; trackIndex < tracks.length; trackIndex++) {
+      const urls = getTrackMediaUrls(tracks[trackIndex], includeXR);
+
+      for (let fileIndex = 0; fileIndex < urls.length; fileIndex++) {
+        const url = urls[fileIndex];
+
+        const reportProgress = (fileFraction) => {
+          download.trackProgress[trackIndex] = (fileIndex + fileFraction) / urls.length;
+          document.dispatchEvent(new CustomEvent('download-progress', {
+            detail: {
+              playlistName,
+              trackIndex,
+              track: tracks[trackIndex],
+              progress: download.trackProgress[trackIndex],
+              overallProgress: download.trackProgress.reduce((sum, value) => sum + value, 0) / tracks.length
+            }
+          }));
+        };
+
+        // Skip files already saved by an earlier (possibly interrupted) download
+        if (entry.files[url] && await cache.match(url)) {
+          reportProgress(1);
+          continue;
+        }
+
+        entry.files[url] = await downloadFile(cache, url, download.controller.signal, reportProgress);
+        saveManifest(manifest);
+      }
+
+      if (urls.length === 0) {
+        download.trackProgress[trackIndex] = 1;
+      }
+    }
+
+    entry.status = 'complete';
+    entry.downloadedAt = Date.now();
+    showMessage(t('downloads.complete', { name: playlistName }), 3000);
+    return true;
+  } catch (error) {
+    entry.status = 'partial';
+
+    if (error.name === 'AbortError') {
+      console.log(`Download of "${playlistName}" cancelled`);
+      showMessage(t('downloads.cancelled'), 2000);
+    } else {
+      ErrorLogger.logError(error, { function: 'downloadTour', playlistName });
+      showMessage(t('downloads.failed'), 4000, true);
+    }
+    return false;
+  } finally {
+    activeDownloads.delete(playlistName);
+    saveManifest(manifest);
+    dispatchDownloadState(playlistName, entry.status);
+  }
+}
+
+/**
+ * Cancel a tour download in progress
+ * @param {string} playlistName - Name of the tour being downloaded
+ */
+export function cancelTourDownload(playlistName) {
+  const download = activeDownloads.get(playlistName);
+  if (download) {
+    download.controller.abort();
+  }
+}
+
+/**
+ * Delete a downloaded tour from Cache Storage
+ * Files shared with another downloaded tour are kept.
+ * @param {string} playlistName - Name of the tour to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteDownloadedTour(playlistName) {
+  try {
+    cancelTourDownload(playlistName);
+
+    const manifest = loadManifest();
+    const entry = manifest[playlistName];
+    if (!entry) return;
+
+    delete manifest[playlistName];
+
+    const stillNeeded = new Set();
+    Object.values(manifest).forEach(otherEntry => {
+      Object.keys(otherEntry.files).forEach(url => stillNeeded.add(url));
+    });
+
+    if ('caches' in window) {
+      const cache = await caches.open(MEDIA_CACHE);
+      await Promise.all(
+        Object.keys(entry.files)
+          .filter(url => !stillNeeded.has(url))
+          .map(url => cache.delete(url))
+      );
+    }
+
+    saveManifest(manifest);
+    dispatchDownloadState(playlistName, 'deleted');
+    showMessage(t('downloads.removed', { name: playlistName }), 2000);
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'deleteDownloadedTour', playlistName });
+  }
+}
+
+/**
+ * Download a single file into the media cache, reporting progress
+ * @param {Cache} cache - The media cache
+ * @param {string} url - URL of the file
+ * @param {AbortSignal} signal - Signal used to cancel the download
+ * @param {Function} onProgress - Called with the downloaded fraction (0-1)
+ * @returns {Promise<number>} Size of the downloaded file in bytes
+ */
+async function downloadFile(cache, url, signal, onProgress) {
+  const response = await fetch(url, { mode: 'cors', signal });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! Status: ${response.status} for ${url}`);
+  }
+
+  const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+
+  if (!response.body) {
+    // No streaming support, store the response in one go
+    const blob = await response.blob();
+    await cache.put(url, new Response(blob, { headers: response.headers }));
+    onProgress(1);
+    return blob.size;
+  }
+
+  // One copy of the stream goes to the cache, the other is read to measure progress
+  const [cacheStream, progressStream] = response.body.tee();
+  const putPromise = cache.put(url, new Response(cacheStream, {
+    status: 200,
+    headers: response.headers
+  }));
+
+  const readProgress = async () => {
+    const reader = progressStream.getReader();
+    let loaded = 0;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return loaded;
+
+      loaded += value.length;
+      if (total > 0) {
+        onProgress(Math.min(loaded / total, 1));
+      }
+    }
+  };
+
+  // Wait on both copies together, so a cancelled or dropped download can't leave the
+  // cache write failing unhandled, or a truncated file behind to be served offline
+  try {
+    const [loaded] = await Promise.all([readProgress(), putPromise]);
+    onProgress(1);
+    return loaded;
+  } catch (error) {
+    await cache.delete(url);
+    throw error;
+  }
+}
+
+/**
+ * Get the URLs that must be saved for a track to play offline
+ * @param {Object} track - Normalized track object
+ * @param {boolean} includeXR - Whether to include the 360° scene video
+ * @returns {Array<string>} Unique media URLs
+ */
+function getTrackMediaUrls(track, includeXR) {
+  const urls = [track.audioSrc, track.artworkUrl, track.captionsSrc];
+
+  // XR-only tracks can't play at all without their video
+  if (track.videoSrc && (includeXR || !track.audioSrc)) {
+    urls.push(track.videoSrc);
+  }
+
+  return [...new Set(urls.filter(url => url && url.trim() !== ''))];
+}
+
+/**
+ * Check whether a track's media has been downloaded
+ * @param {Object} track - Normalized track object
+ * @returns {boolean} Whether the track can play offline
+ */
+export function isTrackDownloaded(track) {
+  if (!track) return false;
+
+  const manifest = loadManifest();
+  const required = track.audioSrc || track.videoSrc;
+
+  return Boolean(required) && Object.values(manifest).some(entry => entry.files[required]);
+}
+
+/**
+ * Get the downloaded tours record
+ * @returns {Object} Map of playlist name to { status, includeXR, downloadedAt, files }
+ */
+export function getDownloadedTours() {
+  return loadManifest();
+}
+
+/**
+ * Get storage used by downloaded tours and the browser's storage estimate
+ * @returns {Promise<Object>} { tourBytes, usage, quota }
+ */
+export async function getStorageUsage() {
+  const manifest = loadManifest();
+  const tourBytes = Object.values(manifest).reduce((sum, entry) => sum + getEntryBytes(entry), 0);
+
+  let usage = null;
+  let quota = null;
+
+  if (navigator.storage && navigator.storage.estimate) {
+    try {
+      const estimate = await navigator.storage.estimate();
+      usage = estimate.usage;
+      quota = estimate.quota;
+    } catch (error) {
+      console.warn('Could not estimate storage usage:', error);
+    }
+  }
+
+  return { tourBytes, usage, quota };
+}
+
+/**
+ * Sum the size of the files saved for a tour
+ * @param {Object} entry - Manifest entry for the tour
+ * @returns {number} Size in bytes
+ */
+function getEntryBytes(entry) {
+  return Object.values(entry.files).reduce((sum, bytes) => sum + (bytes || 0), 0);
+}
+
+/**
+ * Dispatch a download-state-changed event
+ * @param {string} playlistName - Name of the tour
+ * @param {string} status - 'downloading', 'complete', 'partial' or 'deleted'
+ */
+function dispatchDownloadState(playlistName, status) {
+  document.dispatchEvent(new CustomEvent('download-state-changed', {
+    detail: { playlistName, status }
+  }));
+}
+
+/**
+ * Load the downloaded tours record from localStorage
+ * @returns {Object} The manifest
+ */
+function loadManifest() {
+  try {
+    return JSON.parse(localStorage.getItem(MANIFEST_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read downloaded tours record:', error);
+    return {};
+  }
+}
+
+/**
+ * Save the downloaded tours record to localStorage
+ * @param {Object} manifest - The manifest
+ */
+function saveManifest(manifest) {
+  try {
+    localStorage.setItem(MANIFEST_STORAGE_KEY, JSON.stringify(manifest));
+  } catch (error) {
+    console.warn('Could not save downloaded tours record:', error);
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * Embed API Module
+ * Lets a page that embeds the player in an iframe control it and follow along over
+ * postMessage (message format in utils/embed-protocol.js, host library in
+ * embed/tour-player.js)
+ *
+ * Commands are only accepted from the player's own origin and the origins listed in
+ * playlist.json embed_origins, and events are only sent there. Events mirror the player's
+ * own CustomEvents: current-track-changed is sent as trackchange, track-ended as ended,
+ * player-error as error, and so on.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { togglePlayPause, seekToTime } from './player-core.js';
+import { loadTrack } from './playlist-manager.js';
+import { switchToXRMode, switchToAudioMode } from './xr-mode.js';
+import { applyDeepLink } from './deep-link.js';
+import { findDeepLinkTrack, slugify } from './utils/deep-link-utils.js';
+import {
+  EMBED_PROTOCOL_VERSION, EMBED_COMMANDS, createEmbedMessage, isEmbedMessage, normalizeOrigin
+} from './utils/embed-protocol.js';
+
+// Minimum time between timeupdate events
+const TIMEUPDATE_INTERVAL_MS = 250;
+
+// Set once the playlist has loaded and commands can be carried out
+let isReady = false;
+
+// Window and origin of the host that last sent a command; events go there once known
+let host = null;
+
+let lastTimeUpdate = 0;
+
+/**
+ * Set up the embed API
+ */
+export function setupEmbedApi() {
+  console.log('Setting up embed API...');
+
+  try {
+    if (window.parent === window) {
+      console.log('Player is not embedded, skipping embed API');
+      return;
+    }
+
+    window.addEventListener('message', handleMessage);
+
+    document.addEventListener('playlist-updated', () => {
+      if (isReady) return;
+
+      // processPlaylistData loads the first track right after announcing the playlist
+      setTimeout(() => {
+        isReady = true;
+        postEvent('ready', getEmbedState());
+      }, 0);
+    });
+
+    document.addEventListener('current-track-changed', (event) => {
+      postEvent('trackchange', { index: event.detail.index, track: describeTrack(event.detail.track) });
+    });
+
+    document.addEventListener('playback-state-changed', (event) => {
+      postEvent('playbackchange', { isPlaying: event.detail.isPlaying });
+    });
+
+    document.addEventListener('track-ended', (event) => {
+      postEvent('ended', { index: event.detail.index, track: describeTrack(event.detail.track) });
+    });
+
+    document.addEventListener('xr-mode-changed', (event) => {
+      postEvent('xr-mode-changed', { isXRMode: event.detail.isXRMode });
+    });
+
+    document.addEventListener('player-error', (event) => {
+      postEvent('error', { message: event.detail.error.message });
+    });
+
+    [PlayerState.audio, PlayerState.video].forEach(mediaElement => {
+      if (mediaElement) {
+        mediaElement.addEventListener('timeupdate', handleTimeUpdate);
+      }
+    });
+
+    console.log('Embed API setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupEmbedApi' });
+  }
+}
+
+/**
+ * Carry out a command from the host page and reply to it
+ * @param {MessageEvent} event - message event
+ */
+function handleMessage(event) {
+  if (!isEmbedMessage(event.data) || typeof event.data.command !== 'string') return;
+
+  if (!getAllowedOrigins().includes(event.origin)) {
+    console.warn(`Ignoring embed command from ${event.origin}, which isn't listed in embed_origins`);
+    return;
+  }
+
+  const { id, command, args, version } = event.data;
+  const respond = (fields) => {
+    event.source.postMessage(createEmbedMessage({ type: 'response', id, ...fields }), event.origin);
+  };
+
+  if (version !== EMBED_PROTOCOL_VERSION) {
+    respond({ ok: false, error: `Unsupported protocol version ${version}; this player speaks version ${EMBED_PROTOCOL_VERSION}` });
+    return;
+  }
+
+  host = { source: event.source, origin: event.origin };
+
+  try {
+    respond({ ok: true, result: runCommand(command, args || {}) });
+  } catch (error) {
+    console.warn(`Embed command ${command} failed:`, error.message);
+    respond({ ok: false, error: error.message });
+  }
+
+  // A host that connects after the player is ready still needs to hear it
+  if (command === 'hello' && isReady) {
+    postEvent('ready', getEmbedState());
+  }
+}
+
+/**
+ * Carry out a command
+ * @param {string} command - Command name
+ * @param {Object} args - Command arguments
+ * @returns {*} Result sent back to the host
+ * @throws {Error} If the command is unknown, its arguments are bad or it can't run yet
+ */
+function runCommand(command, args) {
+  if (!EMBED_COMMANDS.includes(command)) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  if (command === 'hello' || command === 'getState') {
+    return getEmbedState();
+  }
+
+  if (!isReady) {
+    throw new Error('The playlist has not loaded yet; wait for the ready event');
+  }
+
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+
+  switch (command) {
+    case 'play':
+      if (!PlayerState.isPlaying) {
+        togglePlayPause();
+      }
+      return null;
+
+    case 'pause':
+      if (PlayerState.isPlaying) {
+        togglePlayPause();
+      }
+      return null;
+
+    case 'seek': {
+      const time = Number(args.time);
+      if (!Number.isFinite(time) || time < 0) {
+        throw new Error(`seek needs a time in seconds, got ${JSON.stringify(args.time)}`);
+      }
+      seekToTime(time);
+      return null;
+    }
+
+    case 'loadTrack': {
+      const index = resolveTrackIndex(args);
+      if (index === -1) {
+        throw new Error(`No track matches ${JSON.stringify(args)}`);
+      }
+
+      loadTrack(index, Boolean(args.autoplay));
+      if (args.time) {
+        applyDeepLink({ index, time: Number(args.time), mode: null });
+      }
+      return { index, track: describeTrack(PlayerState.playlist[index]) };
+    }
+
+    case 'enterXR':
+      if (!track || !track.videoSrc) {
+        throw new Error('The current track has no 360° scene');
+      }
+      if (!PlayerState.isXRMode) {
+        switchToXRMode();
+      }
+      return null;
+
+    case 'exitXR':
+      if (PlayerState.isXRMode) {
+        switchToAudioMode();
+      }
+      return null;
+
+    case 'setVolume': {
+      const volume = Number(args.volume);
+      if (!Number.isFinite(volume) || volume < 0 || volume > 1) {
+        throw new Error(`setVolume needs a volume from 0 to 1, got ${JSON.stringify(args.volume)}`);
+      }
+      [PlayerState.audio, PlayerState.video].forEach(mediaElement => {
+        if (mediaElement) {
+          mediaElement.volume = volume;
+        }
+      });
+      return null;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+/**
+ * Find the track a loadTrack command asks for
+ * @param {Object} args - { index } or { trackId } or { playlist, chapter }, as in deep links
+ * @returns {number} Track index, or -1 if nothing matches
+ */
+function resolveTrackIndex(args) {
+  if (args.index !== undefined) {
+    return Number.isInteger(args.index) && PlayerState.playlist[args.index] ? args.index : -1;
+  }
+
+  return findDeepLinkTrack(PlayerState.playlist, {
+    trackId: typeof args.trackId === 'string' ? args.trackId : null,
+    playlist: typeof args.playlist === 'string' ? slugify(args.playlist) : null,
+    chapter: Number.isInteger(args.chapter) && args.chapter > 0 ? args.chapter : null
+  });
+}
+
+/**
+ * Send the playback position as it changes
+ * @param {Event} event - timeupdate event
+ */
+function handleTimeUpdate(event) {
+  const mediaElement = event.target;
+  if (mediaElement !== PlayerState.activeMediaElement) return;
+
+  const now = Date.now();
+  if (now - lastTimeUpdate < TIMEUPDATE_INTERVAL_MS) return;
+  lastTimeUpdate = now;
+
+  postEvent('timeupdate', {
+    currentTime: mediaElement.currentTime,
+    duration: isFinite(mediaElement.duration) ? mediaElement.duration : null
+  });
+}
+
+/**
+ * Send an event to the host page
+ * Until a host has sent a command, events go to the parent at each allowed origin; the
+ * browser only delivers the one matching the parent's actual origin.
+ * @param {string} name - Event name
+ * @param {Object} data - Event data
+ */
+function postEvent(name, data) {
+  if (!isReady && name !== 'ready') return;
+
+  const message = createEmbedMessage({ type: 'event', event: name, data });
+
+  if (host) {
+    host.source.postMessage(message, host.origin);
+  } else {
+    getAllowedOrigins().forEach(origin => window.parent.postMessage(message, origin));
+  }
+}
+
+/**
+ * Get the origins allowed to control the player
+ * A page opened from a file or in a sandbox has the opaque origin "null", which would
+ * match every other opaque frame and isn't a valid postMessage target, so it's left out.
+ * @returns {Array<string>} The player's own origin and playlist.json embed_origins
+ */
+function getAllowedOrigins() {
+  const ownOrigin = normalizeOrigin(window.location.origin);
+  return (ownOrigin ? [ownOrigin] : []).concat(PlayerState.embedOrigins);
+}
+
+/**
+ * Describe the player's state for the host
+ * @returns {Object} Current track, position, mode, volume and the playlist
+ */
+function getEmbedState() {
+  const mediaElement = PlayerState.activeMediaElement;
+
+  return {
+    ready: isReady,
+    version: EMBED_PROTOCOL_VERSION,
+    index: PlayerState.currentTrackIndex,
+    track: describeTrack(PlayerState.playlist[PlayerState.currentTrackIndex]),
+    currentTime: mediaElement ? mediaElement.currentTime : 0,
+    duration: mediaElement && isFinite(mediaElement.duration) ? mediaElement.duration : null,
+    isPlaying: PlayerState.isPlaying,
+    isXRMode: PlayerState.isXRMode,
+    volume: mediaElement ? mediaElement.volume : 1,
+    tracks: PlayerState.playlist.map(describeTrack)
+  };
+}
+
+/**
+ * Describe a track for the host, without internal fields
+ * @param {Object} track - Normalized track object
+ * @returns {Object|null} { id, title, playlistName, chapter, duration, hasXR }
+ */
+function describeTrack(track) {
+  if (!track) return null;
+
+  return {
+    id: track.id,
+    title: track.title,
+    playlistName: track.playlistName,
+    chapter: track.chapter,
+    duration: track.duration,
+    hasXR: Boolean(track.videoSrc)
+  };
+}
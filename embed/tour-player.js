@@ -0,0 +1,153 @@
+/**
+ * Tour Player Host Library
+ * Controls a player embedded in an iframe on another page, over the postMessage
+ * protocol in utils/embed-protocol.js
+ *
+ * Usage on the host page:
+ *
+ *   <iframe id="tour" src="https://tours.example.org/360video.html?playlist=look-up"
+ *           allow="autoplay; fullscreen; xr-spatial-tracking; geolocation"></iframe>
+ *
+ *   import { createTourPlayer } from 'https://tours.example.org/embed/tour-player.js';
+ *
+ *   const player = createTourPlayer(document.getElementById('tour'));
+ *   player.on('trackchange', ({ track }) => console.log('Now playing', track.title));
+ *   await player.ready();
+ *   await player.loadTrack({ playlist: 'look-up', chapter: 3, time: 80, autoplay: true });
+ *
+ * The host page's origin must be listed in the player's playlist.json embed_origins.
+ * Embed 360video.html directly; index.html is the player's own landing page. Command
+ * methods return promises that reject with the player's error message, e.g. for
+ * enterXR on a track with no 360° scene.
+ */
+
+import {
+  EMBED_EVENTS, createEmbedMessage, isEmbedMessage
+} from '../utils/embed-protocol.js';
+
+/**
+ * Connect to a player iframe
+ * @param {HTMLIFrameElement} iframe - The iframe showing 360video.html
+ * @param {Object} [options] - { timeout } in milliseconds for command responses (default 10000)
+ * @returns {Object} Player client with on, off, ready, getState, play, pause, seek,
+ *   loadTrack, enterXR, exitXR, setVolume and destroy
+ */
+export function createTourPlayer(iframe, { timeout = 10000 } = {}) {
+  const playerOrigin = new URL(iframe.src, window.location.href).origin;
+  const listeners = {};
+  const pending = new Map();
+  let nextId = 1;
+  let resolveReady;
+  const readyPromise = new Promise(resolve => { resolveReady = resolve; });
+
+  const handleMessage = (event) => {
+    if (event.source !== iframe.contentWindow || event.origin !== playerOrigin) return;
+    if (!isEmbedMessage(event.data)) return;
+
+    const message = event.data;
+
+    if (message.type === 'response') {
+      const request = pending.get(message.id);
+      if (!request) return;
+
+      pending.delete(message.id);
+      clearTimeout(request.timer);
+      if (message.ok) {
+        request.resolve(message.result);
+      } else {
+        request.reject(new Error(message.error));
+      }
+      return;
+    }
+
+    if (message.type === 'event') {
+      if (message.event === 'ready') {
+        resolveReady(message.data);
+      }
+      (listeners[message.event] || []).slice().forEach(callback => {
+        try {
+          callback(message.data);
+        } catch (error) {
+          console.error(`Error in tour player ${message.event} listener:`, error);
+        }
+      });
+    }
+  };
+
+  const send = (command, args = {}) => {
+    const id = nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`The player did not answer ${command} in time`));
+      }, timeout);
+
+      pending.set(id, { resolve, reject, timer });
+      iframe.contentWindow.postMessage(createEmbedMessage({ id, command, args }), playerOrigin);
+    });
+  };
+
+  // Say hello so a player that's already loaded sends ready again; unanswered hellos
+  // (the iframe is still loading) are harmless
+  const sayHello = () => send('hello').catch(() => {});
+
+  window.addEventListener('message', handleMessage);
+  iframe.addEventListener('load', sayHello);
+  if (iframe.contentWindow) {
+    sayHello();
+  }
+
+  return {
+    /**
+     * Listen for a player event
+     * @param {string} name - One of EMBED_EVENTS, e.g. 'timeupdate'
+     * @param {Function} callback - Called with the event data
+     */
+    on(name, callback) {
+      if (!EMBED_EVENTS.includes(name)) {
+        console.warn(`Unknown tour player event: ${name}`);
+      }
+      (listeners[name] = listeners[name] || []).push(callback);
+    },
+
+    /**
+     * Stop listening for a player event
+     * @param {string} name - Event name
+     * @param {Function} callback - Callback passed to on
+     */
+    off(name, callback) {
+      listeners[name] = (listeners[name] || []).filter(listener => listener !== callback);
+    },
+
+    /**
+     * Wait until the player has loaded its playlist
+     * @returns {Promise<Object>} Player state when it became ready
+     */
+    ready() {
+      return readyPromise;
+    },
+
+    getState: () => send('getState'),
+    play: () => send('play'),
+    pause: () => send('pause'),
+    seek: (time) => send('seek', { time }),
+    loadTrack: (target) => send('loadTrack', target),
+    enterXR: () => send('enterXR'),
+    exitXR: () => send('exitXR'),
+    setVolume: (volume) => send('setVolume', { volume }),
+
+    /**
+     * Disconnect from the iframe and reject any commands still waiting
+     */
+    destroy() {
+      window.removeEventListener('message', handleMessage);
+      iframe.removeEventListener('load', sayHello);
+      pending.forEach(request => {
+        clearTimeout(request.timer);
+        request.reject(new Error('Tour player was destroyed'));
+      });
+      pending.clear();
+    }
+  };
+}
@@ -5,6 +5,8 @@
 
 import { PlayerState } from './shared-state.js';
 import { showMessage, showErrorMessage } from './utils/messaging.js';
+import { t } from './utils/i18n.js';
+import { getMediaAdapter } from './utils/media-adapter.js';
 
 /**
  * Enhanced error logging system
@@ -30,9 +32,7 @@ export const ErrorLogger = {
       stack: error.stack,
       context: {
         ...context,
-        url: window.location.href,
-        userAgent: navigator.userAgent,
-        viewportSize: `${window.innerWidth}x${window.innerHeight}`,
+        ...getPageContext(),
         isXRMode: PlayerState.isXRMode,
         isMobileDevice: PlayerState.isMobileDevice,
         currentTrackIndex: PlayerState.currentTrackIndex,
@@ -52,9 +52,10 @@ export const ErrorLogger = {
     console.error('Player Error:', errorObj);
     
     // Dispatch error event for other modules to react
-    document.dispatchEvent(new CustomEvent('player-error', { 
-      detail: { error: errorObj } 
-    }));
+    const adapter = getMediaAdapter();
+    if (adapter) {
+      adapter.emit('player-error', { error: errorObj });
+    }
     
     return errorObj;
   },
@@ -69,7 +70,7 @@ export const ErrorLogger = {
     const errorObj = this.logError(error, context);
     
     // Show user-friendly error message
-    showErrorMessage("An error occurred. Please try again.");
+    showErrorMessage(t('error.generic'));
     
     return errorObj;
   },
@@ -98,4 +99,19 @@ export const ErrorLogger = {
   showErrorMessage: function(message, duration = 5000) {
     showErrorMessage(message, duration);
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Describe the page an error happened on
+ * @returns {Object} URL, user agent and viewport size, or nothing when there's no page
+ *   (the player core running under Node)
+ */
+function getPageContext() {
+  if (typeof window === 'undefined') return {};
+  
+  return {
+    url: window.location.href,
+    userAgent: navigator.userAgent,
+    viewportSize: `${window.innerWidth}x${window.innerHeight}`
+  };
+}
@@ -0,0 +1,419 @@
+/**
+ * Geofencing Module
+ * Watches the device position and offers (or auto-starts) the chapter whose
+ * `location: {lat, lng, radius}` the visitor walks into
+ *
+ * For testing a route at a desk, a recorded GPS trace can be replayed instead of the
+ * real position: add `?gpsTrace=path/to/trace.gpx` (or a .json trace) to the player URL,
+ * optionally with `&gpsTraceSpeed=10` to replay faster. JSON traces are an array of
+ * `{lat, lng, time}` points (or `{points: [...]}`), where time is an ISO date or seconds
+ * from the start of the trace. GPX files are read from their <trkpt> elements.
+ *
+ * Set `?geofence=auto` to start chapters automatically, or `?geofence=off` to disable.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { showMessage } from './utils/messaging.js';
+import { t } from './utils/i18n.js';
+import { loadTrack } from './playlist-manager.js';
+
+// Earth radius used for distance calculations
+const EARTH_RADIUS_M = 6371000;
+
+// A visitor must move this far beyond a radius before they count as having left,
+// so GPS jitter at the edge doesn't re-trigger the same chapter
+const EXIT_RADIUS_FACTOR = 1.2;
+
+// Ignore fixes less accurate than this
+const MAX_ACCURACY_M = 100;
+
+// Interval between trace points that have no timestamps
+const DEFAULT_TRACE_INTERVAL_MS = 1000;
+
+// Geofencing state
+let geofenceMode = 'offer'; // 'offer', 'auto' or 'off'
+let watchId = null;
+let simulationTimer = null;
+let isTracking = false;
+
+// Index of the track whose geofence the visitor is inside, or -1
+let insideTrackIndex = -1;
+
+// Index of the track offered in the location prompt, or -1
+let offeredTrackIndex = -1;
+
+/**
+ * Set up geofencing
+ * Tracking starts once the visitor starts the tour (first playback), so the location
+ * permission prompt isn't shown before they've engaged with the player.
+ */
+export function setupGeofencing() {
+  console.log('Setting up geofencing...');
+
+  try {
+    const urlParams = new URLSearchParams(window.location.search);
+    const requestedMode = urlParams.get('geofence');
+    if (['offer', 'auto', 'off'].includes(requestedMode)) {
+      geofenceMode = requestedMode;
+    }
+
+    if (geofenceMode === 'off') {
+      console.log('Geofencing disabled by URL parameter');
+      return;
+    }
+
+    const playButton = document.getElementById('locationPlayBtn');
+    if (playButton) {
+      playButton.addEventListener('click', acceptLocationOffer);
+    }
+
+    const dismissButton = document.getElementById('locationDismissBtn');
+    if (dismissButton) {
+      dismissButton.addEventListener('click', hideLocationPrompt);
+    }
+
+    const traceUrl = urlParams.get('gpsTrace');
+    const traceSpeed = parseFloat(urlParams.get('gpsTraceSpeed')) || 1;
+
+    // Wait for the playlist so we know which tracks have locations
+    document.addEventListener('playlist-updated', () => {
+      if (isTracking || getLocatedTracks().length === 0) return;
+
+      if (traceUrl) {
+        simulateGPSTrace(traceUrl, traceSpeed);
+      } else {
+        const startOnPlay = (event) => {
+          if (!event.detail.isPlaying) return;
+          document.removeEventListener('playback-state-changed', startOnPlay);
+          startGeofencing();
+        };
+        document.addEventListener('playback-state-changed', startOnPlay);
+      }
+    });
+
+    // A different chapter was chosen, so the offer no longer applies
+    document.addEventListener('current-track-changed', (event) => {
+      if (offeredTrackIndex !== -1 && event.detail.index !== offeredTrackIndex) {
+        hideLocationPrompt();
+      }
+    });
+
+    // Make the simulator available from the console
+    window.simulateGPSTrace = simulateGPSTrace;
+
+    console.log(`Geofencing setup complete (mode: ${geofenceMode})`);
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupGeofencing' });
+  }
+}
+
+/**
+ * Start watching the device position
+ */
+export function startGeofencing() {
+  if (isTracking) return;
+
+  if (!('geolocation' in navigator)) {
+    console.warn('Geolocation not supported, location-triggered chapters disabled');
+    return;
+  }
+
+  isTracking = true;
+  watchId = navigator.geolocation.watchPosition(
+    handlePosition,
+    handlePositionError,
+    { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+  );
+
+  console.log('Geofencing started');
+}
+
+/**
+ * Stop watching the position (real or simulated)
+ */
+export function stopGeofencing() {
+  if (watchId !== null) {
+    navigator.geolocation.clearWatch(watchId);
+    watchId = null;
+  }
+
+  if (simulationTimer) {
+    clearTimeout(simulationTimer);
+    simulationTimer = null;
+  }
+
+  isTracking = false;
+  insideTrackIndex = -1;
+  hideLocationPrompt();
+
+  console.log('Geofencing stopped');
+}
+
+/**
+ * Replay a recorded GPS trace instead of the device position
+ * @param {string} url - URL of a GPX or JSON trace file
+ * @param {number} speed - Playback speed multiplier (defaults to 1)
+ * @returns {Promise<number>} Number of points in the trace
+ */
+export async function simulateGPSTrace(url, speed = 1) {
+  stopGeofencing();
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+
+    const points = parseGPSTrace(await response.text());
+    if (points.length === 0) {
+      throw new Error('Trace contains no points');
+    }
+
+    console.log(`Simulating GPS trace "${url}" with ${points.length} points at ${speed}x`);
+    showMessage(t('location.simulating', { url }), 3000);
+
+    isTracking = true;
+
+    const replayPoint = (index) => {
+      const point = points[index];
+
+      handlePosition({
+        coords: { latitude: point.lat, longitude: point.lng, accuracy: point.accuracy || 5 },
+        timestamp: Date.now(),
+        simulated: true
+      });
+
+      if (index + 1 >= points.length) {
+        simulationTimer = null;
+        console.log('GPS trace simulation finished');
+        return;
+      }
+
+      const next = points[index + 1];
+      const interval = point.time !== null && next.time !== null ?
+        Math.max(next.time - point.time, 0) : DEFAULT_TRACE_INTERVAL_MS;
+
+      simulationTimer = setTimeout(() => replayPoint(index + 1), interval / speed);
+    };
+
+    replayPoint(0);
+    return points.length;
+  } catch (error) {
+    isTracking = false;
+    ErrorLogger.logError(error, { function: 'simulateGPSTrace', url });
+    showMessage(t('location.traceFailed'), 3000, true);
+    return 0;
+  }
+}
+
+/**
+ * Parse a GPX or JSON trace into points
+ * @param {string} text - Contents of the trace file
+ * @returns {Array<Object>} Points as { lat, lng, accuracy, time } with time in ms (or null)
+ */
+function parseGPSTrace(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('<')) {
+    const doc = new DOMParser().parseFromString(trimmed, 'application/xml');
+    const nodes = [...doc.querySelectorAll('trkpt, rtept, wpt')];
+
+    return nodes.map(node => {
+      const timeNode = node.querySelector('time');
+      return {
+        lat: parseFloat(node.getAttribute('lat')),
+        lng: parseFloat(node.getAttribute('lon')),
+        accuracy: null,
+        time: timeNode ? Date.parse(timeNode.textContent) : null
+      };
+    }).filter(point => !isNaN(point.lat) && !isNaN(point.lng));
+  }
+
+  const data = JSON.parse(trimmed);
+  const rawPoints = Array.isArray(data) ? data : (data.points || []);
+
+  return rawPoints.map(point => {
+    const time = point.time !== undefined ? point.time : point.t;
+    return {
+      lat: Number(point.lat),
+      lng: Number(point.lng !== undefined ? point.lng : point.lon),
+      accuracy: point.accuracy || null,
+      time: typeof time === 'number' ? time * 1000 : (time ? Date.parse(time) : null)
+    };
+  }).filter(point => !isNaN(point.lat) && !isNaN(point.lng));
+}
+
+/**
+ * Handle a new position fix
+ * @param {GeolocationPosition|Object} position - The position
+ */
+function handlePosition(position) {
+  const { latitude, longitude, accuracy } = position.coords;
+
+  PlayerState.set({ visitorPosition: { lat: latitude, lng: longitude, accuracy } });
+  document.dispatchEvent(new CustomEvent('visitor-position-changed', {
+    detail: { position: PlayerState.visitorPosition, simulated: Boolean(position.simulated) }
+  }));
+
+  // With geofencing off, the position is only shown on the tour map
+  if (geofenceMode === 'off') return;
+
+  if (accuracy > MAX_ACCURACY_M) {
+    console.log(`Ignoring inaccurate position fix (${Math.round(accuracy)}m)`);
+    return;
+  }
+
+  // Check whether the visitor has left the geofence they were in
+  if (insideTrackIndex !== -1) {
+    const insideTrack = PlayerState.playlist[insideTrackIndex];
+    const stillInside = insideTrack && isValidLocation(insideTrack.location) &&
+      getDistance(latitude, longitude, insideTrack.location.lat, insideTrack.location.lng) <=
+        insideTrack.location.radius * EXIT_RADIUS_FACTOR;
+
+    if (stillInside) return;
+
+    document.dispatchEvent(new CustomEvent('geofence-exited', {
+      detail: { track: insideTrack, index: insideTrackIndex }
+    }));
+    insideTrackIndex = -1;
+
+    if (offeredTrackIndex !== -1) {
+      hideLocationPrompt();
+    }
+  }
+
+  // Find the nearest geofence the visitor is inside
+  let nearest = null;
+  getLocatedTracks().forEach(({ track, index }) => {
+    const distance = getDistance(latitude, longitude, track.location.lat, track.location.lng);
+    if (distance <= track.location.radius && (!nearest || distance < nearest.distance)) {
+      nearest = { track, index, distance };
+    }
+  });
+
+  if (!nearest) return;
+
+  insideTrackIndex = nearest.index;
+  document.dispatchEvent(new CustomEvent('geofence-entered', { detail: nearest }));
+  console.log(`Entered geofence for "${nearest.track.title}" (${Math.round(nearest.distance)}m from center)`);
+
+  handleGeofenceEntered(nearest.index);
+}
+
+/**
+ * Offer or start the chapter for a geofence the visitor walked into
+ * @param {number} index - Index of the track in the flat playlist
+ */
+function handleGeofenceEntered(index) {
+  // Already on this chapter
+  if (index === PlayerState.currentTrackIndex) return;
+
+  // Never interrupt a chapter that is playing, offer instead
+  if (geofenceMode === 'auto' && !PlayerState.isPlaying) {
+    const track = PlayerState.playlist[index];
+    showMessage(t('location.arrived', { title: track.title }), 3000);
+    loadTrack(index, true);
+    return;
+  }
+
+  showLocationOffer(index);
+}
+
+/**
+ * Show the location prompt for a track
+ * @param {number} index - Index of the track in the flat playlist
+ */
+function showLocationOffer(index) {
+  const prompt = document.getElementById('locationPrompt');
+  const label = document.getElementById('locationLabel');
+  const track = PlayerState.playlist[index];
+
+  if (!prompt || !track) return;
+
+  offeredTrackIndex = index;
+
+  if (label) {
+    label.textContent = t('location.nearby', { title: track.title });
+  }
+
+  prompt.classList.add('visible');
+}
+
+/**
+ * Play the offered track
+ */
+function acceptLocationOffer() {
+  const index = offeredTrackIndex;
+  hideLocationPrompt();
+
+  if (index !== -1) {
+    loadTrack(index, true);
+  }
+}
+
+/**
+ * Hide the location prompt
+ */
+function hideLocationPrompt() {
+  offeredTrackIndex = -1;
+
+  const prompt = document.getElementById('locationPrompt');
+  if (prompt) {
+    prompt.classList.remove('visible');
+  }
+}
+
+/**
+ * Handle geolocation errors
+ * @param {GeolocationPositionError} error - The error
+ */
+function handlePositionError(error) {
+  console.warn('Geolocation error:', error.code, error.message);
+
+  if (error.code === error.PERMISSION_DENIED) {
+    stopGeofencing();
+    showMessage(t('location.off'), 4000);
+  }
+}
+
+/**
+ * Get the tracks that have a usable location
+ * @returns {Array<Object>} Entries of { track, index }
+ */
+function getLocatedTracks() {
+  return PlayerState.playlist
+    .map((track, index) => ({ track, index }))
+    .filter(({ track }) => isValidLocation(track.location));
+}
+
+/**
+ * Check that a location has numeric coordinates and a positive radius
+ * @param {Object} location - Location from the track
+ * @returns {boolean} Whether the location can be used
+ */
+function isValidLocation(location) {
+  return Boolean(location) &&
+    Number.isFinite(location.lat) && Math.abs(location.lat) <= 90 &&
+    Number.isFinite(location.lng) && Math.abs(location.lng) <= 180 &&
+    Number.isFinite(location.radius) && location.radius > 0;
+}
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in meters
+ */
+export function getDistance(lat1, lng1, lat2, lng2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
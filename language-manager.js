@@ -0,0 +1,260 @@
+/**
+ * Language Manager Module
+ * Picks the narration language for multilingual tracks and switches it in place
+ *
+ * A track can list language variants in playlist.json:
+ *   "language": "en",
+ *   "languages": { "yue": { "audio_url": "...", "captions": "...", "title": "..." }, ... }
+ * The track's own audio_url, captions and title are the variant for its `language`.
+ * Tracks without `languages` keep their single narration.
+ *
+ * The narration language is separate from the language of the player's own UI.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { isVideoMaster } from './utils/media-sync.js';
+import { showMessage } from './utils/messaging.js';
+import { t, matchLanguage, getBrowserLanguages, getNativeLanguageName } from './utils/i18n.js';
+
+// localStorage key for the listener's chosen narration language
+const STORAGE_KEY = 'player.narrationLanguage';
+
+// Code for top-level narration whose language isn't declared
+const UNDETERMINED_LANGUAGE = 'und';
+
+/**
+ * Set up the language picker
+ */
+export function setupLanguageManager() {
+  console.log('Setting up language manager...');
+
+  try {
+    document.addEventListener('playlist-updated', renderLanguagePicker);
+
+    const select = document.getElementById('languageSelect');
+    if (select) {
+      select.addEventListener('change', () => setNarrationLanguage(select.value));
+    }
+
+    console.log('Language manager setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupLanguageManager' });
+  }
+}
+
+/**
+ * Collect a track's language variants from playlist.json
+ * Accepts both the single-URL form (returns an empty map) and the `languages` map.
+ * @param {Object} track - Track from playlist.json
+ * @returns {Object} Map of language code to { audioSrc, captionsSrc, title }
+ */
+export function normalizeTrackLanguages(track) {
+  const variants = {};
+  if (!track || !track.languages || typeof track.languages !== 'object' || Array.isArray(track.languages)) {
+    return variants;
+  }
+
+  const baseTitle = track.title || '';
+
+  // The top-level narration is the variant for the track's declared language, and the
+  // fallback when none of the listener's languages are available
+  const baseAudioSrc = track.audioSrc || track.audio_url;
+  if (baseAudioSrc) {
+    variants[track.language || UNDETERMINED_LANGUAGE] = {
+      audioSrc: baseAudioSrc,
+      captionsSrc: track.captionsSrc || track.captions || '',
+      title: baseTitle
+    };
+  }
+
+  Object.entries(track.languages).forEach(([code, variant]) => {
+    const audioSrc = variant && (variant.audioSrc || variant.audio_url);
+    if (typeof audioSrc !== 'string' || audioSrc.trim() === '') {
+      console.warn(`Skipping language "${code}" of "${baseTitle}": no audio_url`);
+      return;
+    }
+
+    variants[code] = {
+      audioSrc,
+      captionsSrc: variant.captionsSrc || variant.captions || '',
+      title: variant.title || baseTitle
+    };
+  });
+
+  return variants;
+}
+
+/**
+ * Get the languages the listener prefers, most preferred first
+ * @returns {Array<string>} Language codes
+ */
+function getPreferredLanguages() {
+  const preferences = [];
+
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      preferences.push(stored);
+    }
+  } catch (error) {
+    console.warn('Could not read narration language preference:', error);
+  }
+
+  return preferences.concat(getBrowserLanguages());
+}
+
+/**
+ * Pick the best available language for a track
+ * Falls back to the track's first variant (its top-level narration, when it has one).
+ * @param {Object} track - Normalized track object
+ * @param {Array<string>} preferences - Preferred language codes, most preferred first
+ * @returns {string|null} The chosen code, or null if the track has no variants
+ */
+function resolveTrackLanguage(track, preferences) {
+  const codes = Object.keys(track.languages || {});
+  if (codes.length === 0) return null;
+
+  return matchLanguage(preferences, codes) || codes[0];
+}
+
+/**
+ * Point each multilingual track's audio, captions and title at the preferred language
+ * @param {Array<Object>} tracks - Normalized tracks
+ */
+export function applyNarrationLanguage(tracks) {
+  const preferences = getPreferredLanguages();
+
+  tracks.forEach(track => {
+    const code = resolveTrackLanguage(track, preferences);
+    if (!code) return;
+
+    const variant = track.languages[code];
+    track.language = code;
+    track.audioSrc = variant.audioSrc;
+    track.captionsSrc = variant.captionsSrc;
+    track.title = variant.title || track.title;
+  });
+}
+
+/**
+ * Get the narration languages offered by the playlist
+ * @returns {Array<string>} Language codes, in playlist order
+ */
+export function getAvailableLanguages() {
+  const codes = new Set();
+
+  PlayerState.playlist.forEach(track => {
+    Object.keys(track.languages || {}).forEach(code => {
+      if (code !== UNDETERMINED_LANGUAGE) {
+        codes.add(code);
+      }
+    });
+  });
+
+  return [...codes];
+}
+
+/**
+ * Switch the narration language, keeping the current playback position
+ * @param {string} code - Language code
+ */
+export function setNarrationLanguage(code) {
+  console.log(`Switching narration language to ${code}`);
+
+  try {
+    try {
+      localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+      console.warn('Could not save narration language preference:', error);
+    }
+
+    applyNarrationLanguage(PlayerState.playlist);
+
+    const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+    if (track && track.audioSrc && PlayerState.audio &&
+        PlayerState.audio.getAttribute('src') !== track.audioSrc) {
+      switchNarrationInPlace(track);
+    }
+
+    document.dispatchEvent(new CustomEvent('narration-language-changed', {
+      detail: { language: code, track: track || null }
+    }));
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setNarrationLanguage', language: code });
+  }
+}
+
+/**
+ * Load the current track's narration in the new language and pick up at the same time
+ * The video (and so the XR scene) isn't touched; in XR mode the audio rejoins it.
+ * @param {Object} track - Normalized track object, already switched to the new language
+ */
+function switchNarrationInPlace(track) {
+  const audio = PlayerState.audio;
+  const position = isVideoMaster() ? PlayerState.video.currentTime : audio.currentTime;
+  const wasPlaying = PlayerState.activeMediaElement && !PlayerState.activeMediaElement.paused;
+
+  // Keep media sync from pulling the video back to 0 while the audio reloads
+  const isHoldingSync = PlayerState.transition('seek', { reason: 'narration-language' });
+
+  const cleanUp = () => {
+    audio.removeEventListener('loadedmetadata', onLoaded);
+    audio.removeEventListener('error', onError);
+    if (isHoldingSync) {
+      PlayerState.transition('seeked');
+    }
+  };
+
+  const onLoaded = () => {
+    cleanUp();
+
+    // The video may have moved on while the audio loaded
+    audio.currentTime = isVideoMaster() ? PlayerState.video.currentTime : position;
+
+    if (wasPlaying) {
+      audio.play().catch(error => {
+        console.error('Error resuming narration after language switch:', error);
+      });
+    }
+  };
+
+  const onError = () => {
+    cleanUp();
+    showMessage(t('language.narrationFailed'), 3000, true);
+  };
+
+  audio.addEventListener('loadedmetadata', onLoaded);
+  audio.addEventListener('error', onError);
+
+  audio.src = track.audioSrc;
+  audio.load();
+}
+
+/**
+ * Fill the language picker with the playlist's languages
+ */
+function renderLanguagePicker() {
+  const select = document.getElementById('languageSelect');
+  if (!select) return;
+
+  const codes = getAvailableLanguages();
+  select.classList.toggle('available', codes.length > 1);
+
+  select.innerHTML = '';
+  codes.forEach(code => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.lang = code;
+    option.textContent = getNativeLanguageName(code);
+    select.appendChild(option);
+  });
+
+  // Show the language the current (or first multilingual) track resolved to
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+  const selected = (track && track.language) ||
+    (PlayerState.playlist.find(candidate => candidate.language) || {}).language;
+  if (selected && codes.includes(selected)) {
+    select.value = selected;
+  }
+}
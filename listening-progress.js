@@ -0,0 +1,311 @@
+/**
+ * Listening Progress Module
+ * Remembers what a visitor has heard across visits: how far into each chapter they got,
+ * which chapters they favorited, and a history of what they played
+ *
+ * A chapter is unstarted until a few seconds have played, then in progress, and completed
+ * once 90% of it has been heard (completion sticks, even if it's replayed from the start).
+ * Everything is keyed by the track's stable id (see processPlaylistData) and kept in
+ * localStorage, so a multi-day tour picks up where it left off.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+
+// localStorage keys
+const PROGRESS_STORAGE_KEY = 'player.trackProgress';
+const FAVORITES_STORAGE_KEY = 'player.favorites';
+const HISTORY_STORAGE_KEY = 'player.listeningHistory';
+
+// Fraction of a chapter that counts as having heard it
+const COMPLETION_THRESHOLD = 0.9;
+
+// Seconds that must play before a chapter counts as started
+const MIN_STARTED_SEC = 5;
+
+// How often to persist progress while playing
+const SAVE_INTERVAL_MS = 5000;
+
+// How many plays the history keeps
+const MAX_HISTORY_ENTRIES = 100;
+
+// Progress by track id: { state, progress, updatedAt }
+let trackProgress = {};
+
+// Favorited track ids, in the order they were added
+let favorites = [];
+
+// Plays as { trackId, playedAt }, newest first
+let history = [];
+
+// Progress changed since the last save
+let isDirty = false;
+let lastSaveTime = 0;
+
+// Track id whose play has been recorded in the history for the current load
+let recordedTrackId = null;
+
+/**
+ * Set up progress tracking, favorites and history
+ */
+export function setupListeningProgress() {
+  console.log('Setting up listening progress...');
+
+  try {
+    trackProgress = loadStored(PROGRESS_STORAGE_KEY, {});
+    favorites = loadStored(FAVORITES_STORAGE_KEY, []);
+    history = loadStored(HISTORY_STORAGE_KEY, []);
+
+    [PlayerState.audio, PlayerState.video].forEach(mediaElement => {
+      if (!mediaElement) return;
+      mediaElement.addEventListener('timeupdate', handleTimeUpdate);
+      mediaElement.addEventListener('ended', handleEnded);
+    });
+
+    document.addEventListener('current-track-changed', () => {
+      flushProgress();
+      recordedTrackId = null;
+    });
+
+    // A chapter goes into the history once it actually plays
+    document.addEventListener('playback-state-changed', (event) => {
+      if (event.detail.isPlaying) {
+        recordPlay();
+      }
+    });
+
+    window.addEventListener('pagehide', flushProgress);
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        flushProgress();
+      }
+    });
+
+    console.log(`Listening progress setup complete (${Object.keys(trackProgress).length} chapters started, ${favorites.length} favorites)`);
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupListeningProgress' });
+  }
+}
+
+/**
+ * Get how much of a chapter has been heard
+ * @param {Object} track - Normalized track object
+ * @returns {Object} { state: "unstarted" | "in-progress" | "completed", progress: 0 to 1 }
+ */
+export function getTrackProgress(track) {
+  const saved = track && track.id ? trackProgress[track.id] : null;
+  return saved ? { state: saved.state, progress: saved.progress } : { state: 'unstarted', progress: 0 };
+}
+
+/**
+ * Check whether a chapter is a favorite
+ * @param {Object} track - Normalized track object
+ * @returns {boolean} Whether the chapter is favorited
+ */
+export function isFavorite(track) {
+  return Boolean(track && track.id && favorites.includes(track.id));
+}
+
+/**
+ * Add a chapter to the favorites, or remove it
+ * @param {Object} track - Normalized track object
+ * @returns {boolean} Whether the chapter is now a favorite
+ */
+export function toggleFavorite(track) {
+  if (!track || !track.id) return false;
+
+  const isNowFavorite = !favorites.includes(track.id);
+  favorites = isNowFavorite ? favorites.concat(track.id) : favorites.filter(id => id !== track.id);
+  saveStored(FAVORITES_STORAGE_KEY, favorites);
+
+  document.dispatchEvent(new CustomEvent('favorites-changed', {
+    detail: { track, isFavorite: isNowFavorite }
+  }));
+
+  return isNowFavorite;
+}
+
+/**
+ * Get the favorited chapters in playlist order
+ * @returns {Array<number>} Track indexes
+ */
+export function getFavoriteTrackIndexes() {
+  return PlayerState.playlist
+    .map((track, index) => (favorites.includes(track.id) ? index : -1))
+    .filter(index => index !== -1);
+}
+
+/**
+ * Get the listening history for chapters still in the playlist
+ * @returns {Array<Object>} Entries as { index, playedAt }, newest first
+ */
+export function getHistory() {
+  return history
+    .map(entry => ({
+      index: PlayerState.playlist.findIndex(track => track.id === entry.trackId),
+      playedAt: entry.playedAt
+    }))
+    .filter(entry => entry.index !== -1);
+}
+
+/**
+ * Pick the chapter to continue the tour with
+ * The most recently heard chapter that's still in progress, otherwise the first unstarted
+ * chapter after the last one completed.
+ * @returns {number} Track index, or -1 for a new visitor or a finished tour
+ */
+export function getContinueTrackIndex() {
+  const playlist = PlayerState.playlist;
+
+  let latestInProgress = -1;
+  let latestCompleted = -1;
+  let latestUpdate = 0;
+  let latestCompletedUpdate = 0;
+
+  playlist.forEach((track, index) => {
+    const saved = trackProgress[track.id];
+    if (!saved) return;
+
+    if (saved.state === 'in-progress' && saved.updatedAt > latestUpdate) {
+      latestInProgress = index;
+      latestUpdate = saved.updatedAt;
+    } else if (saved.state === 'completed' && saved.updatedAt > latestCompletedUpdate) {
+      latestCompleted = index;
+      latestCompletedUpdate = saved.updatedAt;
+    }
+  });
+
+  if (latestInProgress !== -1) return latestInProgress;
+  if (latestCompleted === -1) return -1;
+
+  // Wrap around, in case the visitor started partway through the tour
+  for (let offset = 1; offset < playlist.length; offset++) {
+    const index = (latestCompleted + offset) % playlist.length;
+    if (getTrackProgress(playlist[index]).state === 'unstarted') {
+      return index;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Update the current chapter's progress as it plays
+ * @param {Event} event - timeupdate event
+ */
+function handleTimeUpdate(event) {
+  const mediaElement = event.target;
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+
+  if (mediaElement !== PlayerState.activeMediaElement || !track || !track.id) return;
+  if (mediaElement.paused || !isFinite(mediaElement.duration) || mediaElement.duration <= 0) return;
+  if (mediaElement.currentTime < MIN_STARTED_SEC) return;
+
+  updateProgress(track, mediaElement.currentTime / mediaElement.duration);
+}
+
+/**
+ * Mark the current chapter completed when it plays to the end
+ * @param {Event} event - ended event
+ */
+function handleEnded(event) {
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+  if (event.target !== PlayerState.activeMediaElement || !track || !track.id) return;
+
+  updateProgress(track, 1);
+  flushProgress();
+}
+
+/**
+ * Record progress for a chapter
+ * @param {Object} track - Normalized track object
+ * @param {number} fraction - Fraction of the chapter heard, 0 to 1
+ */
+function updateProgress(track, fraction) {
+  const previous = trackProgress[track.id];
+  const progress = Math.min(1, Math.max(0, fraction));
+
+  // Completion sticks; replaying a finished chapter doesn't make it unfinished
+  const state = (previous && previous.state === 'completed') || progress >= COMPLETION_THRESHOLD ?
+    'completed' : 'in-progress';
+
+  trackProgress[track.id] = { state, progress, updatedAt: Date.now() };
+  isDirty = true;
+
+  // Badges follow state changes and whole-percent steps, not every timeupdate
+  const stateChanged = !previous || previous.state !== state;
+  if (stateChanged || Math.floor(previous.progress * 100) !== Math.floor(progress * 100)) {
+    if (stateChanged) {
+      console.log(`"${track.title}" is now ${state}`);
+    }
+
+    document.dispatchEvent(new CustomEvent('listening-progress-changed', {
+      detail: { track, state, progress, stateChanged }
+    }));
+  }
+
+  if (stateChanged || Date.now() - lastSaveTime >= SAVE_INTERVAL_MS) {
+    flushProgress();
+  }
+}
+
+/**
+ * Persist progress if it changed
+ */
+function flushProgress() {
+  if (!isDirty) return;
+
+  saveStored(PROGRESS_STORAGE_KEY, trackProgress);
+  isDirty = false;
+  lastSaveTime = Date.now();
+}
+
+/**
+ * Add the current chapter to the history, once per load
+ */
+function recordPlay() {
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+  if (!track || !track.id || recordedTrackId === track.id) return;
+
+  recordedTrackId = track.id;
+
+  // Playing the same chapter again straight away only updates its time
+  history = [{ trackId: track.id, playedAt: Date.now() }]
+    .concat(history.length > 0 && history[0].trackId === track.id ? history.slice(1) : history)
+    .slice(0, MAX_HISTORY_ENTRIES);
+
+  saveStored(HISTORY_STORAGE_KEY, history);
+
+  document.dispatchEvent(new CustomEvent('listening-history-changed', {
+    detail: { track }
+  }));
+}
+
+/**
+ * Read a value from localStorage
+ * @param {string} key - localStorage key
+ * @param {*} fallback - Value to use if nothing valid is stored
+ * @returns {*} The stored value or the fallback
+ */
+function loadStored(key, fallback) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    return saved && typeof saved === 'object' && Array.isArray(saved) === Array.isArray(fallback) ? saved : fallback;
+  } catch (error) {
+    console.warn(`Could not read ${key}:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Write a value to localStorage
+ * @param {string} key - localStorage key
+ * @param {*} value - Value to store
+ */
+function saveStored(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save ${key}:`, error);
+  }
+}
@@ -5,6 +5,9 @@
 
 import { PlayerState } from './shared-state.js';
 import { ErrorLogger } from './error-logger.js';
+import { getNextTrackIndex } from './playback-queue.js';
+import { isStillScene } from './utils/projection-utils.js';
+import { t } from './utils/i18n.js';
 
 // Keep track of preloaded media to avoid redundant loads
 const preloadedMedia = new Map();
@@ -45,13 +48,16 @@ export function preloadTrackMedia(track) {
       return;
     }
     
+    // Photosphere scenes are images, loaded as textures by xr-projection.js
+    const videoSrc = isStillScene(track) ? '' : track.videoSrc;
+    
     // Check if media is already preloaded
     const trackId = track.audioSrc;
     if (preloadedMedia.has(trackId) && preloadedMedia.get(trackId).loaded) {
       console.log(`Media for track "${track.title}" already preloaded, skipping`);
-      PlayerState.isAudioPreloaded = true;
-      if (track.videoSrc) {
-        PlayerState.isVideoPreloaded = true;
+      PlayerState.set({ isAudioPreloaded: true });
+      if (videoSrc) {
+        PlayerState.set({ isVideoPreloaded: true });
       }
       resolve();
       return;
@@ -60,7 +66,7 @@ export function preloadTrackMedia(track) {
     console.log(`Preloading media for track: ${track.title}`);
     
     if (PlayerState.elements.message) {
-      PlayerState.elements.message.textContent = "Preloading media...";
+      PlayerState.elements.message.textContent = t('preload.preloading');
       PlayerState.elements.message.style.display = "block";
     }
     
@@ -77,10 +83,10 @@ export function preloadTrackMedia(track) {
     
     // Function to check if both files are loaded
     const checkBothLoaded = () => {
-      if (audioLoaded && (videoLoaded || !track.videoSrc)) {
-        PlayerState.isAudioPreloaded = true;
-        if (track.videoSrc) {
-          PlayerState.isVideoPreloaded = true;
+      if (audioLoaded && (videoLoaded || !videoSrc)) {
+        PlayerState.set({ isAudioPreloaded: true });
+        if (videoSrc) {
+          PlayerState.set({ isVideoPreloaded: true });
         }
         
         // Store info that this media is preloaded
@@ -91,10 +97,10 @@ export function preloadTrackMedia(track) {
         });
         
         if (PlayerState.elements.message) {
-          PlayerState.elements.message.textContent = "Media ready. Click play to start.";
+          PlayerState.elements.message.textContent = t('preload.ready');
           setTimeout(() => {
             if (PlayerState.elements.message && 
-                PlayerState.elements.message.textContent === "Media ready. Click play to start.") {
+                PlayerState.elements.message.textContent === t('preload.ready')) {
               PlayerState.elements.message.style.display = "none";
             }
           }, 3000);
@@ -109,10 +115,10 @@ export function preloadTrackMedia(track) {
     const retryAudioLoad = () => {
       if (audioAttempts < maxAttempts) {
         audioAttempts++;
-        console.log(`Retrying audio preload (attempt ${audioAttempts}/${maxAttempts})...`);
+        console.log(t('preload.retryingAudio', { attempt: audioAttempts, max: maxAttempts }));
         
         if (PlayerState.elements.message) {
-          PlayerState.elements.message.textContent = `Retrying audio preload (attempt ${audioAttempts}/${maxAttempts})...`;
+          PlayerState.elements.message.textContent = t('preload.retryingAudio', { attempt: audioAttempts, max: maxAttempts });
         }
         
         // Clean up previous audio element if it exists
@@ -139,7 +145,7 @@ export function preloadTrackMedia(track) {
             setTimeout(retryAudioLoad, 2000); // Wait 2 seconds before retrying
           } else {
             if (PlayerState.elements.message) {
-              PlayerState.elements.message.textContent = "Error preloading audio. Continuing with limited functionality.";
+              PlayerState.elements.message.textContent = t('preload.audioFailed');
             }
             
             // Continue anyway with video if possible
@@ -161,7 +167,7 @@ export function preloadTrackMedia(track) {
     
     // Function to retry loading video
     const retryVideoLoad = () => {
-      if (!track.videoSrc) {
+      if (!videoSrc) {
         videoLoaded = true;
         checkBothLoaded();
         return;
@@ -169,10 +175,10 @@ export function preloadTrackMedia(track) {
       
       if (videoAttempts < maxAttempts) {
         videoAttempts++;
-        console.log(`Retrying video preload (attempt ${videoAttempts}/${maxAttempts})...`);
+        console.log(t('preload.retryingVideo', { attempt: videoAttempts, max: maxAttempts }));
         
         if (PlayerState.elements.message) {
-          PlayerState.elements.message.textContent = `Retrying video preload (attempt ${videoAttempts}/${maxAttempts})...`;
+          PlayerState.elements.message.textContent = t('preload.retryingVideo', { attempt: videoAttempts, max: maxAttempts });
         }
         
         // Clean up previous video element if it exists
@@ -187,7 +193,7 @@ export function preloadTrackMedia(track) {
         tempVideo.preload = 'auto';
         tempVideo.muted = true;
         tempVideo.crossOrigin = 'anonymous';
-        tempVideo.src = track.videoSrc; // No cache-busting parameter
+        tempVideo.src = videoSrc; // No cache-busting parameter
         
         tempVideo.addEventListener('canplaythrough', function onVideoReady() {
           videoLoaded = true;
@@ -201,7 +207,7 @@ export function preloadTrackMedia(track) {
             setTimeout(retryVideoLoad, 2000); // Wait 2 seconds before retrying
           } else {
             if (PlayerState.elements.message) {
-              PlayerState.elements.message.textContent = "Error preloading 360° video. Audio-only mode available.";
+              PlayerState.elements.message.textContent = t('preload.videoFailed');
             }
             
             // Continue anyway with audio if possible
@@ -239,12 +245,12 @@ export function preloadTrackMedia(track) {
     });
     
     // Preload video if available
-    if (track.videoSrc) {
+    if (videoSrc) {
       tempVideo = document.createElement('video');
       tempVideo.preload = 'auto';
       tempVideo.muted = true;
       tempVideo.crossOrigin = 'anonymous';
-      tempVideo.src = track.videoSrc;
+      tempVideo.src = videoSrc;
       
       tempVideo.addEventListener('canplaythrough', function onVideoReady() {
         videoLoaded = true;
@@ -274,10 +280,10 @@ export function preloadTrackMedia(track) {
 export function checkAllMediaPreloaded() {
   if (PlayerState.isAudioPreloaded) {
     if (PlayerState.elements.message) {
-      PlayerState.elements.message.textContent = "Media ready. Click play to start.";
+      PlayerState.elements.message.textContent = t('preload.ready');
       setTimeout(() => {
         if (PlayerState.elements.message && 
-            PlayerState.elements.message.textContent === "Media ready. Click play to start.") {
+            PlayerState.elements.message.textContent === t('preload.ready')) {
           PlayerState.elements.message.style.display = "none";
         }
       }, 3000);
@@ -311,7 +317,8 @@ export function cleanupMediaResources(cleanAll = false) {
     } else {
       // Clean up just the resources for tracks that aren't the current or next track
       const currentTrackId = PlayerState.currentTrack?.audioSrc;
-      const nextTrackId = PlayerState.getNextTrack()?.audioSrc;
+      const nextIndex = getNextTrackIndex();
+      const nextTrackId = nextIndex !== null ? PlayerState.playlist[nextIndex]?.audioSrc : undefined;
       
       preloadedMedia.forEach((mediaData, trackId) => {
         if (trackId !== currentTrackId && trackId !== nextTrackId) {
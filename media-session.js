@@ -0,0 +1,157 @@
+/**
+ * Media Session Module
+ * Publishes track metadata and playback controls to navigator.mediaSession so
+ * lock screens, Bluetooth headsets and car displays can control the tour
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { togglePlayPause, seekToTime } from './player-core.js';
+import { loadNextTrack, loadPreviousTrack } from './playlist-manager.js';
+
+// Seconds to skip when the system doesn't give an offset
+const DEFAULT_SEEK_OFFSET_SEC = 10;
+
+/**
+ * Check whether the Media Session API is available
+ * @returns {boolean} Whether navigator.mediaSession can be used
+ */
+function isMediaSessionSupported() {
+  // There's no navigator at all when the player core runs under Node
+  return typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+}
+
+/**
+ * Set up Media Session metadata, action handlers and state listeners
+ */
+export function setupMediaSession() {
+  if (!isMediaSessionSupported()) {
+    console.log('Media Session API not supported');
+    return;
+  }
+
+  console.log('Setting up media session...');
+
+  try {
+    setupActionHandlers();
+
+    // Publish metadata for each new track
+    document.addEventListener('current-track-changed', (event) => {
+      updateMediaSessionMetadata(event.detail.track);
+    });
+
+    // Multilingual tracks change title with the narration language
+    document.addEventListener('narration-language-changed', (event) => {
+      if (event.detail.track) {
+        updateMediaSessionMetadata(event.detail.track);
+      }
+    });
+
+    document.addEventListener('playback-state-changed', (event) => {
+      navigator.mediaSession.playbackState = event.detail.isPlaying ? 'playing' : 'paused';
+    });
+
+    // The active element changes between audio and video with the mode
+    document.addEventListener('active-media-changed', () => {
+      updateMediaSessionPositionState();
+    });
+
+    console.log('Media session setup complete');
+  } catch (error) {
+    ErrorLogger.logError(error, { function: 'setupMediaSession' });
+  }
+}
+
+/**
+ * Register handlers for the system media controls
+ */
+function setupActionHandlers() {
+  const handlers = {
+    play: () => {
+      if (PlayerState.activeMediaElement && PlayerState.activeMediaElement.paused) {
+        togglePlayPause();
+      }
+    },
+    pause: () => {
+      if (PlayerState.activeMediaElement && !PlayerState.activeMediaElement.paused) {
+        togglePlayPause();
+      }
+    },
+    seekbackward: (details) => {
+      seekBy(-(details.seekOffset || DEFAULT_SEEK_OFFSET_SEC));
+    },
+    seekforward: (details) => {
+      seekBy(details.seekOffset || DEFAULT_SEEK_OFFSET_SEC);
+    },
+    seekto: (details) => {
+      if (typeof details.seekTime === 'number') {
+        seekToTime(details.seekTime);
+      }
+    },
+    previoustrack: () => {
+      loadPreviousTrack(true);
+    },
+    nexttrack: () => {
+      loadNextTrack(true);
+    }
+  };
+
+  Object.keys(handlers).forEach(action => {
+    try {
+      navigator.mediaSession.setActionHandler(action, handlers[action]);
+    } catch (error) {
+      // Browsers throw for actions they don't support
+      console.log(`Media session action "${action}" not supported`);
+    }
+  });
+}
+
+/**
+ * Seek the active media by an offset, clamped to the track
+ * @param {number} offset - Seconds to move, negative to go back
+ */
+function seekBy(offset) {
+  const mediaElement = PlayerState.activeMediaElement;
+  if (!mediaElement || !mediaElement.duration) return;
+
+  const seekTime = Math.min(Math.max(mediaElement.currentTime + offset, 0), mediaElement.duration);
+  seekToTime(seekTime);
+}
+
+/**
+ * Publish a track's metadata to the Media Session
+ * @param {Object} track - Normalized track object
+ */
+export function updateMediaSessionMetadata(track) {
+  if (!isMediaSessionSupported() || !track || typeof MediaMetadata === 'undefined') return;
+
+  const artworkUrl = track.artworkUrl ||
+    (PlayerState.elements.albumArt ? PlayerState.elements.albumArt.src : '');
+
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title: track.title,
+    artist: track.playlistName,
+    album: track.playlistName,
+    artwork: artworkUrl ? [{ src: artworkUrl }] : []
+  });
+}
+
+/**
+ * Sync the Media Session position state with the active media element
+ */
+export function updateMediaSessionPositionState() {
+  if (!isMediaSessionSupported() || !navigator.mediaSession.setPositionState) return;
+
+  const mediaElement = PlayerState.activeMediaElement;
+  if (!mediaElement || !isFinite(mediaElement.duration) || mediaElement.duration <= 0) return;
+
+  try {
+    navigator.mediaSession.setPositionState({
+      duration: mediaElement.duration,
+      playbackRate: mediaElement.playbackRate || 1,
+      position: Math.min(mediaElement.currentTime, mediaElement.duration)
+    });
+  } catch (error) {
+    console.warn('Could not update media session position state:', error);
+  }
+}
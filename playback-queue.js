@@ -0,0 +1,707 @@
+/**
+ * Playback Queue Module
+ * Decides which track plays next and shows it in the Up Next panel
+ *
+ * Tracks the listener picks with "play next" or "add to queue" play first. After them,
+ * playback carries on from where the listener was in the playlist, either in playlist
+ * order or in a shuffled order within that track's playlist group. Repeat can be off,
+ * the whole playlist (the player's original behavior) or the current track.
+ *
+ * The queue holds indexes into PlayerState.playlist, so it's cleared when the playlist reloads.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { showMessage } from './utils/messaging.js';
+import { t } from './utils/i18n.js';
+import { getMediaAdapter } from './utils/media-adapter.js';
+
+// Repeat modes, in the order the repeat button cycles through them
+const REPEAT_MODES = ['none', 'all', 'one'];
+const DEFAULT_REPEAT_MODE = 'all';
+
+// localStorage keys for the repeat and shuffle preferences
+const REPEAT_STORAGE_KEY = 'player.repeatMode';
+const SHUFFLE_STORAGE_KEY = 'player.shuffle';
+
+// How many of the upcoming playlist tracks the Up Next panel lists after the queued ones
+const UP_NEXT_PREVIEW_COUNT = 5;
+
+// Track indexes the listener queued, in play order
+let queue = [];
+
+let repeatMode = DEFAULT_REPEAT_MODE;
+let shuffleEnabled = false;
+
+// Shuffled track indexes for one playlist group
+let shuffleOrder = [];
+
+// The last track played from the playlist rather than the queue; playback carries on from here
+let contextIndex = -1;
+
+// Index of the queued track being loaded, so it isn't mistaken for a playlist pick
+let pendingQueuedIndex = -1;
+
+// The queued item being dragged in the Up Next panel
+let dragState = null;
+
+/**
+ * Set up the queue, repeat and shuffle controls and the Up Next panel
+ */
+export function setupPlaybackQueue() {
+  console.log('Setting up playback queue...');
+
+  try {
+    loadPreferences();
+
+    document.addEventListener('current-track-changed', (event) => {
+      const { index } = event.detail;
+
+      if (index === pendingQueuedIndex) {
+        pendingQueuedIndex = -1;
+      } else {
+        contextIndex = index;
+      }
+
+      if (shuffleEnabled && !shuffleOrder.includes(contextIndex)) {
+        shuffleGroup(contextIndex);
+      }
+
+      renderUpNext();
+    });
+
+    // Indexes refer to the old playlist
+    document.addEventListener('playlist-updated', () => {
+      queue = [];
+      shuffleOrder = [];
+      contextIndex = PlayerState.currentTrackIndex;
+      notifyQueueChanged();
+    });
+
+    document.addEventListener('queue-changed', () => {
+      updateModeButtons();
+      renderUpNext();
+    });
+
+    document.addEventListener('ui-language-changed', () => {
+      updateModeButtons();
+      renderUpNext();
+    });
+
+    const queueBtn = document.getElementById('queueBtn');
+    if (queueBtn) {
+      queueBtn.classList.add('available');
+      queueBtn.addEventListener('click', toggleUpNextPanel);
+    }
+
+    const queueClose = document.getElementById('queueClose');
+    if (queueClose) {
+      queueClose.addEventListener('click', hideUpNextPanel);
+    }
+
+    const repeatBtn = document.getElementById('repeatBtn');
+    if (repeatBtn) {
+      repeatBtn.addEventListener('click', cycleRepeatMode);
+    }
+
+    const shuffleBtn = document.getElementById('shuffleBtn');
+    if (shuffleBtn) {
+      shuffleBtn.addEventListener('click', () => setShuffle(!shuffleEnabled));
+    }
+
+    const queueClear = document.getElementById('queueClear');
+    if (queueClear) {
+      queueClear.addEventListener('click', clearQueue);
+    }
+
+    const list = document.getElementById('queueList');
+    if (list) {
+      list.addEventListener('click', handleUpNextClick);
+      list.addEventListener('keydown', handleHandleKeydown);
+      list.addEventListener('pointerdown', handleDragStart);
+      list.addEventListener('pointermove', handleDragMove);
+      list.addEventListener('pointerup', handleDragEnd);
+      list.addEventListener('pointercancel', handleDragEnd);
+    }
+
+    updateModeButtons();
+    renderUpNext();
+
+    console.log(`Playback queue setup complete (repeat: ${repeatMode}, shuffle: ${shuffleEnabled})`);
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupPlaybackQueue' });
+  }
+}
+
+/**
+ * Read the saved repeat and shuffle preferences
+ */
+function loadPreferences() {
+  try {
+    const savedRepeat = localStorage.getItem(REPEAT_STORAGE_KEY);
+    if (REPEAT_MODES.includes(savedRepeat)) {
+      repeatMode = savedRepeat;
+    }
+    shuffleEnabled = localStorage.getItem(SHUFFLE_STORAGE_KEY) === 'true';
+  } catch (error) {
+    console.warn('Could not read queue preferences:', error);
+  }
+}
+
+/**
+ * Save a queue preference
+ * @param {string} key - localStorage key
+ * @param {string} value - Value to save
+ */
+function savePreference(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (error) {
+    console.warn('Could not save queue preference:', error);
+  }
+}
+
+/**
+ * Get the tracks the listener queued
+ * @returns {Array<number>} Track indexes, in play order
+ */
+export function getQueue() {
+  return queue.slice();
+}
+
+/**
+ * Play a track straight after the current one
+ * @param {number} index - Track index in the playlist
+ */
+export function playNext(index) {
+  const track = PlayerState.playlist[index];
+  if (!track) return;
+
+  queue.unshift(index);
+  showMessage(t('queue.playingNext', { title: track.title }), 2000);
+  notifyQueueChanged();
+}
+
+/**
+ * Add a track to the end of the queue
+ * @param {number} index - Track index in the playlist
+ */
+export function addToQueue(index) {
+  const track = PlayerState.playlist[index];
+  if (!track) return;
+
+  queue.push(index);
+  showMessage(t('queue.added', { title: track.title }), 2000);
+  notifyQueueChanged();
+}
+
+/**
+ * Remove a track from the queue
+ * @param {number} position - Position in the queue
+ */
+export function removeFromQueue(position) {
+  if (position < 0 || position >= queue.length) return;
+
+  queue.splice(position, 1);
+  notifyQueueChanged();
+}
+
+/**
+ * Move a queued track to another position
+ * @param {number} from - Current position in the queue
+ * @param {number} to - New position in the queue
+ */
+export function moveInQueue(from, to) {
+  if (from < 0 || from >= queue.length || to < 0 || to >= queue.length || from === to) return;
+
+  const [index] = queue.splice(from, 1);
+  queue.splice(to, 0, index);
+  notifyQueueChanged();
+}
+
+/**
+ * Remove every queued track
+ */
+export function clearQueue() {
+  if (queue.length === 0) return;
+
+  queue = [];
+  notifyQueueChanged();
+}
+
+/**
+ * Get the repeat mode
+ * @returns {string} "none", "all" or "one"
+ */
+export function getRepeatMode() {
+  return repeatMode;
+}
+
+/**
+ * Set the repeat mode and remember it
+ * @param {string} mode - "none", "all" or "one"
+ */
+export function setRepeatMode(mode) {
+  if (!REPEAT_MODES.includes(mode)) {
+    console.warn(`Unsupported repeat mode: ${mode}`);
+    return;
+  }
+
+  repeatMode = mode;
+  savePreference(REPEAT_STORAGE_KEY, mode);
+  showMessage(t(`queue.repeat.${mode}`), 2000);
+  notifyQueueChanged();
+}
+
+/**
+ * Switch to the next repeat mode: off, all, one
+ */
+export function cycleRepeatMode() {
+  setRepeatMode(REPEAT_MODES[(REPEAT_MODES.indexOf(repeatMode) + 1) % REPEAT_MODES.length]);
+}
+
+/**
+ * Check whether shuffle is on
+ * @returns {boolean} Whether tracks play in shuffled order
+ */
+export function isShuffleEnabled() {
+  return shuffleEnabled;
+}
+
+/**
+ * Turn shuffle on or off and remember it
+ * @param {boolean} enabled - Whether to shuffle
+ */
+export function setShuffle(enabled) {
+  shuffleEnabled = Boolean(enabled);
+  savePreference(SHUFFLE_STORAGE_KEY, String(shuffleEnabled));
+
+  shuffleOrder = [];
+  if (shuffleEnabled) {
+    shuffleGroup(getContextIndex());
+  }
+
+  showMessage(t(shuffleEnabled ? 'queue.shuffleOn' : 'queue.shuffleOff'), 2000);
+  notifyQueueChanged();
+}
+
+/**
+ * Get the track playback carries on from after the queue
+ * @returns {number} Track index, or -1 before any track has loaded
+ */
+function getContextIndex() {
+  return contextIndex !== -1 ? contextIndex : PlayerState.currentTrackIndex;
+}
+
+/**
+ * Shuffle the tracks in a track's playlist group, starting with that track
+ * @param {number} index - Track index in the playlist
+ */
+function shuffleGroup(index) {
+  const track = PlayerState.playlist[index];
+  if (!track) {
+    shuffleOrder = [];
+    return;
+  }
+
+  const others = PlayerState.playlist
+    .map((candidate, candidateIndex) => candidateIndex)
+    .filter(candidateIndex => candidateIndex !== index &&
+      PlayerState.playlist[candidateIndex].playlistName === track.playlistName);
+
+  // Fisher-Yates
+  for (let i = others.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [others[i], others[j]] = [others[j], others[i]];
+  }
+
+  shuffleOrder = [index].concat(others);
+  console.log(`Shuffled ${shuffleOrder.length} tracks in "${track.playlistName}"`);
+}
+
+/**
+ * Get the playlist track that follows another, ignoring the queue
+ * @param {number} index - Track index in the playlist
+ * @param {boolean} isAutoAdvance - True when the previous track ended on its own
+ * @returns {number|null} Track index, or null when playback should stop
+ */
+function getFollowingIndex(index, isAutoAdvance) {
+  const length = PlayerState.playlist.length;
+  if (length === 0) return null;
+
+  // Pressing "next" always moves on; running off the end only stops with repeat off
+  const wraps = repeatMode !== 'none' || !isAutoAdvance;
+
+  if (shuffleEnabled) {
+    if (!shuffleOrder.includes(index)) {
+      shuffleGroup(index);
+    }
+
+    const position = shuffleOrder.indexOf(index);
+    if (position !== -1 && position < shuffleOrder.length - 1) {
+      return shuffleOrder[position + 1];
+    }
+    return wraps && shuffleOrder.length > 0 ? shuffleOrder[0] : null;
+  }
+
+  if (index + 1 < length) {
+    return index + 1;
+  }
+  return wraps ? 0 : null;
+}
+
+/**
+ * Get the track that will play next, without taking it off the queue
+ * @param {Object} [options]
+ * @param {boolean} [options.isAutoAdvance=false] - True when the current track ended on its own
+ * @returns {number|null} Track index, or null when playback should stop
+ */
+export function getNextTrackIndex({ isAutoAdvance = false } = {}) {
+  if (PlayerState.playlist.length === 0) return null;
+
+  if (isAutoAdvance && repeatMode === 'one' && PlayerState.playlist[PlayerState.currentTrackIndex]) {
+    return PlayerState.currentTrackIndex;
+  }
+
+  if (queue.length > 0) {
+    return queue[0];
+  }
+
+  return getFollowingIndex(getContextIndex(), isAutoAdvance);
+}
+
+/**
+ * Get the track to play next and take it off the queue
+ * @param {Object} [options]
+ * @param {boolean} [options.isAutoAdvance=false] - True when the current track ended on its own
+ * @returns {number|null} Track index, or null when playback should stop
+ */
+export function takeNextTrackIndex({ isAutoAdvance = false } = {}) {
+  const index = getNextTrackIndex({ isAutoAdvance });
+
+  const repeatsCurrent = isAutoAdvance && repeatMode === 'one' && index === PlayerState.currentTrackIndex;
+  if (!repeatsCurrent && queue.length > 0) {
+    queue.shift();
+    pendingQueuedIndex = index;
+    notifyQueueChanged();
+  }
+
+  return index;
+}
+
+/**
+ * Get the track before the current one, in playlist or shuffled order
+ * @returns {number|null} Track index, or null if the playlist is empty
+ */
+export function getPreviousTrackIndex() {
+  const length = PlayerState.playlist.length;
+  if (length === 0) return null;
+
+  const index = getContextIndex();
+
+  if (shuffleEnabled) {
+    if (!shuffleOrder.includes(index)) {
+      shuffleGroup(index);
+    }
+
+    const position = shuffleOrder.indexOf(index);
+    if (position > 0) {
+      return shuffleOrder[position - 1];
+    }
+    return shuffleOrder.length > 0 ? shuffleOrder[shuffleOrder.length - 1] : null;
+  }
+
+  return index > 0 ? index - 1 : length - 1;
+}
+
+/**
+ * List what the Up Next panel shows: the queued tracks, then the next few playlist tracks
+ * @returns {Object} { queued, upcoming } track indexes
+ */
+function getUpNext() {
+  const upcoming = [];
+  const start = getContextIndex();
+
+  if (repeatMode !== 'one' && start !== -1) {
+    let index = start;
+    while (upcoming.length < UP_NEXT_PREVIEW_COUNT) {
+      index = getFollowingIndex(index, true);
+      if (index === null || index === start || upcoming.includes(index)) break;
+      upcoming.push(index);
+    }
+  }
+
+  return { queued: queue.slice(), upcoming };
+}
+
+/**
+ * Tell other modules the queue changed; the Up Next panel and mode buttons re-render
+ * from the same event
+ */
+function notifyQueueChanged() {
+  getMediaAdapter().emit('queue-changed', {
+    queue: getQueue(),
+    repeatMode,
+    shuffle: shuffleEnabled
+  });
+}
+
+/**
+ * Reflect the repeat and shuffle modes on their buttons
+ */
+function updateModeButtons() {
+  const repeatBtn = document.getElementById('repeatBtn');
+  if (repeatBtn) {
+    repeatBtn.dataset.mode = repeatMode;
+    repeatBtn.setAttribute('aria-pressed', String(repeatMode !== 'none'));
+    repeatBtn.title = t(`queue.repeat.${repeatMode}`);
+    repeatBtn.setAttribute('aria-label', t(`queue.repeat.${repeatMode}`));
+  }
+
+  const shuffleBtn = document.getElementById('shuffleBtn');
+  if (shuffleBtn) {
+    shuffleBtn.setAttribute('aria-pressed', String(shuffleEnabled));
+    shuffleBtn.title = t(shuffleEnabled ? 'queue.shuffleOn' : 'queue.shuffleOff');
+  }
+}
+
+/**
+ * Fill the Up Next panel
+ */
+function renderUpNext() {
+  const list = document.getElementById('queueList');
+  if (!list) return;
+
+  const nowPlaying = document.getElementById('queueNowPlaying');
+  const currentTrack = PlayerState.playlist[PlayerState.currentTrackIndex];
+  if (nowPlaying) {
+    nowPlaying.textContent = currentTrack ? t('queue.nowPlaying', { title: currentTrack.title }) : '';
+  }
+
+  const queueClear = document.getElementById('queueClear');
+  if (queueClear) {
+    queueClear.disabled = queue.length === 0;
+  }
+
+  const { queued, upcoming } = getUpNext();
+  const fragment = document.createDocumentFragment();
+
+  queued.forEach((index, position) => {
+    fragment.appendChild(createUpNextItem(index, position));
+  });
+
+  if (upcoming.length > 0) {
+    const heading = document.createElement('li');
+    heading.className = 'queue-heading';
+    heading.textContent = queued.length > 0 ? t('queue.thenFromPlaylist') : t('queue.fromPlaylist');
+    fragment.appendChild(heading);
+
+    upcoming.forEach(index => {
+      fragment.appendChild(createUpNextItem(index, -1));
+    });
+  }
+
+  if (queued.length === 0 && upcoming.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'queue-empty';
+    empty.textContent = t('queue.empty');
+    fragment.appendChild(empty);
+  }
+
+  list.innerHTML = '';
+  list.appendChild(fragment);
+}
+
+/**
+ * Build a row for the Up Next panel
+ * @param {number} index - Track index in the playlist
+ * @param {number} position - Position in the queue, or -1 for an upcoming playlist track
+ * @returns {HTMLElement} The row
+ */
+function createUpNextItem(index, position) {
+  const track = PlayerState.playlist[index];
+  const isQueued = position !== -1;
+
+  const item = document.createElement('li');
+  item.className = isQueued ? 'queue-item queued' : 'queue-item';
+  item.dataset.index = index;
+  if (isQueued) {
+    item.dataset.queuePosition = position;
+
+    const handle = document.createElement('button');
+    handle.className = 'queue-handle';
+    handle.setAttribute('aria-label', t('queue.reorder', { title: track.title }));
+    handle.innerHTML = '<i class="fas fa-grip-lines"></i>';
+    item.appendChild(handle);
+  }
+
+  const play = document.createElement('button');
+  play.className = 'queue-play';
+
+  const title = document.createElement('span');
+  title.className = 'queue-track-title';
+  title.textContent = track.title;
+  play.appendChild(title);
+
+  const playlistName = document.createElement('span');
+  playlistName.className = 'queue-track-playlist';
+  playlistName.textContent = track.playlistName;
+  play.appendChild(playlistName);
+
+  item.appendChild(play);
+
+  if (isQueued) {
+    const remove = document.createElement('button');
+    remove.className = 'queue-remove';
+    remove.setAttribute('aria-label', t('queue.remove', { title: track.title }));
+    remove.innerHTML = '<i class="fas fa-times"></i>';
+    item.appendChild(remove);
+  }
+
+  return item;
+}
+
+/**
+ * Play or remove a track when it's tapped in the Up Next panel
+ * @param {MouseEvent} event - Click event
+ */
+function handleUpNextClick(event) {
+  const item = event.target.closest('.queue-item');
+  if (!item) return;
+
+  const index = Number(item.dataset.index);
+  const position = item.dataset.queuePosition !== undefined ? Number(item.dataset.queuePosition) : -1;
+
+  if (event.target.closest('.queue-remove')) {
+    removeFromQueue(position);
+    return;
+  }
+
+  if (!event.target.closest('.queue-play')) return;
+
+  if (position !== -1) {
+    queue.splice(position, 1);
+    pendingQueuedIndex = index;
+    notifyQueueChanged();
+  }
+
+  import('./playlist-manager.js').then(module => {
+    module.loadTrack(index, true);
+  }).catch(error => {
+    ErrorLogger.handleError(error, { function: 'handleUpNextClick' });
+  });
+}
+
+/**
+ * Move a queued track with the arrow keys on its drag handle
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleHandleKeydown(event) {
+  const handle = event.target.closest('.queue-handle');
+  if (!handle || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+
+  event.preventDefault();
+
+  const from = Number(handle.closest('.queue-item').dataset.queuePosition);
+  const to = event.key === 'ArrowUp' ? from - 1 : from + 1;
+  if (to < 0 || to >= queue.length) return;
+
+  moveInQueue(from, to);
+
+  // Keep focus on the moved track
+  const moved = document.querySelector(`#queueList .queue-item[data-queue-position="${to}"] .queue-handle`);
+  if (moved) {
+    moved.focus();
+  }
+}
+
+/**
+ * Start dragging a queued track by its handle
+ * Pointer events rather than HTML drag and drop, which doesn't work with touch.
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleDragStart(event) {
+  const handle = event.target.closest('.queue-handle');
+  if (!handle || event.button > 0) return;
+
+  const item = handle.closest('.queue-item');
+  dragState = { item, pointerId: event.pointerId };
+
+  item.classList.add('dragging');
+  handle.setPointerCapture(event.pointerId);
+  event.preventDefault();
+}
+
+/**
+ * Move the dragged track past the rows it's dragged over
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleDragMove(event) {
+  if (!dragState || event.pointerId !== dragState.pointerId) return;
+
+  const { item } = dragState;
+  const siblings = [...item.parentElement.querySelectorAll('.queue-item.queued')].filter(other => other !== item);
+
+  // The first queued row whose middle is below the pointer
+  const before = siblings.find(other => {
+    const rect = other.getBoundingClientRect();
+    return event.clientY < rect.top + rect.height / 2;
+  });
+
+  if (before) {
+    if (item.nextElementSibling !== before) {
+      item.parentElement.insertBefore(item, before);
+    }
+  } else if (siblings.length > 0) {
+    const last = siblings[siblings.length - 1];
+    if (last.nextElementSibling !== item) {
+      last.after(item);
+    }
+  }
+}
+
+/**
+ * Drop the dragged track and save the new order
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleDragEnd(event) {
+  if (!dragState || event.pointerId !== dragState.pointerId) return;
+
+  const { item } = dragState;
+  dragState = null;
+  item.classList.remove('dragging');
+
+  // Rebuild the queue from the rows' new order
+  const rows = [...item.parentElement.querySelectorAll('.queue-item.queued')];
+  const reordered = rows.map(row => queue[Number(row.dataset.queuePosition)]);
+
+  if (reordered.some((index, position) => index !== queue[position])) {
+    queue = reordered;
+    notifyQueueChanged();
+  }
+}
+
+/**
+ * Open or close the Up Next panel
+ */
+function toggleUpNextPanel() {
+  const panel = document.getElementById('queuePanel');
+  if (!panel) return;
+
+  if (panel.classList.contains('open')) {
+    hideUpNextPanel();
+  } else {
+    renderUpNext();
+    panel.classList.add('open');
+  }
+}
+
+/**
+ * Close the Up Next panel
+ */
+function hideUpNextPanel() {
+  const panel = document.getElementById('queuePanel');
+  if (panel) {
+    panel.classList.remove('open');
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Playback Speed Module
+ * Lets listeners play narration from 0.75× to 2×, on both the audio and the 360° video,
+ * with the pitch of the voice preserved
+ *
+ * The rate is set as each element's defaultPlaybackRate as well as its playbackRate, so it
+ * survives the load() calls made when tracks and modes change.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { updateMediaSessionPositionState } from './media-session.js';
+import { t } from './utils/i18n.js';
+
+// Speeds offered in the picker
+const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2];
+const DEFAULT_RATE = 1;
+
+// localStorage key for the listener's chosen speed
+const STORAGE_KEY = 'player.playbackRate';
+
+let currentRate = DEFAULT_RATE;
+
+/**
+ * Set up the speed picker and apply the saved speed
+ */
+export function setupPlaybackSpeed() {
+  console.log('Setting up playback speed...');
+
+  try {
+    currentRate = loadSavedRate();
+    applyPlaybackRate(currentRate);
+
+    const select = document.getElementById('speedSelect');
+    if (select) {
+      renderSpeedPicker();
+      select.classList.add('available');
+      select.addEventListener('change', () => setPlaybackRate(Number(select.value)));
+    }
+
+    // Browsers reset the rate on some media elements when the source changes
+    [PlayerState.audio, PlayerState.video].forEach(mediaElement => {
+      if (!mediaElement) return;
+      mediaElement.addEventListener('loadedmetadata', () => applyRateTo(mediaElement, currentRate));
+    });
+
+    document.addEventListener('ui-language-changed', renderSpeedPicker);
+
+    console.log(`Playback speed setup complete (${currentRate}×)`);
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupPlaybackSpeed' });
+  }
+}
+
+/**
+ * Get the current playback speed
+ * @returns {number} Playback rate
+ */
+export function getPlaybackRate() {
+  return currentRate;
+}
+
+/**
+ * Change the playback speed and remember it
+ * @param {number} rate - One of the offered playback rates
+ */
+export function setPlaybackRate(rate) {
+  if (!PLAYBACK_RATES.includes(rate)) {
+    console.warn(`Unsupported playback rate: ${rate}`);
+    return;
+  }
+
+  console.log(`Setting playback speed to ${rate}×`);
+  currentRate = rate;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, String(rate));
+  } catch (error) {
+    console.warn('Could not save playback speed preference:', error);
+  }
+
+  applyPlaybackRate(rate);
+
+  const select = document.getElementById('speedSelect');
+  if (select) {
+    select.value = String(rate);
+  }
+
+  updateMediaSessionPositionState();
+}
+
+/**
+ * Read the saved playback speed
+ * @returns {number} Saved rate, or the default if none is saved or it's no longer offered
+ */
+function loadSavedRate() {
+  try {
+    const saved = Number(localStorage.getItem(STORAGE_KEY));
+    if (PLAYBACK_RATES.includes(saved)) {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('Could not read playback speed preference:', error);
+  }
+
+  return DEFAULT_RATE;
+}
+
+/**
+ * Set the rate on both media elements
+ * @param {number} rate - Playback rate
+ */
+function applyPlaybackRate(rate) {
+  [PlayerState.audio, PlayerState.video].forEach(mediaElement => {
+    if (mediaElement) {
+      applyRateTo(mediaElement, rate);
+    }
+  });
+}
+
+/**
+ * Set the rate on a media element, keeping the voice at its natural pitch
+ * @param {HTMLMediaElement} mediaElement - Audio or video element
+ * @param {number} rate - Playback rate
+ */
+function applyRateTo(mediaElement, rate) {
+  mediaElement.preservesPitch = true;
+  mediaElement.webkitPreservesPitch = true; // Safari before 17
+  mediaElement.mozPreservesPitch = true; // Firefox before 101
+
+  mediaElement.defaultPlaybackRate = rate;
+  if (mediaElement.playbackRate !== rate) {
+    mediaElement.playbackRate = rate;
+  }
+}
+
+/**
+ * Fill the speed picker with the offered rates
+ */
+function renderSpeedPicker() {
+  const select = document.getElementById('speedSelect');
+  if (!select) return;
+
+  select.innerHTML = '';
+  PLAYBACK_RATES.forEach(rate => {
+    const option = document.createElement('option');
+    option.value = String(rate);
+    option.textContent = t('speed.rate', { rate });
+    select.appendChild(option);
+  });
+  select.value = String(currentRate);
+}
@@ -1,19 +1,34 @@
 /**
  * Player Core Module
  * Handles core media player functionality including playback control and media synchronization
+ *
+ * Media elements come from the media adapter (utils/media-adapter.js) and buttons are
+ * redrawn by player-ui.js from the state events, so playback runs under Node with fakes.
+ * The active element's events (playing, pause, waiting, seeking, ended, error...) are
+ * what move the playback machine (utils/playback-machine.js), whoever started them.
  */
 
-import { PlayerState } from './shared-state.js';
+import { PlayerState, playbackMachine } from './shared-state.js';
 import { ErrorLogger } from './error-logger.js';
-import { updatePlayPauseButton, updateMuteButton, updateProgressBar, updateTimeDisplay } from './player-ui.js';
+import { updateMuteButton, updateProgressBar, updateTimeDisplay } from './player-ui.js';
 import { detectMobileDevice, detectIOSDevice, checkOrientation } from './utils/device-detection.js';
 import { updateAllLayouts } from './utils/layout-utils.js';
+import { updateMediaSessionPositionState } from './media-session.js';
+import { isVideoMaster, setupMediaSync, enforceProperMuting } from './utils/media-sync.js';
+import { getMediaAdapter } from './utils/media-adapter.js';
+import { PLAYBACK_STATES } from './utils/playback-machine.js';
+import { showMessage, showKeyboardShortcutsInfo } from './utils/messaging.js';
+import { t } from './utils/i18n.js';
 
-// Variables for media synchronization
-let syncInterval = null;
 let seekingTimeout = null;
 let animationFrameId = null; // Track the animation frame for smooth scrubber updates
 
+// Wait before retrying audio that failed to load, giving a flaky connection a moment
+const AUDIO_RETRY_DELAY_MS = 1000;
+
+// Audio URL already retried after a load error, so each URL is only retried once
+let retriedAudioSrc = null;
+
 /**
  * Initialize the core player functionality
  */
@@ -36,8 +51,22 @@ export function initializeCore() {
     // Set up media synchronization
     setupMediaSync();
     
-    // Start smooth scrubber updates
+    // Start smooth scrubber updates, and run them only while playing from then on
     startSmoothScrubberUpdates();
+    PlayerState.subscribe('isPlaying', isPlaying => {
+      if (isPlaying) {
+        startSmoothScrubberUpdates();
+      } else {
+        stopSmoothScrubberUpdates();
+      }
+    });
+    
+    // Clear loading, buffering and seeking messages as soon as playback settles
+    PlayerState.subscribe('playbackState', state => {
+      if (state === PLAYBACK_STATES.READY || state === PLAYBACK_STATES.PLAYING) {
+        hidePlaybackStatusMessage();
+      }
+    });
     
     console.log('Player core initialized');
   } catch (error) {
@@ -87,8 +116,10 @@ function setupButtonHandlers() {
 
 /**
  * Set up event listeners for media elements
+ * Called by initializeCore; tests call it on its own to drive fake elements without the
+ * page's timers.
  */
-function setupMediaEventListeners() {
+export function setupMediaEventListeners() {
   if (!PlayerState.audio || !PlayerState.video) {
     console.error('Media elements not found');
     return;
@@ -104,11 +135,15 @@ function setupMediaEventListeners() {
   PlayerState.video.addEventListener('seeking', handleSeeking);
   PlayerState.video.addEventListener('seeked', handleSeeked);
   
-  // Buffering events
+  // Loading, buffering and play state events
+  PlayerState.audio.addEventListener('canplay', handleCanPlay);
   PlayerState.audio.addEventListener('waiting', handleWaiting);
   PlayerState.audio.addEventListener('playing', handlePlaying);
+  PlayerState.audio.addEventListener('pause', handlePause);
+  PlayerState.video.addEventListener('canplay', handleCanPlay);
   PlayerState.video.addEventListener('waiting', handleWaiting);
   PlayerState.video.addEventListener('playing', handlePlaying);
+  PlayerState.video.addEventListener('pause', handlePause);
   
   // Ended events
   PlayerState.audio.addEventListener('ended', handleMediaEnded);
@@ -152,6 +187,16 @@ function startSmoothScrubberUpdates() {
   updateScrubber();
 }
 
+/**
+ * Stop smooth scrubber updates, to save resources while nothing is playing
+ */
+function stopSmoothScrubberUpdates() {
+  if (animationFrameId) {
+    cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
+  }
+}
+
 /**
  * Handle time update events from media elements
  */
@@ -160,14 +205,51 @@ function handleTimeUpdate() {
   // is handling this more frequently, but keep the function for potential
   // future needs or for debugging
   if (PlayerState.isSeeking) return;
+  
+  // Keep lock-screen and headset position in sync
+  updateMediaSessionPositionState();
+}
+
+/**
+ * Check whether a media event comes from the element driving playback
+ * The muted element follows along (media-sync.js moves it), so its events don't change
+ * the playback state.
+ * @param {Event} event - Media event
+ * @returns {boolean} Whether the event's target is the active media element
+ */
+function isFromActiveMedia(event) {
+  return Boolean(event) && event.target === PlayerState.activeMediaElement;
+}
+
+/**
+ * Hide the message if it's one of the loading, buffering or seeking messages
+ */
+function hidePlaybackStatusMessage() {
+  const message = PlayerState.elements.message;
+  if (!message) return;
+  
+  const track = PlayerState.currentTrack;
+  const statusMessages = [
+    t('playback.loadingMedia'),
+    t('playback.buffering'),
+    t('playback.seeking'),
+    track ? t('track.loading', { title: track.title }) : null
+  ];
+  
+  if (statusMessages.includes(message.textContent)) {
+    message.style.display = "none";
+  }
 }
 
 /**
  * Handle seeking events
+ * @param {Event} event - seeking event from the audio or video element
  */
-function handleSeeking() {
+function handleSeeking(event) {
+  if (!isFromActiveMedia(event)) return;
+  
   console.log('Media seeking started');
-  PlayerState.isSeeking = true;
+  PlayerState.transition('seek');
   
   // Show loading message after a short delay if still seeking
   if (seekingTimeout) {
@@ -176,7 +258,7 @@ function handleSeeking() {
   
   seekingTimeout = setTimeout(() => {
     if (PlayerState.isSeeking && PlayerState.elements.message) {
-      PlayerState.elements.message.textContent = "Seeking...";
+      PlayerState.elements.message.textContent = t('playback.seeking');
       PlayerState.elements.message.style.display = "block";
     }
   }, 500);
@@ -184,10 +266,13 @@ function handleSeeking() {
 
 /**
  * Handle seeked events
+ * @param {Event} event - seeked event from the audio or video element
  */
-function handleSeeked() {
+function handleSeeked(event) {
+  if (!isFromActiveMedia(event)) return;
+  
   console.log('Media seeking ended');
-  PlayerState.isSeeking = false;
+  PlayerState.transition('seeked');
   
   // Clear the timeout
   if (seekingTimeout) {
@@ -195,58 +280,96 @@ function handleSeeked() {
     seekingTimeout = null;
   }
   
-  // Hide loading message
-  if (PlayerState.elements.message) {
-    PlayerState.elements.message.style.display = "none";
-  }
+  hidePlaybackStatusMessage();
+}
+
+/**
+ * Handle canplay events, the active element having loaded enough to start
+ * @param {Event} event - canplay event from the audio or video element
+ */
+function handleCanPlay(event) {
+  if (!isFromActiveMedia(event)) return;
+  
+  PlayerState.transition('loaded');
 }
 
 /**
  * Handle waiting (buffering) events
+ * @param {Event} event - waiting event from the audio or video element
  */
-function handleWaiting() {
+function handleWaiting(event) {
+  if (!isFromActiveMedia(event)) return;
+  
   console.log('Media buffering');
+  PlayerState.transition('wait');
+  
   if (PlayerState.elements.message) {
-    PlayerState.elements.message.textContent = "Buffering...";
+    PlayerState.elements.message.textContent = t('playback.buffering');
     PlayerState.elements.message.style.display = "block";
   }
 }
 
 /**
  * Handle playing events
+ * @param {Event} event - playing event from the audio or video element
  */
-function handlePlaying() {
-  // Only hide the message if it's showing a buffering message
-  if (PlayerState.elements.message && 
-      (PlayerState.elements.message.textContent === "Buffering..." || 
-       PlayerState.elements.message.textContent === "Loading media...")) {
-    PlayerState.elements.message.style.display = "none";
-  }
+function handlePlaying(event) {
+  if (!isFromActiveMedia(event)) return;
+  
+  PlayerState.transition('play');
+}
+
+/**
+ * Handle pause events, whether from the play button, the lock screen or the browser
+ * @param {Event} event - pause event from the audio or video element
+ */
+function handlePause(event) {
+  if (!isFromActiveMedia(event)) return;
+  
+  PlayerState.transition('pause');
 }
 
 /**
  * Handle media ended events
+ * @param {Event} event - ended event from the audio or video element
  */
-function handleMediaEnded() {
-  console.log('Media playback ended event fired');
+function handleMediaEnded(event) {
+  // The muted element can finish a moment before the one driving playback; only the
+  // active element ends the track, so the track isn't advanced (or stopped) twice
+  if (event && PlayerState.activeMediaElement && event.target !== PlayerState.activeMediaElement) {
+    console.log('Ignoring ended event from the inactive media element');
+    return;
+  }
   
-  // Update UI
-  updatePlayPauseButton(true); // paused state
+  console.log('Media playback ended event fired');
+  PlayerState.transition('end');
   
   // Stop smooth scrubber updates when playback ends
-  if (animationFrameId) {
-    cancelAnimationFrame(animationFrameId);
-    animationFrameId = null;
-  }
+  stopSmoothScrubberUpdates();
   
   // Set endTriggered flag to prevent duplicate handling
   if (PlayerState.activeMediaElement) {
     PlayerState.activeMediaElement.endTriggered = true;
   }
   
-  // Auto-advance to next track if available
+  const adapter = getMediaAdapter();
+  adapter.emit('track-ended', {
+    index: PlayerState.currentTrackIndex,
+    track: PlayerState.currentTrack
+  });
+  
+  // The sleep timer's "end of chapter" option stops here instead of advancing
+  if (PlayerState.stopAtTrackEnd) {
+    console.log('Sleep timer: stopping at the end of the chapter');
+    PlayerState.set({ stopAtTrackEnd: false });
+    adapter.emit('sleep-timer-ended');
+    return;
+  }
+  
+  // Auto-advance to whatever the queue says is next (the same track with repeat-one);
+  // at the end of the playlist with repeat off the player stays ready on the last track
   import('./playlist-manager.js').then(module => {
-    module.loadNextTrack(true); // true to auto-play
+    module.loadNextTrack(true, true); // auto-play, auto-advance
   }).catch(error => {
     ErrorLogger.handleError(error, { function: 'handleMediaEnded' });
   });
@@ -267,6 +390,57 @@ function handleMediaError(event) {
     errorCode,
     src: mediaElement.currentSrc
   });
+  
+  // Aborted loads are just the element moving on to another track
+  if (errorCode === 1) return;
+  
+  const isRetrying = mediaElement === PlayerState.audio && retryLoadingAudio();
+  
+  // A cleared source (an XR-only track has no audio) isn't a failure
+  if (!isRetrying && isFromActiveMedia(event) && mediaElement.getAttribute('src')) {
+    PlayerState.transition('fail', { errorCode });
+  }
+}
+
+/**
+ * Retry loading the current track's audio after it failed to load
+ * The retry adds a cache-busting parameter to get past a stale or truncated copy held by
+ * the browser or a CDN. Each URL is retried once, and not while offline, where a
+ * different URL would also miss the downloaded copy.
+ * @returns {boolean} Whether a retry is on its way
+ */
+function retryLoadingAudio() {
+  const audio = PlayerState.audio;
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+  
+  // Nothing to retry, e.g. the source was just cleared for an XR-only track
+  if (!track || !track.audioSrc || !audio.getAttribute('src')) return false;
+  
+  const retryUrl = new URL(getMediaAdapter().resolveUrl(track.audioSrc));
+  
+  if (retriedAudioSrc === track.audioSrc || !navigator.onLine || !/^https?:$/.test(retryUrl.protocol)) {
+    console.error(`Could not load audio for "${track.title}"`);
+    showMessage(t('playback.audioFailed'), 5000, true);
+    return false;
+  }
+  
+  retriedAudioSrc = track.audioSrc;
+  retryUrl.searchParams.set('retry', Date.now());
+  console.log(`Retrying audio load for "${track.title}": ${retryUrl.href}`);
+  showMessage(t('playback.retryingAudio'), 3000);
+  
+  setTimeout(() => {
+    // The listener may have moved on to another track meanwhile
+    if (PlayerState.playlist[PlayerState.currentTrackIndex] !== track) return;
+    
+    PlayerState.transition('load', { retry: true });
+    audio.removeAttribute('src');
+    audio.load();
+    audio.src = retryUrl.href;
+    audio.load();
+  }, AUDIO_RETRY_DELAY_MS);
+  
+  return true;
 }
 
 /**
@@ -311,17 +485,29 @@ function handleScrubberChange(event) {
   
   if (PlayerState.activeMediaElement && PlayerState.activeMediaElement.duration) {
     const seekTime = (scrubberValue / 100) * PlayerState.activeMediaElement.duration;
-    
-    // Seek both media elements to maintain sync
-    PlayerState.audio.currentTime = seekTime;
-    PlayerState.video.currentTime = seekTime;
-    
-    // Update UI
-    updateTimeDisplay(seekTime, PlayerState.activeMediaElement.duration);
-    updateProgressBar(scrubberValue);
+    seekToTime(seekTime);
   }
 }
 
+/**
+ * Seek both media elements to a time and update the UI
+ * @param {number} seekTime - Time in seconds
+ */
+export function seekToTime(seekTime) {
+  if (!PlayerState.activeMediaElement || !PlayerState.activeMediaElement.duration) return;
+  
+  const duration = PlayerState.activeMediaElement.duration;
+  
+  // Seek both media elements to maintain sync
+  PlayerState.audio.currentTime = seekTime;
+  PlayerState.video.currentTime = seekTime;
+  
+  // Update UI
+  updateTimeDisplay(seekTime, duration);
+  updateProgressBar((seekTime / duration) * 100);
+  updateMediaSessionPositionState();
+}
+
 /**
  * Toggle play/pause state of the active media element
  */
@@ -329,20 +515,23 @@ export function togglePlayPause() {
   if (!PlayerState.activeMediaElement) return;
   
   if (PlayerState.activeMediaElement.paused) {
+    // A track whose media failed to load only plays again once it loads afresh
+    if (PlayerState.playbackState === PLAYBACK_STATES.ERROR) {
+      PlayerState.transition('load', { retry: true });
+      PlayerState.activeMediaElement.load();
+    }
+    
     // Show loading message if media isn't preloaded yet
     if (!(PlayerState.isXRMode ? PlayerState.isVideoPreloaded : PlayerState.isAudioPreloaded)) {
       if (PlayerState.elements.message) {
-        PlayerState.elements.message.textContent = "Loading media...";
+        PlayerState.elements.message.textContent = t('playback.loadingMedia');
         PlayerState.elements.message.style.display = "block";
       }
     }
     
-    // Ensure smooth scrubber updates are running when playing
-    startSmoothScrubberUpdates();
-    
     // If this is the first time playing, set up proper mute states
-    if (PlayerState.isFirstPlay) {
-      if (PlayerState.isXRMode) {
+    if (!playbackMachine.hasEntered(PLAYBACK_STATES.PLAYING)) {
+      if (isVideoMaster()) {
         // In XR mode, unmute video but keep audio muted
         PlayerState.video.muted = false;
         PlayerState.audio.muted = true;
@@ -352,7 +541,6 @@ export function togglePlayPause() {
         PlayerState.video.muted = true;
       }
       updateMuteButton();
-      PlayerState.isFirstPlay = false;
     } else {
       // Ensure proper muting based on current mode
       enforceProperMuting();
@@ -371,19 +559,8 @@ export function togglePlayPause() {
       playPromise.then(() => {
         if (!playAttemptHandled) {
           playAttemptHandled = true;
+          // The playing event moves the playback state (player-ui.js redraws the button)
           console.log('Direct play succeeded');
-          
-          // Update the play/pause button
-          updatePlayPauseButton(false); // false = playing
-          
-          // Update PlayerState
-          PlayerState.setPlaybackState(true);
-          
-          // Hide any loading messages
-          if (PlayerState.elements.message && 
-              PlayerState.elements.message.textContent === "Loading media...") {
-            PlayerState.elements.message.style.display = "none";
-          }
         }
       }).catch(error => {
         if (!playAttemptHandled) {
@@ -393,33 +570,22 @@ export function togglePlayPause() {
           // Fall back to the helper function
           attemptMediaPlayback(
             PlayerState.activeMediaElement,
-            // Success callback
+            // Success callback (the playing event moves the playback state)
             () => {
-              // Update the play/pause button
-              updatePlayPauseButton(false); // false = playing
-              
-              // Update PlayerState
-              PlayerState.setPlaybackState(true);
-              
-              // Hide any loading messages
-              if (PlayerState.elements.message && 
-                  PlayerState.elements.message.textContent === "Loading media...") {
-                PlayerState.elements.message.style.display = "none";
-              }
+              console.log('Playback started with helper');
             },
             // Error callback
             (error) => {
               ErrorLogger.handleError(error, { function: 'togglePlayPause' });
-              updatePlayPauseButton(true); // Update to paused state
               
               // Show error message to user
               if (PlayerState.elements.message) {
-                PlayerState.elements.message.textContent = "Couldn't start playback. Please try again.";
+                PlayerState.elements.message.textContent = t('playback.couldNotStart');
                 PlayerState.elements.message.style.display = "block";
                 
                 setTimeout(() => {
                   if (PlayerState.elements.message && 
-                      PlayerState.elements.message.textContent === "Couldn't start playback. Please try again.") {
+                      PlayerState.elements.message.textContent === t('playback.couldNotStart')) {
                     PlayerState.elements.message.style.display = "none";
                   }
                 }, 3000);
@@ -429,28 +595,13 @@ export function togglePlayPause() {
         }
       });
     } else {
-      // Browser doesn't support promises on media elements
+      // Browser doesn't support promises on media elements; the playing event still comes
       console.log('Browser does not support play promises, assuming playback started');
-      
-      // Update the play/pause button
-      updatePlayPauseButton(false); // false = playing
-      
-      // Update PlayerState
-      PlayerState.setPlaybackState(true);
     }
   } else {
-    // Pause the active media element
+    // Pause the active media element; its pause event moves the playback state
+    // (player-ui.js redraws the button and the scrubber updates stop)
     PlayerState.activeMediaElement.pause();
-    
-    // Update UI
-    PlayerState.setPlaybackState(false);
-    updatePlayPauseButton(true); // paused state
-    
-    // Stop smooth scrubber updates to save resources
-    if (animationFrameId) {
-      cancelAnimationFrame(animationFrameId);
-      animationFrameId = null;
-    }
   }
 }
 
@@ -467,71 +618,6 @@ export function toggleMute() {
   updateMuteButton();
 }
 
-/**
- * Set up media synchronization to keep audio and video in sync
- */
-export function setupMediaSync() {
-  console.log('Setting up media synchronization...');
-  
-  try {
-    // Clear any existing sync interval
-    if (syncInterval) {
-      clearInterval(syncInterval);
-      syncInterval = null;
-    }
-    
-    // Set up a new sync interval
-    syncInterval = setInterval(() => {
-      // Only sync if both media elements exist and one of them is playing
-      if (PlayerState.audio && PlayerState.video && 
-          (!PlayerState.audio.paused || !PlayerState.video.paused)) {
-        syncMediaPlayback();
-      }
-    }, 1000); // Check sync every second
-    
-    // Clean up the interval when the page is unloaded
-    window.addEventListener('beforeunload', () => {
-      if (syncInterval) {
-        clearInterval(syncInterval);
-        syncInterval = null;
-      }
-    });
-    
-    console.log('Media synchronization set up');
-  } catch (error) {
-    ErrorLogger.handleError(error, { function: 'setupMediaSync' });
-  }
-}
-
-/**
- * Enforce proper muting to prevent double audio playback
- */
-export function enforceProperMuting() {
-  try {
-    // Skip if media elements are not available
-    if (!PlayerState.audio || !PlayerState.video) {
-      return;
-    }
-    
-    // If audio is playing, mute the video
-    if (!PlayerState.audio.paused) {
-      if (!PlayerState.video.muted) {
-        console.log('Muting video to prevent double audio playback');
-        PlayerState.video.muted = true;
-      }
-    }
-    
-    // Update mute button
-    import('./player-ui.js').then(module => {
-      module.updateMuteButton();
-    }).catch(error => {
-      console.error('Error updating mute button:', error);
-    });
-  } catch (error) {
-    console.error('Error enforcing proper muting:', error);
-  }
-}
-
 /**
  * Attempt to play media with enhanced browser compatibility
  * @param {HTMLMediaElement} mediaElement - The media element to play
@@ -982,71 +1068,6 @@ function tryPlayWithSilentAudio() {
   });
 }
 
-/**
- * Synchronize media playback between audio and video
- */
-function syncMediaPlayback() {
-  try {
-    // Skip sync if we don't have both media elements
-    if (!PlayerState.audio || !PlayerState.video) {
-      return;
-    }
-    
-    // Skip sync if user is seeking
-    if (PlayerState.isSeeking) {
-      return;
-    }
-    
-    const audio = PlayerState.audio;
-    const video = PlayerState.video;
-    
-    // Only sync if one or both elements are playing
-    if (audio.paused && video.paused) {
-      return;
-    }
-    
-    // Calculate time difference
-    const timeDiff = Math.abs(audio.currentTime - video.currentTime);
-    
-    // Only sync if the difference is significant (more than 0.3 seconds)
-    if (timeDiff > 0.3) {
-      console.log(`Media out of sync by ${timeDiff.toFixed(2)}s - synchronizing`);
-      
-      // Determine the primary media element based on which one is playing
-      if (!audio.paused && video.paused) {
-        // Audio is playing but video is paused
-        video.currentTime = audio.currentTime;
-        
-        // If we're in XR mode, also play the video
-        if (PlayerState.isXRMode) {
-          video.play().catch(error => {
-            console.error('Error playing video during sync:', error);
-          });
-        }
-      } else if (audio.paused && !video.paused) {
-        // Video is playing but audio is paused
-        audio.currentTime = video.currentTime;
-        
-        // If we're not in XR mode, also play the audio
-        if (!PlayerState.isXRMode) {
-          audio.play().catch(error => {
-            console.error('Error playing audio during sync:', error);
-          });
-        }
-      } else {
-        // Both are playing - sync based on mode
-        if (PlayerState.isXRMode) {
-          audio.currentTime = video.currentTime;
-        } else {
-          video.currentTime = audio.currentTime;
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Error synchronizing media playback:', error);
-  }
-}
-
 /**
  * Set up global event listeners for the player
  * This should be called from the main app initialization
@@ -1073,12 +1094,7 @@ export function setupGlobalEventListeners() {
     });
     
     // Clean up animation frame when page is unloaded
-    window.addEventListener('beforeunload', () => {
-      if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
-        animationFrameId = null;
-      }
-    });
+    window.addEventListener('beforeunload', stopSmoothScrubberUpdates);
     
     console.log('Global event listeners set up');
   } catch (error) {
@@ -1093,37 +1109,13 @@ function handleVisibilityChange() {
   console.log('Visibility state changed:', document.visibilityState);
   
   if (document.visibilityState === 'hidden') {
-    // Store current playing state before hiding
-    PlayerState.wasPlayingBeforeHidden = PlayerState.isPlaying;
-    
-    // Optional: Pause media when page is hidden
-    // if (PlayerState.isPlaying && PlayerState.activeMediaElement) {
-    //   PlayerState.activeMediaElement.pause();
-    //   PlayerState.setPlaybackState(false);
-    // }
-    
     // Stop scrubber updates to save resources when page is hidden
-    if (animationFrameId) {
-      cancelAnimationFrame(animationFrameId);
-      animationFrameId = null;
-    }
+    // (media keeps playing in the background)
+    stopSmoothScrubberUpdates();
   } else if (document.visibilityState === 'visible') {
-    // Resume playback if it was playing before hidden
-    if (PlayerState.wasPlayingBeforeHidden && PlayerState.activeMediaElement) {
-      // Restart smooth scrubber updates
+    // The playback state followed the media while hidden, so it says whether to restart
+    if (PlayerState.isPlaying && PlayerState.activeMediaElement) {
       startSmoothScrubberUpdates();
-      
-      // Optional: Resume playback
-      // if (PlayerState.activeMediaElement.paused) {
-      //   PlayerState.activeMediaElement.play()
-      //     .then(() => {
-      //       PlayerState.setPlaybackState(true);
-      //       updatePlayPauseButton(false);
-      //     })
-      //     .catch(error => {
-      //       console.error('Error resuming playback:', error);
-      //     });
-      // }
     }
   }
 }
@@ -1139,6 +1131,22 @@ function handleKeyboardShortcuts(event) {
     return;
   }
   
+  // Shift + Left/Right Arrow for the previous/next chapter
+  if (event.shiftKey && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+    event.preventDefault();
+    
+    import('./playlist-manager.js').then(module => {
+      if (event.key === 'ArrowLeft') {
+        module.loadPreviousTrack(true);
+      } else {
+        module.loadNextTrack(true);
+      }
+    }).catch(error => {
+      ErrorLogger.handleError(error, { function: 'handleKeyboardShortcuts' });
+    });
+    return;
+  }
+  
   switch (event.key) {
     case ' ': // Space bar
       togglePlayPause();
@@ -1176,6 +1184,10 @@ function handleKeyboardShortcuts(event) {
       toggleMute();
       event.preventDefault();
       break;
+    case '?':
+      showKeyboardShortcutsInfo();
+      event.preventDefault();
+      break;
   }
 }
 
@@ -6,6 +6,7 @@
 
 import { PlayerState } from './shared-state.js';
 import { ErrorLogger } from './error-logger.js';
+import { t } from './utils/i18n.js';
 
 /**
  * Initialize the player UI
@@ -188,7 +189,7 @@ export function updateAudioPlayerUI(title, artistOrPlaylist, artworkUrl) {
     
     // Update title
     if (PlayerState.elements.audioTitle) {
-      PlayerState.elements.audioTitle.textContent = title || 'Unknown Title';
+      PlayerState.elements.audioTitle.textContent = title || t('track.unknownTitle');
     }
     
     // Update artist/playlist
@@ -248,8 +249,8 @@ export function updateAudioPlayerUI(title, artistOrPlaylist, artworkUrl) {
 export function updateVideoInfo(sceneName, playlistName) {
   if (!PlayerState.elements.sceneName || !PlayerState.elements.playlistName) return;
   
-  PlayerState.elements.sceneName.textContent = sceneName || 'Unknown Scene';
-  PlayerState.elements.playlistName.textContent = playlistName || 'Unknown Playlist';
+  PlayerState.elements.sceneName.textContent = sceneName || t('track.unknownScene');
+  PlayerState.elements.playlistName.textContent = playlistName || t('track.unknownPlaylist');
 }
 
 /**
@@ -361,8 +362,7 @@ export function toggleFullscreen() {
 export function showKeyboardShortcutsInfo() {
   if (PlayerState.isMobileDevice) return;
   
-  const message = 
-    "Keyboard shortcuts: Space = Play/Pause, Arrow Keys = Previous/Next Track, M = Mute, F = Fullscreen";
+  const message = t('keyboard.shortcuts');
   
   if (PlayerState.elements.message) {
     PlayerState.elements.message.textContent = message;
@@ -7,11 +7,29 @@ import { PlayerState } from './shared-state.js';
 import { ErrorLogger } from './error-logger.js';
 import { updateAudioPlayerUI, updateVideoInfo } from './player-ui.js';
 import { preloadTrackMedia } from './media-preloader.js';
-import { enforceProperMuting } from './player-core.js';
+import { enforceProperMuting } from './utils/media-sync.js';
+import { getMediaAdapter } from './utils/media-adapter.js';
+import { validatePlaylist, formatValidationReport } from './utils/playlist-validator.js';
+import { isTrackDownloaded } from './download-manager.js';
+import { getLastTrackIndex, offerResume } from './resume-manager.js';
+import { normalizeProjection, isStillScene } from './utils/projection-utils.js';
+import { normalizeTrackLanguages, applyNarrationLanguage } from './language-manager.js';
+import { takeNextTrackIndex, getPreviousTrackIndex, playNext, addToQueue } from './playback-queue.js';
+import { isSearchActive, matchTrack, highlightText } from './playlist-search.js';
+import { takeDeepLink, applyDeepLink } from './deep-link.js';
+import { normalizeOrigin } from './utils/embed-protocol.js';
+import {
+  getTrackProgress, isFavorite, toggleFavorite, getFavoriteTrackIndexes, getHistory, getContinueTrackIndex
+} from './listening-progress.js';
+import { t, getUILanguage } from './utils/i18n.js';
+import { PLAYBACK_STATES } from './utils/playback-machine.js';
 
 // Default playlist URL
 const DEFAULT_PLAYLIST_URL = 'playlist.json';
 
+// Playlist views: every chapter by playlist group or as one list, favorites only, and history
+const PLAYLIST_VIEWS = ['folders', 'list', 'favorites', 'history'];
+
 // Track if playlist is currently loading
 let isPlaylistLoading = false;
 
@@ -20,6 +38,9 @@ let localPlaylistCache = null;
 let playlistLastLoaded = 0;
 const PLAYLIST_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours in ms
 
+// Stops waiting to autoplay the track being loaded; null when nothing is waiting
+let cancelPendingAutoPlay = null;
+
 /**
  * Initialize the playlist functionality
  */
@@ -41,7 +62,7 @@ export function initializePlaylist() {
  */
 function setupPlaylistUI() {
   // Set up playlist toggle button
-  const playlistToggleBtn = document.getElementById('playlistToggleBtn');
+  const playlistToggleBtn = document.getElementById('playlistToggle');
   if (playlistToggleBtn) {
     playlistToggleBtn.addEventListener('click', togglePlaylistVisibility);
   }
@@ -62,12 +83,23 @@ function setupPlaylistUI() {
     });
   }
   
-  // Set up playlist close button
-  const closePlaylistBtn = document.getElementById('closePlaylistBtn');
+  // Chapters / Favorites / History tabs
+  document.querySelectorAll('[data-playlist-view]').forEach(button => {
+    button.addEventListener('click', () => {
+      setPlaylistView(button.dataset.playlistView);
+    });
+  });
+  
+  // Set up playlist close button, and closing by clicking outside the playlist
+  const closePlaylistBtn = document.getElementById('playlistClose');
   if (closePlaylistBtn) {
     closePlaylistBtn.addEventListener('click', hidePlaylist);
   }
   
+  if (PlayerState.elements.playlistOverlay) {
+    PlayerState.elements.playlistOverlay.addEventListener('click', hidePlaylist);
+  }
+  
   // Set up event listeners for playlist changes
   document.addEventListener('playlist-updated', (event) => {
     populatePlaylist();
@@ -76,6 +108,62 @@ function setupPlaylistUI() {
   document.addEventListener('playlist-view-changed', (event) => {
     updatePlaylistView(event.detail.view);
   });
+  
+  document.addEventListener('current-track-changed', (event) => {
+    updateActiveTrackInPlaylist(event.detail.index);
+  });
+  
+  // Refresh offline indicators when a tour is downloaded or deleted
+  document.addEventListener('download-state-changed', () => {
+    populatePlaylist();
+  });
+  
+  // Titles change with the narration language
+  document.addEventListener('narration-language-changed', (event) => {
+    populatePlaylist();
+    
+    const track = event.detail.track;
+    if (track) {
+      updateAudioPlayerUI(track.title, track.playlistName, track.artworkUrl);
+      updateVideoInfo(track.title, track.playlistName);
+    }
+  });
+  
+  // Track badges have translated tooltips
+  document.addEventListener('ui-language-changed', () => {
+    populatePlaylist();
+  });
+  
+  // Progress badges, favorites and history
+  document.addEventListener('listening-progress-changed', (event) => {
+    if (event.detail.stateChanged) {
+      populatePlaylist();
+    } else {
+      updateProgressBadge(event.detail.track);
+    }
+  });
+  
+  document.addEventListener('favorites-changed', () => {
+    populatePlaylist();
+  });
+  
+  document.addEventListener('listening-history-changed', () => {
+    if (PlayerState.currentPlaylistView === 'history') {
+      populatePlaylist();
+    }
+  });
+  
+  // Search box and filter chips
+  document.addEventListener('playlist-search-changed', () => {
+    populatePlaylist();
+  });
+  
+  // Show the view remembered from the last visit
+  if (PLAYLIST_VIEWS.includes(PlayerState.currentPlaylistView)) {
+    updatePlaylistView(PlayerState.currentPlaylistView);
+  } else {
+    setPlaylistView('folders');
+  }
 }
 
 /**
@@ -101,7 +189,7 @@ export function loadPlaylistData(url = DEFAULT_PLAYLIST_URL) {
   
   // Show loading message
   if (PlayerState.elements.message) {
-    PlayerState.elements.message.textContent = "Loading playlist...";
+    PlayerState.elements.message.textContent = t('playlist.loading');
     PlayerState.elements.message.style.display = "block";
   }
   
@@ -132,10 +220,10 @@ export function loadPlaylistData(url = DEFAULT_PLAYLIST_URL) {
       
       // Hide loading message
       if (PlayerState.elements.message) {
-        PlayerState.elements.message.textContent = "Playlist loaded successfully";
+        PlayerState.elements.message.textContent = t('playlist.loaded');
         setTimeout(() => {
           if (PlayerState.elements.message && 
-              PlayerState.elements.message.textContent === "Playlist loaded successfully") {
+              PlayerState.elements.message.textContent === t('playlist.loaded')) {
             PlayerState.elements.message.style.display = "none";
           }
         }, 2000);
@@ -148,10 +236,10 @@ export function loadPlaylistData(url = DEFAULT_PLAYLIST_URL) {
       
       // Show error message
       if (PlayerState.elements.message) {
-        PlayerState.elements.message.textContent = "Error loading playlist. Using default playlist.";
+        PlayerState.elements.message.textContent = t('playlist.loadFailed');
         setTimeout(() => {
           if (PlayerState.elements.message && 
-              PlayerState.elements.message.textContent === "Error loading playlist. Using default playlist.") {
+              PlayerState.elements.message.textContent === t('playlist.loadFailed')) {
             PlayerState.elements.message.style.display = "none";
           }
         }, 3000);
@@ -167,31 +255,42 @@ export function loadPlaylistData(url = DEFAULT_PLAYLIST_URL) {
 /**
  * Process the loaded playlist data
  * @param {Object} data - The playlist data object
+ * @param {Object} options - Processing options
+ * @param {boolean} options.isFallback - Whether this is the built-in default playlist (keeps the last validation report)
  */
-function processPlaylistData(data) {
+function processPlaylistData(data, { isFallback = false } = {}) {
   try {
-    // Validate playlist data
-    if (!data || !Array.isArray(data.tracks) && !Array.isArray(data.playlists)) {
-      throw new Error('Invalid playlist data format');
+    // Validate playlist data against playlist.schema.json
+    const report = validatePlaylist(data);
+    
+    if (!isFallback) {
+      PlayerState.set({ playlistValidation: report });
+      reportPlaylistValidation(report);
+      
+      // Dispatch event so other modules (or a host page) can inspect the report
+      document.dispatchEvent(new CustomEvent('playlist-validated', { 
+        detail: { report } 
+      }));
     }
     
-    // Handle different playlist formats
-    let tracks = [];
+    // Only tracks without errors are loaded; warnings are reported but tolerated
+    const validResults = report.tracks.filter(result => result.valid);
     
-    if (Array.isArray(data.tracks)) {
-      tracks = data.tracks;
-    } else if (Array.isArray(data.playlists)) {
-      // Handle grouped playlists format
-      data.playlists.forEach(playlist => {
-        if (playlist.tracks && Array.isArray(playlist.tracks)) {
-          playlist.tracks.forEach(track => {
-            track.playlistName = track.playlistName || track.playlist || playlist.playlist_name || 'Uncategorized';
-            tracks.push(track);
-          });
-        }
-      });
+    if (validResults.length === 0) {
+      throw new Error(`Invalid playlist data format: ${report.errors.map(issue => `${issue.path}: ${issue.message}`).join('; ')}`);
     }
     
+    const tracks = validResults.map(result => {
+      const track = result.track;
+      
+      // Handle grouped playlists format
+      if (result.playlistIndex !== -1) {
+        track.playlistName = track.playlistName || track.playlist || data.playlists[result.playlistIndex].playlist_name;
+      }
+      
+      return track;
+    });
+    
     if (tracks.length === 0) {
       throw new Error('No tracks found in playlist data');
     }
@@ -208,15 +307,33 @@ function processPlaylistData(data) {
         IsAR: track.IsAR
       });
       
+      // Language variants; a track may give its narration only through the `languages` map
+      const languages = normalizeTrackLanguages(track);
+      const defaultVariant = Object.values(languages)[0] || {};
+      
       return {
-        title: track.title || 'Unknown Title',
-        audioSrc: track.audioSrc || track.audio_url || '',
+        // Stable identity for per-track state, so reordering playlist.json doesn't mix tracks up
+        id: (typeof track.id === 'string' && track.id.trim()) || track.audioSrc || track.audio_url ||
+          defaultVariant.audioSrc || track.videoSrc || track.XR_Scene || track.video_url || '',
+        title: track.title || defaultVariant.title || 'Unknown Title',
+        audioSrc: track.audioSrc || track.audio_url || defaultVariant.audioSrc || '',
         videoSrc: track.videoSrc || track.XR_Scene || track.video_url || '',
         artworkUrl: track.artworkUrl || track.artwork_url || '',
+        captionsSrc: track.captionsSrc || track.captions || defaultVariant.captionsSrc || '', // WebVTT captions and transcript
         playlistName: track.playlistName || track.playlist || 'Uncategorized',
         chapter: track.chapter || 0,
         duration: track.duration || '0:00',
-        isAR: Boolean(track.isAR || track.IsAR) // Ensure proper boolean conversion
+        isAR: Boolean(track.isAR || track.IsAR), // Ensure proper boolean conversion
+        location: track.location || null, // { lat, lng, radius } for map stops and geofenced chapters
+        route: Array.isArray(track.route) ? track.route.filter(point => Array.isArray(point) && point.every(Number.isFinite)) : [], // [lat, lng] path from the previous stop
+        hotspots: Array.isArray(track.hotspots) ? track.hotspots : [], // Annotations in the 360° scene
+        projection: normalizeProjection(track.projection, track.videoSrc || track.XR_Scene || track.video_url || ''),
+        initialView: track.initialView || null, // { yaw, pitch, fov } the 360° view starts and recenters to
+        viewKeyframes: Array.isArray(track.viewKeyframes) ? track.viewKeyframes : [], // Timed "look here" directions
+        sections: Array.isArray(track.sections) ? track.sections : [], // Named stops within the chapter, { time, title }
+        tags: Array.isArray(track.tags) ? track.tags.filter(tag => typeof tag === 'string' && tag.trim()) : [], // Extra search terms
+        language: track.language || null, // Narration language of audioSrc, captionsSrc and title
+        languages // Language code -> { audioSrc, captionsSrc, title }
       };
     }).filter(track => track.audioSrc || track.videoSrc); // Only keep tracks with an audio source or video source
     
@@ -243,19 +360,40 @@ function processPlaylistData(data) {
       playlistGroups[playlistName].push(track);
     });
     
+    // Switch multilingual tracks to the listener's narration language
+    applyNarrationLanguage(flatPlaylist);
+    
     // Update PlayerState
-    PlayerState.playlist = flatPlaylist;
-    PlayerState.playlistGroups = playlistGroups;
-    PlayerState.rawTrackData = rawTrackData; // Store the raw track data
+    PlayerState.set({
+      playlistGroups,
+      rawTrackData, // Store the raw track data
+      baseMap: typeof data.base_map === 'string' && data.base_map ? data.base_map : null,
+      embedOrigins: (Array.isArray(data.embed_origins) ? data.embed_origins : [])
+        .map(origin => typeof origin === 'string' ? normalizeOrigin(origin) : null)
+        .filter(Boolean)
+    });
     
-    // Dispatch event for playlist update
+    // Update the playlist last, and dispatch event for playlist update
     PlayerState.setPlaylist(flatPlaylist);
     
-    // Load the first track if no track is currently loaded
+    // A deep link (?playlist=...&chapter=...) opens its chapter instead of resuming
+    const deepLink = isFallback ? null : takeDeepLink(flatPlaylist);
+    
+    // Load the last active track (or the first) if no track is currently loaded
     // But don't auto-play it - set autoPlay to false for initial load
-    if (PlayerState.currentTrackIndex === -1 && flatPlaylist.length > 0) {
-      console.log('No current track loaded, loading first track');
-      loadTrack(0, false); // Explicitly set autoPlay to false for initial load
+    if (deepLink) {
+      console.log(`Opening deep-linked track ${deepLink.index}`);
+      loadTrack(deepLink.index, false);
+      applyDeepLink(deepLink);
+    } else if (PlayerState.currentTrackIndex === -1 && flatPlaylist.length > 0) {
+      const initialIndex = isFallback ? 0 : getLastTrackIndex(flatPlaylist);
+      console.log(`No current track loaded, loading track ${initialIndex}`);
+      loadTrack(initialIndex, false); // Explicitly set autoPlay to false for initial load
+      
+      // Offer to pick up where the listener left off last session
+      if (!isFallback) {
+        offerResume();
+      }
     } else if (PlayerState.currentTrackIndex !== -1) {
       // If we already have a track loaded, update its data if needed
       const currentTrack = flatPlaylist[PlayerState.currentTrackIndex];
@@ -284,6 +422,23 @@ function processPlaylistData(data) {
   }
 }
 
+/**
+ * Log a playlist validation report to the console for content editors
+ * @param {Object} report - Report from validatePlaylist
+ */
+function reportPlaylistValidation(report) {
+  if (report.errors.length === 0 && report.warnings.length === 0) {
+    console.log(`Playlist validation passed (${report.tracks.length} tracks)`);
+    return;
+  }
+  
+  if (report.errors.length > 0) {
+    console.error(formatValidationReport(report));
+  } else {
+    console.warn(formatValidationReport(report));
+  }
+}
+
 /**
  * Initialize a default playlist as fallback
  */
@@ -303,7 +458,7 @@ export function initializeDefaultPlaylist() {
   };
   
   // Process the default playlist
-  processPlaylistData(defaultPlaylist);
+  processPlaylistData(defaultPlaylist, { isFallback: true });
 }
 
 /**
@@ -320,10 +475,26 @@ export function populatePlaylist() {
     PlayerState.elements.playlistTracks.innerHTML = '';
     
     // Determine which view to use
-    if (PlayerState.currentPlaylistView === 'folders') {
-      populateFolderView();
+    if (PlayerState.currentPlaylistView === 'favorites') {
+      populateFavoritesView();
+    } else if (PlayerState.currentPlaylistView === 'history') {
+      populateHistoryView();
     } else {
-      populateListView();
+      // Searching hides the "Continue tour" entry so results come first
+      const continueElement = isSearchActive() ? null : createContinueTourElement();
+      if (continueElement) {
+        PlayerState.elements.playlistTracks.appendChild(continueElement);
+      }
+      
+      if (PlayerState.currentPlaylistView === 'folders') {
+        populateFolderView();
+      } else {
+        populateListView();
+      }
+      
+      if (isSearchActive() && !PlayerState.elements.playlistTracks.querySelector('.playlist-track')) {
+        PlayerState.elements.playlistTracks.appendChild(createEmptyViewElement(t('search.noResults')));
+      }
     }
   } catch (error) {
     ErrorLogger.handleError(error, { function: 'populatePlaylist' });
@@ -339,7 +510,13 @@ function populateFolderView() {
   
   // Create a section for each playlist group
   Object.keys(playlistGroups).forEach(playlistName => {
-    const tracks = playlistGroups[playlistName];
+    // Narrow the group to the tracks matching the search, if any
+    const matches = playlistGroups[playlistName]
+      .map(track => ({ track, match: isSearchActive() ? matchTrack(track) : null }))
+      .filter(({ match }) => !isSearchActive() || match);
+    
+    // Leave out groups with nothing matching
+    if (matches.length === 0) return;
     
     // Create playlist section
     const section = document.createElement('div');
@@ -348,7 +525,11 @@ function populateFolderView() {
     // Create playlist header
     const header = document.createElement('div');
     header.className = 'playlist-header';
-    header.textContent = playlistName;
+    if (matches[0].match) {
+      header.appendChild(highlightText(playlistName, matches[0].match.playlistRanges));
+    } else {
+      header.textContent = playlistName;
+    }
     section.appendChild(header);
     
     // Create tracks container
@@ -356,8 +537,8 @@ function populateFolderView() {
     tracksContainer.className = 'playlist-tracks-container';
     
     // Add tracks to container
-    tracks.forEach((track, index) => {
-      const trackElement = createTrackElement(track, getGlobalTrackIndex(track));
+    matches.forEach(({ track, match }) => {
+      const trackElement = createTrackElement(track, getGlobalTrackIndex(track), match);
       tracksContainer.appendChild(trackElement);
     });
     
@@ -376,9 +557,12 @@ function populateListView() {
   const playlist = PlayerState.playlist;
   const fragment = document.createDocumentFragment();
   
-  // Create a flat list of all tracks
+  // Create a flat list of all tracks, or those matching the search
   playlist.forEach((track, index) => {
-    const trackElement = createTrackElement(track, index);
+    const match = isSearchActive() ? matchTrack(track) : null;
+    if (isSearchActive() && !match) return;
+    
+    const trackElement = createTrackElement(track, index, match);
     fragment.appendChild(trackElement);
   });
   
@@ -386,13 +570,198 @@ function populateListView() {
   PlayerState.elements.playlistTracks.appendChild(fragment);
 }
 
+/**
+ * Populate the playlist UI with the favorited tracks
+ */
+function populateFavoritesView() {
+  const indexes = getFavoriteTrackIndexes();
+  
+  if (indexes.length === 0) {
+    PlayerState.elements.playlistTracks.appendChild(createEmptyViewElement(t('progress.noFavorites')));
+    return;
+  }
+  
+  const fragment = document.createDocumentFragment();
+  indexes.forEach(index => {
+    fragment.appendChild(createTrackElement(PlayerState.playlist[index], index));
+  });
+  
+  PlayerState.elements.playlistTracks.appendChild(fragment);
+}
+
+/**
+ * Populate the playlist UI with the listening history, newest first
+ */
+function populateHistoryView() {
+  const entries = getHistory();
+  
+  if (entries.length === 0) {
+    PlayerState.elements.playlistTracks.appendChild(createEmptyViewElement(t('progress.noHistory')));
+    return;
+  }
+  
+  const dateFormat = new Intl.DateTimeFormat(getUILanguage(), { dateStyle: 'medium', timeStyle: 'short' });
+  const fragment = document.createDocumentFragment();
+  
+  entries.forEach(({ index, playedAt }) => {
+    const trackElement = createTrackElement(PlayerState.playlist[index], index);
+    
+    const playedAtElement = document.createElement('div');
+    playedAtElement.className = 'track-played-at';
+    playedAtElement.textContent = dateFormat.format(new Date(playedAt));
+    trackElement.querySelector('.track-info').appendChild(playedAtElement);
+    
+    fragment.appendChild(trackElement);
+  });
+  
+  PlayerState.elements.playlistTracks.appendChild(fragment);
+}
+
+/**
+ * Create the message shown by an empty favorites or history view
+ * @param {string} text - The message
+ * @returns {HTMLElement} The message element
+ */
+function createEmptyViewElement(text) {
+  const empty = document.createElement('div');
+  empty.className = 'playlist-empty';
+  empty.textContent = text;
+  return empty;
+}
+
+/**
+ * Create the "Continue tour" entry that picks up with the next unfinished chapter
+ * @returns {HTMLElement|null} The entry, or null for a new visitor or a finished tour
+ */
+function createContinueTourElement() {
+  const index = getContinueTrackIndex();
+  const track = PlayerState.playlist[index];
+  
+  // Nothing to continue if that chapter is already playing
+  if (!track || (index === PlayerState.currentTrackIndex && PlayerState.isPlaying)) return null;
+  
+  const continueButton = document.createElement('button');
+  continueButton.className = 'continue-tour';
+  continueButton.innerHTML = '<i class="fas fa-circle-play"></i>';
+  
+  const text = document.createElement('span');
+  text.className = 'continue-tour-text';
+  
+  const label = document.createElement('span');
+  label.className = 'continue-tour-label';
+  label.textContent = t('progress.continueTour');
+  text.appendChild(label);
+  
+  const title = document.createElement('span');
+  title.className = 'continue-tour-title';
+  title.textContent = track.title;
+  text.appendChild(title);
+  
+  continueButton.appendChild(text);
+  
+  continueButton.addEventListener('click', () => {
+    window.DIRECT_USER_INTERACTION = true;
+    setTimeout(() => {
+      window.DIRECT_USER_INTERACTION = false;
+    }, 3000);
+    
+    // The resume manager picks the chapter up at its saved position
+    loadTrack(index, true);
+    hidePlaylist();
+  });
+  
+  return continueButton;
+}
+
+/**
+ * Create the badge showing how much of a track has been heard
+ * @param {Object} track - The track object
+ * @returns {HTMLElement|null} The badge, or null for an unstarted track
+ */
+function createProgressBadge(track) {
+  const { state, progress } = getTrackProgress(track);
+  if (state === 'unstarted') return null;
+  
+  const badge = document.createElement('div');
+  badge.className = `track-progress ${state}`;
+  
+  if (state === 'completed') {
+    badge.innerHTML = '<i class="fas fa-check"></i> ';
+    
+    const label = document.createElement('span');
+    label.textContent = t('progress.completed');
+    badge.appendChild(label);
+  } else {
+    const percent = Math.floor(progress * 100);
+    
+    const bar = document.createElement('span');
+    bar.className = 'track-progress-bar';
+    const fill = document.createElement('span');
+    fill.className = 'track-progress-fill';
+    fill.style.width = `${percent}%`;
+    bar.appendChild(fill);
+    badge.appendChild(bar);
+    
+    const label = document.createElement('span');
+    label.textContent = t('progress.percentHeard', { percent });
+    badge.appendChild(label);
+  }
+  
+  return badge;
+}
+
+/**
+ * Refresh a track's progress badge in place as it plays
+ * @param {Object} track - The track object
+ */
+function updateProgressBadge(track) {
+  const index = PlayerState.playlist.indexOf(track);
+  if (index === -1) return;
+  
+  document.querySelectorAll(`.playlist-track[data-index="${index}"] .track-info`).forEach(trackInfo => {
+    const badge = createProgressBadge(track);
+    const existing = trackInfo.querySelector('.track-progress');
+    
+    if (existing && badge) {
+      existing.replaceWith(badge);
+    } else if (badge) {
+      trackInfo.appendChild(badge);
+    }
+  });
+}
+
+/**
+ * Create the star button that adds a track to the favorites or removes it
+ * @param {Object} track - The track object
+ * @returns {HTMLElement} The button
+ */
+function createFavoriteButton(track) {
+  const favorite = isFavorite(track);
+  
+  const favoriteButton = document.createElement('button');
+  favoriteButton.className = favorite ? 'track-favorite-button favorite' : 'track-favorite-button';
+  favoriteButton.setAttribute('aria-pressed', String(favorite));
+  favoriteButton.setAttribute('aria-label', t(favorite ? 'progress.removeFavorite' : 'progress.addFavorite'));
+  favoriteButton.title = favoriteButton.getAttribute('aria-label');
+  favoriteButton.innerHTML = `<i class="${favorite ? 'fas' : 'far'} fa-star"></i>`;
+  
+  favoriteButton.addEventListener('click', (e) => {
+    // Favoriting shouldn't load the track
+    e.stopPropagation();
+    toggleFavorite(track);
+  });
+  
+  return favoriteButton;
+}
+
 /**
  * Create a track element for the playlist UI
  * @param {Object} track - The track object
  * @param {number} index - The track index in the flat playlist
+ * @param {Object} [match] - Search match from matchTrack, to highlight
  * @returns {HTMLElement} The track element
  */
-function createTrackElement(track, index) {
+function createTrackElement(track, index, match = null) {
   const trackElement = document.createElement('div');
   trackElement.className = 'playlist-track';
   trackElement.dataset.index = index;
@@ -409,9 +778,21 @@ function createTrackElement(track, index) {
   // Create track title
   const title = document.createElement('div');
   title.className = 'track-title';
-  title.textContent = track.title;
+  if (match) {
+    title.appendChild(highlightText(track.title, match.titleRanges));
+  } else {
+    title.textContent = track.title;
+  }
   trackInfo.appendChild(title);
   
+  // Show where the transcript mentions the search words
+  if (match && match.snippet) {
+    const snippet = document.createElement('div');
+    snippet.className = 'track-snippet';
+    snippet.appendChild(highlightText(match.snippet.text, match.snippet.ranges));
+    trackInfo.appendChild(snippet);
+  }
+  
   // Create track artist if available
   if (track.artist) {
     const artist = document.createElement('div');
@@ -420,18 +801,37 @@ function createTrackElement(track, index) {
     trackInfo.appendChild(artist);
   }
   
+  // Add how much of the track has been heard
+  const progressBadge = createProgressBadge(track);
+  if (progressBadge) {
+    trackInfo.appendChild(progressBadge);
+  }
+  
   // Add XR indicator if track has video
   if (track.videoSrc) {
     const xrIndicator = document.createElement('div');
     xrIndicator.className = 'xr-indicator';
     xrIndicator.innerHTML = '<i class="fas fa-vr-cardboard"></i>';
-    xrIndicator.title = '360° Experience Available';
+    xrIndicator.title = t('playlist.xrAvailable');
     trackElement.appendChild(xrIndicator);
   }
   
   // Add track info to track element
   trackElement.appendChild(trackInfo);
   
+  // Add downloaded indicator if the track can play offline
+  if (isTrackDownloaded(track)) {
+    const downloadedIndicator = document.createElement('div');
+    downloadedIndicator.className = 'track-downloaded';
+    downloadedIndicator.innerHTML = '<i class="fas fa-check-circle"></i>';
+    downloadedIndicator.title = t('playlist.availableOffline');
+    trackElement.appendChild(downloadedIndicator);
+  }
+  
+  // Add the favorite star and the "play next" / "add to queue" menu
+  trackElement.appendChild(createFavoriteButton(track));
+  trackElement.appendChild(createTrackMenuButton(trackElement, index));
+  
   // Add click event handler
   // Use a debounce technique to prevent rapid multiple clicks
   let isProcessingClick = false;
@@ -483,7 +883,7 @@ function createTrackElement(track, index) {
       // Close the playlist after selection on mobile to maximize screen space
       if (PlayerState.isMobileDevice && 
           PlayerState.elements.playlistContainer && 
-          PlayerState.elements.playlistContainer.classList.contains('visible')) {
+          PlayerState.elements.playlistContainer.classList.contains('open')) {
         // Delay slightly to allow user to see their selection
         setTimeout(() => {
           // Find and click the close button
@@ -492,7 +892,7 @@ function createTrackElement(track, index) {
             closeButton.click();
           } else {
             // Fallback - hide manually
-            PlayerState.elements.playlistContainer.classList.remove('visible');
+            hidePlaylist();
           }
         }, 300);
       }
@@ -516,6 +916,68 @@ function createTrackElement(track, index) {
   return trackElement;
 }
 
+/**
+ * Create the menu button that offers "play next" and "add to queue" for a track
+ * @param {HTMLElement} trackElement - The track element the menu belongs to
+ * @param {number} index - The track index in the flat playlist
+ * @returns {HTMLElement} The menu button
+ */
+function createTrackMenuButton(trackElement, index) {
+  const menuButton = document.createElement('button');
+  menuButton.className = 'track-menu-button';
+  menuButton.setAttribute('aria-label', t('queue.trackOptions'));
+  menuButton.setAttribute('aria-expanded', 'false');
+  menuButton.innerHTML = '<i class="fas fa-ellipsis-vertical"></i>';
+  
+  const closeMenu = () => {
+    const actions = trackElement.querySelector('.track-actions');
+    if (actions) {
+      actions.remove();
+    }
+    trackElement.classList.remove('menu-open');
+    menuButton.setAttribute('aria-expanded', 'false');
+  };
+  
+  menuButton.addEventListener('click', (e) => {
+    // Opening the menu shouldn't load the track
+    e.stopPropagation();
+    
+    if (trackElement.classList.contains('menu-open')) {
+      closeMenu();
+      return;
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'track-actions';
+    
+    [
+      { key: 'queue.playNext', icon: 'fa-play', action: playNext },
+      { key: 'queue.addToQueue', icon: 'fa-plus', action: addToQueue }
+    ].forEach(({ key, icon, action }) => {
+      const button = document.createElement('button');
+      button.className = 'track-action';
+      button.innerHTML = `<i class="fas ${icon}"></i> `;
+      
+      const label = document.createElement('span');
+      label.textContent = t(key);
+      button.appendChild(label);
+      
+      button.addEventListener('click', (actionEvent) => {
+        actionEvent.stopPropagation();
+        action(index);
+        closeMenu();
+      });
+      actions.appendChild(button);
+    });
+    
+    trackElement.appendChild(actions);
+    trackElement.classList.add('menu-open');
+    menuButton.setAttribute('aria-expanded', 'true');
+  });
+  
+  return menuButton;
+}
+
 /**
  * Get the global index of a track in the flat playlist
  * @param {Object} track - The track to find
@@ -566,72 +1028,40 @@ export function loadTrack(index, autoPlay = false) {
       track.artworkUrl = rawTrack.artwork_url;
     }
     
-    // Update track indexes
+    // Update track indexes (the playlist UI follows current-track-changed)
     const previousTrackIndex = PlayerState.currentTrackIndex;
-    PlayerState.currentTrackIndex = index;
-    
-    // Update active track in UI
-    const trackElements = document.querySelectorAll('.playlist-track');
-    trackElements.forEach(el => {
-      if (parseInt(el.dataset.index) === index) {
-        el.classList.add('active');
-      } else {
-        el.classList.remove('active');
-      }
-    });
-    
-    // Store current playback state
-    const wasPlaying = PlayerState.isPlaying;
+    PlayerState.set({ currentTrackIndex: index });
     
     // Show loading message
     if (PlayerState.elements.message) {
-      PlayerState.elements.message.textContent = `Loading "${track.title}"...`;
+      PlayerState.elements.message.textContent = t('track.loading', { title: track.title });
       PlayerState.elements.message.style.display = "block";
     }
     
-    // Reset preload flags
-    PlayerState.isAudioPreloaded = false;
-    PlayerState.isVideoPreloaded = false;
+    // Reset preload flags, and the XR-only flag until switchToXRMode sets it for this track
+    PlayerState.set({ isAudioPreloaded: false, isVideoPreloaded: false, currentTrackIsXROnly: false });
+    getMediaAdapter().setXROnlyTrack(false);
     
-    // Function to remove loading indicators
-    const removeLoadingIndicators = () => {
-      // Remove loading class from track element
-      const trackElement = document.querySelector(`.playlist-track[data-index="${index}"]`);
-      if (trackElement) {
-        trackElement.classList.remove('loading');
-      }
-    };
+    // Start loading before pausing, so the old track's pause doesn't count as a pause,
+    // and drop any autoplay still waiting on a previous load
+    PlayerState.transition('load', { index });
+    stopWaitingToAutoPlay();
     
     // Pause current media before loading new track
     if (PlayerState.audio) PlayerState.audio.pause();
     if (PlayerState.video) PlayerState.video.pause();
     
-    // Set playback state to paused initially
-    PlayerState.setPlaybackState(false);
-    
-    // Ensure UI reflects the paused state
-    import('./player-ui.js').then(module => {
-      module.updatePlayPauseButton(true); // true = paused
-    }).catch(error => {
-      console.error('Error updating play button state:', error);
-    });
-    
-    // Clear any pending playback attempt timeout
-    if (window.playbackAttemptTimeout) {
-      clearTimeout(window.playbackAttemptTimeout);
-    }
-    
-    // Mobile-specific optimizations for loading
-    const loadTimeout = PlayerState.isMobileDevice ? 1500 : 500;
-    
     // Set media sources and prepare for playback immediately
     if (PlayerState.audio) {
       PlayerState.audio.src = track.audioSrc;
       PlayerState.audio.load();
     }
     
+    // Photosphere scenes are images rendered by xr-projection.js, not video sources
+    const isStill = isStillScene(track);
+    
     // Always load video source in the background if available, regardless of mode
-    if (PlayerState.video && track.videoSrc) {
+    if (PlayerState.video && track.videoSrc && !isStill) {
       // For mobile devices, we'll use a sequential loading approach
       if (PlayerState.isMobileDevice) {
         // First prioritize loading the audio
@@ -665,7 +1095,7 @@ export function loadTrack(index, autoPlay = false) {
       }
     } else if (PlayerState.video) {
       // Check if raw track data has a video source
-      if (PlayerState.rawTrackData && PlayerState.rawTrackData[index] && 
+      if (!isStill && PlayerState.rawTrackData && PlayerState.rawTrackData[index] && 
           PlayerState.rawTrackData[index].XR_Scene) {
         const rawVideoSrc = PlayerState.rawTrackData[index].XR_Scene;
         console.log(`Using raw XR_Scene data for video: ${rawVideoSrc}`);
@@ -693,25 +1123,33 @@ export function loadTrack(index, autoPlay = false) {
     if (isXROnlyTrack) {
       console.log('XR-only track detected, forcing XR mode');
       
-      // Import XR mode module to switch to XR mode
+      // Import XR mode module to switch to XR mode (it waits for the video to load)
       import('./xr-mode.js').then(module => {
-        // Delay slightly to ensure video source is loaded
-        setTimeout(() => {
-          if (typeof module.switchToXRMode === 'function') {
-            module.switchToXRMode();
-          } else {
-            // Fallback to custom event if function not available
-            document.dispatchEvent(new CustomEvent('force-xr-mode', { 
-              detail: { trackIndex, isXROnly: true } 
-            }));
-          }
-        }, 500);
+        if (typeof module.switchToXRMode === 'function') {
+          module.switchToXRMode();
+        } else {
+          // Fallback to custom event if function not available
+          getMediaAdapter().emit('force-xr-mode', { trackIndex: index, isXROnly: true });
+        }
       }).catch(error => {
         console.error('Error importing XR-mode module:', error);
         // Try fallback method with custom event
-        document.dispatchEvent(new CustomEvent('force-xr-mode', { 
-          detail: { trackIndex, isXROnly: true } 
-        }));
+        getMediaAdapter().emit('force-xr-mode', { trackIndex: index, isXROnly: true });
+      });
+    } else if (wasInXRMode && PlayerState.isImmersiveVR && hasXRScene) {
+      // Exception to the global rule: don't pull a headset wearer out of VR
+      console.log('Track changed during an immersive VR session - staying in XR mode');
+      
+      if (!isStill && PlayerState.video && PlayerState.video.getAttribute('src') !== track.videoSrc) {
+        PlayerState.video.src = track.videoSrc;
+        PlayerState.video.load();
+      }
+      
+      import('./xr-mode.js').then(module => {
+        PlayerState.transition('switchToXR');
+        module.completeXRModeSwitch(autoPlay, false);
+      }).catch(error => {
+        ErrorLogger.handleError(error, { function: 'loadTrack.stayInImmersiveVR' });
       });
     } else if (wasInXRMode) {
       console.log('Track changed while in XR mode - switching to audio mode per global rule');
@@ -724,17 +1162,7 @@ export function loadTrack(index, autoPlay = false) {
         
         // Now attempt playback if requested
         if (autoPlay) {
-          // Add a slight delay for resources to load
-          setTimeout(() => {
-            console.log('Attempting playback of newly loaded track due to autoPlay flag (after XR mode)');
-            
-            import('./player-core.js').then(module => {
-              // Use togglePlayPause to ensure proper UI updates
-              module.togglePlayPause();
-            }).catch(error => {
-              console.error('Error auto-playing track after XR mode:', error);
-            });
-          }, 500);
+          playWhenReady();
         }
       });
     } else {
@@ -744,40 +1172,18 @@ export function loadTrack(index, autoPlay = false) {
       
       // Now attempt playback if requested
       if (autoPlay) {
-        // Add a slight delay for resources to load
-        setTimeout(() => {
-          console.log('Attempting playback of newly loaded track due to autoPlay flag');
-          
-          import('./player-core.js').then(module => {
-            // Use togglePlayPause to ensure proper UI updates
-            module.togglePlayPause();
-          }).catch(error => {
-            console.error('Error auto-playing track:', error);
-          });
-        }, PlayerState.isMobileDevice ? loadTimeout : 500);
+        playWhenReady();
       }
     }
     
     // Dispatch event for other components to react
-    document.dispatchEvent(new CustomEvent('current-track-changed', { 
-      detail: { 
-        track,
-        index,
-        previousIndex: previousTrackIndex
-      } 
-    }));
-    
-    // Hide loading message after a delay if not autoplay
-    if (!autoPlay) {
-      setTimeout(() => {
-        if (PlayerState.elements.message && 
-            PlayerState.elements.message.textContent === `Loading "${track.title}"...`) {
-          PlayerState.elements.message.style.display = "none";
-        }
-        removeLoadingIndicators();
-      }, loadTimeout);
-    }
+    getMediaAdapter().emit('current-track-changed', {
+      track,
+      index,
+      previousIndex: previousTrackIndex
+    });
     
+    // player-core.js hides the loading message once the track is ready
     return true;
   } catch (error) {
     ErrorLogger.handleError(error, { function: 'loadTrack' });
@@ -785,6 +1191,54 @@ export function loadTrack(index, autoPlay = false) {
   }
 }
 
+/**
+ * Start playing the track being loaded as soon as the player reports it ready
+ * Stops waiting if the load fails, or if playback starts or the track changes first.
+ */
+function playWhenReady() {
+  stopWaitingToAutoPlay();
+  
+  const play = () => {
+    console.log('Attempting playback of newly loaded track due to autoPlay flag');
+    
+    import('./player-core.js').then(module => {
+      // Use togglePlayPause to ensure proper UI updates
+      module.togglePlayPause();
+    }).catch(error => {
+      console.error('Error auto-playing track:', error);
+    });
+  };
+  
+  if (PlayerState.playbackState === PLAYBACK_STATES.READY) {
+    play();
+    return;
+  }
+  
+  // The track is still loading, or the switch out of XR mode is finishing
+  const waitingStates = [
+    PLAYBACK_STATES.LOADING, PLAYBACK_STATES.SWITCHING_TO_AUDIO, PLAYBACK_STATES.SWITCHING_TO_XR
+  ];
+  
+  cancelPendingAutoPlay = PlayerState.subscribe('playbackState', state => {
+    if (state === PLAYBACK_STATES.READY) {
+      stopWaitingToAutoPlay();
+      play();
+    } else if (!waitingStates.includes(state)) {
+      stopWaitingToAutoPlay();
+    }
+  });
+}
+
+/**
+ * Stop waiting to autoplay a track, if playWhenReady is waiting
+ */
+function stopWaitingToAutoPlay() {
+  if (cancelPendingAutoPlay) {
+    cancelPendingAutoPlay();
+    cancelPendingAutoPlay = null;
+  }
+}
+
 /**
  * Update the active track in the playlist UI
  * @param {number} index - The index of the active track
@@ -797,31 +1251,32 @@ function updateActiveTrackInPlaylist(index) {
     element.classList.remove('loading');
   });
   
-  // Add active class to current track
+  // Add active class to current track (showPlaylist scrolls to it)
   const activeTrack = document.querySelector(`.playlist-track[data-index="${index}"]`);
   if (activeTrack) {
     activeTrack.classList.add('active');
-    
-    // Scroll to active track
-    activeTrack.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
   }
 }
 
 /**
- * Load the next track in the playlist
+ * Load the next track from the queue, or the playlist after it
  * @param {boolean} autoPlay - Whether to automatically start playback (defaults to true)
+ * @param {boolean} isAutoAdvance - True when the current track ended on its own, so repeat-one
+ *   and repeat-off apply (defaults to false)
+ * @returns {boolean} Whether a track was loaded
  */
-export function loadNextTrack(autoPlay = true) {
-  if (PlayerState.playlist.length === 0) return;
+export function loadNextTrack(autoPlay = true, isAutoAdvance = false) {
+  if (PlayerState.playlist.length === 0) return false;
   
-  let nextIndex = PlayerState.currentTrackIndex + 1;
+  const nextIndex = takeNextTrackIndex({ isAutoAdvance });
   
-  // Loop back to the beginning if at the end
-  if (nextIndex >= PlayerState.playlist.length) {
-    nextIndex = 0;
+  // Reached the end of the playlist with repeat off
+  if (nextIndex === null) {
+    console.log('End of playlist, not repeating');
+    return false;
   }
   
-  loadTrack(nextIndex, autoPlay);
+  return loadTrack(nextIndex, autoPlay);
 }
 
 /**
@@ -831,22 +1286,19 @@ export function loadNextTrack(autoPlay = true) {
 export function loadPreviousTrack(autoPlay = true) {
   if (PlayerState.playlist.length === 0) return;
   
-  let prevIndex = PlayerState.currentTrackIndex - 1;
-  
-  // Loop to the end if at the beginning
-  if (prevIndex < 0) {
-    prevIndex = PlayerState.playlist.length - 1;
-  }
+  // Playlist order, or shuffled order when shuffle is on; loops to the end from the beginning
+  const prevIndex = getPreviousTrackIndex();
+  if (prevIndex === null) return;
   
   loadTrack(prevIndex, autoPlay);
 }
 
 /**
  * Set the playlist view mode
- * @param {string} view - The view mode ('folders' or 'list')
+ * @param {string} view - The view mode ('folders', 'list', 'favorites' or 'history')
  */
 export function setPlaylistView(view) {
-  if (view !== 'folders' && view !== 'list') {
+  if (!PLAYLIST_VIEWS.includes(view)) {
     console.error(`Invalid playlist view: ${view}`);
     return;
   }
@@ -873,9 +1325,19 @@ function updatePlaylistView(view) {
     }
   }
   
-  // Update playlist container class
-  if (PlayerState.elements.playlistContainer) {
-    PlayerState.elements.playlistContainer.className = `playlist-container ${view}-view`;
+  // Chapters / Favorites / History tabs; both chapter layouts belong to the Chapters tab
+  const tabView = view === 'list' ? 'folders' : view;
+  document.querySelectorAll('[data-playlist-view]').forEach(button => {
+    const isActive = button.dataset.playlistView === tabView;
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-pressed', String(isActive));
+  });
+  
+  // Update playlist container class, keeping it open if it's showing
+  const playlistContainer = PlayerState.elements.playlistContainer;
+  if (playlistContainer) {
+    PLAYLIST_VIEWS.forEach(name => playlistContainer.classList.remove(`${name}-view`));
+    playlistContainer.classList.add(`${view}-view`);
   }
   
   // Repopulate the playlist with the new view
@@ -886,11 +1348,9 @@ function updatePlaylistView(view) {
  * Toggle playlist visibility
  */
 export function togglePlaylistVisibility() {
-  if (!PlayerState.elements.playlistOverlay) return;
+  if (!PlayerState.elements.playlistContainer) return;
   
-  const isVisible = PlayerState.elements.playlistOverlay.classList.contains('visible');
-  
-  if (isVisible) {
+  if (PlayerState.elements.playlistContainer.classList.contains('open')) {
     hidePlaylist();
   } else {
     showPlaylist();
@@ -901,15 +1361,19 @@ export function togglePlaylistVisibility() {
  * Show the playlist
  */
 export function showPlaylist() {
-  if (!PlayerState.elements.playlistOverlay) return;
+  if (!PlayerState.elements.playlistContainer) return;
   
-  PlayerState.elements.playlistOverlay.classList.add('visible');
+  PlayerState.elements.playlistContainer.classList.add('open');
+  if (PlayerState.elements.playlistOverlay) {
+    PlayerState.elements.playlistOverlay.classList.add('open');
+  }
+  document.body.classList.add('playlist-open');
   
-  // Ensure the active track is visible
+  // Ensure the active track is visible once the opening animation is done
   setTimeout(() => {
-    const activeTrack = document.querySelector('.playlist-track.active');
+    const activeTrack = PlayerState.elements.playlistContainer.querySelector('.playlist-track.active');
     if (activeTrack) {
-      activeTrack.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      activeTrack.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
   }, 300);
 }
@@ -918,36 +1382,11 @@ export function showPlaylist() {
  * Hide the playlist
  */
 export function hidePlaylist() {
-  if (!PlayerState.elements.playlistOverlay) return;
-  
-  PlayerState.elements.playlistOverlay.classList.remove('visible');
-}
-
-/**
- * Search the playlist for tracks matching a query
- * @param {string} query - The search query
- * @returns {Array} Array of matching tracks
- */
-export function searchPlaylist(query) {
-  if (!query || typeof query !== 'string') return [];
-  
-  const normalizedQuery = query.toLowerCase().trim();
+  if (!PlayerState.elements.playlistContainer) return;
   
-  return PlayerState.playlist.filter(track => {
-    const title = (track.title || '').toLowerCase();
-    const artist = (track.artist || '').toLowerCase();
-    const playlist = (track.playlistName || '').toLowerCase();
-    
-    return title.includes(normalizedQuery) || 
-           artist.includes(normalizedQuery) || 
-           playlist.includes(normalizedQuery);
-  });
+  PlayerState.elements.playlistContainer.classList.remove('open');
+  if (PlayerState.elements.playlistOverlay) {
+    PlayerState.elements.playlistOverlay.classList.remove('open');
+  }
+  document.body.classList.remove('playlist-open');
 }
-
-/**
- * Filter the playlist to show only tracks with 360° video
- * @returns {Array} Array of tracks with 360° video
- */
-export function filterXRTracks() {
-  return PlayerState.playlist.filter(track => track.videoSrc);
-} 
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * Playlist Search Module
+ * The search box and filter chips in the playlist header
+ *
+ * Search is incremental and ignores case and accents. It looks through each chapter's
+ * title, playlist name, tags and transcript; transcripts are fetched through the captions
+ * cache the first time the search box is used. Every word typed must match somewhere.
+ * The folder and list views ask matchTrack() which chapters to show and what to highlight.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { loadCues } from './captions.js';
+import { isTrackDownloaded } from './download-manager.js';
+import { getTrackProgress } from './listening-progress.js';
+import { splitSearchTerms, findMatches, excerptAround } from './utils/text-search.js';
+
+// Wait for a pause in typing before filtering
+const SEARCH_DEBOUNCE_MS = 150;
+
+// Filter chips, by their data-search-filter value
+const FILTERS = {
+  xr: track => Boolean(track.videoSrc),
+  ar: track => track.isAR,
+  downloaded: track => isTrackDownloaded(track),
+  unfinished: track => getTrackProgress(track).state !== 'completed'
+};
+
+// Folded words from the search box
+let searchTerms = [];
+
+// Active filter chip names
+const activeFilters = new Set();
+
+// Transcript text by captions URL, filled in as transcripts load
+const transcripts = new Map();
+let transcriptsRequested = false;
+
+let debounceTimer = null;
+
+/**
+ * Set up the search box and filter chips
+ */
+export function setupPlaylistSearch() {
+  console.log('Setting up playlist search...');
+
+  try {
+    const input = document.getElementById('playlistSearch');
+    if (input) {
+      input.addEventListener('focus', loadTranscripts);
+      input.addEventListener('input', () => {
+        loadTranscripts();
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => setSearchQuery(input.value), SEARCH_DEBOUNCE_MS);
+      });
+
+      // Escape clears the search before it closes anything else
+      input.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && input.value) {
+          event.stopPropagation();
+          input.value = '';
+          setSearchQuery('');
+        }
+      });
+    }
+
+    document.querySelectorAll('[data-search-filter]').forEach(chip => {
+      chip.addEventListener('click', () => toggleFilter(chip.dataset.searchFilter));
+    });
+
+    // A new playlist or narration language brings different transcripts
+    document.addEventListener('playlist-updated', resetTranscripts);
+    document.addEventListener('narration-language-changed', resetTranscripts);
+
+    console.log('Playlist search setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupPlaylistSearch' });
+  }
+}
+
+/**
+ * Check whether a search or filter is narrowing the playlist
+ * @returns {boolean} Whether any search words or filter chips are active
+ */
+export function isSearchActive() {
+  return searchTerms.length > 0 || activeFilters.size > 0;
+}
+
+/**
+ * Check a track against the current search and filters
+ * @param {Object} track - Normalized track object
+ * @returns {Object|null} null if the track is filtered out, otherwise
+ *   { titleRanges, playlistRanges, snippet } where snippet is a transcript excerpt as
+ *   { text, ranges } when only the transcript matched a word
+ */
+export function matchTrack(track) {
+  for (const filter of activeFilters) {
+    if (!FILTERS[filter](track)) return null;
+  }
+
+  const transcript = transcripts.get(track.captionsSrc) || '';
+  const tags = track.tags.join(' ');
+
+  let snippetNeeded = false;
+  for (const term of searchTerms) {
+    const inTitle = findMatches(track.title, [term]).length > 0;
+    const inPlaylist = findMatches(track.playlistName, [term]).length > 0;
+    const inTags = findMatches(tags, [term]).length > 0;
+
+    if (!inTitle && !inPlaylist && !inTags) {
+      if (findMatches(transcript, [term]).length === 0) return null;
+      snippetNeeded = true;
+    }
+  }
+
+  return {
+    titleRanges: findMatches(track.title, searchTerms),
+    playlistRanges: findMatches(track.playlistName, searchTerms),
+    snippet: snippetNeeded ? excerptAround(transcript, findMatches(transcript, searchTerms)) : null
+  };
+}
+
+/**
+ * Build text with the matched parts wrapped in <mark>
+ * @param {string} text - Text to show
+ * @param {Array<Object>} ranges - Matched ranges as { start, end }
+ * @returns {DocumentFragment} The highlighted text
+ */
+export function highlightText(text, ranges) {
+  const fragment = document.createDocumentFragment();
+  let position = 0;
+
+  ranges.forEach(({ start, end }) => {
+    if (start > position) {
+      fragment.appendChild(document.createTextNode(text.slice(position, start)));
+    }
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    fragment.appendChild(mark);
+    position = end;
+  });
+
+  if (position < text.length) {
+    fragment.appendChild(document.createTextNode(text.slice(position)));
+  }
+
+  return fragment;
+}
+
+/**
+ * Search with new words from the search box
+ * @param {string} query - What the listener typed
+ */
+function setSearchQuery(query) {
+  const terms = splitSearchTerms(query);
+  if (terms.join(' ') === searchTerms.join(' ')) return;
+
+  searchTerms = terms;
+  notifySearchChanged();
+}
+
+/**
+ * Turn a filter chip on or off
+ * @param {string} filter - Filter name
+ */
+function toggleFilter(filter) {
+  if (!FILTERS[filter]) {
+    console.warn(`Unknown playlist filter: ${filter}`);
+    return;
+  }
+
+  if (activeFilters.has(filter)) {
+    activeFilters.delete(filter);
+  } else {
+    activeFilters.add(filter);
+  }
+
+  document.querySelectorAll(`[data-search-filter="${filter}"]`).forEach(chip => {
+    chip.classList.toggle('active', activeFilters.has(filter));
+    chip.setAttribute('aria-pressed', String(activeFilters.has(filter)));
+  });
+
+  notifySearchChanged();
+}
+
+/**
+ * Let the playlist redraw with the new search
+ */
+function notifySearchChanged() {
+  document.dispatchEvent(new CustomEvent('playlist-search-changed', {
+    detail: { terms: searchTerms.slice(), filters: Array.from(activeFilters) }
+  }));
+}
+
+/**
+ * Fetch every chapter's transcript so search can look through them
+ * Only happens once the search box is used, and each result redraws a live search.
+ */
+function loadTranscripts() {
+  if (transcriptsRequested) return;
+  transcriptsRequested = true;
+
+  const captionUrls = new Set(PlayerState.playlist.map(track => track.captionsSrc).filter(Boolean));
+
+  captionUrls.forEach(captionsSrc => {
+    loadCues(captionsSrc)
+      .then(cues => {
+        transcripts.set(captionsSrc, cues.map(cue => cue.text.replace(/\s+/g, ' ')).join(' '));
+        if (searchTerms.length > 0) {
+          notifySearchChanged();
+        }
+      })
+      .catch(error => {
+        console.warn(`Could not load transcript for search from ${captionsSrc}:`, error);
+      });
+  });
+}
+
+/**
+ * Forget loaded transcripts so the next search fetches the current ones
+ */
+function resetTranscripts() {
+  transcripts.clear();
+  transcriptsRequested = false;
+
+  // Keep a search in progress working
+  if (searchTerms.length > 0) {
+    loadTranscripts();
+  }
+}
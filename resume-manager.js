@@ -0,0 +1,347 @@
+/**
+ * Resume Manager Module
+ * Remembers each track's playback position, the last active track and the last mode
+ * across sessions, and offers to resume where the listener left off
+ *
+ * Positions are keyed by the track's stable id (see processPlaylistData), not its
+ * index, so reordering playlist.json doesn't resume the wrong chapter.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { showMessage } from './utils/messaging.js';
+import { formatTime } from './utils/format-utils.js';
+import { t } from './utils/i18n.js';
+
+// localStorage key for saved positions, last track and last mode
+const RESUME_STORAGE_KEY = 'player.resumeState';
+
+// How often to persist the position while playing
+const SAVE_INTERVAL_MS = 5000;
+
+// Positions closer than this to the start aren't worth resuming
+const MIN_RESUME_SEC = 5;
+
+// Positions closer than this to the end count as finished
+const END_THRESHOLD_SEC = 10;
+
+// Last position seen while playing, flushed when the track changes or the page hides
+let lastObservedPosition = null;
+let lastSaveTime = 0;
+
+// Track index offered in the resume prompt, or -1 when no offer is showing
+let pendingResumeIndex = -1;
+
+/**
+ * Set up the resume manager
+ */
+export function setupResumeManager() {
+  console.log('Setting up resume manager...');
+
+  try {
+    [PlayerState.audio, PlayerState.video].forEach(mediaElement => {
+      if (!mediaElement) return;
+      mediaElement.addEventListener('timeupdate', handlePositionUpdate);
+      mediaElement.addEventListener('pause', handlePositionUpdate);
+      mediaElement.addEventListener('seeked', handlePositionUpdate);
+      mediaElement.addEventListener('ended', handleTrackFinished);
+    });
+
+    document.addEventListener('current-track-changed', handleTrackChanged);
+
+    document.addEventListener('xr-mode-changed', (event) => {
+      const state = loadResumeState();
+      state.lastMode = event.detail.isXRMode ? 'xr' : 'audio';
+      saveResumeState(state);
+    });
+
+    // Persist the latest position before the page goes away
+    window.addEventListener('pagehide', flushPosition);
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        flushPosition();
+      }
+    });
+
+    const resumeBtn = document.getElementById('resumeBtn');
+    if (resumeBtn) {
+      resumeBtn.addEventListener('click', acceptResume);
+    }
+
+    const startOverBtn = document.getElementById('resumeStartOverBtn');
+    if (startOverBtn) {
+      startOverBtn.addEventListener('click', declineResume);
+    }
+
+    console.log('Resume manager setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupResumeManager' });
+  }
+}
+
+/**
+ * Get the index of the track that was active in the last session
+ * @param {Array} playlist - The flat playlist
+ * @returns {number} Index of the last active track, or 0 if it isn't in the playlist
+ */
+export function getLastTrackIndex(playlist) {
+  const { lastTrackId } = loadResumeState();
+  const index = lastTrackId ? playlist.findIndex(track => track.id === lastTrackId) : -1;
+  return index === -1 ? 0 : index;
+}
+
+/**
+ * Get the saved position for a track
+ * @param {Object} track - Normalized track object
+ * @returns {number} Saved position in seconds, or 0 if there is nothing to resume
+ */
+export function getSavedPosition(track) {
+  if (!track || !track.id) return 0;
+
+  const saved = loadResumeState().positions[track.id];
+  return saved && saved.time >= MIN_RESUME_SEC ? saved.time : 0;
+}
+
+/**
+ * Offer to resume the current track at its saved position
+ * Called once after the playlist first loads.
+ */
+export function offerResume() {
+  const index = PlayerState.currentTrackIndex;
+  const track = PlayerState.playlist[index];
+  const position = getSavedPosition(track);
+  const prompt = document.getElementById('resumePrompt');
+
+  if (!position || !prompt) return;
+
+  pendingResumeIndex = index;
+
+  const label = document.getElementById('resumeLabel');
+  if (label) {
+    const name = track.chapter ? t('track.chapter', { number: track.chapter }) : track.title;
+    label.textContent = t('resume.prompt', { name, time: formatTime(position) });
+  }
+
+  prompt.classList.add('visible');
+}
+
+/**
+ * Resume the offered track at its saved position and in the last mode
+ */
+function acceptResume() {
+  const index = pendingResumeIndex;
+  hideResumePrompt();
+
+  const track = PlayerState.playlist[index];
+  if (!track || index !== PlayerState.currentTrackIndex) return;
+
+  const position = getSavedPosition(track);
+  const restoreXR = loadResumeState().lastMode === 'xr' && Boolean(track.videoSrc) && !PlayerState.isXRMode;
+
+  whenMediaReady(track, index, () => {
+    seekToPosition(position);
+  });
+
+  import('./player-core.js').then(module => {
+    if (!PlayerState.isPlaying) {
+      module.togglePlayPause();
+    }
+
+    // Switching after playback starts keeps the listener's position and plays on in XR
+    if (restoreXR) {
+      import('./xr-mode.js').then(xrModule => {
+        xrModule.switchToXRMode();
+      });
+    }
+  }).catch(error => {
+    ErrorLogger.handleError(error, { function: 'acceptResume' });
+  });
+}
+
+/**
+ * Dismiss the resume offer and start the tour from the beginning
+ */
+function declineResume() {
+  hideResumePrompt();
+
+  if (PlayerState.currentTrackIndex !== 0) {
+    import('./playlist-manager.js').then(module => {
+      module.loadTrack(0, false);
+    });
+  }
+}
+
+/**
+ * Hide the resume prompt
+ */
+function hideResumePrompt() {
+  pendingResumeIndex = -1;
+
+  const prompt = document.getElementById('resumePrompt');
+  if (prompt) {
+    prompt.classList.remove('visible');
+  }
+}
+
+/**
+ * Remember the position of the active media element
+ * Only positions from media that has actually loaded are recorded, so the reset to 0
+ * while a new track loads never overwrites a saved position.
+ * @param {Event} event - timeupdate, pause or seeked event
+ */
+function handlePositionUpdate(event) {
+  const mediaElement = event.target;
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+
+  if (mediaElement !== PlayerState.activeMediaElement || !track || !track.id) return;
+  if (mediaElement.readyState === 0 || (event.type === 'timeupdate' && mediaElement.paused)) return;
+
+  lastObservedPosition = {
+    trackId: track.id,
+    time: mediaElement.currentTime,
+    duration: mediaElement.duration
+  };
+
+  // The listener has moved on from the offered position
+  if (pendingResumeIndex !== -1 && mediaElement.currentTime >= MIN_RESUME_SEC) {
+    hideResumePrompt();
+  }
+
+  if (event.type !== 'timeupdate' || Date.now() - lastSaveTime >= SAVE_INTERVAL_MS) {
+    flushPosition();
+  }
+}
+
+/**
+ * Forget the position of a track that played to the end
+ * @param {Event} event - The ended event
+ */
+function handleTrackFinished(event) {
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+  if (event.target !== PlayerState.activeMediaElement || !track || !track.id) return;
+
+  lastObservedPosition = null;
+
+  const state = loadResumeState();
+  delete state.positions[track.id];
+  saveResumeState(state);
+}
+
+/**
+ * Persist the last observed position
+ */
+function flushPosition() {
+  if (!lastObservedPosition) return;
+
+  const { trackId, time, duration } = lastObservedPosition;
+  const state = loadResumeState();
+
+  if (duration && time >= duration - END_THRESHOLD_SEC) {
+    delete state.positions[trackId];
+  } else {
+    state.positions[trackId] = {
+      time,
+      duration: isFinite(duration) ? duration : null,
+      updatedAt: Date.now()
+    };
+  }
+
+  saveResumeState(state);
+  lastSaveTime = Date.now();
+}
+
+/**
+ * Record the new active track and resume it at its saved position
+ * @param {CustomEvent} event - The current-track-changed event
+ */
+function handleTrackChanged(event) {
+  const { track, index } = event.detail;
+  if (!track) return;
+
+  // Save the outgoing track's position before it's lost
+  flushPosition();
+  lastObservedPosition = null;
+
+  if (pendingResumeIndex !== -1 && pendingResumeIndex !== index) {
+    hideResumePrompt();
+  }
+
+  const state = loadResumeState();
+  state.lastTrackId = track.id;
+  saveResumeState(state);
+
+  // The first load after a reload is handled by the resume prompt instead
+  if (pendingResumeIndex === index || event.detail.previousIndex === -1) return;
+
+  const position = getSavedPosition(track);
+  if (!position) return;
+
+  whenMediaReady(track, index, () => {
+    seekToPosition(position);
+    showMessage(t('resume.resuming', { time: formatTime(position) }), 2000);
+  });
+}
+
+/**
+ * Run a callback once a track's media can be seeked
+ * @param {Object} track - Normalized track object
+ * @param {number} index - Index of the track, checked again before the callback runs
+ * @param {Function} callback - Called once metadata has loaded
+ */
+function whenMediaReady(track, index, callback) {
+  const mediaElement = track.audioSrc ? PlayerState.audio : PlayerState.video;
+  if (!mediaElement) return;
+
+  const run = () => {
+    if (PlayerState.currentTrackIndex === index) {
+      callback();
+    }
+  };
+
+  if (mediaElement.readyState >= 1) {
+    run();
+  } else {
+    mediaElement.addEventListener('loadedmetadata', run, { once: true });
+  }
+}
+
+/**
+ * Seek both media elements to a position, as handleScrubberChange does
+ * @param {number} time - Position in seconds
+ */
+function seekToPosition(time) {
+  if (PlayerState.audio && PlayerState.audio.getAttribute('src')) {
+    PlayerState.audio.currentTime = time;
+  }
+  if (PlayerState.video && PlayerState.video.getAttribute('src')) {
+    PlayerState.video.currentTime = time;
+  }
+}
+
+/**
+ * Load the resume state from localStorage
+ * @returns {Object} { positions, lastTrackId, lastMode }
+ */
+function loadResumeState() {
+  const emptyState = { positions: {}, lastTrackId: null, lastMode: 'audio' };
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(RESUME_STORAGE_KEY));
+    return saved ? { ...emptyState, ...saved, positions: saved.positions || {} } : emptyState;
+  } catch (error) {
+    console.warn('Could not read saved playback positions:', error);
+    return emptyState;
+  }
+}
+
+/**
+ * Save the resume state to localStorage
+ * @param {Object} state - The resume state
+ */
+function saveResumeState(state) {
+  try {
+    localStorage.setItem(RESUME_STORAGE_KEY, JSON.stringify(state));
+  } catch (error) {
+    console.warn('Could not save playback positions:', error);
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Service Worker
+ * Serves the player shell and downloaded tour media from Cache Storage so tours play offline
+ *
+ * - Player shell (HTML, JS, CSS, playlist.json): network first, cache fallback
+ * - Tour media saved by download-manager.js: cache first, with Range request support
+ *   so audio and video elements can still seek while offline
+ */
+
+// Cache names are shared with download-manager.js
+const SHELL_CACHE = 'player-shell-v1';
+const MEDIA_CACHE = 'tour-media-v1';
+
+// Files needed to boot the player without a network connection
+const SHELL_FILES = [
+  './',
+  'index.html',
+  '360video.html',
+  'playlist.json',
+  'player-controls.css',
+  'player-layout.css',
+  'maps/chinatown.geojson',
+  'app.js',
+  'shared-state.js',
+  'error-logger.js',
+  'geofencing.js',
+  'language-manager.js',
+  'captions.js',
+  'track-sections.js',
+  'playback-speed.js',
+  'sleep-timer.js',
+  'playback-queue.js',
+  'listening-progress.js',
+  'playlist-search.js',
+  'tour-map.js',
+  'deep-link.js',
+  'embed-api.js',
+  'dom-media-adapter.js',
+  'player-core.js',
+  'player-ui.js',
+  'playlist-manager.js',
+  'media-preloader.js',
+  'media-session.js',
+  'download-manager.js',
+  'resume-manager.js',
+  'xr-mode.js',
+  'xr-hotspots.js',
+  'vr-control-panel.js',
+  'xr-projection.js',
+  'xr-view-guide.js',
+  'utils/camera-controls.js',
+  'utils/deep-link-utils.js',
+  'utils/device-detection.js',
+  'utils/embed-protocol.js',
+  'utils/format-utils.js',
+  'utils/i18n.js',
+  'utils/layout-utils.js',
+  'utils/map-projection.js',
+  'utils/media-adapter.js',
+  'utils/media-sync.js',
+  'utils/messaging.js',
+  'utils/network-monitor.js',
+  'utils/playback-machine.js',
+  'utils/playlist-validator.js',
+  'utils/projection-utils.js',
+  'utils/store.js',
+  'utils/text-search.js',
+  'utils/vtt-parser.js',
+  'locales/en.json',
+  'locales/zh-Hant.json',
+  'locales/ar.json'
+];
+
+// Third-party scripts and styles the player pages load from CDNs
+const CDN_FILES = [
+  'https://cdnjs.cloudflare.com/ajax/libs/aframe/1.4.2/aframe.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/5.15.3/css/all.min.css'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => {
+      // CDN files are cached individually so one failure doesn't abort the install
+      const cdnRequests = CDN_FILES.map(url =>
+        cache.add(new Request(url, { mode: 'cors' })).catch(error => {
+          console.warn('Service worker could not cache CDN file:', url, error);
+        })
+      );
+
+      return Promise.all([cache.addAll(SHELL_FILES), ...cdnRequests]);
+    }).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then(cacheNames => Promise.all(
+      cacheNames
+        .filter(name => name !== SHELL_CACHE && name !== MEDIA_CACHE)
+        .map(name => caches.delete(name))
+    )).then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+
+  if (request.method !== 'GET') return;
+
+  event.respondWith(
+    matchDownloadedMedia(request).then(mediaResponse => {
+      if (mediaResponse) {
+        return mediaResponse;
+      }
+
+      const url = new URL(request.url);
+      if (url.origin === self.location.origin || CDN_FILES.includes(request.url)) {
+        return networkFirst(request);
+      }
+
+      return fetch(request);
+    })
+  );
+});
+
+/**
+ * Look up a request in the downloaded media cache
+ * @param {Request} request - The intercepted request
+ * @returns {Promise<Response|null>} The cached (possibly partial) response, or null if not downloaded
+ */
+async function matchDownloadedMedia(request) {
+  const cache = await caches.open(MEDIA_CACHE);
+
+  // Media is stored under its plain URL; ignore Vary so Range and CORS requests still match
+  const cachedResponse = await cache.match(request.url, { ignoreVary: true });
+  if (!cachedResponse) {
+    return null;
+  }
+
+  const rangeHeader = request.headers.get('range');
+  if (!rangeHeader) {
+    return cachedResponse;
+  }
+
+  return createRangeResponse(rangeHeader, cachedResponse);
+}
+
+/**
+ * Build a 206 Partial Content response from a full cached response
+ * @param {string} rangeHeader - The request's Range header, e.g. "bytes=1000-"
+ * @param {Response} cachedResponse - The full cached response
+ * @returns {Promise<Response>} The partial response, or a 416 if the range can't be satisfied
+ */
+async function createRangeResponse(rangeHeader, cachedResponse) {
+  const blob = await cachedResponse.blob();
+  const size = blob.size;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+
+  let start = NaN;
+  let end = NaN;
+
+  if (match) {
+    if (match[1] === '') {
+      // Suffix range: the last N bytes
+      const suffixLength = parseInt(match[2], 10);
+      start = Math.max(size - suffixLength, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(match[1], 10);
+      end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+  }
+
+  if (isNaN(start) || isNaN(end) || start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+
+  const slice = blob.slice(start, end + 1);
+
+  return new Response(slice, {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': cachedResponse.headers.get('Content-Type') || blob.type,
+      'Content-Length': String(slice.size),
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
+/**
+ * Fetch from the network and refresh the shell cache, falling back to the cache when offline
+ * @param {Request} request - The intercepted request
+ * @returns {Promise<Response>} The network or cached response
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+
+  try {
+    const response = await fetch(request);
+
+    // Only keep complete, successful responses
+    if (response.ok && response.status === 200) {
+      const url = new URL(request.url);
+      // Strip cache-busting query strings (playlist.json?t=...) so the fallback can find it
+      const cacheKey = url.origin === self.location.origin ? url.origin + url.pathname : request.url;
+      cache.put(cacheKey, response.clone());
+    }
+
+    return response;
+  } catch (error) {
+    const cachedResponse = await cache.match(request, { ignoreSearch: true, ignoreVary: true });
+    if (cachedResponse) {
+      return cachedResponse;
+    }
+
+    throw error;
+  }
+}
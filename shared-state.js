@@ -1,23 +1,42 @@
 /**
  * Shared State Module
  * Maintains state that needs to be accessed across multiple modules
+ *
+ * The state lives in a store (utils/store.js). Read it as PlayerState.<key> and change it
+ * with PlayerState.set({ key: value }) or one of the setters below, which also dispatch the
+ * events modules already listen for. Assigning to a state key throws, so no change can
+ * skip the store. Every change is also announced as a player-state-changed event with the
+ * change records in event.detail.changes. Events go out through the media adapter
+ * (utils/media-adapter.js), as document events on the page.
+ *
+ * Playback status is the exception: playbackState only moves through the playback
+ * machine (utils/playback-machine.js). Request a transition with
+ * PlayerState.transition('play'); isPlaying and isSeeking are derived from the state.
  */
 
-// Player state object
-export const PlayerState = {
-  // Media elements
-  audio: null,
-  video: null,
+import {
+  createStore, createPersistMiddleware, loadPersistedState, createLoggerMiddleware
+} from './utils/store.js';
+import { getMediaAdapter } from './utils/media-adapter.js';
+import { PLAYBACK_STATES, createPlaybackMachine, isPlayingState } from './utils/playback-machine.js';
+
+// Everything the store holds, with its starting value
+const INITIAL_STATE = {
+  // Media state
   activeMediaElement: null,
   
   // Playback state
-  isPlaying: false,
-  isSeeking: false,
-  isFirstPlay: true,
-  wasPlayingBeforeHidden: false, // Tracks if media was playing before page was hidden
+  playbackState: PLAYBACK_STATES.IDLE, // Moved only by playbackMachine
+  playbackResumeState: null, // State a seek or mode switch returns to
+  stopAtTrackEnd: false, // Set by the sleep timer to stop instead of advancing when the track ends
+  supportsAutoplay: false, // Whether the browser let a test clip play without a user gesture
+  audioUnlocked: false, // Set once a user gesture has let the audio element play
+  unlockAttempts: 0, // User gestures spent trying to unlock audio
   
   // Mode state
   isXRMode: false,
+  isImmersiveVR: false, // True while a WebXR immersive-vr session is running
+  currentTrackIsXROnly: false, // The current track has a 360° scene and no audio
   isAudioPreloaded: false,
   isVideoPreloaded: false,
   
@@ -32,7 +51,80 @@ export const PlayerState = {
   currentTrackIndex: -1,
   currentPlaylistView: "folders",
   rawTrackData: [], // Store original unmodified track data
+  playlistValidation: null, // Last validation report for playlist.json
+  baseMap: null, // URL of the bundled GeoJSON base map from playlist.json base_map
+  embedOrigins: [], // Host page origins from playlist.json embed_origins
   
+  // Location state
+  visitorPosition: null // Latest { lat, lng, accuracy } from geofencing.js
+};
+
+// Values computed from the state, read like keys
+const DERIVED_STATE = {
+  currentTrack: state => state.playlist[state.currentTrackIndex] || null,
+  isPlaying: state => isPlayingState(state.playbackState, state.playbackResumeState),
+  isSeeking: state => state.playbackState === PLAYBACK_STATES.SEEKING
+};
+
+// Keys remembered between visits, with their localStorage keys
+const PERSISTED_KEYS = {
+  currentPlaylistView: 'player.playlistView'
+};
+
+// Set this localStorage key to "true" to log every state change to the console
+const DEBUG_STORAGE_KEY = 'player.debugState';
+
+const hasStorage = typeof localStorage !== 'undefined';
+
+export const store = createStore(INITIAL_STATE, { derived: DERIVED_STATE });
+
+if (hasStorage) {
+  if (localStorage.getItem(DEBUG_STORAGE_KEY) === 'true') {
+    store.use(createLoggerMiddleware());
+  }
+  
+  store.set(loadPersistedState(localStorage, PERSISTED_KEYS), { source: 'storage' });
+  store.use(createPersistMiddleware(localStorage, PERSISTED_KEYS));
+}
+
+// Only the playback machine moves the playback state, so every change is in its log
+store.use((changes, context, next) => {
+  if (('playbackState' in changes || 'playbackResumeState' in changes) &&
+      context.meta.source !== 'playback') {
+    throw new Error('Playback state changes go through PlayerState.transition()');
+  }
+  return next(changes);
+});
+
+store.use((changes, context, next) => {
+  const records = next(changes);
+  if (records.length > 0) {
+    emit('player-state-changed', { changes: records, source: context.meta.source || null });
+  }
+  return records;
+});
+
+export const playbackMachine = createPlaybackMachine(store);
+
+// Modules that only care whether media is playing listen for playback-state-changed
+store.subscribe('isPlaying', isPlaying => {
+  emit('playback-state-changed', { isPlaying });
+});
+
+/**
+ * Announce a state change through the media adapter, once there is one
+ * @param {string} name - Event name
+ * @param {Object} detail - Event detail
+ */
+function emit(name, detail) {
+  const adapter = getMediaAdapter();
+  if (adapter) {
+    adapter.emit(name, detail);
+  }
+}
+
+// Player state object
+export const PlayerState = {
   // UI elements (to be populated after DOM is loaded)
   elements: {
     message: null,
@@ -56,59 +148,89 @@ export const PlayerState = {
     exitXRBtn: null,
     sceneName: null,
     playlistName: null,
-    recenterCameraBtn: null
+    recenterCameraBtn: null,
+    enterVRBtn: null
+  },
+  
+  /**
+   * Change one or more state keys
+   * @param {Object} changes - New values by key
+   * @param {Object} [meta] - Describes the change for middleware, e.g. { source: 'geofencing' }
+   * @returns {Array<Object>} { key, value, previous } for each key that changed
+   */
+  set(changes, meta) {
+    return store.set(changes, meta);
+  },
+  
+  /**
+   * Call a listener when a key, derived value or selection changes
+   * @param {string|Function} selector - Key or derived value name, or (state) => value
+   * @param {Function} listener - Called with (value, previous)
+   * @param {Object} [options] - { equals } comparison, Object.is by default
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(selector, listener, options) {
+    return store.subscribe(selector, listener, options);
+  },
+  
+  /**
+   * Request a playback transition (see PLAYBACK_TRANSITIONS in utils/playback-machine.js)
+   * Announced as playback-transition with { event, from, to } when the machine accepts it.
+   * @param {string} event - Event name, e.g. 'play', 'seek' or 'switchToXR'
+   * @param {Object} [detail] - Kept in the event log
+   * @returns {boolean} Whether the transition was accepted
+   */
+  transition(event, detail) {
+    const entry = playbackMachine.send(event, detail);
+    if (entry.accepted) {
+      emit('playback-transition', { event, from: entry.from, to: entry.to });
+    }
+    return entry.accepted;
+  },
+  
+  /**
+   * Recent playback transitions, accepted or not, for debugging
+   * @returns {Array<Object>} { time, event, from, to, accepted, detail }, oldest first
+   */
+  getPlaybackLog() {
+    return playbackMachine.getLog();
   },
   
   // Methods to update state
   setActiveMediaElement(element) {
-    this.activeMediaElement = element;
+    store.set({ activeMediaElement: element });
     // Dispatch event for other modules to react
-    document.dispatchEvent(new CustomEvent('active-media-changed', { 
-      detail: { element } 
-    }));
+    emit('active-media-changed', { element });
   },
   
-  setPlaybackState(isPlaying) {
-    this.isPlaying = isPlaying;
+  setXRMode(isXRMode) {
+    store.set({ isXRMode });
     // Dispatch event for other modules to react
-    document.dispatchEvent(new CustomEvent('playback-state-changed', { 
-      detail: { isPlaying } 
-    }));
+    emit('xr-mode-changed', { isXRMode });
   },
   
-  setXRMode(isXRMode) {
-    this.isXRMode = isXRMode;
+  setImmersiveVR(isImmersiveVR) {
+    store.set({ isImmersiveVR });
     // Dispatch event for other modules to react
-    document.dispatchEvent(new CustomEvent('xr-mode-changed', { 
-      detail: { isXRMode } 
-    }));
+    emit('immersive-vr-changed', { isImmersiveVR });
   },
   
   setCurrentTrack(index) {
-    this.currentTrackIndex = index;
+    store.set({ currentTrackIndex: index });
     // Dispatch event for other modules to react
-    document.dispatchEvent(new CustomEvent('current-track-changed', { 
-      detail: { 
-        index,
-        track: this.playlist[index] || null
-      } 
-    }));
+    emit('current-track-changed', { index, track: this.currentTrack });
   },
   
   setPlaylist(playlist) {
-    this.playlist = playlist;
+    store.set({ playlist });
     // Dispatch event for other modules to react
-    document.dispatchEvent(new CustomEvent('playlist-updated', { 
-      detail: { playlist } 
-    }));
+    emit('playlist-updated', { playlist });
   },
   
   setCurrentPlaylistView(view) {
-    this.currentPlaylistView = view;
+    store.set({ currentPlaylistView: view });
     // Dispatch event for other modules to react
-    document.dispatchEvent(new CustomEvent('playlist-view-changed', { 
-      detail: { view } 
-    }));
+    emit('playlist-view-changed', { view });
   },
   
   // Initialize UI element references
@@ -136,12 +258,30 @@ export const PlayerState = {
     this.elements.sceneName = document.getElementById('sceneName');
     this.elements.playlistName = document.getElementById('playlistName');
     this.elements.recenterCameraBtn = document.getElementById('recenterCameraBtn');
-    
-    // Initialize media elements
-    this.audio = document.getElementById('audioElement');
-    this.video = document.getElementById('video360');
+    this.elements.enterVRBtn = document.getElementById('enterVRBtn');
     
     // Set active media element to audio by default
-    this.activeMediaElement = this.audio;
+    store.set({ activeMediaElement: this.audio });
   }
-}; 
\ No newline at end of file
+};
+
+// State keys and derived values read through to the store; they have no setter, so an
+// assignment like PlayerState.isXRMode = true fails instead of bypassing it
+Object.keys(INITIAL_STATE).concat(Object.keys(DERIVED_STATE)).forEach(key => {
+  Object.defineProperty(PlayerState, key, {
+    enumerable: true,
+    get: () => store.get(key)
+  });
+});
+
+// The media elements come from the media adapter (utils/media-adapter.js), so the same
+// code drives the page's elements or test fakes
+['audio', 'video'].forEach(key => {
+  Object.defineProperty(PlayerState, key, {
+    enumerable: true,
+    get: () => {
+      const adapter = getMediaAdapter();
+      return adapter ? adapter[key] : null;
+    }
+  });
+});
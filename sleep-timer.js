@@ -0,0 +1,252 @@
+/**
+ * Sleep Timer Module
+ * Pauses the tour after 5 to 60 minutes, or at the end of the current chapter, fading the
+ * volume out over the last few seconds
+ *
+ * A timed stop pauses through togglePlayPause, like the play button. The "end of chapter"
+ * option sets PlayerState.stopAtTrackEnd so handleMediaEnded stops instead of advancing.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { togglePlayPause } from './player-core.js';
+import { formatTime } from './utils/format-utils.js';
+import { showMessage } from './utils/messaging.js';
+import { t } from './utils/i18n.js';
+
+// Options offered in the picker, in minutes
+const TIMER_MINUTES = [5, 15, 30, 60];
+const END_OF_CHAPTER = 'chapter';
+const OFF = 'off';
+
+// Seconds over which the volume fades out before stopping
+const FADE_DURATION_SEC = 8;
+
+// How often the countdown and fade update
+const TICK_MS = 250;
+
+// Active option: a number of minutes, END_OF_CHAPTER, or null when off
+let timerOption = null;
+
+// When a timed stop is due, as a Date.now() timestamp
+let stopAt = 0;
+
+let tickInterval = null;
+
+// Each element's volume before the fade began, so it can be put back
+let volumesBeforeFade = null;
+
+/**
+ * Set up the sleep timer picker
+ */
+export function setupSleepTimer() {
+  console.log('Setting up sleep timer...');
+
+  try {
+    const select = document.getElementById('sleepTimerSelect');
+    if (select) {
+      renderSleepTimerPicker();
+      select.classList.add('available');
+      select.addEventListener('change', () => setSleepTimer(select.value));
+    }
+
+    // handleMediaEnded stopped at the end of the chapter
+    document.addEventListener('sleep-timer-ended', () => finishSleepTimer(true));
+
+    document.addEventListener('ui-language-changed', renderSleepTimerPicker);
+
+    console.log('Sleep timer setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupSleepTimer' });
+  }
+}
+
+/**
+ * Start, change or cancel the sleep timer
+ * @param {string|number} option - Minutes, "chapter" for the end of the current chapter, or "off"
+ */
+export function setSleepTimer(option) {
+  cancelTimer();
+
+  if (option === OFF || option === null) {
+    console.log('Sleep timer off');
+    showMessage(t('sleep.cancelled'), 2000);
+    updateSleepTimerUI();
+    return;
+  }
+
+  if (option === END_OF_CHAPTER) {
+    timerOption = END_OF_CHAPTER;
+    PlayerState.set({ stopAtTrackEnd: true });
+    showMessage(t('sleep.setChapter'), 2000);
+  } else {
+    const minutes = Number(option);
+    if (!TIMER_MINUTES.includes(minutes)) {
+      console.warn(`Unsupported sleep timer option: ${option}`);
+      updateSleepTimerUI();
+      return;
+    }
+
+    timerOption = minutes;
+    stopAt = Date.now() + minutes * 60 * 1000;
+    showMessage(t('sleep.setMinutes', { count: minutes }), 2000);
+  }
+
+  console.log(`Sleep timer set: ${timerOption === END_OF_CHAPTER ? 'end of chapter' : `${timerOption} min`}`);
+
+  tickInterval = setInterval(tick, TICK_MS);
+  tick();
+}
+
+/**
+ * Get the real time left before the timer stops playback
+ * @returns {number|null} Seconds left, or null if off or not yet known
+ */
+export function getSleepTimerRemaining() {
+  if (timerOption === null) return null;
+
+  if (timerOption !== END_OF_CHAPTER) {
+    return Math.max(0, (stopAt - Date.now()) / 1000);
+  }
+
+  const mediaElement = PlayerState.activeMediaElement;
+  if (!mediaElement || !Number.isFinite(mediaElement.duration)) return null;
+
+  // Media time left, converted to real time at the current speed
+  return Math.max(0, mediaElement.duration - mediaElement.currentTime) / (mediaElement.playbackRate || 1);
+}
+
+/**
+ * Update the countdown, fade the volume near the end and stop when time is up
+ */
+function tick() {
+  const remaining = getSleepTimerRemaining();
+  updateSleepTimerUI(remaining);
+
+  if (timerOption !== END_OF_CHAPTER && remaining <= 0) {
+    stopPlayback();
+    return;
+  }
+
+  const isPlaying = PlayerState.activeMediaElement && !PlayerState.activeMediaElement.paused;
+
+  if (isPlaying && remaining !== null && remaining <= FADE_DURATION_SEC) {
+    setFadeLevel(remaining / FADE_DURATION_SEC);
+  } else if (volumesBeforeFade) {
+    // Seeked back out of the fade, or paused during it
+    restoreVolumes();
+  }
+}
+
+/**
+ * Pause playback when a timed stop is due
+ */
+function stopPlayback() {
+  console.log('Sleep timer: stopping playback');
+
+  // Same path as the play button, so PlayerState.isPlaying and the controls stay in step
+  if (PlayerState.activeMediaElement && !PlayerState.activeMediaElement.paused) {
+    togglePlayPause();
+  }
+
+  finishSleepTimer(true);
+}
+
+/**
+ * Clear the timer once it has stopped playback
+ * @param {boolean} announce - Whether to tell the listener the timer ended
+ */
+function finishSleepTimer(announce) {
+  cancelTimer();
+  updateSleepTimerUI();
+
+  if (announce) {
+    showMessage(t('sleep.ended'), 3000);
+  }
+}
+
+/**
+ * Stop the countdown and put the volume back
+ */
+function cancelTimer() {
+  if (tickInterval) {
+    clearInterval(tickInterval);
+    tickInterval = null;
+  }
+
+  timerOption = null;
+  stopAt = 0;
+  PlayerState.set({ stopAtTrackEnd: false });
+  restoreVolumes();
+}
+
+/**
+ * Lower both media elements' volume toward silence
+ * iOS ignores scripted volume changes, so there the stop is abrupt.
+ * @param {number} level - Fraction of the original volume, from 0 to 1
+ */
+function setFadeLevel(level) {
+  const elements = [PlayerState.audio, PlayerState.video].filter(Boolean);
+
+  if (!volumesBeforeFade) {
+    volumesBeforeFade = new Map(elements.map(element => [element, element.volume]));
+  }
+
+  elements.forEach(element => {
+    const original = volumesBeforeFade.has(element) ? volumesBeforeFade.get(element) : 1;
+    element.volume = Math.min(1, Math.max(0, original * level));
+  });
+}
+
+/**
+ * Put the media elements' volume back to where it was before the fade
+ */
+function restoreVolumes() {
+  if (!volumesBeforeFade) return;
+
+  volumesBeforeFade.forEach((volume, element) => {
+    element.volume = volume;
+  });
+  volumesBeforeFade = null;
+}
+
+/**
+ * Fill the sleep timer picker with its options
+ */
+function renderSleepTimerPicker() {
+  const select = document.getElementById('sleepTimerSelect');
+  if (!select) return;
+
+  const options = [[OFF, t('sleep.off')]]
+    .concat(TIMER_MINUTES.map(minutes => [String(minutes), t('sleep.minutes', { count: minutes })]))
+    .concat([[END_OF_CHAPTER, t('sleep.endOfChapter')]]);
+
+  select.innerHTML = '';
+  options.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+
+  updateSleepTimerUI(getSleepTimerRemaining());
+}
+
+/**
+ * Reflect the timer in the picker and show the time left
+ * @param {number|null} [remaining] - Seconds left, or null if off or not yet known
+ */
+function updateSleepTimerUI(remaining = null) {
+  const select = document.getElementById('sleepTimerSelect');
+  if (select) {
+    select.value = timerOption === null ? OFF : String(timerOption);
+    select.classList.toggle('active', timerOption !== null);
+  }
+
+  const countdown = document.getElementById('sleepTimerRemaining');
+  if (countdown) {
+    const showCountdown = timerOption !== null && remaining !== null;
+    countdown.classList.toggle('available', showCountdown);
+    countdown.textContent = showCountdown ? formatTime(Math.ceil(remaining)) : '';
+  }
+}
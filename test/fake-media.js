@@ -0,0 +1,255 @@
+/**
+ * Fake Media Module
+ * Stand-ins for the audio and video elements and a media adapter (utils/media-adapter.js)
+ * that records what the player core asks of the page, for tests under Node
+ *
+ * Run the tests from the repository root with `node --test` (Node 20 or later).
+ */
+
+import { setMediaAdapter } from '../utils/media-adapter.js';
+import { store, playbackMachine } from '../shared-state.js';
+
+// Base URL the fakes resolve media sources against, like the page's document.baseURI
+export const FAKE_BASE_URL = 'https://player.test/';
+
+/**
+ * Create a fake media element
+ * It starts empty and paused. play() resolves (or rejects with playError), load() resets
+ * the element, and the test moves it along with finishLoading, advance and fail.
+ * @returns {Object} Fake HTMLMediaElement
+ */
+export function createFakeMediaElement() {
+  const listeners = new Map();
+  let srcAttribute = null;
+
+  const element = {
+    currentSrc: '',
+    currentTime: 0,
+    duration: NaN,
+    paused: true,
+    ended: false,
+    muted: false,
+    volume: 1,
+    playbackRate: 1,
+    readyState: 0,
+    error: null,
+
+    // Set to an Error to make play() reject, like a browser blocking autoplay
+    playError: null,
+
+    get src() {
+      return srcAttribute === null ? '' : srcAttribute;
+    },
+
+    set src(value) {
+      srcAttribute = String(value);
+    },
+
+    getAttribute(name) {
+      return name === 'src' ? srcAttribute : null;
+    },
+
+    removeAttribute(name) {
+      if (name === 'src') {
+        srcAttribute = null;
+      }
+    },
+
+    load() {
+      element.currentSrc = srcAttribute ? new URL(srcAttribute, FAKE_BASE_URL).href : '';
+      element.currentTime = 0;
+      element.duration = NaN;
+      element.paused = true;
+      element.ended = false;
+      element.readyState = 0;
+      element.error = null;
+    },
+
+    play() {
+      if (element.playError) {
+        return Promise.reject(element.playError);
+      }
+
+      if (element.paused) {
+        element.paused = false;
+        element.ended = false;
+        element.dispatchEvent('play');
+        element.dispatchEvent('playing');
+      }
+      return Promise.resolve();
+    },
+
+    pause() {
+      if (!element.paused) {
+        element.paused = true;
+        element.dispatchEvent('pause');
+      }
+    },
+
+    addEventListener(type, listener, options = {}) {
+      if (!listeners.has(type)) {
+        listeners.set(type, []);
+      }
+      listeners.get(type).push({ listener, once: Boolean(options.once) });
+    },
+
+    removeEventListener(type, listener) {
+      if (!listeners.has(type)) return;
+      listeners.set(type, listeners.get(type).filter(entry => entry.listener !== listener));
+    },
+
+    /**
+     * Call the listeners for an event
+     * @param {string} type - Event type, e.g. 'ended'
+     */
+    dispatchEvent(type) {
+      const event = { type, target: element };
+
+      (listeners.get(type) || []).slice().forEach(entry => {
+        if (entry.once) {
+          element.removeEventListener(type, entry.listener);
+        }
+        entry.listener.call(element, event);
+      });
+    },
+
+    /**
+     * Finish loading the source, as far as canplaythrough
+     * @param {number} [duration=60] - Media duration in seconds
+     */
+    finishLoading(duration = 60) {
+      element.duration = duration;
+      element.readyState = 4;
+      ['loadedmetadata', 'canplay', 'canplaythrough'].forEach(type => element.dispatchEvent(type));
+    },
+
+    /**
+     * Play on for a while, ending the media if it runs out
+     * @param {number} seconds - Wall-clock seconds; media time moves at playbackRate
+     */
+    advance(seconds) {
+      if (element.paused) return;
+
+      element.currentTime = Math.min(element.currentTime + seconds * element.playbackRate, element.duration);
+      element.dispatchEvent('timeupdate');
+
+      if (element.currentTime >= element.duration) {
+        element.paused = true;
+        element.ended = true;
+        element.dispatchEvent('ended');
+      }
+    },
+
+    /**
+     * Fail to load the source
+     * @param {number} [code=4] - MediaError code; 4 is MEDIA_ERR_SRC_NOT_SUPPORTED
+     */
+    fail(code = 4) {
+      element.error = { code };
+      element.dispatchEvent('error');
+    }
+  };
+
+  return element;
+}
+
+/**
+ * Create a fake media adapter
+ * Besides the adapter members it records what the core did: every event in events, the
+ * exit XR button's visibility, whether the page is marked XR-only, and the probe videos
+ * xr-mode.js created.
+ * @returns {Object} Fake media adapter
+ */
+export function createFakeMediaAdapter() {
+  return {
+    audio: createFakeMediaElement(),
+    video: createFakeMediaElement(),
+
+    events: [],
+    exitXRVisible: true,
+    isXROnlyTrack: false,
+    probes: [],
+
+    emit(name, detail) {
+      this.events.push({ name, detail });
+    },
+
+    resolveUrl(src) {
+      return new URL(src, FAKE_BASE_URL).href;
+    },
+
+    loadVideo(src) {
+      this.video.src = src;
+      this.video.load();
+    },
+
+    createProbeVideo() {
+      const probe = createFakeMediaElement();
+      this.probes.push(probe);
+      return probe;
+    },
+
+    setExitXRVisible(visible) {
+      this.exitXRVisible = visible;
+    },
+
+    setXROnlyTrack(isXROnly) {
+      this.isXROnlyTrack = isXROnly;
+    },
+
+    /**
+     * Get the details of the events emitted with a name
+     * @param {string} name - Event name, e.g. 'current-track-changed'
+     * @returns {Array<Object>} Event details, oldest first
+     */
+    eventsNamed(name) {
+      return this.events.filter(event => event.name === name).map(event => event.detail);
+    }
+  };
+}
+
+/**
+ * Start a test with a fresh fake adapter and the player reset to a playlist
+ * @param {Array<Object>} tracks - Normalized tracks, e.g. { title, audioSrc, videoSrc }
+ * @param {Object} [state] - State to set on top, e.g. { isXRMode: true }; a playbackState
+ *   here starts the playback machine in that state
+ * @returns {Object} The fake adapter, now in use
+ */
+export function setUpFakePlayer(tracks, { playbackState = 'idle', ...state } = {}) {
+  const adapter = createFakeMediaAdapter();
+  setMediaAdapter(adapter);
+
+  playbackMachine.reset(playbackState);
+  store.set({
+    playlist: tracks,
+    currentTrackIndex: tracks.length > 0 ? 0 : -1,
+    activeMediaElement: adapter.audio,
+    stopAtTrackEnd: false,
+    isXRMode: false,
+    isImmersiveVR: false,
+    currentTrackIsXROnly: false,
+    isMobileDevice: false,
+    ...state
+  }, { source: 'test' });
+
+  adapter.events = [];
+  return adapter;
+}
+
+/**
+ * Make a track for tests
+ * @param {string} name - Short name used for the title and media file names
+ * @param {Object} [fields] - Fields to set or override, e.g. { audioSrc: '' } for XR-only
+ * @returns {Object} Normalized track
+ */
+export function createTrack(name, fields = {}) {
+  return {
+    id: name,
+    title: name,
+    playlistName: 'Tour',
+    chapter: 1,
+    audioSrc: `media/${name}.mp3`,
+    videoSrc: `media/${name}.mp4`,
+    ...fields
+  };
+}
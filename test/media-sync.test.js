@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_SYNC_DIFF_SEC, getSyncTolerance, isVideoMaster, syncMediaPlayback
+} from '../utils/media-sync.js';
+import { setUpFakePlayer, createTrack } from './fake-media.js';
+
+/**
+ * Set up both elements loaded and playing, the given number of seconds apart
+ */
+function startPlaying(adapter, { audioTime, videoTime }) {
+  adapter.audio.src = 'media/a.mp3';
+  adapter.video.src = 'media/a.mp4';
+  adapter.audio.finishLoading(120);
+  adapter.video.finishLoading(120);
+  adapter.audio.currentTime = audioTime;
+  adapter.video.currentTime = videoTime;
+  adapter.audio.paused = false;
+  adapter.video.paused = false;
+}
+
+test('drift beyond MAX_SYNC_DIFF_SEC in XR mode re-seeks the audio to the video', () => {
+  const adapter = setUpFakePlayer([createTrack('a')], { isXRMode: true });
+  startPlaying(adapter, { audioTime: 10, videoTime: 10 + MAX_SYNC_DIFF_SEC + 0.2 });
+
+  syncMediaPlayback();
+
+  assert.equal(adapter.audio.currentTime, adapter.video.currentTime);
+  assert.equal(adapter.video.currentTime, 10 + MAX_SYNC_DIFF_SEC + 0.2);
+});
+
+test('drift in audio mode re-seeks the video to the audio', () => {
+  const adapter = setUpFakePlayer([createTrack('a')]);
+  startPlaying(adapter, { audioTime: 42, videoTime: 40 });
+
+  syncMediaPlayback();
+
+  assert.equal(adapter.video.currentTime, 42);
+  assert.equal(adapter.audio.currentTime, 42);
+});
+
+test('drift within the tolerance is left alone', () => {
+  const adapter = setUpFakePlayer([createTrack('a')], { isXRMode: true });
+  startPlaying(adapter, { audioTime: 10, videoTime: 10 + MAX_SYNC_DIFF_SEC / 2 });
+
+  syncMediaPlayback();
+
+  assert.equal(adapter.audio.currentTime, 10);
+});
+
+test('the tolerance grows with the playback rate', () => {
+  assert.equal(getSyncTolerance(1), MAX_SYNC_DIFF_SEC);
+  assert.equal(getSyncTolerance(0.5), MAX_SYNC_DIFF_SEC);
+  assert.equal(getSyncTolerance(2), MAX_SYNC_DIFF_SEC * 2);
+});
+
+test('the following element takes the leading element\'s playback rate', () => {
+  const adapter = setUpFakePlayer([createTrack('a')]);
+  startPlaying(adapter, { audioTime: 5, videoTime: 5 });
+  adapter.audio.playbackRate = 1.5;
+
+  syncMediaPlayback();
+
+  assert.equal(adapter.video.playbackRate, 1.5);
+});
+
+test('nothing is re-seeked while the listener is seeking', () => {
+  const adapter = setUpFakePlayer([createTrack('a')], { isXRMode: true, playbackState: 'seeking' });
+  startPlaying(adapter, { audioTime: 10, videoTime: 30 });
+
+  syncMediaPlayback();
+
+  assert.equal(adapter.audio.currentTime, 10);
+});
+
+test('the audio leads for photosphere scenes, even in XR mode', () => {
+  const photo = createTrack('photo', { videoSrc: 'media/photo.jpg', projection: 'photo-360' });
+  setUpFakePlayer([photo], { isXRMode: true });
+
+  assert.equal(isVideoMaster(), false);
+});
+
+test('a paused following element is started when the leader is playing', () => {
+  const adapter = setUpFakePlayer([createTrack('a')], { isXRMode: true });
+  startPlaying(adapter, { audioTime: 0, videoTime: 8 });
+  adapter.audio.paused = true;
+
+  syncMediaPlayback();
+
+  assert.equal(adapter.audio.currentTime, 8);
+  assert.equal(adapter.audio.paused, false);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createStore } from '../utils/store.js';
+import {
+  PLAYBACK_STATES, getNextPlaybackState, isPlayingState, createPlaybackMachine
+} from '../utils/playback-machine.js';
+
+function createMachine(options) {
+  const store = createStore({ playbackState: PLAYBACK_STATES.IDLE, playbackResumeState: null });
+  return { store, machine: createPlaybackMachine(store, options) };
+}
+
+test('a track goes from loading to ready to playing', () => {
+  const { store, machine } = createMachine();
+
+  machine.send('load');
+  machine.send('loaded');
+  machine.send('play');
+
+  assert.equal(store.get('playbackState'), 'playing');
+});
+
+test('transitions the current state does not allow are refused and change nothing', () => {
+  const { store, machine } = createMachine();
+
+  const entry = machine.send('play');
+
+  assert.equal(entry.accepted, false);
+  assert.equal(entry.to, null);
+  assert.equal(store.get('playbackState'), 'idle');
+  assert.equal(machine.can('load'), true);
+  assert.equal(machine.can('pause'), false);
+});
+
+test('a second play is refused rather than played twice', () => {
+  const { machine } = createMachine();
+  machine.reset('ready');
+
+  assert.equal(machine.send('play').accepted, true);
+  assert.equal(machine.send('play').accepted, false);
+});
+
+test('a seek goes back to the state it started from', () => {
+  const { store, machine } = createMachine();
+  machine.reset('playing');
+
+  machine.send('seek');
+  assert.equal(store.get('playbackResumeState'), 'playing');
+
+  machine.send('seeked');
+  assert.equal(store.get('playbackState'), 'playing');
+  assert.equal(store.get('playbackResumeState'), null);
+});
+
+test('the element left behind by a mode switch cannot pause playback', () => {
+  const { store, machine } = createMachine();
+  machine.reset('playing');
+
+  machine.send('switchToXR');
+  machine.send('pause');
+  machine.send('switched');
+
+  assert.equal(store.get('playbackState'), 'playing');
+});
+
+test('a failure is reached from any state, and only a new load leaves it', () => {
+  const { store, machine } = createMachine();
+  machine.reset('buffering');
+
+  machine.send('fail', { errorCode: 2 });
+  machine.send('play');
+  assert.equal(store.get('playbackState'), 'error');
+
+  machine.send('load');
+  assert.equal(store.get('playbackState'), 'loading');
+});
+
+test('every request goes in one log, up to its size', () => {
+  const { machine } = createMachine({ logSize: 2 });
+
+  machine.send('load', { index: 1 });
+  machine.send('pause');
+  machine.send('loaded');
+
+  const log = machine.getLog();
+  assert.deepEqual(log.map(entry => [entry.event, entry.from, entry.to, entry.accepted]), [
+    ['pause', 'loading', null, false],
+    ['loaded', 'loading', 'ready', true]
+  ]);
+});
+
+test('hasEntered remembers the states visited since the last reset', () => {
+  const { machine } = createMachine();
+  machine.reset('ready');
+  machine.send('play');
+
+  assert.equal(machine.hasEntered('playing'), true);
+
+  machine.reset();
+  assert.equal(machine.hasEntered('playing'), false);
+});
+
+test('the player counts as playing while playing, buffering, or seeking from either', () => {
+  assert.equal(isPlayingState('playing'), true);
+  assert.equal(isPlayingState('buffering'), true);
+  assert.equal(isPlayingState('seeking', 'playing'), true);
+  assert.equal(isPlayingState('switching-to-xr', 'ready'), false);
+  assert.equal(getNextPlaybackState('seeking', 'seeked', null), 'ready');
+  assert.equal(getNextPlaybackState('ready', 'nonsense'), null);
+});
@@ -0,0 +1,95 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PlayerState } from '../shared-state.js';
+import {
+  getNextTrackIndex, takeNextTrackIndex, getPreviousTrackIndex, getQueue,
+  playNext, addToQueue, removeFromQueue, moveInQueue, clearQueue,
+  setRepeatMode, setShuffle
+} from '../playback-queue.js';
+import { setUpFakePlayer, createTrack } from './fake-media.js';
+
+const tracks = [
+  createTrack('one'),
+  createTrack('two'),
+  createTrack('three'),
+  createTrack('four', { playlistName: 'Other tour' })
+];
+
+let adapter;
+
+beforeEach(() => {
+  adapter = setUpFakePlayer(tracks);
+  clearQueue();
+  setRepeatMode('all');
+  setShuffle(false);
+  adapter.events = [];
+});
+
+test('without a queue the next track follows in playlist order', () => {
+  PlayerState.set({ currentTrackIndex: 1 });
+
+  assert.equal(getNextTrackIndex(), 2);
+});
+
+test('queued tracks play first, in order, and are taken off the queue', () => {
+  addToQueue(3);
+  playNext(2);
+
+  assert.deepEqual(getQueue(), [2, 3]);
+  assert.equal(takeNextTrackIndex(), 2);
+  assert.equal(takeNextTrackIndex(), 3);
+  assert.deepEqual(getQueue(), []);
+});
+
+test('queue changes are announced with queue-changed', () => {
+  addToQueue(2);
+  addToQueue(3);
+  moveInQueue(1, 0);
+  removeFromQueue(1);
+
+  const changes = adapter.eventsNamed('queue-changed').map(detail => detail.queue);
+  assert.deepEqual(changes, [[2], [2, 3], [3, 2], [3]]);
+});
+
+test('repeat one replays the current track when it ends, but not on "next"', () => {
+  setRepeatMode('one');
+  PlayerState.set({ currentTrackIndex: 1 });
+
+  assert.equal(getNextTrackIndex({ isAutoAdvance: true }), 1);
+  assert.equal(getNextTrackIndex(), 2);
+});
+
+test('with repeat off, playback stops at the end of the playlist', () => {
+  setRepeatMode('none');
+  PlayerState.set({ currentTrackIndex: tracks.length - 1 });
+
+  assert.equal(getNextTrackIndex({ isAutoAdvance: true }), null);
+  assert.equal(getNextTrackIndex(), 0);
+});
+
+test('with repeat all, playback wraps to the start', () => {
+  PlayerState.set({ currentTrackIndex: tracks.length - 1 });
+
+  assert.equal(getNextTrackIndex({ isAutoAdvance: true }), 0);
+});
+
+test('previous wraps from the first track to the last', () => {
+  PlayerState.set({ currentTrackIndex: 0 });
+
+  assert.equal(getPreviousTrackIndex(), tracks.length - 1);
+});
+
+test('shuffle plays every track in the current playlist group once', () => {
+  setShuffle(true);
+
+  const played = [0];
+  let index = 0;
+  for (let i = 0; i < 2; i++) {
+    index = getNextTrackIndex({ isAutoAdvance: true });
+    PlayerState.set({ currentTrackIndex: index });
+    played.push(index);
+  }
+
+  assert.deepEqual(played.slice().sort(), [0, 1, 2]);
+});
@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PlayerState } from '../shared-state.js';
+import { togglePlayPause, seekToTime, toggleMute, setupMediaEventListeners } from '../player-core.js';
+import { setUpFakePlayer, createTrack } from './fake-media.js';
+
+const tracks = [createTrack('one'), createTrack('two')];
+
+test('play starts the active element and marks the player as playing', async () => {
+  const adapter = setUpFakePlayer(tracks, { playbackState: 'ready' });
+  setupMediaEventListeners();
+
+  togglePlayPause();
+  await Promise.resolve();
+
+  assert.equal(adapter.audio.paused, false);
+  assert.equal(PlayerState.isPlaying, true);
+  assert.deepEqual(adapter.eventsNamed('playback-state-changed'), [{ isPlaying: true }]);
+});
+
+test('the first play in audio mode unmutes the audio and mutes the video', () => {
+  const adapter = setUpFakePlayer(tracks);
+  adapter.audio.muted = true;
+
+  togglePlayPause();
+
+  assert.equal(adapter.audio.muted, false);
+  assert.equal(adapter.video.muted, true);
+});
+
+test('later plays keep the listener\'s own mute setting', () => {
+  const adapter = setUpFakePlayer(tracks, { playbackState: 'ready' });
+  setupMediaEventListeners();
+  togglePlayPause();
+  togglePlayPause();
+  adapter.audio.muted = true;
+
+  togglePlayPause();
+
+  assert.equal(adapter.audio.muted, true);
+  assert.equal(adapter.video.muted, true);
+});
+
+test('the first play in XR mode unmutes the video and mutes the audio', () => {
+  const adapter = setUpFakePlayer(tracks, { isXRMode: true });
+  PlayerState.set({ activeMediaElement: adapter.video });
+
+  togglePlayPause();
+
+  assert.equal(adapter.video.muted, false);
+  assert.equal(adapter.audio.muted, true);
+  assert.equal(adapter.video.paused, false);
+});
+
+test('pause stops the active element and marks the player as paused', async () => {
+  const adapter = setUpFakePlayer(tracks, { playbackState: 'ready' });
+  setupMediaEventListeners();
+  togglePlayPause();
+  await Promise.resolve();
+
+  togglePlayPause();
+
+  assert.equal(adapter.audio.paused, true);
+  assert.equal(PlayerState.isPlaying, false);
+  assert.equal(PlayerState.playbackState, 'ready');
+});
+
+test('a pause from outside the player, like the lock screen, is picked up', () => {
+  const adapter = setUpFakePlayer(tracks, { playbackState: 'ready' });
+  setupMediaEventListeners();
+  togglePlayPause();
+
+  adapter.audio.pause();
+
+  assert.equal(PlayerState.isPlaying, false);
+});
+
+test('the player counts as playing through a seek, and while buffering', () => {
+  const adapter = setUpFakePlayer(tracks, { playbackState: 'ready' });
+  setupMediaEventListeners();
+  togglePlayPause();
+
+  adapter.audio.dispatchEvent('seeking');
+  assert.equal(PlayerState.isSeeking, true);
+  assert.equal(PlayerState.isPlaying, true);
+
+  adapter.audio.dispatchEvent('seeked');
+  adapter.audio.dispatchEvent('waiting');
+  assert.equal(PlayerState.playbackState, 'buffering');
+  assert.equal(PlayerState.isPlaying, true);
+  assert.equal(adapter.eventsNamed('playback-state-changed').length, 1);
+});
+
+test('the muted element\'s events leave the playback state alone', () => {
+  const adapter = setUpFakePlayer(tracks, { playbackState: 'ready' });
+  setupMediaEventListeners();
+
+  adapter.video.dispatchEvent('playing');
+  adapter.video.dispatchEvent('seeking');
+
+  assert.equal(PlayerState.playbackState, 'ready');
+});
+
+test('a 360° video that fails to load puts the player in the error state', () => {
+  const adapter = setUpFakePlayer(tracks, { isXRMode: true, playbackState: 'loading' });
+  PlayerState.set({ activeMediaElement: adapter.video });
+  setupMediaEventListeners();
+  adapter.video.src = 'media/one.mp4';
+
+  adapter.video.fail(3);
+
+  assert.equal(PlayerState.playbackState, 'error');
+  assert.equal(PlayerState.getPlaybackLog().at(-1).detail.errorCode, 3);
+});
+
+test('play after a failure reloads the track and plays it', async () => {
+  const adapter = setUpFakePlayer(tracks, { isXRMode: true, playbackState: 'loading' });
+  PlayerState.set({ activeMediaElement: adapter.video });
+  setupMediaEventListeners();
+  adapter.video.src = 'media/one.mp4';
+  adapter.video.fail(3);
+
+  togglePlayPause();
+  await Promise.resolve();
+
+  assert.equal(adapter.video.error, null);
+  assert.equal(PlayerState.playbackState, 'playing');
+});
+
+test('seeking moves both elements', () => {
+  const adapter = setUpFakePlayer(tracks);
+  adapter.audio.finishLoading(90);
+  adapter.video.finishLoading(90);
+
+  seekToTime(30);
+
+  assert.equal(adapter.audio.currentTime, 30);
+  assert.equal(adapter.video.currentTime, 30);
+});
+
+test('mute toggles the active element only', () => {
+  const adapter = setUpFakePlayer(tracks);
+
+  toggleMute();
+
+  assert.equal(adapter.audio.muted, true);
+  assert.equal(adapter.video.muted, false);
+});
+
+test('the end of a track is announced with track-ended', () => {
+  const adapter = setUpFakePlayer(tracks, { stopAtTrackEnd: true });
+  setupMediaEventListeners();
+
+  adapter.audio.finishLoading(10);
+  adapter.audio.paused = false;
+  adapter.audio.advance(10);
+
+  assert.deepEqual(adapter.eventsNamed('track-ended'), [{ index: 0, track: tracks[0] }]);
+});
+
+test('the sleep timer\'s end-of-chapter option stops instead of advancing', () => {
+  const adapter = setUpFakePlayer(tracks, { stopAtTrackEnd: true, playbackState: 'playing' });
+  setupMediaEventListeners();
+
+  adapter.audio.dispatchEvent('ended');
+
+  assert.equal(PlayerState.isPlaying, false);
+  assert.equal(PlayerState.stopAtTrackEnd, false);
+  assert.equal(PlayerState.currentTrackIndex, 0);
+  assert.equal(adapter.eventsNamed('sleep-timer-ended').length, 1);
+});
+
+test('the inactive element ending is ignored', () => {
+  const adapter = setUpFakePlayer(tracks, { stopAtTrackEnd: true });
+  setupMediaEventListeners();
+
+  adapter.video.dispatchEvent('ended');
+
+  assert.equal(adapter.eventsNamed('track-ended').length, 0);
+  assert.equal(PlayerState.stopAtTrackEnd, true);
+});
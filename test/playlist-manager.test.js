@@ -0,0 +1,158 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PlayerState } from '../shared-state.js';
+import { loadTrack, loadNextTrack } from '../playlist-manager.js';
+import { addToQueue, clearQueue } from '../playback-queue.js';
+import { setupMediaEventListeners } from '../player-core.js';
+import { setUpFakePlayer, createTrack } from './fake-media.js';
+
+// Loaded up front so loadTrack's dynamic import of it resolves straight away
+import '../xr-mode.js';
+
+const tracks = [
+  createTrack('one'),
+  createTrack('two'),
+  createTrack('scene', { audioSrc: '' })
+];
+
+/**
+ * Let dynamic imports and promise callbacks run
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('loading a track points both elements at its media and announces it', () => {
+  const adapter = setUpFakePlayer(tracks);
+
+  assert.equal(loadTrack(1), true);
+
+  assert.equal(PlayerState.currentTrackIndex, 1);
+  assert.equal(adapter.audio.getAttribute('src'), 'media/two.mp3');
+  assert.equal(adapter.video.getAttribute('src'), 'media/two.mp4');
+  assert.deepEqual(adapter.eventsNamed('current-track-changed'), [
+    { track: tracks[1], index: 1, previousIndex: 0 }
+  ]);
+});
+
+test('loading a track pauses playback until it is asked to play', () => {
+  const adapter = setUpFakePlayer(tracks, { playbackState: 'playing' });
+  setupMediaEventListeners();
+  adapter.audio.paused = false;
+
+  loadTrack(1);
+
+  assert.equal(PlayerState.playbackState, 'loading');
+  assert.equal(PlayerState.isPlaying, false);
+  assert.equal(adapter.audio.paused, true);
+
+  adapter.audio.finishLoading();
+  assert.equal(PlayerState.playbackState, 'ready');
+});
+
+test('autoplay starts the new track as soon as it can play', async () => {
+  const adapter = setUpFakePlayer(tracks);
+  setupMediaEventListeners();
+
+  loadTrack(1, true);
+  await settle();
+  assert.equal(adapter.audio.paused, true);
+
+  adapter.audio.finishLoading();
+  await settle();
+
+  assert.equal(adapter.audio.paused, false);
+  assert.equal(PlayerState.isPlaying, true);
+});
+
+test('a track that is changed again before it loads is not autoplayed', async () => {
+  const adapter = setUpFakePlayer(tracks);
+  setupMediaEventListeners();
+
+  loadTrack(1, true);
+  loadTrack(0);
+  adapter.audio.finishLoading();
+  await settle();
+
+  assert.equal(adapter.audio.paused, true);
+  assert.equal(PlayerState.playbackState, 'ready');
+});
+
+test('an invalid index loads nothing', () => {
+  const adapter = setUpFakePlayer(tracks);
+
+  assert.equal(loadTrack(7), false);
+  assert.equal(PlayerState.currentTrackIndex, 0);
+  assert.equal(adapter.eventsNamed('current-track-changed').length, 0);
+});
+
+test('changing tracks in XR mode returns to audio mode', async () => {
+  const adapter = setUpFakePlayer(tracks, { isXRMode: true });
+  PlayerState.set({ activeMediaElement: adapter.video });
+
+  loadTrack(1);
+  await settle();
+
+  assert.equal(PlayerState.isXRMode, false);
+  assert.equal(PlayerState.activeMediaElement, adapter.audio);
+});
+
+test('changing tracks during an immersive VR session stays in XR mode', async () => {
+  const adapter = setUpFakePlayer(tracks, { isXRMode: true, isImmersiveVR: true });
+  PlayerState.set({ activeMediaElement: adapter.video });
+
+  loadTrack(1);
+  await settle();
+
+  assert.equal(PlayerState.isXRMode, true);
+  assert.equal(PlayerState.activeMediaElement, adapter.video);
+  assert.equal(PlayerState.playbackState, 'loading');
+  assert.ok(PlayerState.getPlaybackLog().every(entry => entry.accepted));
+});
+
+test('an XR-only track opens in XR mode without an exit button', async () => {
+  const adapter = setUpFakePlayer(tracks);
+
+  loadTrack(2);
+  await settle();
+  mock.timers.tick(500);
+  adapter.probes[0].finishLoading();
+
+  assert.equal(PlayerState.isXRMode, true);
+  assert.equal(adapter.exitXRVisible, false);
+});
+
+test('a track with audio clears the XR-only flag of the one before', () => {
+  const adapter = setUpFakePlayer(tracks, { currentTrackIsXROnly: true });
+  adapter.isXROnlyTrack = true;
+
+  loadTrack(1);
+
+  assert.equal(PlayerState.currentTrackIsXROnly, false);
+  assert.equal(adapter.isXROnlyTrack, false);
+});
+
+test('next takes the queued track before the following one', async () => {
+  const adapter = setUpFakePlayer(tracks);
+  clearQueue();
+  addToQueue(2);
+
+  assert.equal(loadNextTrack(false), true);
+
+  assert.equal(PlayerState.currentTrackIndex, 2);
+  assert.equal(adapter.video.getAttribute('src'), 'media/scene.mp4');
+
+  // Let the XR-only track's switch finish while the timers are still mocked
+  await settle();
+  mock.timers.tick(500);
+  adapter.probes[0].finishLoading();
+});
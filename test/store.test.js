@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createStore, createPersistMiddleware, loadPersistedState
+} from '../utils/store.js';
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+function createTrackStore() {
+  return createStore({ playlist: [], currentTrackIndex: -1, view: 'folders' }, {
+    derived: { currentTrack: state => state.playlist[state.currentTrackIndex] || null }
+  });
+}
+
+test('set returns a record for each key that changed', () => {
+  const store = createTrackStore();
+
+  const records = store.set({ currentTrackIndex: 2, view: 'folders' });
+
+  assert.deepEqual(records, [{ key: 'currentTrackIndex', value: 2, previous: -1 }]);
+  assert.equal(store.get('currentTrackIndex'), 2);
+});
+
+test('unknown and derived keys cannot be set', () => {
+  const store = createTrackStore();
+
+  assert.throws(() => store.set({ nope: 1 }), /Unknown state key: nope/);
+  assert.throws(() => store.set({ currentTrack: null }), /derived/);
+});
+
+test('subscribers hear about their key only, with the previous value', () => {
+  const store = createTrackStore();
+  const heard = [];
+  store.subscribe('view', (value, previous) => heard.push([value, previous]));
+
+  store.set({ currentTrackIndex: 0 });
+  store.set({ view: 'list' });
+
+  assert.deepEqual(heard, [['list', 'folders']]);
+});
+
+test('derived values update when the keys they read change', () => {
+  const store = createTrackStore();
+  const heard = [];
+  store.subscribe('currentTrack', track => heard.push(track && track.title));
+
+  store.set({ playlist: [{ title: 'One' }, { title: 'Two' }] });
+  store.set({ currentTrackIndex: 1 });
+
+  assert.deepEqual(heard, ['Two']);
+});
+
+test('selectors are only called back when their result changes', () => {
+  const store = createTrackStore();
+  const heard = [];
+  store.subscribe(state => state.playlist.length, length => heard.push(length));
+
+  store.set({ playlist: [{}] });
+  store.set({ currentTrackIndex: 0 });
+  store.set({ playlist: [{}, {}] });
+
+  assert.deepEqual(heard, [1, 2]);
+});
+
+test('unsubscribing stops the calls', () => {
+  const store = createTrackStore();
+  let calls = 0;
+  const unsubscribe = store.subscribe('view', () => calls++);
+
+  unsubscribe();
+  store.set({ view: 'list' });
+
+  assert.equal(calls, 0);
+});
+
+test('middleware sees the change and its meta, and can drop it', () => {
+  const store = createTrackStore();
+  const sources = [];
+  store.use((changes, { meta }, next) => {
+    sources.push(meta.source);
+    return changes.view === 'blocked' ? [] : next(changes);
+  });
+
+  store.set({ view: 'list' }, { source: 'test' });
+  store.set({ view: 'blocked' });
+
+  assert.deepEqual(sources, ['test', undefined]);
+  assert.equal(store.get('view'), 'list');
+});
+
+test('persisted keys are saved when they change and can be read back', () => {
+  const storage = createMemoryStorage();
+  const store = createTrackStore();
+  store.use(createPersistMiddleware(storage, { view: 'player.view' }));
+
+  store.set({ view: 'list', currentTrackIndex: 3 });
+
+  assert.equal(storage.getItem('player.view'), '"list"');
+  assert.deepEqual(loadPersistedState(storage, { view: 'player.view' }), { view: 'list' });
+});
@@ -0,0 +1,118 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PlayerState } from '../shared-state.js';
+import { switchToXRMode, switchToAudioMode } from '../xr-mode.js';
+import { setUpFakePlayer, createTrack } from './fake-media.js';
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('an XR-only track hides the exit XR button', () => {
+  const adapter = setUpFakePlayer([createTrack('scene', { audioSrc: '' })]);
+
+  switchToXRMode();
+  adapter.probes[0].finishLoading();
+
+  assert.equal(adapter.exitXRVisible, false);
+  assert.equal(adapter.isXROnlyTrack, true);
+  assert.equal(PlayerState.currentTrackIsXROnly, true);
+  assert.equal(PlayerState.isXRMode, true);
+});
+
+test('a track with audio shows the exit XR button and plays from the video', () => {
+  const adapter = setUpFakePlayer([createTrack('street')]);
+
+  switchToXRMode();
+  adapter.probes[0].finishLoading();
+
+  assert.equal(adapter.exitXRVisible, true);
+  assert.equal(adapter.isXROnlyTrack, false);
+  assert.equal(PlayerState.activeMediaElement, adapter.video);
+  assert.equal(adapter.video.getAttribute('src'), 'media/street.mp4');
+  assert.deepEqual(adapter.eventsNamed('xr-mode-changed'), [{ isXRMode: true }]);
+});
+
+test('playback carries on in the 360° scene once the video can play', () => {
+  const adapter = setUpFakePlayer([createTrack('street')], { playbackState: 'playing' });
+  adapter.audio.paused = false;
+
+  switchToXRMode();
+  assert.equal(PlayerState.playbackState, 'switching-to-xr');
+
+  adapter.probes[0].finishLoading();
+  assert.equal(PlayerState.playbackState, 'buffering');
+  assert.equal(adapter.video.paused, true);
+
+  adapter.video.finishLoading();
+
+  assert.equal(adapter.audio.paused, true);
+  assert.equal(adapter.video.paused, false);
+  assert.equal(PlayerState.isPlaying, true);
+});
+
+test('a 360° video that fails to load keeps the listener in audio mode', () => {
+  const adapter = setUpFakePlayer([createTrack('broken')], { playbackState: 'playing' });
+  adapter.audio.paused = false;
+
+  switchToXRMode();
+  adapter.probes[0].fail();
+
+  assert.equal(PlayerState.playbackState, 'playing');
+  assert.equal(PlayerState.isXRMode, false);
+  assert.equal(PlayerState.activeMediaElement, adapter.audio);
+  assert.equal(adapter.audio.paused, false);
+});
+
+test('a slow 360° video is switched to once the preload times out', () => {
+  const adapter = setUpFakePlayer([createTrack('slow')]);
+
+  switchToXRMode();
+  assert.equal(PlayerState.isXRMode, false);
+
+  mock.timers.tick(10000);
+
+  assert.equal(PlayerState.isXRMode, true);
+  assert.equal(adapter.probes[0].getAttribute('src'), null);
+});
+
+test('a video that is already loaded is not reloaded, and picks up the audio position', () => {
+  const adapter = setUpFakePlayer([createTrack('street')]);
+  adapter.video.src = 'media/street.mp4';
+  adapter.video.load();
+  adapter.video.finishLoading(120);
+  adapter.audio.src = 'media/street.mp3';
+  adapter.audio.currentTime = 65;
+
+  switchToXRMode();
+
+  assert.equal(adapter.probes.length, 0);
+  assert.equal(adapter.video.currentTime, 65);
+  assert.equal(PlayerState.isXRMode, true);
+});
+
+test('switching back to audio mode takes the video position', () => {
+  const adapter = setUpFakePlayer([createTrack('street')], { isXRMode: true, playbackState: 'ready' });
+  PlayerState.set({ activeMediaElement: adapter.video });
+  adapter.video.currentTime = 80;
+
+  switchToAudioMode();
+
+  assert.equal(PlayerState.playbackState, 'ready');
+  assert.equal(PlayerState.isXRMode, false);
+  assert.equal(PlayerState.activeMediaElement, adapter.audio);
+  assert.equal(adapter.audio.currentTime, 80);
+});
+
+test('an XR-only track stays in XR mode', () => {
+  setUpFakePlayer([createTrack('scene', { audioSrc: '' })], { isXRMode: true });
+
+  switchToAudioMode();
+
+  assert.equal(PlayerState.isXRMode, true);
+});
@@ -0,0 +1,900 @@
+/**
+ * Tour Map Module
+ * Map panel with the tour's route, a numbered stop for each chapter that has a location,
+ * and the visitor's position
+ *
+ * The map is drawn as SVG from the playlist and a GeoJSON base map bundled with the player
+ * (playlist.json base_map), so it works offline without a tile service. Drag or use the
+ * arrow keys to pan; pinch, scroll or use the buttons to zoom. Tapping a stop plays it.
+ *
+ * Base map and routes live in one layer scaled as a whole, with strokes kept at a constant
+ * width. Stops, labels and the visitor are placed in screen pixels so they stay the same
+ * size at every zoom.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { loadTrack } from './playlist-manager.js';
+import { startGeofencing } from './geofencing.js';
+import { getTrackProgress } from './listening-progress.js';
+import { showMessage } from './utils/messaging.js';
+import { t } from './utils/i18n.js';
+import {
+  projectPoint, metersToWorldUnits, getBounds, getFitScale, projectGeometry
+} from './utils/map-projection.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Pixels kept clear around the route when fitting it in the panel
+const FIT_PADDING_PX = 36;
+
+// Zoom limits in pixels per world unit, from a few kilometers across to a few dozen meters
+const MIN_SCALE = 0.005;
+const MAX_SCALE = 2;
+
+// Zoom factor for a button press or a wheel notch
+const ZOOM_STEP = 1.5;
+
+// Pixels an arrow key pans
+const PAN_STEP_PX = 60;
+
+// Movement that turns a tap into a drag
+const DRAG_THRESHOLD_PX = 6;
+
+// Estimated label width per character, for hiding street names that don't fit
+const LABEL_CHAR_WIDTH_PX = 6;
+
+// World position everything is drawn relative to, so SVG coordinates stay small enough
+// for the single-precision math browsers use for transforms
+let origin = null;
+
+// Base map features as { kind, name, type, lines } with lines in world units
+let baseMapFeatures = [];
+let loadedBaseMapUrl = null;
+
+// Center of the panel in world units, and pixels per world unit
+let view = null;
+let viewportWidth = 0;
+let viewportHeight = 0;
+
+// SVG layers
+let svg = null;
+let worldLayer = null;
+let overlayLayer = null;
+
+// Overlay elements and where they go, as { element, point, minLength }
+let overlayItems = [];
+
+// Pointers down on the map and the gesture they're making
+const pointers = new Map();
+let gesture = null;
+
+// Center on the visitor when their first position arrives after "show my location"
+let isLocating = false;
+
+/**
+ * Set up the tour map panel
+ */
+export function setupTourMap() {
+  console.log('Setting up tour map...');
+
+  try {
+    const viewport = document.getElementById('mapViewport');
+    if (!viewport) {
+      console.log('Tour map panel not found, skipping');
+      return;
+    }
+
+    createMapElements(viewport);
+
+    const mapBtn = document.getElementById('mapBtn');
+    if (mapBtn) {
+      mapBtn.addEventListener('click', toggleMapPanel);
+    }
+
+    const mapClose = document.getElementById('mapClose');
+    if (mapClose) {
+      mapClose.addEventListener('click', hideMapPanel);
+    }
+
+    const controls = {
+      mapZoomIn: () => zoomAround(viewportWidth / 2, viewportHeight / 2, ZOOM_STEP),
+      mapZoomOut: () => zoomAround(viewportWidth / 2, viewportHeight / 2, 1 / ZOOM_STEP),
+      mapFit: fitToTour,
+      mapLocate: showVisitor
+    };
+    Object.keys(controls).forEach(id => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', controls[id]);
+      }
+    });
+
+    document.addEventListener('playlist-updated', () => {
+      view = null;
+      updateMapAvailability();
+      loadBaseMap();
+      renderMap();
+    });
+
+    document.addEventListener('current-track-changed', () => {
+      renderRoutes();
+      renderOverlay();
+      updateNowPlaying();
+    });
+
+    document.addEventListener('visitor-position-changed', () => {
+      if (isLocating) {
+        isLocating = false;
+        centerOnVisitor();
+      }
+      renderOverlay();
+    });
+
+    document.addEventListener('listening-progress-changed', (event) => {
+      if (event.detail.stateChanged) {
+        renderOverlay();
+      }
+    });
+
+    document.addEventListener('narration-language-changed', () => {
+      renderOverlay();
+      updateNowPlaying();
+    });
+
+    document.addEventListener('ui-language-changed', () => {
+      svg.setAttribute('aria-label', t('map.label'));
+      renderOverlay();
+    });
+
+    window.addEventListener('resize', () => {
+      if (isMapOpen()) {
+        measureViewport();
+        applyView();
+      }
+    });
+
+    updateMapAvailability();
+
+    console.log('Tour map setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupTourMap' });
+  }
+}
+
+/**
+ * Create the map SVG and its layers
+ * @param {HTMLElement} viewport - Element the map fills
+ */
+function createMapElements(viewport) {
+  svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'map-canvas');
+  svg.setAttribute('tabindex', '0');
+  svg.setAttribute('role', 'application');
+  svg.setAttribute('aria-label', t('map.label'));
+
+  worldLayer = createSvgElement('g', 'map-world');
+  worldLayer.appendChild(createSvgElement('g', 'map-base'));
+  worldLayer.appendChild(createSvgElement('g', 'map-routes'));
+  svg.appendChild(worldLayer);
+
+  overlayLayer = createSvgElement('g', 'map-overlay');
+  svg.appendChild(overlayLayer);
+
+  // Controls sit on top of the map
+  viewport.insertBefore(svg, viewport.firstChild);
+
+  svg.addEventListener('pointerdown', handlePointerDown);
+  svg.addEventListener('pointermove', handlePointerMove);
+  svg.addEventListener('pointerup', handlePointerUp);
+  svg.addEventListener('pointercancel', handlePointerUp);
+  svg.addEventListener('wheel', handleWheel, { passive: false });
+  svg.addEventListener('keydown', handleKeydown);
+}
+
+/**
+ * Open or close the map panel
+ */
+function toggleMapPanel() {
+  if (isMapOpen()) {
+    hideMapPanel();
+  } else {
+    showMapPanel();
+  }
+}
+
+/**
+ * Open the map panel
+ */
+export function showMapPanel() {
+  const panel = document.getElementById('mapPanel');
+  if (!panel) return;
+
+  panel.classList.add('open');
+  updateNowPlaying();
+
+  // The viewport has no size until the panel is shown
+  measureViewport();
+  renderMap();
+}
+
+/**
+ * Close the map panel
+ */
+function hideMapPanel() {
+  const panel = document.getElementById('mapPanel');
+  if (panel) {
+    panel.classList.remove('open');
+  }
+}
+
+/**
+ * Check whether the map panel is showing
+ * @returns {boolean} Whether the panel is open
+ */
+function isMapOpen() {
+  const panel = document.getElementById('mapPanel');
+  return Boolean(panel && panel.classList.contains('open'));
+}
+
+/**
+ * Show the map button when the playlist has somewhere to show
+ */
+function updateMapAvailability() {
+  const mapBtn = document.getElementById('mapBtn');
+  const hasMap = getStops().length > 0 || PlayerState.playlist.some(track => track.route.length > 1);
+
+  if (mapBtn) {
+    mapBtn.classList.toggle('available', hasMap);
+  }
+
+  if (!hasMap) {
+    hideMapPanel();
+  }
+}
+
+/**
+ * Name the chapter that's playing under the panel title
+ */
+function updateNowPlaying() {
+  const label = document.getElementById('mapNowPlaying');
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+
+  if (label) {
+    label.textContent = track ? track.title : '';
+  }
+}
+
+/**
+ * Fetch the playlist's base map if it has changed
+ */
+async function loadBaseMap() {
+  const url = PlayerState.baseMap;
+  if (url === loadedBaseMapUrl) return;
+
+  loadedBaseMapUrl = url;
+  baseMapFeatures = [];
+
+  if (!url) {
+    renderBaseMap();
+    return;
+  }
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} loading base map`);
+    }
+
+    const data = await response.json();
+
+    // Another playlist was loaded meanwhile
+    if (url !== loadedBaseMapUrl) return;
+
+    baseMapFeatures = (Array.isArray(data.features) ? data.features : [])
+      .filter(feature => feature && feature.geometry)
+      .map(feature => ({
+        kind: (feature.properties && feature.properties.kind) || 'street',
+        name: (feature.properties && feature.properties.name) || '',
+        type: feature.geometry.type,
+        lines: projectGeometry(feature.geometry).map(line => line.map(toWorld))
+      }))
+      .filter(feature => feature.lines.length > 0);
+
+    console.log(`Loaded base map with ${baseMapFeatures.length} features from ${url}`);
+    renderMap();
+  } catch (error) {
+    // The route and stops still make a usable map on their own
+    console.warn(`Could not load base map ${url}:`, error);
+  }
+}
+
+/**
+ * Get the chapters that appear on the map as numbered stops
+ * @returns {Array<Object>} Stops as { track, index, number, point }
+ */
+function getStops() {
+  return PlayerState.playlist
+    .map((track, index) => ({ track, index }))
+    .filter(({ track }) => hasCoordinates(track.location))
+    .map((stop, position) => ({
+      ...stop,
+      number: position + 1,
+      point: toWorld(projectPoint(stop.track.location.lat, stop.track.location.lng))
+    }));
+}
+
+/**
+ * Check that a location has usable coordinates; the geofence radius is optional here
+ * @param {Object} location - Location from the track
+ * @returns {boolean} Whether the location can be drawn
+ */
+function hasCoordinates(location) {
+  return Boolean(location) &&
+    Number.isFinite(location.lat) && Math.abs(location.lat) <= 90 &&
+    Number.isFinite(location.lng) && Math.abs(location.lng) <= 180;
+}
+
+/**
+ * Convert a projected point into the map's drawing coordinates
+ * @param {Object} point - Point from projectPoint
+ * @returns {Object} { x, y } relative to the map origin
+ */
+function toWorld(point) {
+  if (!origin) {
+    origin = { x: point.x, y: point.y };
+  }
+  return { x: point.x - origin.x, y: point.y - origin.y };
+}
+
+/**
+ * Convert a route's [lat, lng] points into drawing coordinates
+ * @param {Array<Array<number>>} route - Route from the track
+ * @returns {Array<Object>} Points as { x, y }
+ */
+function routeToWorld(route) {
+  return route.map(([lat, lng]) => toWorld(projectPoint(lat, lng)));
+}
+
+/**
+ * Redraw everything, fitting the tour into view the first time
+ */
+function renderMap() {
+  if (!svg || !isMapOpen()) return;
+
+  if (!view) {
+    fitToTour();
+  }
+
+  renderBaseMap();
+  renderRoutes();
+  renderOverlay();
+}
+
+/**
+ * Draw the base map's streets and areas
+ */
+function renderBaseMap() {
+  const layer = worldLayer && worldLayer.querySelector('.map-base');
+  if (!layer) return;
+
+  layer.innerHTML = '';
+
+  // Areas first so streets draw over them
+  const ordered = baseMapFeatures
+    .filter(feature => feature.type !== 'Point' && feature.type !== 'MultiPoint')
+    .sort((a, b) => Number(isArea(b)) - Number(isArea(a)));
+
+  ordered.forEach(feature => {
+    const path = createSvgElement('path', `${isArea(feature) ? 'map-area' : 'map-street'} map-${feature.kind}`);
+    path.setAttribute('d', feature.lines.map(line => toPathData(line, isArea(feature))).join(' '));
+    layer.appendChild(path);
+  });
+}
+
+/**
+ * Draw the route legs, highlighting the one leading to the current chapter
+ */
+function renderRoutes() {
+  const layer = worldLayer && worldLayer.querySelector('.map-routes');
+  if (!layer) return;
+
+  layer.innerHTML = '';
+
+  PlayerState.playlist.forEach((track, index) => {
+    if (track.route.length < 2) return;
+
+    const path = createSvgElement('path', index === PlayerState.currentTrackIndex ? 'map-route active' : 'map-route');
+    path.setAttribute('d', toPathData(routeToWorld(track.route), false));
+    layer.appendChild(path);
+  });
+}
+
+/**
+ * Create the stops, labels and visitor marker, then place them
+ */
+function renderOverlay() {
+  if (!overlayLayer || !isMapOpen()) return;
+
+  // Redrawing replaces the stops, so keep keyboard focus on the same one
+  const focusedStop = document.activeElement && document.activeElement.closest ?
+    document.activeElement.closest('.map-stop') : null;
+  const focusedIndex = focusedStop && overlayLayer.contains(focusedStop) ? focusedStop.dataset.index : null;
+
+  overlayLayer.innerHTML = '';
+  overlayItems = [];
+
+  // Street, area and landmark names under everything else
+  baseMapFeatures.forEach(feature => {
+    if (!feature.name) return;
+
+    const placement = getLabelPlacement(feature);
+    if (!placement) return;
+
+    const label = createSvgElement('text', `map-label map-label-${feature.kind}`);
+    label.textContent = feature.name;
+    label.setAttribute('aria-hidden', 'true');
+    overlayLayer.appendChild(label);
+    overlayItems.push({ element: label, ...placement, minLength: feature.name.length * LABEL_CHAR_WIDTH_PX });
+  });
+
+  const visitor = createVisitorMarker();
+  if (visitor) {
+    overlayLayer.appendChild(visitor.element);
+    overlayItems.push(visitor);
+  }
+
+  // Stops on top, the current chapter last so it's never covered
+  const stops = getStops().sort((a, b) =>
+    Number(a.index === PlayerState.currentTrackIndex) - Number(b.index === PlayerState.currentTrackIndex));
+
+  stops.forEach(stop => {
+    const element = createStopMarker(stop);
+    overlayLayer.appendChild(element);
+    overlayItems.push({ element, point: stop.point });
+
+    if (String(stop.index) === focusedIndex) {
+      element.focus();
+    }
+  });
+
+  applyView();
+}
+
+/**
+ * Create a numbered stop
+ * @param {Object} stop - Stop from getStops
+ * @returns {SVGElement} The stop marker
+ */
+function createStopMarker(stop) {
+  const isCurrent = stop.index === PlayerState.currentTrackIndex;
+  const isCompleted = getTrackProgress(stop.track).state === 'completed';
+
+  const marker = createSvgElement('g', 'map-stop');
+  marker.classList.toggle('active', isCurrent);
+  marker.classList.toggle('completed', isCompleted);
+  marker.dataset.index = stop.index;
+  marker.setAttribute('tabindex', '0');
+  marker.setAttribute('role', 'button');
+  marker.setAttribute('aria-label', t(isCompleted ? 'map.stopCompleted' : 'map.stop', {
+    number: stop.number,
+    title: stop.track.title
+  }));
+  if (isCurrent) {
+    marker.setAttribute('aria-current', 'true');
+  }
+
+  const title = createSvgElement('title');
+  title.textContent = stop.track.title;
+  marker.appendChild(title);
+
+  const circle = createSvgElement('circle');
+  circle.setAttribute('r', isCurrent ? '15' : '12');
+  marker.appendChild(circle);
+
+  const number = createSvgElement('text');
+  number.setAttribute('text-anchor', 'middle');
+  number.setAttribute('dominant-baseline', 'central');
+  number.textContent = String(stop.number);
+  marker.appendChild(number);
+
+  return marker;
+}
+
+/**
+ * Create the marker for the visitor's position, with a circle showing its accuracy
+ * @returns {Object|null} Overlay item, or null if the position isn't known
+ */
+function createVisitorMarker() {
+  const position = PlayerState.visitorPosition;
+  if (!position) return null;
+
+  const marker = createSvgElement('g', 'map-visitor');
+  marker.setAttribute('role', 'img');
+  marker.setAttribute('aria-label', t('map.you'));
+
+  const accuracy = createSvgElement('circle', 'map-visitor-accuracy');
+  marker.appendChild(accuracy);
+
+  const dot = createSvgElement('circle', 'map-visitor-dot');
+  dot.setAttribute('r', '7');
+  marker.appendChild(dot);
+
+  return {
+    element: marker,
+    point: toWorld(projectPoint(position.lat, position.lng)),
+    accuracy,
+    accuracyUnits: metersToWorldUnits(position.accuracy || 0, position.lat)
+  };
+}
+
+/**
+ * Decide where a base map feature's name goes
+ * Streets are labeled along their longest segment, areas at their middle.
+ * @param {Object} feature - Base map feature
+ * @returns {Object|null} { point, segment } with segment as [from, to] for streets
+ */
+function getLabelPlacement(feature) {
+  const points = feature.lines.flat();
+  if (points.length === 0) return null;
+
+  if (feature.type === 'Point' || feature.type === 'MultiPoint' || isArea(feature)) {
+    const bounds = getBounds(points);
+    return { point: { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 } };
+  }
+
+  let longest = null;
+  feature.lines.forEach(line => {
+    for (let i = 1; i < line.length; i++) {
+      const length = Math.hypot(line[i].x - line[i - 1].x, line[i].y - line[i - 1].y);
+      if (!longest || length > longest.length) {
+        longest = { from: line[i - 1], to: line[i], length };
+      }
+    }
+  });
+
+  if (!longest) return null;
+
+  return {
+    point: { x: (longest.from.x + longest.to.x) / 2, y: (longest.from.y + longest.to.y) / 2 },
+    segment: [longest.from, longest.to]
+  };
+}
+
+/**
+ * Move the world layer and place the overlay for the current view
+ */
+function applyView() {
+  if (!view || !worldLayer) return;
+
+  const offsetX = viewportWidth / 2 - view.x * view.scale;
+  const offsetY = viewportHeight / 2 - view.y * view.scale;
+  worldLayer.setAttribute('transform', `translate(${offsetX} ${offsetY}) scale(${view.scale})`);
+
+  overlayItems.forEach(item => {
+    const { x, y } = toScreen(item.point);
+
+    if (item.segment) {
+      // Street names follow the street, kept the right way up
+      const [from, to] = item.segment;
+      const length = Math.hypot(to.x - from.x, to.y - from.y) * view.scale;
+      let angle = Math.atan2(to.y - from.y, to.x - from.x) * 180 / Math.PI;
+      if (angle > 90) angle -= 180;
+      if (angle < -90) angle += 180;
+
+      item.element.setAttribute('transform', `translate(${x} ${y}) rotate(${angle})`);
+      item.element.classList.toggle('hidden', length < item.minLength);
+    } else {
+      item.element.setAttribute('transform', `translate(${x} ${y})`);
+    }
+
+    if (item.accuracy) {
+      item.accuracy.setAttribute('r', String(Math.max(item.accuracyUnits * view.scale, 0)));
+    }
+  });
+}
+
+/**
+ * Fit the stops and route (or the base map, if there are none) into the panel
+ */
+function fitToTour() {
+  const points = getStops().map(stop => stop.point)
+    .concat(...PlayerState.playlist.map(track => routeToWorld(track.route)));
+
+  const bounds = getBounds(points.length > 0 ? points : baseMapFeatures.flatMap(feature => feature.lines.flat()));
+  if (!bounds || viewportWidth === 0) return;
+
+  // A single stop would fit at any zoom, so show the streets around it
+  const scale = points.length === 1 ? MAX_SCALE / 4 : getFitScale(bounds, viewportWidth, viewportHeight, FIT_PADDING_PX);
+
+  view = {
+    x: (bounds.minX + bounds.maxX) / 2,
+    y: (bounds.minY + bounds.maxY) / 2,
+    scale: clampScale(scale)
+  };
+  applyView();
+}
+
+/**
+ * Center on the visitor, asking for their location first if it isn't known
+ */
+function showVisitor() {
+  if (PlayerState.visitorPosition) {
+    centerOnVisitor();
+    return;
+  }
+
+  if (!('geolocation' in navigator)) {
+    showMessage(t('map.locationUnavailable'), 3000, true);
+    return;
+  }
+
+  isLocating = true;
+  showMessage(t('map.locating'), 2000);
+  startGeofencing();
+}
+
+/**
+ * Move the map so the visitor is in the middle
+ */
+function centerOnVisitor() {
+  const position = PlayerState.visitorPosition;
+  if (!position || !view) return;
+
+  const point = toWorld(projectPoint(position.lat, position.lng));
+  view = { ...view, x: point.x, y: point.y };
+  applyView();
+}
+
+/**
+ * Zoom in or out, keeping the point under the given screen position still
+ * @param {number} screenX - Horizontal position in the panel, in pixels
+ * @param {number} screenY - Vertical position in the panel, in pixels
+ * @param {number} factor - How much to multiply the scale by
+ */
+function zoomAround(screenX, screenY, factor) {
+  if (!view) return;
+
+  const scale = clampScale(view.scale * factor);
+  const worldX = view.x + (screenX - viewportWidth / 2) / view.scale;
+  const worldY = view.y + (screenY - viewportHeight / 2) / view.scale;
+
+  view = {
+    x: worldX - (screenX - viewportWidth / 2) / scale,
+    y: worldY - (screenY - viewportHeight / 2) / scale,
+    scale
+  };
+  applyView();
+}
+
+/**
+ * Move the map by a number of pixels
+ * @param {number} dx - Pixels to move right
+ * @param {number} dy - Pixels to move down
+ */
+function panBy(dx, dy) {
+  if (!view) return;
+
+  view = { ...view, x: view.x - dx / view.scale, y: view.y - dy / view.scale };
+  applyView();
+}
+
+/**
+ * Start a drag, a pinch or a tap on a stop
+ * @param {PointerEvent} event - pointerdown event
+ */
+function handlePointerDown(event) {
+  if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+  svg.setPointerCapture(event.pointerId);
+  pointers.set(event.pointerId, getPointerPosition(event));
+
+  const stop = event.target.closest && event.target.closest('.map-stop');
+  startGesture(pointers.size === 1 && stop ? Number(stop.dataset.index) : -1);
+}
+
+/**
+ * Pan or pinch-zoom as pointers move
+ * @param {PointerEvent} event - pointermove event
+ */
+function handlePointerMove(event) {
+  if (!pointers.has(event.pointerId) || !gesture) return;
+
+  pointers.set(event.pointerId, getPointerPosition(event));
+  const { center, distance } = getPointerSpread();
+
+  // Small movements still count as a tap
+  if (!gesture.isDragging && Math.hypot(center.x - gesture.center.x, center.y - gesture.center.y) < DRAG_THRESHOLD_PX) {
+    return;
+  }
+
+  gesture.isDragging = true;
+  svg.classList.add('dragging');
+
+  if (pointers.size > 1 && gesture.distance > 0) {
+    zoomAround(center.x, center.y, distance / gesture.distance);
+  }
+  panBy(center.x - gesture.center.x, center.y - gesture.center.y);
+
+  gesture.center = center;
+  gesture.distance = distance;
+}
+
+/**
+ * Finish a gesture, playing the stop if it was tapped
+ * @param {PointerEvent} event - pointerup or pointercancel event
+ */
+function handlePointerUp(event) {
+  if (!pointers.has(event.pointerId)) return;
+
+  pointers.delete(event.pointerId);
+
+  if (gesture && !gesture.isDragging && gesture.stopIndex !== -1 && event.type === 'pointerup') {
+    playStop(gesture.stopIndex);
+  }
+
+  if (pointers.size > 0) {
+    // Carry on panning with the fingers still down
+    startGesture(-1);
+    gesture.isDragging = true;
+  } else {
+    gesture = null;
+    svg.classList.remove('dragging');
+  }
+}
+
+/**
+ * Remember where a gesture started
+ * @param {number} stopIndex - Track index of the stop pressed, or -1
+ */
+function startGesture(stopIndex) {
+  const { center, distance } = getPointerSpread();
+  gesture = { center, distance, stopIndex, isDragging: pointers.size > 1 };
+}
+
+/**
+ * Get the middle of the pointers that are down and how far apart they are
+ * @returns {Object} { center: { x, y }, distance }
+ */
+function getPointerSpread() {
+  const positions = [...pointers.values()];
+  const center = {
+    x: positions.reduce((sum, position) => sum + position.x, 0) / positions.length,
+    y: positions.reduce((sum, position) => sum + position.y, 0) / positions.length
+  };
+  const distance = positions.length > 1 ?
+    Math.hypot(positions[0].x - positions[1].x, positions[0].y - positions[1].y) : 0;
+
+  return { center, distance };
+}
+
+/**
+ * Get a pointer's position within the map
+ * @param {PointerEvent} event - Pointer event
+ * @returns {Object} { x, y } in pixels from the map's top left
+ */
+function getPointerPosition(event) {
+  const rect = svg.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+/**
+ * Zoom with the mouse wheel or a trackpad pinch
+ * @param {WheelEvent} event - wheel event
+ */
+function handleWheel(event) {
+  event.preventDefault();
+
+  const { x, y } = getPointerPosition(event);
+  zoomAround(x, y, Math.pow(ZOOM_STEP, -event.deltaY / 100));
+}
+
+/**
+ * Pan with the arrow keys, zoom with + and -, and play a focused stop with Enter or Space
+ * @param {KeyboardEvent} event - keydown event
+ */
+function handleKeydown(event) {
+  const stop = event.target.closest && event.target.closest('.map-stop');
+
+  const pans = {
+    ArrowLeft: [PAN_STEP_PX, 0],
+    ArrowRight: [-PAN_STEP_PX, 0],
+    ArrowUp: [0, PAN_STEP_PX],
+    ArrowDown: [0, -PAN_STEP_PX]
+  };
+
+  if (stop && (event.key === 'Enter' || event.key === ' ')) {
+    playStop(Number(stop.dataset.index));
+  } else if (pans[event.key]) {
+    panBy(...pans[event.key]);
+  } else if (event.key === '+' || event.key === '=') {
+    zoomAround(viewportWidth / 2, viewportHeight / 2, ZOOM_STEP);
+  } else if (event.key === '-') {
+    zoomAround(viewportWidth / 2, viewportHeight / 2, 1 / ZOOM_STEP);
+  } else {
+    return;
+  }
+
+  // Keep the player's own shortcuts from also handling the key
+  event.preventDefault();
+  event.stopPropagation();
+}
+
+/**
+ * Play the chapter for a stop
+ * @param {number} index - Track index in the flat playlist
+ */
+function playStop(index) {
+  if (!PlayerState.playlist[index]) return;
+
+  window.DIRECT_USER_INTERACTION = true;
+  setTimeout(() => {
+    window.DIRECT_USER_INTERACTION = false;
+  }, 3000);
+
+  loadTrack(index, true);
+}
+
+/**
+ * Read the panel's size
+ */
+function measureViewport() {
+  const rect = svg.getBoundingClientRect();
+  viewportWidth = rect.width;
+  viewportHeight = rect.height;
+}
+
+/**
+ * Convert drawing coordinates into pixels in the panel
+ * @param {Object} point - Point as { x, y }
+ * @returns {Object} { x, y } in pixels
+ */
+function toScreen(point) {
+  return {
+    x: (point.x - view.x) * view.scale + viewportWidth / 2,
+    y: (point.y - view.y) * view.scale + viewportHeight / 2
+  };
+}
+
+/**
+ * Keep a scale within the zoom limits
+ * @param {number} scale - Pixels per world unit
+ * @returns {number} The clamped scale
+ */
+function clampScale(scale) {
+  return Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+}
+
+/**
+ * Check whether a base map feature is an area rather than a line
+ * @param {Object} feature - Base map feature
+ * @returns {boolean} Whether the feature is a polygon
+ */
+function isArea(feature) {
+  return feature.type === 'Polygon' || feature.type === 'MultiPolygon';
+}
+
+/**
+ * Build SVG path data for a line or ring
+ * @param {Array<Object>} points - Points as { x, y }
+ * @param {boolean} closed - Whether to close the path
+ * @returns {string} Path data
+ */
+function toPathData(points, closed) {
+  const data = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${point.x.toFixed(1)} ${point.y.toFixed(1)}`).join(' ');
+  return closed ? `${data} Z` : data;
+}
+
+/**
+ * Create an SVG element
+ * @param {string} tagName - Element name
+ * @param {string} [className] - Classes to set
+ * @returns {SVGElement} The element
+ */
+function createSvgElement(tagName, className) {
+  const element = document.createElementNS(SVG_NS, tagName);
+  if (className) {
+    element.setAttribute('class', className);
+  }
+  return element;
+}
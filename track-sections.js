@@ -0,0 +1,312 @@
+/**
+ * Track Sections Module
+ * Marks a chapter's named sections on the scrubber and steps between them
+ *
+ * Sections are authored in playlist.json as { time, title } and each one runs until the
+ * next. They show as ticks on the scrubber, labelled on hover or long-press, and the
+ * previous/next section buttons beside the playback controls jump between them.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { seekToTime } from './player-core.js';
+import { parseTimeString } from './utils/format-utils.js';
+import { t } from './utils/i18n.js';
+
+// Within this many seconds of a section's start, "previous" goes to the section before it,
+// like the rewind button does for tracks
+const RESTART_THRESHOLD_SEC = 3;
+
+// Sections starting this close after the current time count as already reached
+const SECTION_TOLERANCE_SEC = 0.5;
+
+// How long a touch must be held on a tick to show its label, and how long the label stays
+const LONG_PRESS_MS = 500;
+const LABEL_HIDE_DELAY_MS = 2000;
+
+// Ticks this close to either end of the scrubber align their label inward
+const LABEL_EDGE_PERCENT = 15;
+
+// Sections for the current track, sorted by time
+let sections = [];
+
+let longPressTimer = null;
+let labelHideTimer = null;
+
+/**
+ * Set up the scrubber markers and section buttons
+ */
+export function setupTrackSections() {
+  console.log('Setting up track sections...');
+
+  try {
+    document.addEventListener('current-track-changed', (event) => {
+      sections = normalizeSections(event.detail.track);
+      renderSectionMarkers();
+      updateSectionButtons();
+    });
+
+    // The ticks are placed by duration, which is known once the media's metadata loads
+    [PlayerState.audio, PlayerState.video].forEach(mediaElement => {
+      if (!mediaElement) return;
+      mediaElement.addEventListener('loadedmetadata', handleDurationChange);
+      mediaElement.addEventListener('durationchange', handleDurationChange);
+      mediaElement.addEventListener('timeupdate', updateSectionButtons);
+      mediaElement.addEventListener('seeked', updateSectionButtons);
+    });
+
+    document.addEventListener('xr-mode-changed', renderSectionMarkers);
+    document.addEventListener('ui-language-changed', renderSectionMarkers);
+
+    const prevSectionBtn = document.getElementById('prevSectionBtn');
+    if (prevSectionBtn) {
+      prevSectionBtn.addEventListener('click', goToPreviousSection);
+    }
+
+    const nextSectionBtn = document.getElementById('nextSectionBtn');
+    if (nextSectionBtn) {
+      nextSectionBtn.addEventListener('click', goToNextSection);
+    }
+
+    const markers = document.getElementById('sectionMarkers');
+    if (markers) {
+      markers.addEventListener('click', handleMarkerClick);
+      markers.addEventListener('touchstart', handleMarkerTouchStart, { passive: true });
+      markers.addEventListener('touchend', handleMarkerTouchEnd);
+      markers.addEventListener('touchcancel', cancelLongPress);
+    }
+
+    console.log('Track sections setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupTrackSections' });
+  }
+}
+
+/**
+ * Convert a track's sections into the form used for markers and navigation
+ * @param {Object} track - Normalized track object
+ * @returns {Array<Object>} Sections with numeric time, sorted by time
+ */
+function normalizeSections(track) {
+  if (!track || !Array.isArray(track.sections)) return [];
+
+  return track.sections
+    .filter(section => section && typeof section.title === 'string' && section.title.trim() !== '')
+    .map(section => ({
+      time: typeof section.time === 'number' ? section.time : parseTimeString(String(section.time || '0')),
+      title: section.title.trim()
+    }))
+    .filter(section => Number.isFinite(section.time) && section.time >= 0)
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Get the current track's sections
+ * @returns {Array<Object>} Sections as { time, title }, sorted by time
+ */
+export function getTrackSections() {
+  return sections;
+}
+
+/**
+ * Get the section playing at a time
+ * @param {number} time - Playback time in seconds
+ * @returns {number} Index of the section, or -1 if playback is before the first one
+ */
+export function findSectionIndex(time) {
+  let index = -1;
+
+  for (let i = 0; i < sections.length; i++) {
+    if (sections[i].time > time) break;
+    index = i;
+  }
+
+  return index;
+}
+
+/**
+ * Jump to the start of the current section, or to the previous one near its start
+ */
+export function goToPreviousSection() {
+  const mediaElement = PlayerState.activeMediaElement;
+  if (!mediaElement || sections.length === 0) return;
+
+  const currentTime = mediaElement.currentTime;
+
+  // The latest section start far enough behind, or the start of the track
+  const target = sections
+    .filter(section => section.time < currentTime - RESTART_THRESHOLD_SEC)
+    .pop();
+
+  seekToTime(target ? target.time : 0);
+}
+
+/**
+ * Jump to the start of the next section
+ */
+export function goToNextSection() {
+  const mediaElement = PlayerState.activeMediaElement;
+  if (!mediaElement || sections.length === 0) return;
+
+  const next = getNextSection(mediaElement.currentTime);
+  if (next) {
+    seekToTime(next.time);
+  }
+}
+
+/**
+ * Get the first section starting after a time
+ * @param {number} time - Playback time in seconds
+ * @returns {Object|undefined} The section
+ */
+function getNextSection(time) {
+  const duration = PlayerState.activeMediaElement ? PlayerState.activeMediaElement.duration : NaN;
+
+  return sections.find(section => section.time > time + SECTION_TOLERANCE_SEC &&
+    (!Number.isFinite(duration) || section.time < duration));
+}
+
+/**
+ * Show the section buttons for tracks with sections and disable "next" after the last one
+ */
+function updateSectionButtons() {
+  const hasSections = sections.length > 0;
+  const mediaElement = PlayerState.activeMediaElement;
+
+  const prevSectionBtn = document.getElementById('prevSectionBtn');
+  if (prevSectionBtn) {
+    prevSectionBtn.classList.toggle('available', hasSections);
+  }
+
+  const nextSectionBtn = document.getElementById('nextSectionBtn');
+  if (nextSectionBtn) {
+    nextSectionBtn.classList.toggle('available', hasSections);
+    nextSectionBtn.disabled = !hasSections || !mediaElement || !getNextSection(mediaElement.currentTime);
+  }
+}
+
+/**
+ * Re-place the ticks when the active media element's duration becomes known
+ * @param {Event} event - loadedmetadata or durationchange event
+ */
+function handleDurationChange(event) {
+  if (event.target !== PlayerState.activeMediaElement) return;
+
+  renderSectionMarkers();
+  updateSectionButtons();
+}
+
+/**
+ * Draw a tick on the scrubber for each section
+ */
+function renderSectionMarkers() {
+  const markers = document.getElementById('sectionMarkers');
+  if (!markers) return;
+
+  markers.innerHTML = '';
+
+  const mediaElement = PlayerState.activeMediaElement;
+  const duration = mediaElement ? mediaElement.duration : NaN;
+  if (!Number.isFinite(duration) || duration <= 0) return;
+
+  const fragment = document.createDocumentFragment();
+
+  sections.forEach((section, index) => {
+    // A tick at the very start would sit under the scrubber thumb
+    if (section.time <= 0 || section.time >= duration) return;
+
+    const percent = (section.time / duration) * 100;
+
+    const marker = document.createElement('button');
+    marker.type = 'button';
+    marker.className = 'section-marker';
+    marker.dataset.sectionIndex = index;
+    marker.style.left = `${percent}%`;
+    marker.setAttribute('aria-label', t('sections.jumpTo', { title: section.title }));
+
+    if (percent < LABEL_EDGE_PERCENT) {
+      marker.classList.add('align-start');
+    } else if (percent > 100 - LABEL_EDGE_PERCENT) {
+      marker.classList.add('align-end');
+    }
+
+    const label = document.createElement('span');
+    label.className = 'section-marker-label';
+    label.dir = 'auto';
+    label.textContent = section.title;
+
+    marker.appendChild(label);
+    fragment.appendChild(marker);
+  });
+
+  markers.appendChild(fragment);
+}
+
+/**
+ * Seek to a section when its tick is tapped
+ * @param {MouseEvent} event - Click event
+ */
+function handleMarkerClick(event) {
+  const marker = event.target.closest('.section-marker');
+  if (!marker) return;
+
+  const section = sections[Number(marker.dataset.sectionIndex)];
+  if (section) {
+    // Same path as dragging the scrubber
+    seekToTime(section.time);
+  }
+}
+
+/**
+ * Start timing a long-press on a tick
+ * @param {TouchEvent} event - Touch event
+ */
+function handleMarkerTouchStart(event) {
+  const marker = event.target.closest('.section-marker');
+  if (!marker) return;
+
+  cancelLongPress();
+  longPressTimer = setTimeout(() => {
+    longPressTimer = null;
+    showMarkerLabel(marker);
+  }, LONG_PRESS_MS);
+}
+
+/**
+ * Finish a touch on a tick; a long-press only shows the label, a tap seeks
+ * @param {TouchEvent} event - Touch event
+ */
+function handleMarkerTouchEnd(event) {
+  const marker = event.target.closest('.section-marker');
+
+  if (!longPressTimer && marker && marker.classList.contains('show-label')) {
+    // Don't let the click that follows the long-press seek
+    event.preventDefault();
+  }
+
+  cancelLongPress();
+}
+
+/**
+ * Stop waiting for a long-press
+ */
+function cancelLongPress() {
+  clearTimeout(longPressTimer);
+  longPressTimer = null;
+}
+
+/**
+ * Show a tick's label for a moment
+ * @param {HTMLElement} marker - The tick
+ */
+function showMarkerLabel(marker) {
+  const markers = document.getElementById('sectionMarkers');
+  if (markers) {
+    markers.querySelectorAll('.section-marker.show-label').forEach(other => other.classList.remove('show-label'));
+  }
+
+  marker.classList.add('show-label');
+
+  clearTimeout(labelHideTimer);
+  labelHideTimer = setTimeout(() => marker.classList.remove('show-label'), LABEL_HIDE_DELAY_MS);
+}
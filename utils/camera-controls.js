@@ -6,10 +6,83 @@
 import { PlayerState } from '../shared-state.js';
 import { ErrorLogger } from '../error-logger.js';
 import { showMessage } from './messaging.js';
+import { t } from './i18n.js';
 
 // Flag to track if recentering is in progress
 let isRecenteringInProgress = false;
 
+// Field of view used when a track doesn't set one (A-Frame's camera default)
+export const DEFAULT_FOV = 80;
+
+/**
+ * Get the view a track's 360° scene starts at and recenters to
+ * Yaw 0 is the center of the video frame and increases to the right; pitch increases up.
+ * @param {Object} track - Normalized track object
+ * @returns {Object} View as { yaw, pitch, fov } in degrees
+ */
+export function getTrackInitialView(track) {
+  const view = track && track.initialView;
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  return {
+    yaw: view && isNumber(view.yaw) ? view.yaw : 0,
+    pitch: view && isNumber(view.pitch) ? Math.min(Math.max(view.pitch, -90), 90) : 0,
+    fov: view && isNumber(view.fov) ? Math.min(Math.max(view.fov, 30), 120) : DEFAULT_FOV
+  };
+}
+
+/**
+ * Get the direction the camera is currently looking
+ * @returns {Object|null} View as { yaw, pitch, fov } in degrees, or null without a camera
+ */
+export function getCameraView() {
+  const camera = document.querySelector('#cameraEntity');
+  if (!camera || !camera.object3D || typeof AFRAME === 'undefined') return null;
+
+  const direction = new AFRAME.THREE.Vector3();
+  camera.object3D.getWorldDirection(direction);
+  // getWorldDirection points out of the back of the camera
+  direction.negate();
+
+  const cameraComponent = camera.getAttribute('camera');
+
+  return {
+    yaw: Math.atan2(direction.x, -direction.z) * 180 / Math.PI,
+    pitch: Math.asin(Math.min(Math.max(direction.y, -1), 1)) * 180 / Math.PI,
+    fov: cameraComponent && cameraComponent.fov ? cameraComponent.fov : DEFAULT_FOV
+  };
+}
+
+/**
+ * Convert a yaw/pitch view into an A-Frame camera rotation
+ * A-Frame's positive Y rotation turns left, so yaw is negated.
+ * @param {Object} view - View as { yaw, pitch }
+ * @returns {Object} Rotation as { x, y, z } in degrees
+ */
+function viewToRotation(view) {
+  return { x: view.pitch, y: -view.yaw, z: 0 };
+}
+
+/**
+ * Point the camera at a track's initial view without showing any messages
+ * Headsets control their own orientation, so this only applies to magic-window viewing.
+ * @param {Object} track - Normalized track object
+ * @returns {boolean} Whether the view was applied
+ */
+export function applyInitialView(track) {
+  const camera = document.querySelector('#cameraEntity');
+  if (!camera || PlayerState.isImmersiveVR) return false;
+
+  const view = getTrackInitialView(track);
+  camera.setAttribute('camera', 'fov', view.fov);
+
+  const recenterComponent = camera.components && camera.components['camera-recenter'];
+  if (!recenterComponent) return false;
+
+  recenterComponent.setTargetRotation(viewToRotation(view));
+  return recenterComponent.recenter();
+}
+
 /**
  * Recenter the camera in XR mode
  * @returns {boolean} Whether recentering was successful
@@ -25,8 +98,15 @@ export function recenterCamera() {
   isRecenteringInProgress = true;
   
   try {
+    // Recenter to the current track's initial view rather than the center of the frame
+    const targetRotation = viewToRotation(getTrackInitialView(PlayerState.playlist[PlayerState.currentTrackIndex]));
+    const cameraEntity = document.querySelector('#cameraEntity');
+    if (cameraEntity && cameraEntity.components && cameraEntity.components['camera-recenter']) {
+      cameraEntity.components['camera-recenter'].setTargetRotation(targetRotation);
+    }
+    
     // Show a message
-    showMessage("Recentering view...");
+    showMessage(t('view.recentering'));
     
     // Try different methods to recenter the camera
     
@@ -40,7 +120,7 @@ export function recenterCamera() {
         
         // Update message
         setTimeout(() => {
-          showMessage("View recentered", 1500);
+          showMessage(t('view.recentered'), 1500);
         }, 500);
         
         isRecenteringInProgress = false;
@@ -67,7 +147,7 @@ export function recenterCamera() {
       
       // Update message
       setTimeout(() => {
-        showMessage("View recentered", 1500);
+        showMessage(t('view.recentered'), 1500);
       }, 500);
       
       isRecenteringInProgress = false;
@@ -83,9 +163,6 @@ export function recenterCamera() {
       const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
       console.log('Device detected as:', isMobile ? 'mobile' : 'desktop');
       
-      // Set the target rotation to 0,0,0 for complete centering
-      const targetRotation = { x: 0, y: 0, z: 0 };
-      
       if (isMobile) {
         // On mobile, try to completely remove and re-add the look-controls
         const oldLookControlsData = camera.getAttribute('look-controls');
@@ -107,8 +184,8 @@ export function recenterCamera() {
         // Also try to directly manipulate the look-controls if available
         if (camera.components && camera.components['look-controls']) {
           const lookControls = camera.components['look-controls'];
-          if (lookControls.pitchObject) lookControls.pitchObject.rotation.x = 0;
-          if (lookControls.yawObject) lookControls.yawObject.rotation.y = 0;
+          if (lookControls.pitchObject) lookControls.pitchObject.rotation.x = targetRotation.x * Math.PI / 180;
+          if (lookControls.yawObject) lookControls.yawObject.rotation.y = targetRotation.y * Math.PI / 180;
         }
       }
       
@@ -116,7 +193,7 @@ export function recenterCamera() {
       
       // Update message
       setTimeout(() => {
-        showMessage("View recentered", 1500);
+        showMessage(t('view.recentered'), 1500);
       }, 500);
       
       isRecenteringInProgress = false;
@@ -125,13 +202,13 @@ export function recenterCamera() {
     
     // If we got here, we couldn't find the camera
     console.error('Could not find camera entity');
-    showMessage("Could not recenter view", 1500);
+    showMessage(t('view.recenterFailed'), 1500);
     isRecenteringInProgress = false;
     return false;
     
   } catch (error) {
     ErrorLogger.handleError(error, { function: 'recenterCamera' });
-    showMessage("Error recentering view", 1500);
+    showMessage(t('view.recenterError'), 1500);
     
     // Reset the flag
     isRecenteringInProgress = false;
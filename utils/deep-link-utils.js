@@ -0,0 +1,175 @@
+/**
+ * Deep Link Utilities
+ * Reading and writing the player's URL parameters (see deep-link.js for the scheme)
+ *
+ * Has no DOM dependencies so it can run under Node.
+ */
+
+import { foldText } from './text-search.js';
+
+// Parameters that make up a deep link, replaced as a set when sharing
+export const DEEP_LINK_PARAMS = ['playlist', 'chapter', 'track', 't', 'mode'];
+
+const MODES = ['audio', 'xr'];
+
+// Older links name their track with defaultTrack, as a track id or as e.g. "chinatown_ch1"
+const LEGACY_TRACK_PARAM = 'defaultTrack';
+
+/**
+ * Turn a playlist name into its URL form, e.g. "Look Up" -> "look-up"
+ * @param {string} name - Playlist name
+ * @returns {string} Lowercase slug without accents, words joined by dashes
+ */
+export function slugify(name) {
+  return foldText(name || '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Parse a start time such as "1m20s", "80", "80s", "1:20" or "1h2m"
+ * @param {string} value - The t parameter
+ * @returns {number|null} Seconds, or null if the value isn't a time
+ */
+export function parseTimeParam(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  const text = value.trim().toLowerCase();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+
+  // Clock form, as shown in the player: m:ss or h:mm:ss
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (!match || !match[0]) return null;
+
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Write a start time in the short URL form, e.g. 80 -> "1m20s"
+ * @param {number} seconds - Time in seconds
+ * @returns {string} The t parameter
+ */
+export function formatTimeParam(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  const parts = [];
+  if (hours) parts.push(`${hours}h`);
+  if (minutes) parts.push(`${minutes}m`);
+  if (secs || parts.length === 0) parts.push(`${secs}s`);
+  return parts.join('');
+}
+
+/**
+ * Read a deep link from a query string
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object|null} { playlist, chapter, trackId, titleTerm, time, mode }, with null
+ *   for anything not given, or null if the URL isn't a deep link
+ */
+export function parseDeepLink(search) {
+  const params = new URLSearchParams(search);
+  if (!DEEP_LINK_PARAMS.some(name => params.has(name))) {
+    return params.get(LEGACY_TRACK_PARAM) ? parseLegacyTrackParam(params.get(LEGACY_TRACK_PARAM)) : null;
+  }
+
+  const chapter = Number(params.get('chapter'));
+  const mode = (params.get('mode') || '').toLowerCase();
+
+  return {
+    playlist: params.get('playlist') ? slugify(params.get('playlist')) : null,
+    chapter: Number.isInteger(chapter) && chapter > 0 ? chapter : null,
+    trackId: params.get('track') || null,
+    titleTerm: null,
+    time: parseTimeParam(params.get('t')),
+    mode: MODES.includes(mode) ? mode : null
+  };
+}
+
+/**
+ * Read the defaultTrack parameter of older links
+ * "chinatown_ch1" means chapter 1 with "Chinatown" in its title; anything else is a track id.
+ * @param {string} value - The defaultTrack parameter
+ * @returns {Object} Link in the form parseDeepLink returns
+ */
+function parseLegacyTrackParam(value) {
+  const match = value.match(/^(.+?)_ch(\d+)$/i);
+
+  return {
+    playlist: null,
+    chapter: match ? Number(match[2]) : null,
+    trackId: value,
+    titleTerm: match ? foldText(match[1].replace(/[_-]+/g, ' ')) : null,
+    time: null,
+    mode: null
+  };
+}
+
+/**
+ * Find the track a deep link points to
+ * A chapter is matched by its chapter number, or by its position in the playlist when
+ * the playlist's tracks aren't numbered. An older link's chapter is looked for among
+ * titles containing its title term first, then in any playlist.
+ * @param {Array<Object>} playlist - Normalized tracks
+ * @param {Object} link - Link from parseDeepLink
+ * @returns {number} Track index, or -1 if the link matches nothing
+ */
+export function findDeepLinkTrack(playlist, link) {
+  if (link.trackId) {
+    const index = playlist.findIndex(track => track.id === link.trackId);
+    if (index !== -1) return index;
+  }
+
+  if (link.titleTerm) {
+    const index = playlist.findIndex(track =>
+      foldText(track.title || '').includes(link.titleTerm) && (!link.chapter || track.chapter === link.chapter));
+    if (index !== -1) return index;
+  }
+
+  const candidates = playlist
+    .map((track, index) => ({ track, index }))
+    .filter(({ track }) => !link.playlist || slugify(track.playlistName) === link.playlist);
+
+  if (candidates.length === 0) return -1;
+  if (!link.chapter) return link.playlist ? candidates[0].index : -1;
+
+  const numbered = candidates.find(({ track }) => track.chapter === link.chapter);
+  if (numbered) return numbered.index;
+
+  const byPosition = candidates[link.chapter - 1];
+  return byPosition && !byPosition.track.chapter ? byPosition.index : -1;
+}
+
+/**
+ * Build the deep link parameters for a moment in a track
+ * @param {Object} track - Normalized track object
+ * @param {Array<Object>} playlist - Normalized tracks, for numbering unnumbered chapters
+ * @param {Object} [options] - { time, mode }
+ * @returns {Object} Parameter values keyed by name, in URL order
+ */
+export function buildDeepLinkParams(track, playlist, { time = 0, mode = 'audio' } = {}) {
+  const siblings = playlist.filter(other => other.playlistName === track.playlistName);
+
+  const params = {
+    playlist: slugify(track.playlistName),
+    chapter: String(track.chapter || siblings.indexOf(track) + 1)
+  };
+
+  if (time >= 1) {
+    params.t = formatTimeParam(time);
+  }
+  if (mode === 'xr') {
+    params.mode = 'xr';
+  }
+
+  return params;
+}
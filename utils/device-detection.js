@@ -6,6 +6,7 @@
 import { PlayerState } from '../shared-state.js';
 import { ErrorLogger } from '../error-logger.js';
 import { showMessage } from './messaging.js';
+import { t } from './i18n.js';
 
 /**
  * Detect if the current device is a mobile device
@@ -69,12 +70,12 @@ export function checkOrientation() {
     
     // Show a message for XR mode in portrait orientation
     if (PlayerState.isXRMode && isPortrait) {
-      showMessage("Rotate your device to landscape for the best 360° experience.", 5000);
+      showMessage(t('device.rotateToLandscape'), 5000);
     } else {
       // Hide the message if it's showing the orientation message
       const messageElement = document.getElementById('message');
       if (messageElement && 
-          messageElement.textContent === "Rotate your device to landscape for the best 360° experience.") {
+          messageElement.textContent === t('device.rotateToLandscape')) {
         messageElement.style.display = "none";
       }
     }
@@ -157,17 +158,17 @@ export async function requestDeviceMotionPermission() {
       console.log('Requesting device orientation permission');
       
       // Show message
-      showMessage("Requesting device access...");
+      showMessage(t('device.requestingAccess'));
       
       const permissionState = await DeviceOrientationEvent.requestPermission();
       const granted = permissionState === 'granted';
       
       if (granted) {
         console.log('Device orientation permission granted');
-        showMessage("Access granted. You can now use 360° features.", 2000);
+        showMessage(t('device.accessGranted'), 2000);
       } else {
         console.log('Device orientation permission denied');
-        showMessage("Limited 360° viewing without device motion.", 3000);
+        showMessage(t('device.limitedViewing'), 3000);
       }
       
       return granted;
@@ -176,17 +177,17 @@ export async function requestDeviceMotionPermission() {
       console.log('Requesting device motion permission');
       
       // Show message
-      showMessage("Requesting device access...");
+      showMessage(t('device.requestingAccess'));
       
       const permissionState = await DeviceMotionEvent.requestPermission();
       const granted = permissionState === 'granted';
       
       if (granted) {
         console.log('Device motion permission granted');
-        showMessage("Access granted. You can now use 360° features.", 2000);
+        showMessage(t('device.accessGranted'), 2000);
       } else {
         console.log('Device motion permission denied');
-        showMessage("Limited 360° viewing without device motion.", 3000);
+        showMessage(t('device.limitedViewing'), 3000);
       }
       
       return granted;
@@ -196,7 +197,7 @@ export async function requestDeviceMotionPermission() {
     return true;
   } catch (error) {
     ErrorLogger.handleError(error, { function: 'requestDeviceMotionPermission' });
-    showMessage("Error requesting device access. Some features may be limited.", 3000);
+    showMessage(t('device.accessError'), 3000);
     return false;
   }
 } 
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Embed Protocol Module
+ * Message format shared by the player (embed-api.js) and host pages (embed/tour-player.js)
+ *
+ * Every message is a plain object tagged with the protocol name and version:
+ *   command   { protocol, version, id, command, args }           host -> player
+ *   response  { protocol, version, id, type: 'response', ok, result | error }
+ *   event     { protocol, version, type: 'event', event, data }  player -> host
+ *
+ * The version only changes for breaking changes; new commands and events can be added
+ * within a version. Has no DOM dependencies so it can run under Node.
+ */
+
+export const EMBED_PROTOCOL = 'tour-player';
+export const EMBED_PROTOCOL_VERSION = 1;
+
+// Commands a host can send
+export const EMBED_COMMANDS = [
+  'hello',
+  'getState',
+  'play',
+  'pause',
+  'seek',
+  'loadTrack',
+  'enterXR',
+  'exitXR',
+  'setVolume'
+];
+
+// Events the player sends
+export const EMBED_EVENTS = [
+  'ready',
+  'timeupdate',
+  'trackchange',
+  'playbackchange',
+  'ended',
+  'error',
+  'xr-mode-changed'
+];
+
+/**
+ * Tag a message with the protocol name and version
+ * @param {Object} fields - Message contents
+ * @returns {Object} The message
+ */
+export function createEmbedMessage(fields) {
+  return { protocol: EMBED_PROTOCOL, version: EMBED_PROTOCOL_VERSION, ...fields };
+}
+
+/**
+ * Check whether a postMessage payload belongs to this protocol
+ * @param {*} data - MessageEvent data
+ * @returns {boolean} Whether it's a protocol message (of any version)
+ */
+export function isEmbedMessage(data) {
+  return Boolean(data) && typeof data === 'object' && data.protocol === EMBED_PROTOCOL;
+}
+
+/**
+ * Reduce a URL to its origin, for comparing against MessageEvent.origin
+ * @param {string} value - Origin or URL, e.g. "https://museum.example.org/"
+ * @returns {string|null} Origin like "https://museum.example.org", or null if it isn't one
+ */
+export function normalizeOrigin(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
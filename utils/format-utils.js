@@ -92,6 +92,28 @@ export function estimateDuration(track) {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Format a byte count as a human-readable size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size, e.g. "12.4 MB"
+ */
+export function formatBytes(bytes) {
+  if (!bytes || isNaN(bytes) || bytes < 0) {
+    return "0 MB";
+  }
+  
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unitIndex = 0;
+  
+  while (value >= 1024 && unitIndex < units.length - 1) {
+    value /= 1024;
+    unitIndex++;
+  }
+  
+  return `${value.toFixed(unitIndex < 2 ? 0 : 1)} ${units[unitIndex]}`;
+}
+
 /**
  * Truncate text with ellipsis if it exceeds max length
  * @param {string} text - Text to truncate
@@ -0,0 +1,300 @@
+/**
+ * Internationalization Module
+ * Message catalog for the player's own UI strings
+ *
+ * Strings live in locales/<code>.json under flat "area.name" keys. A value can include
+ * {placeholders}, and a string that depends on a count can be an object of plural forms
+ * keyed by Intl.PluralRules category ("one", "few", "other", ...). English is always
+ * loaded as the fallback for keys a locale hasn't translated yet.
+ *
+ * Static markup is translated with data attributes:
+ *   data-i18n="key"             sets the element's text
+ *   data-i18n-title="key"       sets its title
+ *   data-i18n-aria-label="key"  sets its aria-label
+ *   data-i18n-placeholder="key" sets an input's placeholder
+ *
+ * The UI language is chosen separately from the narration language (language-manager.js).
+ */
+
+// UI languages with a locale file, in the order the picker lists them
+const UI_LANGUAGES = ['en', 'zh-Hant', 'ar'];
+const FALLBACK_LANGUAGE = 'en';
+
+// Primary language subtags written right to left
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// localStorage key for the listener's chosen UI language
+const STORAGE_KEY = 'player.uiLanguage';
+
+// Loaded catalogs by language code
+const catalogs = {};
+
+let currentLanguage = FALLBACK_LANGUAGE;
+
+// Shared by every caller of loadUILanguage, so the catalog is only fetched once
+let loadPromise = null;
+
+// Keys already reported missing, so the console isn't flooded
+const reportedMissingKeys = new Set();
+
+/**
+ * Set up the UI language picker
+ */
+export function setupI18n() {
+  console.log('Setting up UI language picker...');
+
+  try {
+    const select = document.getElementById('uiLanguageSelect');
+    if (!select) return;
+
+    select.innerHTML = '';
+    UI_LANGUAGES.forEach(code => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.lang = code;
+      option.textContent = getNativeLanguageName(code);
+      select.appendChild(option);
+    });
+    select.value = currentLanguage;
+    select.classList.add('available');
+
+    select.addEventListener('change', () => setUILanguage(select.value));
+
+    console.log('UI language picker setup complete');
+  } catch (error) {
+    console.error('Error setting up UI language picker:', error);
+  }
+}
+
+/**
+ * Look up a UI string
+ * @param {string} key - Catalog key, e.g. "xr.noScene"
+ * @param {Object} [params] - Values for the string's {placeholders}; `count` also picks the plural form
+ * @returns {string} The translated string, or the key if no catalog has it
+ */
+export function t(key, params = {}) {
+  let entry = lookup(catalogs[currentLanguage], key);
+  let language = currentLanguage;
+
+  if (entry === undefined) {
+    entry = lookup(catalogs[FALLBACK_LANGUAGE], key);
+    language = FALLBACK_LANGUAGE;
+  }
+
+  if (entry === undefined) {
+    if (!reportedMissingKeys.has(key)) {
+      reportedMissingKeys.add(key);
+      console.warn(`Missing UI string "${key}"`);
+    }
+    return key;
+  }
+
+  if (typeof entry === 'object') {
+    const count = Number(params.count) || 0;
+    entry = entry[new Intl.PluralRules(language).select(count)] || entry.other || '';
+  }
+
+  return interpolate(entry, params, language);
+}
+
+/**
+ * Get a string from a catalog
+ * @param {Object} [catalog] - Loaded catalog
+ * @param {string} key - Catalog key
+ * @returns {string|Object|undefined} The string or plural forms
+ */
+function lookup(catalog, key) {
+  return catalog && Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : undefined;
+}
+
+/**
+ * Fill in a string's {placeholders}, formatting numbers for the language
+ * @param {string} text - String from the catalog
+ * @param {Object} params - Placeholder values
+ * @param {string} language - Language the string is in
+ * @returns {string} The finished string
+ */
+function interpolate(text, params, language) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(params, name)) return placeholder;
+
+    const value = params[name];
+    return typeof value === 'number' ? new Intl.NumberFormat(language).format(value) : String(value);
+  });
+}
+
+/**
+ * Pick the best match for a list of preferred languages
+ * Exact matches win, then a match on the primary language ("zh-TW" picks "zh-Hant").
+ * @param {Array<string>} preferences - Preferred language codes, most preferred first
+ * @param {Array<string>} codes - Available language codes
+ * @returns {string|null} The matching code, or null if nothing matches
+ */
+export function matchLanguage(preferences, codes) {
+  const primary = (code) => code.toLowerCase().split('-')[0];
+
+  for (const preference of preferences) {
+    const exact = codes.find(code => code.toLowerCase() === preference.toLowerCase());
+    if (exact) return exact;
+
+    const sameLanguage = codes.find(code => primary(code) === primary(preference));
+    if (sameLanguage) return sameLanguage;
+  }
+
+  return null;
+}
+
+/**
+ * Get the languages the browser prefers, most preferred first
+ * @returns {Array<string>} Language codes
+ */
+export function getBrowserLanguages() {
+  const languages = navigator.languages && navigator.languages.length ?
+    navigator.languages : [navigator.language];
+
+  return languages.filter(Boolean);
+}
+
+/**
+ * Get the current UI language
+ * @returns {string} Language code
+ */
+export function getUILanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Get the text direction of the current UI language
+ * @returns {string} "rtl" or "ltr"
+ */
+export function getTextDirection() {
+  return RTL_LANGUAGES.includes(currentLanguage.toLowerCase().split('-')[0]) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Load the listener's UI language and translate the page
+ * Safe to call more than once; never rejects, falling back to English.
+ * @returns {Promise<string>} Promise resolving to the UI language
+ */
+export function loadUILanguage() {
+  if (!loadPromise) {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      console.warn('Could not read UI language preference:', error);
+    }
+
+    const preferences = (stored ? [stored] : []).concat(getBrowserLanguages());
+    loadPromise = applyUILanguage(matchLanguage(preferences, UI_LANGUAGES) || FALLBACK_LANGUAGE);
+  }
+
+  return loadPromise;
+}
+
+/**
+ * Switch the UI language and re-translate everything showing
+ * @param {string} code - Language code from the picker
+ * @returns {Promise<string>} Promise resolving to the UI language
+ */
+export async function setUILanguage(code) {
+  console.log(`Switching UI language to ${code}`);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, code);
+  } catch (error) {
+    console.warn('Could not save UI language preference:', error);
+  }
+
+  loadPromise = applyUILanguage(UI_LANGUAGES.includes(code) ? code : FALLBACK_LANGUAGE);
+  const language = await loadPromise;
+
+  // Modules re-render the strings they built in code
+  document.dispatchEvent(new CustomEvent('ui-language-changed', {
+    detail: { language, direction: getTextDirection() }
+  }));
+
+  return language;
+}
+
+/**
+ * Load a language's catalog (and the fallback), then apply it to the page
+ * @param {string} code - Language code
+ * @returns {Promise<string>} Promise resolving to the language actually applied
+ */
+async function applyUILanguage(code) {
+  await loadCatalog(FALLBACK_LANGUAGE);
+  const loaded = code === FALLBACK_LANGUAGE || await loadCatalog(code);
+
+  currentLanguage = loaded ? code : FALLBACK_LANGUAGE;
+
+  document.documentElement.lang = currentLanguage;
+  document.documentElement.dir = getTextDirection();
+  translatePage();
+
+  const select = document.getElementById('uiLanguageSelect');
+  if (select) {
+    select.value = currentLanguage;
+  }
+
+  console.log(`UI language: ${currentLanguage} (${getTextDirection()})`);
+  return currentLanguage;
+}
+
+/**
+ * Fetch a locale file
+ * @param {string} code - Language code
+ * @returns {Promise<boolean>} Promise resolving to whether the catalog is available
+ */
+async function loadCatalog(code) {
+  if (catalogs[code]) return true;
+
+  try {
+    const response = await fetch(new URL(`../locales/${code}.json`, import.meta.url));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} loading locale ${code}`);
+    }
+
+    catalogs[code] = await response.json();
+    return true;
+  } catch (error) {
+    console.warn(`UI strings for "${code}" unavailable:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Translate the data-i18n elements on the page
+ * @param {ParentNode} [root=document] - Element to translate within
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  root.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+    element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+  });
+
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+}
+
+/**
+ * Get a language's name in that language, e.g. "العربية" for "ar"
+ * @param {string} code - Language code
+ * @returns {string} Display name, or the code if the browser can't name it
+ */
+export function getNativeLanguageName(code) {
+  try {
+    const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+    return name ? name.charAt(0).toLocaleUpperCase(code) + name.slice(1) : code;
+  } catch (error) {
+    return code;
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Map Projection Module
+ * Web Mercator projection for the tour map
+ *
+ * Points are projected into a square "world" WORLD_SIZE units across, the same space map
+ * tiles use at zoom 20, so a unit is roughly 15cm at the equator. Has no DOM
+ * dependencies so it can run under Node.
+ */
+
+// Width and height of the projected world
+export const WORLD_SIZE = 256 * Math.pow(2, 20);
+
+// Length of the equator, which the world's width represents
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+
+// Mercator can't show the poles; clamp to the latitude map tiles stop at
+const MAX_LATITUDE = 85.05112878;
+
+/**
+ * Project a latitude and longitude onto the world square
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @returns {Object} { x, y } with y increasing southward
+ */
+export function projectPoint(lat, lng) {
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const sinLat = Math.sin(clampedLat * Math.PI / 180);
+
+  return {
+    x: (lng + 180) / 360 * WORLD_SIZE,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * WORLD_SIZE
+  };
+}
+
+/**
+ * Convert a distance on the ground into world units
+ * @param {number} meters - Distance in meters
+ * @param {number} lat - Latitude the distance is measured at, in degrees
+ * @returns {number} The distance in world units
+ */
+export function metersToWorldUnits(meters, lat) {
+  return meters / (EARTH_CIRCUMFERENCE_M * Math.cos(lat * Math.PI / 180) / WORLD_SIZE);
+}
+
+/**
+ * Get the box around some projected points
+ * @param {Array<Object>} points - Points as { x, y }
+ * @returns {Object|null} { minX, minY, maxX, maxY }, or null if there are no points
+ */
+export function getBounds(points) {
+  if (points.length === 0) return null;
+
+  return points.reduce((bounds, point) => ({
+    minX: Math.min(bounds.minX, point.x),
+    minY: Math.min(bounds.minY, point.y),
+    maxX: Math.max(bounds.maxX, point.x),
+    maxY: Math.max(bounds.maxY, point.y)
+  }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+}
+
+/**
+ * Get the scale that fits a box into a viewport
+ * @param {Object} bounds - Box from getBounds
+ * @param {number} width - Viewport width in pixels
+ * @param {number} height - Viewport height in pixels
+ * @param {number} [padding=0] - Pixels to keep clear around the box
+ * @returns {number} Pixels per world unit
+ */
+export function getFitScale(bounds, width, height, padding = 0) {
+  const boundsWidth = Math.max(bounds.maxX - bounds.minX, 1);
+  const boundsHeight = Math.max(bounds.maxY - bounds.minY, 1);
+
+  return Math.min(
+    Math.max(width - padding * 2, 1) / boundsWidth,
+    Math.max(height - padding * 2, 1) / boundsHeight
+  );
+}
+
+/**
+ * Convert a GeoJSON geometry's coordinates into projected rings and lines
+ * GeoJSON positions are [lng, lat], the other way round from route points.
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Array<Object>>} Lists of projected points, one per line or ring
+ */
+export function projectGeometry(geometry) {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return [];
+
+  const projectLine = line => line.map(([lng, lat]) => projectPoint(lat, lng));
+
+  switch (geometry.type) {
+    case 'LineString':
+      return [projectLine(geometry.coordinates)];
+    case 'MultiLineString':
+    case 'Polygon':
+      return geometry.coordinates.map(projectLine);
+    case 'MultiPolygon':
+      return geometry.coordinates.flat().map(projectLine);
+    case 'Point':
+      return [projectLine([geometry.coordinates])];
+    default:
+      return [];
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Media Adapter Module
+ * The player core (player-core.js, playlist-manager.js, xr-mode.js and media-sync.js)
+ * reaches the media elements and the page through the adapter set here, so it runs the
+ * same against the real page (dom-media-adapter.js) and against fakes under Node
+ * (test/fake-media.js)
+ *
+ * An adapter is an object with:
+ *   audio, video               Media elements, or anything with the HTMLMediaElement
+ *                              members the player uses: play, pause, load, currentTime,
+ *                              duration, paused, muted, volume, playbackRate, readyState,
+ *                              error, src, currentSrc, getAttribute, removeAttribute,
+ *                              addEventListener and removeEventListener
+ *   emit(name, detail)         Announce a player event; a document CustomEvent on the page
+ *   resolveUrl(src)            Absolute URL of a media source, to compare with currentSrc
+ *   loadVideo(src)             Point the 360° video at a new source and load it
+ *   createProbeVideo()         A throwaway video element, for checking a source loads
+ *   setExitXRVisible(visible)  Show or hide the exit XR button
+ *   setXROnlyTrack(isXROnly)   Mark the page for a track with a 360° scene and no audio
+ *
+ * Has no DOM dependencies so it can run under Node.
+ */
+
+export const MEDIA_ADAPTER_MEMBERS = [
+  'audio',
+  'video',
+  'emit',
+  'resolveUrl',
+  'loadVideo',
+  'createProbeVideo',
+  'setExitXRVisible',
+  'setXROnlyTrack'
+];
+
+// The adapter in use; null until the page (or a test) sets one
+let mediaAdapter = null;
+
+/**
+ * Set the adapter the player core uses
+ * @param {Object|null} adapter - Adapter with every member in MEDIA_ADAPTER_MEMBERS, or
+ *   null to remove it
+ * @throws {Error} If the adapter is missing a member
+ */
+export function setMediaAdapter(adapter) {
+  if (adapter) {
+    const missing = MEDIA_ADAPTER_MEMBERS.filter(member => !(member in adapter));
+    if (missing.length > 0) {
+      throw new Error(`Media adapter is missing ${missing.join(', ')}`);
+    }
+  }
+
+  mediaAdapter = adapter;
+}
+
+/**
+ * Get the adapter the player core uses
+ * @returns {Object|null} The adapter, or null before one is set
+ */
+export function getMediaAdapter() {
+  return mediaAdapter;
+}
@@ -5,11 +5,32 @@
 
 import { PlayerState } from '../shared-state.js';
 import { ErrorLogger } from '../error-logger.js';
+import { isStillScene } from './projection-utils.js';
 
 // Variables for tracking synchronization
 let syncInterval = null;
 const SYNC_INTERVAL_MS = 1000; // Check sync every second
-const MAX_SYNC_DIFF_SEC = 0.3; // Maximum allowed time difference in seconds
+export const MAX_SYNC_DIFF_SEC = 0.3; // Maximum allowed time difference in seconds
+
+/**
+ * Get the allowed time difference at the current playback speed
+ * The two elements' clocks are read a moment apart, and at 2× that moment covers twice
+ * as much media time, so the tolerance grows with the rate instead of re-seeking constantly.
+ * @param {number} playbackRate - Playback rate of the master element
+ * @returns {number} Maximum allowed time difference in seconds
+ */
+export function getSyncTolerance(playbackRate) {
+  return MAX_SYNC_DIFF_SEC * Math.max(1, playbackRate || 1);
+}
+
+/**
+ * Check whether the video is the master media element
+ * True in XR mode, except for photosphere scenes where there's no video and the audio leads
+ * @returns {boolean} Whether the video leads playback
+ */
+export function isVideoMaster() {
+  return PlayerState.isXRMode && !isStillScene(PlayerState.playlist[PlayerState.currentTrackIndex]);
+}
 
 /**
  * Setup media synchronization between audio and video
@@ -48,7 +69,7 @@ export function enforceProperMuting() {
     const audio = PlayerState.audio;
     const video = PlayerState.video;
     
-    if (PlayerState.isXRMode) {
+    if (isVideoMaster()) {
       // In XR mode, video should be unmuted, audio should be muted
       if (!video.muted) {
         console.log('XR mode: Ensuring audio is muted');
@@ -77,8 +98,10 @@ export function enforceProperMuting() {
 
 /**
  * Synchronize playback between audio and video elements
+ * Run every SYNC_INTERVAL_MS once setupMediaSync is called. The leading element (see
+ * isVideoMaster) keeps its position and the other is moved to match.
  */
-function syncMediaPlayback() {
+export function syncMediaPlayback() {
   try {
     // Skip sync if we don't have both media elements
     if (!PlayerState.audio || !PlayerState.video) {
@@ -98,15 +121,25 @@ function syncMediaPlayback() {
       return;
     }
     
+    const master = isVideoMaster() ? video : audio;
+    const slave = master === video ? audio : video;
+    
+    // Elements running at different speeds drift apart steadily, so fix the rate
+    // rather than re-seeking every interval
+    if (slave.playbackRate !== master.playbackRate) {
+      console.log(`Media playback rates differ (${slave.playbackRate} vs ${master.playbackRate}) - matching`);
+      slave.playbackRate = master.playbackRate;
+    }
+    
     // Calculate time difference
     const timeDiff = Math.abs(audio.currentTime - video.currentTime);
     
     // Only sync if the difference is significant
-    if (timeDiff > MAX_SYNC_DIFF_SEC) {
+    if (timeDiff > getSyncTolerance(master.playbackRate)) {
       console.log(`Media out of sync by ${timeDiff.toFixed(2)}s - synchronizing`);
       
       // Determine the primary media element based on mode
-      if (PlayerState.isXRMode) {
+      if (isVideoMaster()) {
         // In XR mode, video is the master
         audio.currentTime = video.currentTime;
       } else {
@@ -139,7 +172,7 @@ export function syncPlaybackState() {
     const isAudioPlaying = !audio.paused;
     const isVideoPlaying = !video.paused;
     
-    if (PlayerState.isXRMode) {
+    if (isVideoMaster()) {
       // In XR mode, video is the master
       if (isVideoPlaying && audio.paused) {
         console.log('Syncing audio play state to playing video');
@@ -4,6 +4,7 @@
  */
 
 import { PlayerState } from '../shared-state.js';
+import { t } from './i18n.js';
 
 /**
  * Show a message to the user with automatic timeout
@@ -51,8 +52,5 @@ export function showErrorMessage(text, duration = 5000) {
 export function showKeyboardShortcutsInfo() {
   if (PlayerState.isMobileDevice) return;
   
-  const message = 
-    "Keyboard shortcuts: Space = Play/Pause, Arrow Keys = Previous/Next Track, M = Mute, F = Fullscreen";
-  
-  showMessage(message, 5000);
+  showMessage(t('keyboard.shortcuts'), 5000);
 } 
\ No newline at end of file
@@ -6,6 +6,7 @@
 import { PlayerState } from '../shared-state.js';
 import { ErrorLogger } from '../error-logger.js';
 import { showMessage } from './messaging.js';
+import { t } from './i18n.js';
 
 // Variable to track if we're currently offline
 let isOffline = false;
@@ -26,7 +27,7 @@ export function setupNetworkMonitoring() {
       isOffline = true;
       
       // Show a message to the user
-      showMessage("Network connection lost. Playback may be affected.", 5000);
+      showMessage(t('network.lost'), 5000);
       
       // Dispatch event for other modules to react
       document.dispatchEvent(new CustomEvent('network-status-changed', { 
@@ -40,7 +41,7 @@ export function setupNetworkMonitoring() {
       
       // Only show a message if we were previously offline
       if (isOffline) {
-        showMessage("Network connection restored.", 3000);
+        showMessage(t('network.restored'), 3000);
         
         // Dispatch event for other modules to react
         document.dispatchEvent(new CustomEvent('network-status-changed', { 
@@ -58,7 +59,7 @@ export function setupNetworkMonitoring() {
     // Check initial state
     if (isOffline) {
       console.log('Starting in offline mode');
-      showMessage("No network connection. Some features may be limited.", 5000);
+      showMessage(t('network.offline'), 5000);
       
       // Dispatch initial event
       document.dispatchEvent(new CustomEvent('network-status-changed', { 
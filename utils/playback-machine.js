@@ -0,0 +1,173 @@
+/**
+ * Playback Machine Module
+ * The player's playback status as a state machine: modules request a transition by
+ * event name and the machine applies it only if the current state allows it, so a late
+ * or duplicate request (a second play, a pause from the element being switched away
+ * from) can't put the player in a state that doesn't match the media
+ *
+ * The machine keeps its state in a store (utils/store.js) under playbackState, and the
+ * state a seek or mode switch returns to under playbackResumeState. Every request,
+ * accepted or not, goes in one event log. Has no DOM dependencies so it can run under Node.
+ */
+
+export const PLAYBACK_STATES = Object.freeze({
+  IDLE: 'idle', // No track loaded yet
+  LOADING: 'loading', // A track's media is loading
+  READY: 'ready', // Loaded and paused
+  PLAYING: 'playing',
+  BUFFERING: 'buffering', // Playing, but waiting for data
+  SEEKING: 'seeking',
+  SWITCHING_TO_XR: 'switching-to-xr',
+  SWITCHING_TO_AUDIO: 'switching-to-audio',
+  ERROR: 'error' // The track's media failed to load
+});
+
+const {
+  IDLE, LOADING, READY, PLAYING, BUFFERING, SEEKING, SWITCHING_TO_XR, SWITCHING_TO_AUDIO, ERROR
+} = PLAYBACK_STATES;
+
+// Marks a transition that goes back to the state before a seek or mode switch
+const RESUME = 'resume';
+
+// States a seek or mode switch passes through on the way back to where it started
+const PASS_THROUGH_STATES = [SEEKING, SWITCHING_TO_XR, SWITCHING_TO_AUDIO];
+
+// Events by name, with the states they're accepted in ('*' for any) and the state they lead to
+export const PLAYBACK_TRANSITIONS = Object.freeze({
+  load: { from: '*', to: LOADING },
+  loaded: { from: [LOADING], to: READY },
+  play: { from: [LOADING, READY, BUFFERING, SEEKING], to: PLAYING },
+  pause: { from: [PLAYING, BUFFERING, SEEKING], to: READY },
+  wait: { from: [PLAYING], to: BUFFERING },
+  seek: { from: [READY, PLAYING, BUFFERING], to: SEEKING },
+  seeked: { from: [SEEKING], to: RESUME },
+  end: { from: [READY, PLAYING, BUFFERING], to: READY },
+  switchToXR: { from: [LOADING, READY, PLAYING, BUFFERING], to: SWITCHING_TO_XR },
+  switchToAudio: { from: [LOADING, READY, PLAYING, BUFFERING], to: SWITCHING_TO_AUDIO },
+  switched: { from: [SWITCHING_TO_XR, SWITCHING_TO_AUDIO], to: RESUME },
+  switchCancelled: { from: [SWITCHING_TO_XR, SWITCHING_TO_AUDIO], to: RESUME },
+  fail: { from: '*', to: ERROR }
+});
+
+// Entries kept in the event log
+const DEFAULT_LOG_SIZE = 100;
+
+/**
+ * Work out where an event leads
+ * @param {string} state - Current state
+ * @param {string} event - Event name, a key of PLAYBACK_TRANSITIONS
+ * @param {string|null} [resumeState] - State a seek or mode switch returns to
+ * @returns {string|null} The next state, or null if the event isn't allowed in this state
+ */
+export function getNextPlaybackState(state, event, resumeState = null) {
+  const transition = PLAYBACK_TRANSITIONS[event];
+  if (!transition) return null;
+  if (transition.from !== '*' && !transition.from.includes(state)) return null;
+
+  return transition.to === RESUME ? (resumeState || READY) : transition.to;
+}
+
+/**
+ * Check whether media is playing, or will be once a seek or mode switch finishes
+ * @param {string} state - Playback state
+ * @param {string|null} [resumeState] - State a seek or mode switch returns to
+ * @returns {boolean} Whether the player counts as playing
+ */
+export function isPlayingState(state, resumeState = null) {
+  const effectiveState = PASS_THROUGH_STATES.includes(state) ? resumeState : state;
+  return effectiveState === PLAYING || effectiveState === BUFFERING;
+}
+
+/**
+ * Create a playback machine
+ * @param {Object} store - Store with playbackState and playbackResumeState keys
+ * @param {Object} [options]
+ * @param {number} [options.logSize=100] - Entries kept in the event log
+ * @returns {Object} Machine with send, can, getLog, hasEntered and reset
+ */
+export function createPlaybackMachine(store, { logSize = DEFAULT_LOG_SIZE } = {}) {
+  let log = [];
+  const enteredStates = new Set([store.get('playbackState')]);
+
+  /**
+   * Add an entry to the event log, dropping the oldest once it's full
+   * @param {Object} entry - Log entry
+   */
+  function record(entry) {
+    log.push(entry);
+    if (log.length > logSize) {
+      log = log.slice(log.length - logSize);
+    }
+  }
+
+  /**
+   * Request a transition
+   * @param {string} event - Event name, a key of PLAYBACK_TRANSITIONS
+   * @param {Object} [detail] - Kept in the log, e.g. { index: 3 }
+   * @returns {Object} Log entry: { time, event, from, to, accepted, detail }
+   */
+  function send(event, detail = null) {
+    const from = store.get('playbackState');
+    const resumeState = store.get('playbackResumeState');
+    const to = getNextPlaybackState(from, event, resumeState);
+    const entry = { time: Date.now(), event, from, to, accepted: to !== null, detail };
+
+    record(entry);
+
+    if (!entry.accepted) {
+      console.debug(`Playback: ignored "${event}" while ${from}`);
+      return entry;
+    }
+
+    // Entering a seek or switch remembers where to go back to; leaving one forgets it.
+    // A seek during a seek keeps the original state to go back to.
+    let nextResumeState = null;
+    if (PASS_THROUGH_STATES.includes(to)) {
+      nextResumeState = PASS_THROUGH_STATES.includes(from) ? resumeState : from;
+    }
+
+    enteredStates.add(to);
+    store.set({ playbackState: to, playbackResumeState: nextResumeState }, { source: 'playback', event });
+    return entry;
+  }
+
+  /**
+   * Check whether an event would be accepted now
+   * @param {string} event - Event name
+   * @returns {boolean} Whether send(event) would change state
+   */
+  function can(event) {
+    return getNextPlaybackState(store.get('playbackState'), event, store.get('playbackResumeState')) !== null;
+  }
+
+  /**
+   * Copy of the event log, oldest first
+   * @returns {Array<Object>} Log entries
+   */
+  function getLog() {
+    return log.slice();
+  }
+
+  /**
+   * Check whether the machine has been in a state since it was created or reset
+   * @param {string} state - A PLAYBACK_STATES value
+   * @returns {boolean} Whether the state has been entered
+   */
+  function hasEntered(state) {
+    return enteredStates.has(state);
+  }
+
+  /**
+   * Put the machine in a state directly, clearing the log
+   * For starting over, e.g. between tests; the player itself only moves by send().
+   * @param {string} [state='idle'] - A PLAYBACK_STATES value
+   */
+  function reset(state = IDLE) {
+    log = [];
+    enteredStates.clear();
+    enteredStates.add(state);
+    store.set({ playbackState: state, playbackResumeState: null }, { source: 'playback', event: 'reset' });
+  }
+
+  return { send, can, getLog, hasEntered, reset };
+}
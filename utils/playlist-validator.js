@@ -0,0 +1,765 @@
+/**
+ * Playlist Validator Module
+ * Checks playlist data against playlist.schema.json and produces a per-track report
+ *
+ * Errors mark a track as unusable and it is skipped when the playlist is processed.
+ * Warnings are reported but the track still loads.
+ * This module has no DOM dependencies so it can also be run against a file from Node.
+ */
+
+import { PROJECTIONS, isKnownProjection } from './projection-utils.js';
+import { normalizeOrigin } from './embed-protocol.js';
+
+// Schema version this validator understands (see playlist.schema.json)
+export const PLAYLIST_SCHEMA_VERSION = 1;
+const SUPPORTED_SCHEMA_VERSIONS = [1];
+
+// Fields a track may declare, as named in playlist.json
+const TRACK_FIELDS = [
+  'id',
+  'chapter',
+  'title',
+  'audio_url',
+  'artwork_url',
+  'playlist',
+  'IsAR',
+  'XR_Scene',
+  'duration',
+  'location',
+  'route',
+  'hotspots',
+  'projection',
+  'initialView',
+  'viewKeyframes',
+  'sections',
+  'tags',
+  'captions',
+  'language',
+  'languages'
+];
+
+// Alternative field names accepted by processPlaylistData normalization
+const FIELD_ALIASES = {
+  audioSrc: 'audio_url',
+  artworkUrl: 'artwork_url',
+  videoSrc: 'XR_Scene',
+  video_url: 'XR_Scene',
+  isAR: 'IsAR',
+  playlistName: 'playlist',
+  captionsSrc: 'captions'
+};
+
+const PLAYLIST_FIELDS = ['playlist_name', 'tracks'];
+const ROOT_FIELDS = ['$schema', 'schema_version', 'base_map', 'embed_origins', 'playlists', 'tracks'];
+
+// M:SS, or M:SS:FF with trailing frames (as parsed by parseTimeString)
+const DURATION_PATTERN = /^\d{1,3}:[0-5]\d(:\d{2})?$/;
+
+// BCP 47 language tag such as "en", "yue" or "zh-Hant"
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Validate playlist data
+ * @param {Object} data - The parsed playlist JSON
+ * @returns {Object} Report with valid flag, schemaVersion, flat errors/warnings and per-track results
+ */
+export function validatePlaylist(data) {
+  const report = {
+    valid: true,
+    schemaVersion: null,
+    errors: [],
+    warnings: [],
+    tracks: []
+  };
+
+  const addIssue = (severity, path, message, target = null) => {
+    const issue = { severity, path, message };
+    if (target) {
+      issue.title = target.title;
+      target[severity === 'error' ? 'errors' : 'warnings'].push(issue);
+    }
+    report[severity === 'error' ? 'errors' : 'warnings'].push(issue);
+  };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    addIssue('error', '$', 'Playlist must be a JSON object');
+    report.valid = false;
+    return report;
+  }
+
+  // Schema version
+  if (data.schema_version === undefined) {
+    addIssue('warning', 'schema_version', `Missing schema_version, assuming ${PLAYLIST_SCHEMA_VERSION}`);
+    report.schemaVersion = PLAYLIST_SCHEMA_VERSION;
+  } else if (!SUPPORTED_SCHEMA_VERSIONS.includes(data.schema_version)) {
+    addIssue('error', 'schema_version',
+      `Unsupported schema_version ${JSON.stringify(data.schema_version)} (supported: ${SUPPORTED_SCHEMA_VERSIONS.join(', ')})`);
+    report.valid = false;
+    return report;
+  } else {
+    report.schemaVersion = data.schema_version;
+  }
+
+  checkUnknownFields(data, ROOT_FIELDS, '', (path, message) => addIssue('warning', path, message));
+
+  if (data.base_map !== undefined && (typeof data.base_map !== 'string' || data.base_map.trim() === '')) {
+    addIssue('warning', 'base_map', `base_map must be a path to a GeoJSON file, got ${describe(data.base_map)}, the map will have no base layer`);
+  }
+
+  if (data.embed_origins !== undefined) {
+    if (!Array.isArray(data.embed_origins)) {
+      addIssue('warning', 'embed_origins', `embed_origins must be a list of origins, got ${describe(data.embed_origins)}, only this site can control the player`);
+    } else {
+      data.embed_origins.forEach((origin, index) => {
+        if (typeof origin !== 'string' || !normalizeOrigin(origin)) {
+          addIssue('warning', `embed_origins[${index}]`, `Expected an origin like "https://example.org", got ${describe(origin)}, this origin will be skipped`);
+        }
+      });
+    }
+  }
+
+  if (Array.isArray(data.playlists)) {
+    if (data.playlists.length === 0) {
+      addIssue('error', 'playlists', 'playlists is empty');
+    }
+
+    data.playlists.forEach((playlist, playlistIndex) => {
+      const playlistPath = `playlists[${playlistIndex}]`;
+
+      if (!playlist || typeof playlist !== 'object' || Array.isArray(playlist)) {
+        addIssue('error', playlistPath, 'Playlist entry must be an object');
+        return;
+      }
+
+      checkUnknownFields(playlist, PLAYLIST_FIELDS, `${playlistPath}.`, (path, message) => addIssue('warning', path, message));
+
+      if (typeof playlist.playlist_name !== 'string' || playlist.playlist_name.trim() === '') {
+        addIssue('error', `${playlistPath}.playlist_name`, 'playlist_name must be a non-empty string');
+      }
+
+      if (!Array.isArray(playlist.tracks)) {
+        addIssue('error', `${playlistPath}.tracks`, 'tracks must be an array');
+        return;
+      }
+
+      const seenChapters = new Map();
+
+      playlist.tracks.forEach((track, trackIndex) => {
+        const result = validateTrack(track, `${playlistPath}.tracks[${trackIndex}]`, playlist.playlist_name, addIssue);
+        result.playlistIndex = playlistIndex;
+        result.trackIndex = trackIndex;
+        report.tracks.push(result);
+
+        // Duplicate chapter numbers make "Chapter N" ambiguous in the UI and in deep links
+        if (result.valid && Number.isInteger(track.chapter)) {
+          if (seenChapters.has(track.chapter)) {
+            addIssue('warning', `${result.path}.chapter`,
+              `Duplicate chapter ${track.chapter} (also used by ${seenChapters.get(track.chapter)})`, result);
+          } else {
+            seenChapters.set(track.chapter, result.path);
+          }
+        }
+      });
+    });
+  } else if (Array.isArray(data.tracks)) {
+    // Legacy flat format
+    data.tracks.forEach((track, trackIndex) => {
+      const result = validateTrack(track, `tracks[${trackIndex}]`, null, addIssue);
+      result.playlistIndex = -1;
+      result.trackIndex = trackIndex;
+      report.tracks.push(result);
+    });
+  } else {
+    addIssue('error', 'playlists', 'Playlist must contain a playlists array');
+  }
+
+  if (report.tracks.length > 0 && !report.tracks.some(result => result.valid)) {
+    addIssue('error', '$', 'No valid tracks found in playlist data');
+  }
+
+  report.valid = report.errors.length === 0;
+  return report;
+}
+
+/**
+ * Validate a single track entry
+ * @param {Object} track - The raw track object
+ * @param {string} path - JSON path of the track, used in messages
+ * @param {string|null} playlistName - Name of the parent playlist, if any
+ * @param {Function} addIssue - Issue collector from validatePlaylist
+ * @returns {Object} Track result with path, title, valid flag, errors and warnings
+ */
+function validateTrack(track, path, playlistName, addIssue) {
+  const result = {
+    path,
+    title: track && typeof track.title === 'string' ? track.title : null,
+    valid: true,
+    errors: [],
+    warnings: [],
+    track
+  };
+
+  const error = (field, message) => addIssue('error', field ? `${path}.${field}` : path, message, result);
+  const warning = (field, message) => addIssue('warning', field ? `${path}.${field}` : path, message, result);
+
+  if (!track || typeof track !== 'object' || Array.isArray(track)) {
+    error(null, 'Track must be an object');
+    result.valid = false;
+    return result;
+  }
+
+  // Resolve aliased field names so both the JSON and normalized forms validate
+  const value = (field) => {
+    if (track[field] !== undefined) return track[field];
+    const alias = Object.keys(FIELD_ALIASES).find(key => FIELD_ALIASES[key] === field && track[key] !== undefined);
+    return alias ? track[alias] : undefined;
+  };
+
+  checkUnknownFields(track, TRACK_FIELDS.concat(Object.keys(FIELD_ALIASES)), `${path}.`, (fieldPath, message) => {
+    addIssue('warning', fieldPath, message, result);
+  });
+
+  // Stable identity used to remember per-track state such as playback position
+  const id = value('id');
+  if (id !== undefined && !isNonEmptyString(id)) {
+    warning('id', `id must be a non-empty string, got ${describe(id)} (the media URL will be used instead)`);
+  }
+
+  // Narration language variants; bad variants are skipped, the rest of the track still loads
+  const languages = value('languages');
+  const usableVariants = [];
+  if (languages !== undefined) {
+    if (!languages || typeof languages !== 'object' || Array.isArray(languages)) {
+      warning('languages', `languages must be an object mapping language codes to narration, got ${describe(languages)}`);
+    } else {
+      Object.entries(languages).forEach(([code, variant]) => {
+        const problem = checkLanguageVariant(code, variant);
+        if (problem) {
+          warning(`languages.${code}`, `${problem}, this language will be skipped`);
+        } else {
+          usableVariants.push(variant);
+        }
+      });
+    }
+  }
+
+  const language = value('language');
+  if (language !== undefined && (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language))) {
+    warning('language', `language must be a language code like "en" or "yue", got ${describe(language)}`);
+  }
+
+  // Title (a multilingual track can take it from its first language)
+  const title = value('title') !== undefined ? value('title') : (usableVariants.find(variant => variant.title) || {}).title;
+  if (typeof title !== 'string' || title.trim() === '') {
+    error('title', 'title must be a non-empty string');
+  }
+
+  // Chapter
+  const chapter = value('chapter');
+  if (chapter === undefined) {
+    warning('chapter', 'Missing chapter number');
+  } else if (typeof chapter === 'string' && /^\d+$/.test(chapter.trim())) {
+    error('chapter', `chapter must be a number, got string ${JSON.stringify(chapter)} (remove the quotes)`);
+  } else if (!Number.isInteger(chapter) || chapter < 1) {
+    error('chapter', `chapter must be a positive integer, got ${describe(chapter)}`);
+  }
+
+  // Media URLs (a multilingual track can give its narration only through languages)
+  const audioUrl = value('audio_url') !== undefined || usableVariants.length === 0 ?
+    value('audio_url') : usableVariants[0].audio_url;
+  const videoUrl = value('XR_Scene');
+  const audioProblem = checkMediaUrl(audioUrl);
+  const videoProblem = checkMediaUrl(videoUrl);
+
+  if (audioUrl === undefined) {
+    warning('audio_url', 'Missing audio_url (use "" for XR-only tracks)');
+  } else if (audioProblem) {
+    error('audio_url', audioProblem);
+  }
+
+  if (videoUrl === undefined) {
+    warning('XR_Scene', 'Missing XR_Scene (use "" for audio-only tracks)');
+  } else if (videoProblem) {
+    error('XR_Scene', videoProblem);
+  }
+
+  if (!isNonEmptyString(audioUrl) && !isNonEmptyString(videoUrl)) {
+    error(null, 'Track has neither audio_url nor XR_Scene, nothing to play');
+  }
+
+  // Artwork falls back to the default image, so problems here are only warnings
+  const artworkUrl = value('artwork_url');
+  const artworkProblem = checkMediaUrl(artworkUrl);
+  if (artworkUrl === undefined || artworkUrl === '') {
+    if (isNonEmptyString(audioUrl)) {
+      warning('artwork_url', 'No artwork_url, the default artwork will be shown');
+    }
+  } else if (artworkProblem) {
+    warning('artwork_url', artworkProblem);
+  }
+
+  // Captions are optional; a bad URL only means no captions or transcript
+  const captionsUrl = value('captions');
+  if (captionsUrl !== undefined && captionsUrl !== '') {
+    const captionsProblem = checkMediaUrl(captionsUrl);
+    if (captionsProblem) {
+      warning('captions', captionsProblem);
+    } else if (!/\.vtt(\?.*)?$/i.test(captionsUrl)) {
+      warning('captions', `captions should be a WebVTT (.vtt) file, got ${JSON.stringify(captionsUrl)}`);
+    }
+  }
+
+  // AR flag
+  const isAR = value('IsAR');
+  if (isAR === undefined) {
+    warning('IsAR', 'Missing IsAR, assuming false');
+  } else if (typeof isAR !== 'boolean') {
+    const hint = typeof isAR === 'string' && /^(true|false)$/i.test(isAR.trim()) ?
+      ` (write ${isAR.trim().toLowerCase()} without quotes)` : '';
+    error('IsAR', `IsAR must be true or false, got ${describe(isAR)}${hint}`);
+  }
+
+  // Duration
+  const duration = value('duration');
+  if (duration === undefined || duration === '') {
+    warning('duration', 'Missing duration, it will display as 0:00 until media loads');
+  } else if (typeof duration !== 'string' || !DURATION_PATTERN.test(duration)) {
+    warning('duration', `duration should look like "3:45", got ${describe(duration)}`);
+  }
+
+  // Location for geofenced chapters; a bad location only disables the trigger
+  const location = value('location');
+  if (location !== undefined) {
+    const problem = checkLocation(location);
+    if (problem) {
+      warning('location', `${problem}, the chapter won't appear on the map or start by location`);
+    }
+  }
+
+  const route = value('route');
+  if (route !== undefined) {
+    if (!Array.isArray(route)) {
+      warning('route', `route must be an array of [lat, lng] points, got ${describe(route)}`);
+    } else {
+      route.forEach((point, pointIndex) => {
+        const problem = checkRoutePoint(point);
+        if (problem) {
+          warning(`route[${pointIndex}]`, `${problem}, this point will be skipped`);
+        }
+      });
+    }
+  }
+
+  // 360° hotspots; bad entries are skipped when the scene is rendered
+  const hotspots = value('hotspots');
+  if (hotspots !== undefined) {
+    if (!Array.isArray(hotspots)) {
+      warning('hotspots', `hotspots must be an array, got ${describe(hotspots)}`);
+    } else {
+      hotspots.forEach((hotspot, hotspotIndex) => {
+        const problem = checkHotspot(hotspot);
+        if (problem) {
+          warning(`hotspots[${hotspotIndex}]`, `${problem}, this hotspot will be skipped`);
+        }
+      });
+    }
+  }
+
+  // XR_Scene projection; an unknown value falls back to the default
+  const projection = value('projection');
+  if (projection !== undefined && !isKnownProjection(projection)) {
+    warning('projection', `projection must be one of ${Object.values(PROJECTIONS).join(', ')}, got ${describe(projection)}; ` +
+      'it will be guessed from the XR_Scene URL');
+  }
+
+  // Camera direction; a bad view falls back to the center of the frame
+  const initialView = value('initialView');
+  if (initialView !== undefined) {
+    const problem = checkView(initialView);
+    if (problem) {
+      warning('initialView', `initialView: ${problem}, the view will start at the center of the frame`);
+    }
+  }
+
+  const viewKeyframes = value('viewKeyframes');
+  if (viewKeyframes !== undefined) {
+    if (!Array.isArray(viewKeyframes)) {
+      warning('viewKeyframes', `viewKeyframes must be an array, got ${describe(viewKeyframes)}`);
+    } else {
+      viewKeyframes.forEach((keyframe, keyframeIndex) => {
+        const problem = checkViewKeyframe(keyframe);
+        if (problem) {
+          warning(`viewKeyframes[${keyframeIndex}]`, `${problem}, this keyframe will be skipped`);
+        }
+      });
+    }
+  }
+
+  const sections = value('sections');
+  if (sections !== undefined) {
+    if (!Array.isArray(sections)) {
+      warning('sections', `sections must be an array, got ${describe(sections)}`);
+    } else {
+      sections.forEach((section, sectionIndex) => {
+        const problem = checkSection(section);
+        if (problem) {
+          warning(`sections[${sectionIndex}]`, `${problem}, this section will be skipped`);
+        }
+      });
+    }
+  }
+
+  const tags = value('tags');
+  if (tags !== undefined) {
+    if (!Array.isArray(tags)) {
+      warning('tags', `tags must be an array of strings, got ${describe(tags)}`);
+    } else {
+      tags.forEach((tag, tagIndex) => {
+        if (typeof tag !== 'string' || !tag.trim()) {
+          warning(`tags[${tagIndex}]`, `tag must be a non-empty string, got ${describe(tag)}, this tag will be skipped`);
+        }
+      });
+    }
+  }
+
+  // Playlist name
+  const trackPlaylist = value('playlist');
+  if (trackPlaylist !== undefined && typeof trackPlaylist !== 'string') {
+    warning('playlist', `playlist must be a string, got ${describe(trackPlaylist)}`);
+  } else if (playlistName && trackPlaylist !== undefined && trackPlaylist !== playlistName) {
+    warning('playlist', `playlist "${trackPlaylist}" does not match parent playlist_name "${playlistName}"`);
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Check a track location
+ * @param {*} location - The value to check
+ * @returns {string|null} Description of the problem, or null if the location is usable
+ */
+function checkLocation(location) {
+  if (!location || typeof location !== 'object' || Array.isArray(location)) {
+    return `location must be an object like {"lat": 37.79, "lng": -122.40, "radius": 30}, got ${describe(location)}`;
+  }
+  if (typeof location.lat !== 'number' || Math.abs(location.lat) > 90) {
+    return `location.lat must be a number between -90 and 90, got ${describe(location.lat)}`;
+  }
+  if (typeof location.lng !== 'number' || Math.abs(location.lng) > 180) {
+    return `location.lng must be a number between -180 and 180, got ${describe(location.lng)}`;
+  }
+  if (location.radius !== undefined && (typeof location.radius !== 'number' || location.radius <= 0)) {
+    return `location.radius must be a positive number of meters, got ${describe(location.radius)}`;
+  }
+  return null;
+}
+
+/**
+ * Check a route point
+ * @param {*} point - The value to check
+ * @returns {string|null} Description of the problem, or null if the point is usable
+ */
+function checkRoutePoint(point) {
+  if (!Array.isArray(point) || point.length !== 2) {
+    return `route point must be a [lat, lng] pair, got ${describe(point)}`;
+  }
+  if (typeof point[0] !== 'number' || Math.abs(point[0]) > 90) {
+    return `route point latitude must be a number between -90 and 90, got ${describe(point[0])}`;
+  }
+  if (typeof point[1] !== 'number' || Math.abs(point[1]) > 180) {
+    return `route point longitude must be a number between -180 and 180, got ${describe(point[1])}`;
+  }
+  return null;
+}
+
+/**
+ * Check a 360° hotspot definition
+ * @param {*} hotspot - The value to check
+ * @returns {string|null} Description of the problem, or null if the hotspot is usable
+ */
+function checkHotspot(hotspot) {
+  if (!hotspot || typeof hotspot !== 'object' || Array.isArray(hotspot)) {
+    return `hotspot must be an object, got ${describe(hotspot)}`;
+  }
+  if (typeof hotspot.yaw !== 'number') {
+    return `yaw must be a number of degrees, got ${describe(hotspot.yaw)}`;
+  }
+  if (typeof hotspot.pitch !== 'number' || Math.abs(hotspot.pitch) > 90) {
+    return `pitch must be a number between -90 and 90, got ${describe(hotspot.pitch)}`;
+  }
+  if (!isNonEmptyString(hotspot.label)) {
+    return 'label must be a non-empty string';
+  }
+
+  for (const field of ['start', 'end']) {
+    const time = hotspot[field];
+    if (time !== undefined && typeof time !== 'number' && !(typeof time === 'string' && DURATION_PATTERN.test(time))) {
+      return `${field} must be seconds or a time like "1:30", got ${describe(time)}`;
+    }
+  }
+
+  for (const field of ['image', 'link']) {
+    const problem = hotspot[field] !== undefined ? checkMediaUrl(hotspot[field]) : null;
+    if (problem) {
+      return `${field}: ${problem}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a camera view
+ * @param {*} view - The value to check
+ * @returns {string|null} Description of the problem, or null if the view is usable
+ */
+function checkView(view) {
+  if (!view || typeof view !== 'object' || Array.isArray(view)) {
+    return `view must be an object like {"yaw": 40, "pitch": -5, "fov": 80}, got ${describe(view)}`;
+  }
+  if (typeof view.yaw !== 'number') {
+    return `yaw must be a number of degrees, got ${describe(view.yaw)}`;
+  }
+  if (view.pitch !== undefined && (typeof view.pitch !== 'number' || Math.abs(view.pitch) > 90)) {
+    return `pitch must be a number between -90 and 90, got ${describe(view.pitch)}`;
+  }
+  if (view.fov !== undefined && (typeof view.fov !== 'number' || view.fov < 30 || view.fov > 120)) {
+    return `fov must be a number of degrees between 30 and 120, got ${describe(view.fov)}`;
+  }
+  return null;
+}
+
+/**
+ * Check a "look here" keyframe
+ * @param {*} keyframe - The value to check
+ * @returns {string|null} Description of the problem, or null if the keyframe is usable
+ */
+function checkViewKeyframe(keyframe) {
+  const problem = checkView(keyframe);
+  if (problem) {
+    return problem.replace(/^view must/, 'keyframe must');
+  }
+
+  const time = keyframe.time;
+  if (typeof time !== 'number' && !(typeof time === 'string' && DURATION_PATTERN.test(time))) {
+    return `time must be seconds or a time like "1:30", got ${describe(time)}`;
+  }
+  if (keyframe.label !== undefined && !isNonEmptyString(keyframe.label)) {
+    return 'label must be a non-empty string';
+  }
+  return null;
+}
+
+/**
+ * Check a chapter section
+ * @param {*} section - The value to check
+ * @returns {string|null} Description of the problem, or null if the section is usable
+ */
+function checkSection(section) {
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    return `section must be an object like {"time": "1:30", "title": "Kong Chow Temple"}, got ${describe(section)}`;
+  }
+
+  const time = section.time;
+  if (typeof time !== 'number' && !(typeof time === 'string' && DURATION_PATTERN.test(time))) {
+    return `time must be seconds or a time like "1:30", got ${describe(time)}`;
+  }
+  if (!isNonEmptyString(section.title)) {
+    return 'title must be a non-empty string';
+  }
+  return null;
+}
+
+/**
+ * Check a narration language variant
+ * @param {string} code - Language code the variant is listed under
+ * @param {*} variant - The value to check
+ * @returns {string|null} Description of the problem, or null if the variant is usable
+ */
+function checkLanguageVariant(code, variant) {
+  if (!LANGUAGE_PATTERN.test(code)) {
+    return `"${code}" is not a language code like "en" or "yue"`;
+  }
+  if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+    return `variant must be an object like {"audio_url": "...", "title": "..."}, got ${describe(variant)}`;
+  }
+  if (!isNonEmptyString(variant.audio_url)) {
+    return 'audio_url must be a non-empty string';
+  }
+
+  const audioProblem = checkMediaUrl(variant.audio_url);
+  if (audioProblem) {
+    return `audio_url: ${audioProblem}`;
+  }
+
+  const captionsProblem = variant.captions !== undefined ? checkMediaUrl(variant.captions) : null;
+  if (captionsProblem) {
+    return `captions: ${captionsProblem}`;
+  }
+
+  if (variant.title !== undefined && !isNonEmptyString(variant.title)) {
+    return 'title must be a non-empty string';
+  }
+  return null;
+}
+
+/**
+ * Check a media URL value
+ * @param {*} url - The value to check
+ * @returns {string|null} Description of the problem, or null if the URL is acceptable
+ */
+function checkMediaUrl(url) {
+  if (url === undefined || url === '') return null;
+
+  if (typeof url !== 'string') {
+    return `URL must be a string, got ${describe(url)}`;
+  }
+
+  if (url !== url.trim()) {
+    return `URL has leading or trailing whitespace: ${JSON.stringify(url)}`;
+  }
+
+  if (/\s/.test(url)) {
+    return `URL contains whitespace (encode spaces as %20 or +): ${JSON.stringify(url)}`;
+  }
+
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme) {
+    const protocol = scheme[1].toLowerCase();
+    if (protocol !== 'http' && protocol !== 'https') {
+      return `Unsupported URL scheme "${scheme[1]}:" in ${JSON.stringify(url)}`;
+    }
+
+    if (!/^https?:\/\/[^/\s]+\.[^/\s]+/i.test(url)) {
+      return `Malformed URL ${JSON.stringify(url)}`;
+    }
+
+    try {
+      new URL(url);
+    } catch (e) {
+      return `Malformed URL ${JSON.stringify(url)}`;
+    }
+  } else if (/^[a-z]+\/\//i.test(url) || /^\/\//.test(url)) {
+    return `URL is missing its scheme: ${JSON.stringify(url)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Report fields that are not part of the schema, suggesting the closest known name
+ * @param {Object} object - The object to check
+ * @param {Array<string>} knownFields - Allowed field names
+ * @param {string} pathPrefix - JSON path prefix for messages
+ * @param {Function} report - Called with (path, message) for each unknown field
+ */
+function checkUnknownFields(object, knownFields, pathPrefix, report) {
+  Object.keys(object).forEach(field => {
+    if (knownFields.includes(field)) return;
+
+    const suggestion = closestMatch(field, knownFields);
+    report(`${pathPrefix}${field}`,
+      `Unknown field "${field}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+  });
+}
+
+/**
+ * Find the closest known field name for a likely typo
+ * @param {string} field - The unknown field name
+ * @param {Array<string>} candidates - Known field names
+ * @returns {string|null} The closest candidate, or null if none is close
+ */
+function closestMatch(field, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  candidates.forEach(candidate => {
+    const distance = editDistance(field.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return bestDistance <= Math.max(2, Math.floor(field.length / 3)) ? best : null;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Describe a value and its type for error messages
+ * @param {*} value - The value
+ * @returns {string} e.g. 'string "true"' or 'number 3'
+ */
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'object') return 'an object';
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Format a validation report as readable text, one line per issue grouped by track
+ * @param {Object} report - Report from validatePlaylist
+ * @returns {string} Multi-line summary
+ */
+export function formatValidationReport(report) {
+  const lines = [];
+  const skipped = report.tracks.filter(result => !result.valid).length;
+
+  lines.push(`Playlist validation (schema v${report.schemaVersion || '?'}): ` +
+    `${report.errors.length} error(s), ${report.warnings.length} warning(s), ` +
+    `${skipped} of ${report.tracks.length} track(s) skipped`);
+
+  const trackIssues = new Set();
+  report.tracks.forEach(result => {
+    if (result.errors.length === 0 && result.warnings.length === 0) return;
+
+    lines.push('');
+    lines.push(`${result.path} ${result.title ? `"${result.title}"` : '(untitled)'}${result.valid ? '' : ' [SKIPPED]'}`);
+    result.errors.concat(result.warnings).forEach(issue => {
+      trackIssues.add(issue);
+      lines.push(`  ${issue.severity === 'error' ? 'ERROR  ' : 'warning'} ${issue.path.slice(result.path.length + 1) || '-'}: ${issue.message}`);
+    });
+  });
+
+  const generalIssues = report.errors.concat(report.warnings).filter(issue => !trackIssues.has(issue));
+  if (generalIssues.length > 0) {
+    lines.push('');
+    generalIssues.forEach(issue => {
+      lines.push(`${issue.severity === 'error' ? 'ERROR  ' : 'warning'} ${issue.path}: ${issue.message}`);
+    });
+  }
+
+  return lines.join('\n');
+}
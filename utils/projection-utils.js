@@ -0,0 +1,52 @@
+/**
+ * Projection Utilities Module
+ * Names and helpers for the XR_Scene projection formats a track can declare
+ */
+
+// Supported values for a track's `projection` field
+export const PROJECTIONS = {
+  MONO_360: 'mono-360',             // Monoscopic equirectangular 360° video
+  STEREO_360_TB: 'stereo-360-tb',   // Top-bottom stereo 360° video, left eye on top
+  STEREO_180_SBS: 'stereo-180-sbs', // Side-by-side stereo 180° video, left eye on the left
+  EAC: 'eac',                       // Equi-angular cubemap video (YouTube 3x2 layout)
+  PHOTO_360: 'photo-360'            // Still equirectangular photosphere (JPEG)
+};
+
+export const DEFAULT_PROJECTION = PROJECTIONS.MONO_360;
+
+// Still images are shown as photospheres when no projection is given
+const IMAGE_EXTENSION_PATTERN = /\.(jpe?g|png|webp)(\?.*)?$/i;
+
+/**
+ * Check whether a value is a supported projection name
+ * @param {*} projection - The value to check
+ * @returns {boolean} Whether the projection is supported
+ */
+export function isKnownProjection(projection) {
+  return Object.values(PROJECTIONS).includes(projection);
+}
+
+/**
+ * Resolve the projection for a track's scene
+ * @param {string} projection - The track's `projection` field, if any
+ * @param {string} sceneUrl - The track's XR_Scene URL
+ * @returns {string} A supported projection name
+ */
+export function normalizeProjection(projection, sceneUrl = '') {
+  if (isKnownProjection(projection)) {
+    return projection;
+  }
+
+  return IMAGE_EXTENSION_PATTERN.test(sceneUrl) ? PROJECTIONS.PHOTO_360 : DEFAULT_PROJECTION;
+}
+
+/**
+ * Check whether a track's scene is a still photosphere rather than a video
+ * Still scenes aren't loaded into the video element, and the audio stays the master
+ * media element in XR mode.
+ * @param {Object} track - Normalized track object
+ * @returns {boolean} Whether the scene is a still image
+ */
+export function isStillScene(track) {
+  return Boolean(track) && track.projection === PROJECTIONS.PHOTO_360;
+}
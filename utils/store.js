@@ -0,0 +1,201 @@
+/**
+ * Store Module
+ * A small observable store: every change goes through set(), runs through the
+ * middleware, and is delivered to the subscribers whose selected value changed
+ *
+ * A change is described by records of the form { key, value, previous }. Derived values
+ * are computed from the state on read, so they can be read and subscribed to like keys
+ * but never go stale. Has no DOM dependencies so it can run under Node.
+ */
+
+/**
+ * Create a store
+ * @param {Object} initialState - Starting values; its keys are the only keys the store accepts
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.derived] - Values computed from the state,
+ *   by name, e.g. { currentTrack: state => state.playlist[state.currentTrackIndex] }
+ * @returns {Object} Store with get, getState, set, subscribe and use
+ */
+export function createStore(initialState, { derived = {} } = {}) {
+  let state = { ...initialState };
+  const subscriptions = new Set();
+  const middleware = [];
+
+  Object.keys(derived).forEach(name => {
+    if (name in state) {
+      throw new Error(`Derived value ${name} has the same name as a state key`);
+    }
+  });
+
+  /**
+   * Read a key or derived value
+   * @param {string} key - State key or derived value name
+   * @returns {*} Current value
+   */
+  function get(key) {
+    if (key in derived) return derived[key](state);
+    if (!(key in state)) throw new Error(`Unknown state key: ${key}`);
+    return state[key];
+  }
+
+  /**
+   * Copy of the whole state, derived values included
+   * @returns {Object} State snapshot
+   */
+  function getState() {
+    const snapshot = { ...state };
+    Object.keys(derived).forEach(name => {
+      snapshot[name] = derived[name](state);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Change one or more keys
+   * @param {Object} changes - New values by key
+   * @param {Object} [meta] - Passed to middleware as is, e.g. { source: 'geofencing' }
+   * @returns {Array<Object>} Records of the keys whose value actually changed
+   * @throws {Error} If a key isn't in the initial state
+   */
+  function set(changes, meta = {}) {
+    Object.keys(changes).forEach(key => {
+      if (key in derived) throw new Error(`${key} is derived and can't be set`);
+      if (!(key in state)) throw new Error(`Unknown state key: ${key}`);
+    });
+
+    const run = (index, pending) => {
+      if (index === middleware.length) {
+        return commit(pending);
+      }
+      return middleware[index](pending, { getState, meta }, next => run(index + 1, next)) || [];
+    };
+
+    return run(0, changes);
+  }
+
+  /**
+   * Apply changes and notify subscribers
+   * @param {Object} changes - New values by key
+   * @returns {Array<Object>} Change records
+   */
+  function commit(changes) {
+    const records = Object.keys(changes)
+      .filter(key => !Object.is(state[key], changes[key]))
+      .map(key => ({ key, value: changes[key], previous: state[key] }));
+
+    if (records.length === 0) return records;
+
+    state = { ...state, ...changes };
+
+    const snapshot = getState();
+    subscriptions.forEach(subscription => {
+      const value = subscription.select(snapshot);
+      if (subscription.equals(value, subscription.last)) return;
+
+      const previous = subscription.last;
+      subscription.last = value;
+
+      try {
+        subscription.listener(value, previous);
+      } catch (error) {
+        console.error('Error in state subscriber:', error);
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Call a listener whenever a key, derived value or selection changes
+   * @param {string|Function} selector - Key or derived value name, or (state) => value
+   * @param {Function} listener - Called with (value, previous)
+   * @param {Object} [options] - { equals } comparison, Object.is by default
+   * @returns {Function} Unsubscribe
+   */
+  function subscribe(selector, listener, { equals = Object.is } = {}) {
+    if (typeof selector === 'string') {
+      get(selector); // Unknown keys fail here rather than never firing
+    }
+
+    const select = typeof selector === 'function' ? selector : snapshot => snapshot[selector];
+    const subscription = { select, listener, equals, last: select(getState()) };
+
+    subscriptions.add(subscription);
+    return () => subscriptions.delete(subscription);
+  }
+
+  /**
+   * Add middleware, which runs in the order added
+   * A middleware is (changes, { getState, meta }, next) => records. It can log, rewrite
+   * the changes it passes to next, save the records next returns, or drop the change by
+   * not calling next.
+   * @param {Function} handler - The middleware
+   */
+  function use(handler) {
+    middleware.push(handler);
+  }
+
+  return { get, getState, set, subscribe, use };
+}
+
+/**
+ * Middleware that saves keys to storage whenever they change
+ * @param {Object} storage - localStorage, or anything with getItem and setItem
+ * @param {Object<string, string>} storageKeys - Storage key for each state key
+ * @returns {Function} The middleware
+ */
+export function createPersistMiddleware(storage, storageKeys) {
+  return (changes, context, next) => {
+    const records = next(changes);
+
+    records
+      .filter(record => record.key in storageKeys)
+      .forEach(record => {
+        try {
+          storage.setItem(storageKeys[record.key], JSON.stringify(record.value));
+        } catch (error) {
+          console.warn(`Could not save ${record.key}:`, error);
+        }
+      });
+
+    return records;
+  };
+}
+
+/**
+ * Read the values saved by createPersistMiddleware
+ * @param {Object} storage - localStorage, or anything with getItem
+ * @param {Object<string, string>} storageKeys - Storage key for each state key
+ * @returns {Object} Saved values by state key, for the keys that have one
+ */
+export function loadPersistedState(storage, storageKeys) {
+  const saved = {};
+
+  Object.keys(storageKeys).forEach(key => {
+    try {
+      const raw = storage.getItem(storageKeys[key]);
+      if (raw !== null) {
+        saved[key] = JSON.parse(raw);
+      }
+    } catch (error) {
+      console.warn(`Could not read saved ${key}:`, error);
+    }
+  });
+
+  return saved;
+}
+
+/**
+ * Middleware that logs every change, for debugging
+ * @param {Function} [log] - Logging function, console.debug by default
+ * @returns {Function} The middleware
+ */
+export function createLoggerMiddleware(log = console.debug) {
+  return (changes, { meta }, next) => {
+    const records = next(changes);
+    records.forEach(({ key, value, previous }) => {
+      log(`[state] ${key}:`, previous, '->', value, meta.source ? `(${meta.source})` : '');
+    });
+    return records;
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Text Search Module
+ * Accent- and case-insensitive matching for playlist search
+ *
+ * "cafe" finds "Café" and "KONG" finds "Kong". Matches are reported as ranges in the
+ * original text so they can be highlighted as written. Has no DOM dependencies so it
+ * can run under Node.
+ */
+
+/**
+ * Fold a string for comparison: lowercase, with accents and other combining marks removed
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+export function foldText(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+/**
+ * Split a search query into folded terms
+ * @param {string} query - What the listener typed
+ * @returns {Array<string>} Terms, each of which must match somewhere
+ */
+export function splitSearchTerms(query) {
+  return foldText(query || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Fold a string, remembering where each folded character came from
+ * @param {string} text - Text to fold
+ * @returns {Object} { folded, starts, ends } where starts[i] and ends[i] are the original
+ *   range of folded character i
+ */
+function foldWithOffsets(text) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+
+  for (const char of text) {
+    const foldedChar = foldText(char);
+    for (let i = 0; i < foldedChar.length; i++) {
+      starts.push(offset);
+      ends.push(offset + char.length);
+    }
+    folded += foldedChar;
+    offset += char.length;
+  }
+
+  return { folded, starts, ends };
+}
+
+/**
+ * Find every occurrence of the search terms in a string
+ * @param {string} text - Text to search
+ * @param {Array<string>} terms - Folded terms from splitSearchTerms
+ * @returns {Array<Object>} Ranges as { start, end, term } in the original text, sorted and
+ *   not overlapping
+ */
+export function findMatches(text, terms) {
+  if (!text || terms.length === 0) return [];
+
+  const { folded, starts, ends } = foldWithOffsets(String(text));
+  const ranges = [];
+
+  terms.forEach(term => {
+    let from = 0;
+    let position;
+    while ((position = folded.indexOf(term, from)) !== -1) {
+      ranges.push({ start: starts[position], end: ends[position + term.length - 1], term });
+      from = position + term.length;
+    }
+  });
+
+  // Merge overlapping matches of different terms so highlights don't nest
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Cut a short excerpt around the first match, for showing why a transcript matched
+ * @param {string} text - Full text
+ * @param {Array<Object>} ranges - Ranges from findMatches
+ * @param {number} [radius=40] - Characters to keep on each side of the match
+ * @returns {Object|null} { text, ranges } with ranges shifted into the excerpt, or null
+ */
+export function excerptAround(text, ranges, radius = 40) {
+  if (ranges.length === 0) return null;
+
+  const first = ranges[0];
+  let start = Math.max(0, first.start - radius);
+  let end = Math.min(text.length, first.end + radius);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first.start) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first.end) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    ranges: ranges
+      .filter(range => range.start >= start && range.end <= end)
+      .map(range => ({ ...range, start: range.start - start + prefix.length, end: range.end - start + prefix.length }))
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * WebVTT Parser Module
+ * Parses WebVTT caption files into plain cue objects for captions.js
+ *
+ * Supports the parts of the format used for narration: cue identifiers, cue settings
+ * (ignored), NOTE/STYLE/REGION blocks (skipped) and inline tags such as <v Speaker>
+ * (stripped, keeping the text). Has no DOM dependencies so it can run under Node.
+ */
+
+// "00:01:02.500 --> 00:01:05.000 align:center" or "01:02.500 --> 01:05.000"
+const TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+/**
+ * Parse a WebVTT timestamp
+ * @param {string} timestamp - Timestamp like "01:02.500" or "1:01:02.500"
+ * @returns {number} Time in seconds
+ */
+function parseTimestamp(timestamp) {
+  const parts = timestamp.replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Remove inline cue tags and decode the entities WebVTT allows
+ * @param {string} text - Cue payload
+ * @returns {string} Plain text
+ */
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lrm;|&rlm;/g, '')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Parse a WebVTT file
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Cues as { start, end, text }, sorted by start time
+ * @throws {Error} If the file doesn't start with the WEBVTT signature
+ */
+export function parseVTT(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+
+  if (!/^WEBVTT(\s|$)/.test(lines[0])) {
+    throw new Error('Not a WebVTT file (missing WEBVTT header)');
+  }
+
+  // Blocks are separated by blank lines; the first block is the header
+  const blocks = [];
+  let block = [];
+  lines.slice(1).forEach(line => {
+    if (line.trim() === '') {
+      if (block.length > 0) blocks.push(block);
+      block = [];
+    } else {
+      block.push(line);
+    }
+  });
+  if (block.length > 0) blocks.push(block);
+
+  const cues = [];
+  blocks.forEach(blockLines => {
+    // The timing line is first, or second after a cue identifier
+    const timingIndex = blockLines.findIndex((line, index) => index < 2 && TIMING_PATTERN.test(line));
+    if (timingIndex === -1) return; // NOTE, STYLE, REGION or header metadata
+
+    const [, start, end] = blockLines[timingIndex].match(TIMING_PATTERN);
+    const cueText = cleanCueText(blockLines.slice(timingIndex + 1).join('\n'));
+    if (!cueText) return;
+
+    cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text: cueText });
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the cue showing at a time
+ * @param {Array<Object>} cues - Cues from parseVTT
+ * @param {number} time - Playback time in seconds
+ * @returns {number} Index of the cue, or -1 if no cue is showing
+ */
+export function findCueIndex(cues, time) {
+  // Binary search for the last cue starting at or before the time
+  let low = 0;
+  let high = cues.length - 1;
+  let index = -1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (cues[middle].start <= time) {
+      index = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return index !== -1 && time < cues[index].end ? index : -1;
+}
@@ -0,0 +1,279 @@
+/**
+ * VR Control Panel Module
+ * Floating in-scene player controls shown during an immersive WebXR session,
+ * where the HTML player controls can't be seen
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { togglePlayPause, seekToTime } from './player-core.js';
+import { loadNextTrack, loadPreviousTrack } from './playlist-manager.js';
+import { exitImmersiveVR } from './xr-mode.js';
+import { formatTime } from './utils/format-utils.js';
+import { t } from './utils/i18n.js';
+
+// Class the controller and gaze raycasters target
+const CONTROL_CLASS = 'vr-control';
+
+// Panel placement relative to the viewer
+const PANEL_DISTANCE = 1.4;
+const PANEL_HEIGHT = 1.1;
+const PANEL_TILT_DEG = -20;
+
+// Scrub bar width in meters
+const SCRUBBER_WIDTH = 1;
+
+// Panel entities, created on setup
+let panel = null;
+let playPauseLabel = null;
+let titleText = null;
+let timeText = null;
+let scrubberProgress = null;
+
+// Button label entities and their UI string keys, relabeled when the UI language changes
+const buttonLabels = [];
+
+/**
+ * Set up the VR control panel
+ */
+export function setupVRControlPanel() {
+  console.log('Setting up VR control panel...');
+
+  try {
+    const scene = document.querySelector('a-scene');
+    if (!scene) return;
+
+    panel = createPanel();
+    scene.appendChild(panel);
+
+    document.addEventListener('immersive-vr-changed', (event) => {
+      if (event.detail.isImmersiveVR) {
+        showPanel();
+      } else {
+        hidePanel();
+      }
+    });
+
+    document.addEventListener('current-track-changed', updatePanel);
+    document.addEventListener('playback-state-changed', updatePanel);
+
+    document.addEventListener('ui-language-changed', () => {
+      buttonLabels.forEach(({ text, key }) => text.setAttribute('value', t(key)));
+      updatePanel();
+    });
+
+    [PlayerState.video, PlayerState.audio].forEach(mediaElement => {
+      if (mediaElement) {
+        mediaElement.addEventListener('timeupdate', updatePanel);
+      }
+    });
+
+    console.log('VR control panel setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupVRControlPanel' });
+  }
+}
+
+/**
+ * Build the panel entity
+ * @returns {HTMLElement} The panel entity
+ */
+function createPanel() {
+  const panelEl = document.createElement('a-entity');
+  panelEl.setAttribute('id', 'vrControlPanel');
+  panelEl.setAttribute('visible', false);
+
+  const background = document.createElement('a-plane');
+  background.setAttribute('width', 1.2);
+  background.setAttribute('height', 0.5);
+  background.setAttribute('material', 'color: #182F48; opacity: 0.85; transparent: true; shader: flat');
+  panelEl.appendChild(background);
+
+  titleText = createText('', '0 0.17 0.01', 1.1);
+  panelEl.appendChild(titleText);
+
+  // Scrub bar: a track to click on, with a progress fill scaled from its left edge
+  const scrubber = document.createElement('a-plane');
+  scrubber.setAttribute('width', SCRUBBER_WIDTH);
+  scrubber.setAttribute('height', 0.05);
+  scrubber.setAttribute('position', '0 0.07 0.01');
+  scrubber.setAttribute('material', 'color: #FFFDEC; opacity: 0.3; transparent: true; shader: flat');
+  scrubber.dataset.vrControl = 'true';
+  scrubber.addEventListener('click', (event) => handleScrubberClick(event, scrubber));
+  panelEl.appendChild(scrubber);
+
+  scrubberProgress = document.createElement('a-plane');
+  scrubberProgress.setAttribute('width', SCRUBBER_WIDTH);
+  scrubberProgress.setAttribute('height', 0.05);
+  scrubberProgress.setAttribute('position', `${-SCRUBBER_WIDTH / 2} 0.07 0.015`);
+  scrubberProgress.setAttribute('scale', '0.001 1 1');
+  scrubberProgress.setAttribute('material', 'color: #FFFDEC; shader: flat');
+  panelEl.appendChild(scrubberProgress);
+
+  timeText = createText('0:00 / 0:00', '0 0 0.01', 0.8);
+  panelEl.appendChild(timeText);
+
+  const buttons = [
+    { key: 'vr.previous', x: -0.42, action: () => loadPreviousTrack(true) },
+    { key: 'vr.play', x: -0.14, action: togglePlayPause },
+    { key: 'vr.next', x: 0.14, action: () => loadNextTrack(true) },
+    { key: 'vr.exit', x: 0.42, action: exitImmersiveVR }
+  ];
+
+  buttons.forEach(({ key, x, action }) => {
+    const button = createButton(t(key), `${x} -0.14 0.01`, action);
+    const text = button.querySelector('a-text');
+
+    // The play/pause label follows playback in updatePanel
+    if (key === 'vr.play') {
+      playPauseLabel = text;
+    } else {
+      buttonLabels.push({ text, key });
+    }
+    panelEl.appendChild(button);
+  });
+
+  return panelEl;
+}
+
+/**
+ * Create a text entity
+ * @param {string} value - Text to show
+ * @param {string} position - Position attribute
+ * @param {number} width - Text width in meters
+ * @returns {HTMLElement} The text entity
+ */
+function createText(value, position, width) {
+  const text = document.createElement('a-text');
+  text.setAttribute('value', value);
+  text.setAttribute('align', 'center');
+  text.setAttribute('color', '#FFFDEC');
+  text.setAttribute('width', width);
+  text.setAttribute('position', position);
+  return text;
+}
+
+/**
+ * Create a clickable button entity
+ * @param {string} label - Button label
+ * @param {string} position - Position attribute
+ * @param {Function} action - Click handler
+ * @returns {HTMLElement} The button entity
+ */
+function createButton(label, position, action) {
+  const button = document.createElement('a-plane');
+  button.setAttribute('width', 0.24);
+  button.setAttribute('height', 0.12);
+  button.setAttribute('position', position);
+  button.setAttribute('material', 'color: #FFFDEC; opacity: 0.15; transparent: true; shader: flat');
+  button.setAttribute('animation__mouseenter', 'property: material.opacity; to: 0.35; dur: 100; startEvents: mouseenter');
+  button.setAttribute('animation__mouseleave', 'property: material.opacity; to: 0.15; dur: 100; startEvents: mouseleave');
+  button.dataset.vrControl = 'true';
+  button.addEventListener('click', action);
+
+  button.appendChild(createText(label, '0 0 0.01', 0.9));
+  return button;
+}
+
+/**
+ * Seek to the point on the scrub bar that was clicked
+ * @param {CustomEvent} event - Click event from the cursor or laser controls
+ * @param {HTMLElement} scrubber - The scrub bar entity
+ */
+function handleScrubberClick(event, scrubber) {
+  const intersection = event.detail && event.detail.intersection;
+  const mediaElement = PlayerState.activeMediaElement;
+  if (!intersection || !mediaElement || !mediaElement.duration) return;
+
+  const localPoint = scrubber.object3D.worldToLocal(intersection.point.clone());
+  const fraction = Math.min(Math.max(localPoint.x / SCRUBBER_WIDTH + 0.5, 0), 1);
+
+  seekToTime(fraction * mediaElement.duration);
+  updatePanel();
+}
+
+/**
+ * Show the panel in front of the viewer and make its controls targetable
+ */
+function showPanel() {
+  if (!panel) return;
+
+  placePanelInFrontOfViewer();
+  panel.setAttribute('visible', true);
+  setControlsTargetable(true);
+  updatePanel();
+}
+
+/**
+ * Hide the panel and stop its controls intercepting rays
+ */
+function hidePanel() {
+  if (!panel) return;
+
+  panel.setAttribute('visible', false);
+  setControlsTargetable(false);
+}
+
+/**
+ * Place the panel below eye level in the direction the viewer is facing
+ */
+function placePanelInFrontOfViewer() {
+  const camera = document.getElementById('cameraEntity');
+  let yaw = 0;
+
+  if (camera && camera.object3D) {
+    const direction = new AFRAME.THREE.Vector3();
+    camera.object3D.getWorldDirection(direction);
+    // getWorldDirection points out of the back of the camera
+    yaw = Math.atan2(direction.x, direction.z);
+  }
+
+  const x = -Math.sin(yaw) * PANEL_DISTANCE;
+  const z = -Math.cos(yaw) * PANEL_DISTANCE;
+
+  panel.setAttribute('position', `${x.toFixed(3)} ${PANEL_HEIGHT} ${z.toFixed(3)}`);
+  panel.setAttribute('rotation', `${PANEL_TILT_DEG} ${yaw * 180 / Math.PI} 0`);
+}
+
+/**
+ * Add or remove the raycaster target class on the panel's controls
+ * @param {boolean} isTargetable - Whether the controls should receive clicks
+ */
+function setControlsTargetable(isTargetable) {
+  panel.querySelectorAll('[data-vr-control]').forEach(control => {
+    control.classList.toggle(CONTROL_CLASS, isTargetable);
+  });
+
+  document.querySelectorAll('[raycaster]').forEach(el => {
+    if (el.components && el.components.raycaster) {
+      el.components.raycaster.refreshObjects();
+    }
+  });
+}
+
+/**
+ * Update the title, time, scrub bar and play/pause label
+ */
+function updatePanel() {
+  if (!panel || !PlayerState.isImmersiveVR) return;
+
+  const track = PlayerState.playlist[PlayerState.currentTrackIndex];
+  if (track) {
+    titleText.setAttribute('value', track.title);
+  }
+
+  const mediaElement = PlayerState.activeMediaElement;
+  if (mediaElement) {
+    const duration = mediaElement.duration || 0;
+    const fraction = duration ? Math.min(mediaElement.currentTime / duration, 1) : 0;
+
+    timeText.setAttribute('value', `${formatTime(mediaElement.currentTime)} / ${formatTime(duration)}`);
+
+    // Scale the fill from the bar's left edge
+    const width = Math.max(fraction, 0.001);
+    scrubberProgress.setAttribute('scale', `${width} 1 1`);
+    scrubberProgress.setAttribute('position', `${-SCRUBBER_WIDTH / 2 + (width * SCRUBBER_WIDTH) / 2} 0.07 0.015`);
+
+    playPauseLabel.setAttribute('value', t(mediaElement.paused ? 'vr.play' : 'vr.pause'));
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * XR Hotspots Module
+ * Renders a track's hotspots as A-Frame entities in the 360° scene, shown and hidden
+ * in sync with playback, and opens a detail card when one is tapped or gazed at
+ *
+ * Hotspot positions use yaw/pitch in degrees: yaw 0 is the center of the video frame
+ * (the initial view) and increases to the right, pitch 0 is the horizon and increases up.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { parseTimeString } from './utils/format-utils.js';
+
+// Distance from the camera at which hotspots are placed (inside the videosphere)
+const HOTSPOT_DISTANCE = 8;
+
+// Class the tap and gaze raycasters target
+const TARGET_CLASS = 'hotspot-target';
+
+// Hotspots for the current track, each with its A-Frame entity
+let activeHotspots = [];
+
+/**
+ * Set up hotspot rendering and the detail card
+ */
+export function setupXRHotspots() {
+  console.log('Setting up XR hotspots...');
+
+  try {
+    document.addEventListener('current-track-changed', (event) => {
+      hideHotspotCard();
+      renderHotspots(event.detail.track);
+    });
+
+    // Photosphere scenes have no video, so their hotspots follow the audio
+    [PlayerState.video, PlayerState.audio].forEach(mediaElement => {
+      if (mediaElement) {
+        mediaElement.addEventListener('timeupdate', updateHotspotVisibility);
+        mediaElement.addEventListener('seeked', updateHotspotVisibility);
+      }
+    });
+
+    document.addEventListener('xr-mode-changed', (event) => {
+      if (!event.detail.isXRMode) {
+        hideHotspotCard();
+      }
+      updateHotspotVisibility();
+    });
+
+    const closeBtn = document.getElementById('hotspotCardClose');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', hideHotspotCard);
+    }
+
+    // Gaze selection is for handheld magic-window viewing; desktop uses the mouse
+    const gazeCursor = document.getElementById('gazeCursor');
+    if (gazeCursor && !PlayerState.isMobileDevice) {
+      gazeCursor.setAttribute('raycaster', 'enabled', false);
+    }
+
+    console.log('XR hotspots setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupXRHotspots' });
+  }
+}
+
+/**
+ * Create the hotspot entities for a track
+ * @param {Object} track - Normalized track object
+ */
+function renderHotspots(track) {
+  const layer = document.getElementById('hotspotLayer');
+  if (!layer) return;
+
+  // Remove the previous track's hotspots
+  activeHotspots.forEach(hotspot => hotspot.el.remove());
+  activeHotspots = [];
+
+  if (!track || !Array.isArray(track.hotspots)) return;
+
+  track.hotspots.forEach((definition, index) => {
+    const hotspot = normalizeHotspot(definition);
+    if (!hotspot) {
+      console.warn(`Skipping invalid hotspot ${index} on "${track.title}"`, definition);
+      return;
+    }
+
+    hotspot.el = createHotspotEntity(hotspot);
+    layer.appendChild(hotspot.el);
+    activeHotspots.push(hotspot);
+  });
+
+  updateHotspotVisibility();
+}
+
+/**
+ * Convert a hotspot definition from the playlist into the form used for rendering
+ * @param {Object} definition - Hotspot from playlist.json
+ * @returns {Object|null} Hotspot with numeric yaw, pitch, start and end, or null if invalid
+ */
+function normalizeHotspot(definition) {
+  if (!definition || typeof definition !== 'object') return null;
+  if (!Number.isFinite(definition.yaw) || !Number.isFinite(definition.pitch)) return null;
+  if (Math.abs(definition.pitch) > 90) return null;
+  if (typeof definition.label !== 'string' || definition.label.trim() === '') return null;
+
+  const toSeconds = (value, fallback) => {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return parseTimeString(value);
+    return fallback;
+  };
+
+  return {
+    yaw: definition.yaw,
+    pitch: definition.pitch,
+    start: toSeconds(definition.start, 0),
+    end: toSeconds(definition.end, Infinity),
+    label: definition.label,
+    image: definition.image || '',
+    link: definition.link || ''
+  };
+}
+
+/**
+ * Build the A-Frame entity for a hotspot
+ * @param {Object} hotspot - Normalized hotspot
+ * @returns {HTMLElement} The entity
+ */
+function createHotspotEntity(hotspot) {
+  const yaw = hotspot.yaw * Math.PI / 180;
+  const pitch = hotspot.pitch * Math.PI / 180;
+
+  // Forward is -Z; positive yaw turns right (+X), positive pitch looks up (+Y)
+  const x = Math.sin(yaw) * Math.cos(pitch) * HOTSPOT_DISTANCE;
+  const y = Math.sin(pitch) * HOTSPOT_DISTANCE;
+  const z = -Math.cos(yaw) * Math.cos(pitch) * HOTSPOT_DISTANCE;
+
+  const entity = document.createElement('a-entity');
+  entity.setAttribute('position', `${x.toFixed(3)} ${y.toFixed(3)} ${z.toFixed(3)}`);
+  // Face the camera at the center of the layer
+  entity.setAttribute('rotation', `${hotspot.pitch} ${-hotspot.yaw} 0`);
+  entity.setAttribute('visible', false);
+
+  const marker = document.createElement('a-entity');
+  marker.setAttribute('geometry', 'primitive: circle; radius: 0.25');
+  marker.setAttribute('material', 'color: #FFFDEC; opacity: 0.85; transparent: true; shader: flat');
+  marker.setAttribute('animation__mouseenter', 'property: scale; to: 1.3 1.3 1.3; dur: 150; startEvents: mouseenter');
+  marker.setAttribute('animation__mouseleave', 'property: scale; to: 1 1 1; dur: 150; startEvents: mouseleave');
+  marker.setAttribute('animation__fusing', 'property: scale; from: 1 1 1; to: 0.6 0.6 0.6; dur: 1500; startEvents: fusing');
+  marker.addEventListener('click', () => showHotspotCard(hotspot));
+
+  const ring = document.createElement('a-entity');
+  ring.setAttribute('geometry', 'primitive: ring; radiusInner: 0.3; radiusOuter: 0.36');
+  ring.setAttribute('material', 'color: #FFFDEC; shader: flat');
+  ring.setAttribute('animation', 'property: scale; from: 1 1 1; to: 1.25 1.25 1.25; dir: alternate; dur: 1000; loop: true');
+
+  const label = document.createElement('a-text');
+  label.setAttribute('value', hotspot.label);
+  label.setAttribute('align', 'center');
+  label.setAttribute('color', '#FFFDEC');
+  label.setAttribute('width', 4);
+  label.setAttribute('position', '0 -0.6 0');
+
+  entity.appendChild(ring);
+  entity.appendChild(marker);
+  entity.appendChild(label);
+
+  hotspot.marker = marker;
+  return entity;
+}
+
+/**
+ * Show the hotspots whose time window contains the current scene time
+ */
+function updateHotspotVisibility() {
+  const mediaElement = PlayerState.activeMediaElement || PlayerState.video;
+  if (activeHotspots.length === 0 || !mediaElement) return;
+
+  const currentTime = mediaElement.currentTime;
+  let targetsChanged = false;
+
+  activeHotspots.forEach(hotspot => {
+    const isVisible = PlayerState.isXRMode && currentTime >= hotspot.start && currentTime < hotspot.end;
+
+    if (hotspot.isVisible === isVisible) return;
+
+    hotspot.isVisible = isVisible;
+    hotspot.el.setAttribute('visible', isVisible);
+
+    // Hidden entities still intersect rays, so only visible markers are targets
+    hotspot.marker.classList.toggle(TARGET_CLASS, isVisible);
+    targetsChanged = true;
+  });
+
+  if (targetsChanged) {
+    refreshRaycasters();
+  }
+}
+
+/**
+ * Tell the tap and gaze raycasters that the set of targets changed
+ */
+function refreshRaycasters() {
+  document.querySelectorAll('[raycaster]').forEach(el => {
+    if (el.components && el.components.raycaster) {
+      el.components.raycaster.refreshObjects();
+    }
+  });
+}
+
+/**
+ * Open the detail card for a hotspot
+ * @param {Object} hotspot - Normalized hotspot
+ */
+function showHotspotCard(hotspot) {
+  const card = document.getElementById('hotspotCard');
+  if (!card || !hotspot.isVisible) return;
+
+  document.getElementById('hotspotCardTitle').textContent = hotspot.label;
+
+  const image = document.getElementById('hotspotCardImage');
+  if (hotspot.image) {
+    image.src = hotspot.image;
+    image.alt = hotspot.label;
+    image.style.display = 'block';
+  } else {
+    image.removeAttribute('src');
+    image.style.display = 'none';
+  }
+
+  const link = document.getElementById('hotspotCardLink');
+  if (hotspot.link) {
+    link.href = hotspot.link;
+    link.style.display = 'inline-flex';
+  } else {
+    link.removeAttribute('href');
+    link.style.display = 'none';
+  }
+
+  card.classList.add('visible');
+
+  document.dispatchEvent(new CustomEvent('hotspot-selected', {
+    detail: { label: hotspot.label, yaw: hotspot.yaw, pitch: hotspot.pitch, image: hotspot.image, link: hotspot.link }
+  }));
+}
+
+/**
+ * Close the hotspot detail card
+ */
+function hideHotspotCard() {
+  const card = document.getElementById('hotspotCard');
+  if (card) {
+    card.classList.remove('visible');
+  }
+}
@@ -1,15 +1,32 @@
 /**
  * XR Mode Module
  * Handles 360° video functionality and camera controls
+ *
+ * Switching between audio and XR mode goes through the media adapter
+ * (utils/media-adapter.js) for the video element and the page, so it runs under Node with
+ * fakes. Entering and leaving a headset session needs the A-Frame scene.
+ *
+ * A switch runs through the playback machine's switching-to-xr and switching-to-audio
+ * states, so the pause of the element being left behind doesn't count as a pause.
  */
 
 import { PlayerState } from './shared-state.js';
 import { ErrorLogger } from './error-logger.js';
-import { enforceProperMuting, syncPlaybackState } from './utils/media-sync.js';
-import { updateUIForCurrentMode, updateAudioPlayerUI } from './player-ui.js';
+import { enforceProperMuting, syncPlaybackState, MAX_SYNC_DIFF_SEC } from './utils/media-sync.js';
+import { updateAudioPlayerUI } from './player-ui.js';
 import { showMessage } from './utils/messaging.js';
 import { recenterCamera } from './utils/camera-controls.js';
 import { requestDeviceMotionPermission } from './utils/device-detection.js';
+import { isStillScene } from './utils/projection-utils.js';
+import { t } from './utils/i18n.js';
+import { getMediaAdapter } from './utils/media-adapter.js';
+import { PLAYBACK_STATES } from './utils/playback-machine.js';
+
+// Longest to wait for a 360° video to load before switching to it anyway
+const VIDEO_PRELOAD_TIMEOUT_MS = 10000;
+
+// HTMLMediaElement.HAVE_FUTURE_DATA: enough data to start playing
+const HAVE_FUTURE_DATA = 3;
 
 /**
  * Set up XR mode functionality
@@ -21,6 +38,9 @@ export function setupXRMode() {
     // Set up button click handlers
     setupXRButtons();
     
+    // Track immersive sessions however they start or end (including the headset's own exit)
+    setupImmersiveVR();
+    
     console.log('XR mode setup complete');
   } catch (error) {
     ErrorLogger.handleError(error, { function: 'setupXRMode' });
@@ -45,6 +65,110 @@ function setupXRButtons() {
   if (PlayerState.elements.recenterCameraBtn) {
     PlayerState.elements.recenterCameraBtn.addEventListener('click', recenterCamera);
   }
+  
+  // Enter VR button (only shown when an immersive session is supported)
+  if (PlayerState.elements.enterVRBtn) {
+    PlayerState.elements.enterVRBtn.addEventListener('click', enterImmersiveVR);
+  }
+}
+
+/**
+ * Set up immersive WebXR session handling
+ */
+function setupImmersiveVR() {
+  const scene = document.querySelector('a-scene');
+  if (!scene) return;
+  
+  scene.addEventListener('enter-vr', () => {
+    // A-Frame also fires enter-vr for fullscreen on some mobile browsers
+    if (!scene.is('vr-mode')) return;
+    
+    console.log('Immersive VR session started');
+    PlayerState.setImmersiveVR(true);
+  });
+  
+  scene.addEventListener('exit-vr', () => {
+    if (!PlayerState.isImmersiveVR) return;
+    
+    console.log('Immersive VR session ended');
+    PlayerState.setImmersiveVR(false);
+    
+    // Return to the magic-window 360° view, unless the session ended because we left XR mode
+    if (PlayerState.isXRMode) {
+      const wasPlaying = PlayerState.activeMediaElement && !PlayerState.activeMediaElement.paused;
+      PlayerState.transition('switchToXR');
+      completeXRModeSwitch(wasPlaying, Boolean(PlayerState.currentTrackIsXROnly));
+    }
+  });
+  
+  // Only offer the VR button where a headset session can actually start
+  isImmersiveVRSupported().then(isSupported => {
+    if (PlayerState.elements.enterVRBtn) {
+      PlayerState.elements.enterVRBtn.classList.toggle('supported', isSupported);
+    }
+  });
+}
+
+/**
+ * Check whether the browser can start an immersive-vr WebXR session
+ * Works with a real device, the WebXR emulator extension or a mocked navigator.xr.
+ * @returns {Promise<boolean>} Whether immersive VR is supported
+ */
+export async function isImmersiveVRSupported() {
+  if (!navigator.xr || typeof navigator.xr.isSessionSupported !== 'function') {
+    return false;
+  }
+  
+  try {
+    return await navigator.xr.isSessionSupported('immersive-vr');
+  } catch (error) {
+    console.warn('Could not check immersive VR support:', error);
+    return false;
+  }
+}
+
+/**
+ * Enter an immersive WebXR session from the 360° view
+ * Must be called from a user gesture. The session is started by A-Frame's scene.enterVR(),
+ * and PlayerState is updated from the scene's enter-vr event.
+ * @returns {Promise<boolean>} Whether the session started
+ */
+export async function enterImmersiveVR() {
+  console.log('Entering immersive VR');
+  
+  try {
+    const scene = document.querySelector('a-scene');
+    
+    if (!scene || !(await isImmersiveVRSupported())) {
+      showMessage(t('vr.notSupported'), 3000);
+      return false;
+    }
+    
+    if (!PlayerState.isXRMode) {
+      showMessage(t('vr.openSceneFirst'), 2000);
+      return false;
+    }
+    
+    await scene.enterVR();
+    return true;
+  } catch (error) {
+    ErrorLogger.logError(error, { function: 'enterImmersiveVR' });
+    showMessage(t('vr.couldNotStart'), 3000, true);
+    return false;
+  }
+}
+
+/**
+ * Leave the immersive WebXR session and return to the magic-window 360° view
+ * The playback position is kept.
+ */
+export function exitImmersiveVR() {
+  const scene = document.querySelector('a-scene');
+  
+  if (scene && PlayerState.isImmersiveVR) {
+    console.log('Exiting immersive VR');
+    scene.exitVR();
+  }
 }
 
 /**
@@ -68,7 +192,7 @@ export function switchToXRMode() {
     
     if (!currentTrack) {
       console.error('No current track loaded, cannot switch to XR mode');
-      showMessage("No chapter loaded. Cannot switch to XR mode.", 3000);
+      showMessage(t('xr.noTrack'), 3000);
       return;
     }
     
@@ -81,7 +205,7 @@ export function switchToXRMode() {
         console.log('Found XR_Scene in raw track data, using that instead:', rawTrackData.XR_Scene);
         currentTrack.videoSrc = rawTrackData.XR_Scene;
       } else {
-        showMessage("This track does not have a 360° scene.", 3000);
+        showMessage(t('xr.noScene'), 3000);
         return;
       }
     }
@@ -89,54 +213,32 @@ export function switchToXRMode() {
     // Check if this is an XR-only track (no audio source)
     const hasAudio = currentTrack.audioSrc && currentTrack.audioSrc.trim() !== '';
     const isXROnlyTrack = !hasAudio;
+    const adapter = getMediaAdapter();
+    
+    // Store this state in the track object for reference elsewhere
+    currentTrack.isXROnlyTrack = isXROnlyTrack;
+    PlayerState.set({ currentTrackIsXROnly: isXROnlyTrack });
+    adapter.setXROnlyTrack(isXROnlyTrack);
     
     if (isXROnlyTrack) {
       console.log('Track is XR-only (no audio source)');
       
-      // Store this state in the track object for reference elsewhere
-      currentTrack.isXROnlyTrack = true;
-      
-      // Store in global state if available
-      PlayerState.currentTrackIsXROnly = true;
-      
-      // Add a special class to the body for CSS targeting
-      document.body.classList.add('xr-only-track');
-      
-      // Immediately hide the exit XR button if it exists
-      if (PlayerState.elements.exitXRBtn) {
-        console.log('Immediately hiding exit XR button from switchToXRMode');
-        PlayerState.elements.exitXRBtn.style.display = 'none';
-        PlayerState.elements.exitXRBtn.style.pointerEvents = 'none';
-        PlayerState.elements.exitXRBtn.setAttribute('disabled', 'disabled');
-        PlayerState.elements.exitXRBtn.classList.add('hidden');
-      }
-      
-      // Also try direct DOM access
-      const exitXRBtnDOM = document.getElementById('exitXRBtn');
-      if (exitXRBtnDOM && exitXRBtnDOM !== PlayerState.elements.exitXRBtn) {
-        exitXRBtnDOM.style.display = 'none';
-        exitXRBtnDOM.style.pointerEvents = 'none';
-        exitXRBtnDOM.setAttribute('disabled', 'disabled');
-        exitXRBtnDOM.classList.add('hidden');
-      }
-    } else {
-      // For tracks with audio, ensure we remove the XR-only markers
-      currentTrack.isXROnlyTrack = false;
-      PlayerState.currentTrackIsXROnly = false;
-      document.body.classList.remove('xr-only-track');
+      // Hide the exit XR button straight away; there's no audio mode to go back to
+      adapter.setExitXRVisible(false);
     }
     
     // Store the current playback state
     const wasPlaying = PlayerState.activeMediaElement && !PlayerState.activeMediaElement.paused;
     
     // Pause both media elements temporarily
+    PlayerState.transition('switchToXR');
     if (PlayerState.audio) PlayerState.audio.pause();
     if (PlayerState.video) PlayerState.video.pause();
     
     // For mobile devices, ensure we have device orientation permission
     if (PlayerState.isMobileDevice) {
       // Request device orientation permission if needed
-      showMessage("Requesting device access...");
+      showMessage(t('device.requestingAccess'));
       
       requestDeviceMotionPermission()
         .then(permissionGranted => {
@@ -147,30 +249,30 @@ export function switchToXRMode() {
           if (scene) {
             scene.addEventListener('loaded', () => {
               console.log('A-Frame scene loaded, completing XR mode switch');
-              completeXRModeSwitch(wasPlaying, isXROnlyTrack);
+              preloadVideoBeforeSwitch(currentTrack, wasPlaying, isXROnlyTrack);
             }, { once: true });
             
             // If scene is already loaded, complete switch immediately
             if (scene.hasLoaded) {
               console.log('A-Frame scene already loaded, completing XR mode switch');
-              completeXRModeSwitch(wasPlaying, isXROnlyTrack);
+              preloadVideoBeforeSwitch(currentTrack, wasPlaying, isXROnlyTrack);
             }
           } else {
             console.log('A-Frame scene not found, proceeding anyway');
-            completeXRModeSwitch(wasPlaying, isXROnlyTrack);
+            preloadVideoBeforeSwitch(currentTrack, wasPlaying, isXROnlyTrack);
           }
         })
         .catch(error => {
           console.error('Error requesting device orientation permission:', error);
           
           // Show error message but proceed anyway
-          showMessage("Limited 360° viewing available.", 3000);
-          completeXRModeSwitch(wasPlaying, isXROnlyTrack);
+          showMessage(t('xr.limitedViewing'), 3000);
+          preloadVideoBeforeSwitch(currentTrack, wasPlaying, isXROnlyTrack);
         });
     } else {
       // Not a mobile device, proceed normally
       console.log('Not a mobile device, proceeding normally');
-      completeXRModeSwitch(wasPlaying, isXROnlyTrack);
+      preloadVideoBeforeSwitch(currentTrack, wasPlaying, isXROnlyTrack);
     }
   } catch (error) {
     ErrorLogger.handleError(error, { function: 'switchToXRMode' });
@@ -179,6 +281,118 @@ export function switchToXRMode() {
   }
 }
 
+/**
+ * Make sure a track's 360° video can load before switching to it
+ * Loads the video in a throwaway element first, so a broken URL is reported instead of
+ * leaving the listener in front of a black scene. A slow video gets
+ * VIDEO_PRELOAD_TIMEOUT_MS before the switch goes ahead anyway.
+ * @param {Object} track - The track being switched to
+ * @param {boolean} wasPlaying - Whether media was playing before the switch
+ * @param {boolean} isXROnlyTrack - Whether this is an XR-only track with no audio
+ */
+export function preloadVideoBeforeSwitch(track, wasPlaying, isXROnlyTrack = false) {
+  const videoSrc = track.videoSrc;
+  const video360 = PlayerState.video;
+  const adapter = getMediaAdapter();
+  
+  // Photospheres are images, and a video that's already loaded has nothing to check
+  const isVideoLoaded = video360 && !video360.error && video360.readyState >= 3 &&
+    video360.currentSrc === adapter.resolveUrl(videoSrc);
+  
+  if (isStillScene(track) || isVideoLoaded) {
+    completeXRModeSwitch(wasPlaying, isXROnlyTrack);
+    return;
+  }
+  
+  showMessage(t('xr.preparing'));
+  
+  const tempVideo = adapter.createProbeVideo();
+  tempVideo.preload = 'auto';
+  tempVideo.muted = true;
+  tempVideo.crossOrigin = 'anonymous';
+  
+  let preloadTimeout = null;
+  
+  const finish = (canSwitch) => {
+    clearTimeout(preloadTimeout);
+    tempVideo.removeEventListener('canplaythrough', onReady);
+    tempVideo.removeEventListener('error', onError);
+    tempVideo.removeAttribute('src');
+    tempVideo.load();
+    
+    // The listener may have changed tracks while the video was loading
+    if (PlayerState.playlist[PlayerState.currentTrackIndex] !== track) return;
+    
+    if (canSwitch) {
+      completeXRModeSwitch(wasPlaying, isXROnlyTrack);
+    } else {
+      showMessage(t('xr.videoFailed'), 5000, true);
+      PlayerState.transition('switchCancelled');
+      
+      // Carry on listening where the switch paused
+      if (wasPlaying && PlayerState.activeMediaElement) {
+        PlayerState.activeMediaElement.play().catch(error => {
+          console.error('Error resuming playback after the 360° video failed:', error);
+        });
+      }
+    }
+  };
+  
+  const onReady = () => {
+    console.log('Video preloaded successfully, continuing to XR mode');
+    finish(true);
+  };
+  
+  const onError = () => {
+    console.error(`Error preloading 360° video for "${track.title}":`, videoSrc);
+    finish(false);
+  };
+  
+  tempVideo.addEventListener('canplaythrough', onReady);
+  tempVideo.addEventListener('error', onError);
+  tempVideo.src = videoSrc;
+  tempVideo.load();
+  
+  preloadTimeout = setTimeout(() => {
+    console.warn('Video preload timed out, continuing to XR mode anyway');
+    finish(true);
+  }, VIDEO_PRELOAD_TIMEOUT_MS);
+}
+
+/**
+ * Finish a mode switch in the playback machine, once the new element is active
+ * The machine goes back to the state from before the switch, then catches up with the
+ * new element: a track still loading may already be loaded, and playback that carries
+ * on may have to wait for data.
+ */
+function finishModeSwitch() {
+  PlayerState.transition('switched');
+  
+  const media = PlayerState.activeMediaElement;
+  const canPlay = Boolean(media) && media.readyState >= HAVE_FUTURE_DATA;
+  
+  if (PlayerState.playbackState === PLAYBACK_STATES.LOADING && canPlay) {
+    PlayerState.transition('loaded');
+  } else if (PlayerState.playbackState === PLAYBACK_STATES.PLAYING && !canPlay) {
+    PlayerState.transition('wait');
+  }
+}
+
+/**
+ * Call back once a media element has enough data to play
+ * @param {HTMLMediaElement} media - Audio or video element
+ * @param {Function} callback - Called once, straight away if the element is ready
+ */
+function whenCanPlay(media, callback) {
+  if (!media) return;
+  
+  if (media.readyState >= HAVE_FUTURE_DATA) {
+    callback();
+  } else {
+    media.addEventListener('canplay', callback, { once: true });
+  }
+}
+
 /**
  * Complete the switch to XR mode
  * @param {boolean} wasPlaying - Whether media was playing before the switch
@@ -194,6 +408,7 @@ export function completeXRModeSwitch(wasPlaying, isXROnlyTrack = false) {
     
     if (!currentTrack) {
       console.error('No current track available for XR mode');
+      PlayerState.transition('switchCancelled');
       return;
     }
     
@@ -210,121 +425,88 @@ export function completeXRModeSwitch(wasPlaying, isXROnlyTrack = false) {
       }
     }
     
-    // Update the video source in the DOM
-    const videoSource = document.getElementById('videoSource');
-    if (videoSource && videoSrc) {
-      console.log(`Updating video source to: ${videoSrc}`);
-      videoSource.src = videoSrc;
+    // Update the video source, unless it's already loaded
+    // (reloading would restart the video and lose the playback position)
+    const adapter = getMediaAdapter();
+    const video360 = PlayerState.video;
+    const isVideoLoaded = video360 && videoSrc && !video360.error &&
+      video360.currentSrc === adapter.resolveUrl(videoSrc);
+    
+    // Photospheres are drawn by xr-projection.js and the audio keeps playing underneath
+    const isStill = isStillScene(currentTrack);
+    
+    if (isStill) {
+      console.log('Photosphere scene, audio stays the active media element');
+    } else if (isVideoLoaded) {
+      console.log('Video source already loaded, keeping playback position');
       
-      // Force the video element to reload
-      const video360 = document.getElementById('video360');
-      if (video360) {
-        video360.load();
+      // Coming from audio mode, pick up where the audio is
+      if (!PlayerState.isXRMode && PlayerState.audio && PlayerState.audio.getAttribute('src') &&
+          Math.abs(video360.currentTime - PlayerState.audio.currentTime) > MAX_SYNC_DIFF_SEC) {
+        video360.currentTime = PlayerState.audio.currentTime;
       }
+    } else if (videoSrc) {
+      console.log(`Updating video source to: ${videoSrc}`);
+      adapter.loadVideo(videoSrc);
     }
     
     // Set XR mode flag
     PlayerState.setXRMode(true);
     
     // Update the active media element
-    PlayerState.setActiveMediaElement(PlayerState.video);
-    
-    // Update UI for XR mode
-    updateUIForCurrentMode(true);
-    
-    // Handle exit XR button visibility
-    if (PlayerState.elements.exitXRBtn) {
-      if (isXROnlyTrack) {
-        // XR-only track should hide the exit button
-        console.log('XR-only track: hiding exit XR button - XR MODULE');
-        PlayerState.elements.exitXRBtn.style.display = 'none';
-        PlayerState.elements.exitXRBtn.style.pointerEvents = 'none';
-        PlayerState.elements.exitXRBtn.setAttribute('disabled', 'disabled');
-        PlayerState.elements.exitXRBtn.classList.add('hidden');
-        
-        // Also try direct DOM access as fallback
-        const exitXRBtnDOM = document.getElementById('exitXRBtn');
-        if (exitXRBtnDOM && exitXRBtnDOM !== PlayerState.elements.exitXRBtn) {
-          console.log('Found exitXRBtn through direct DOM access, hiding it too');
-          exitXRBtnDOM.style.display = 'none';
-          exitXRBtnDOM.style.pointerEvents = 'none';
-          exitXRBtnDOM.setAttribute('disabled', 'disabled');
-          exitXRBtnDOM.classList.add('hidden');
-        }
-      } else {
-        // Normal track should show the exit button
-        PlayerState.elements.exitXRBtn.style.display = 'flex';
-        PlayerState.elements.exitXRBtn.style.pointerEvents = 'auto';
-        PlayerState.elements.exitXRBtn.removeAttribute('disabled');
-        PlayerState.elements.exitXRBtn.classList.remove('hidden');
-      }
-    } else {
-      console.warn('Exit XR button element not found in PlayerState');
-      
-      // Try direct DOM access as fallback
-      const exitXRBtnDOM = document.getElementById('exitXRBtn');
-      if (exitXRBtnDOM) {
-        console.log('Found exitXRBtn through direct DOM access');
-        if (isXROnlyTrack) {
-          exitXRBtnDOM.style.display = 'none';
-          exitXRBtnDOM.style.pointerEvents = 'none';
-          exitXRBtnDOM.setAttribute('disabled', 'disabled');
-          exitXRBtnDOM.classList.add('hidden');
-        } else {
-          exitXRBtnDOM.style.display = 'flex';
-          exitXRBtnDOM.style.pointerEvents = 'auto';
-          exitXRBtnDOM.removeAttribute('disabled');
-          exitXRBtnDOM.classList.remove('hidden');
-        }
-      }
-    }
+    PlayerState.setActiveMediaElement(isStill ? PlayerState.audio : PlayerState.video);
+    
+    // player-ui.js updates the rest of the UI from xr-mode-changed; the exit button
+    // stays hidden for XR-only tracks
+    adapter.setExitXRVisible(!isXROnlyTrack);
     
     // Ensure proper muting
     enforceProperMuting();
+    finishModeSwitch();
     
-    // For mobile devices, add a longer delay and preload check before playing
-    const playbackDelay = PlayerState.isMobileDevice ? 2000 : 500;
+    // Show the video player container
+    if (PlayerState.elements.videoPlayerContainer) {
+      PlayerState.elements.videoPlayerContainer.classList.remove('hidden');
+    }
+    
+    // Hide the audio player container
+    if (PlayerState.elements.audioPlayerContainer) {
+      PlayerState.elements.audioPlayerContainer.classList.add('hidden');
+    }
     
     // Show loading message
-    showMessage("Loading 360° scene...");
+    showMessage(t('xr.loadingScene'));
     
-    setTimeout(() => {
-      // Show the video player container
-      if (PlayerState.elements.videoPlayerContainer) {
-        PlayerState.elements.videoPlayerContainer.classList.remove('hidden');
-      }
-      
-      // Hide the audio player container
-      if (PlayerState.elements.audioPlayerContainer) {
-        PlayerState.elements.audioPlayerContainer.classList.add('hidden');
-      }
+    // Carry on once the scene's media can play, rather than after a fixed delay
+    const xrMediaElement = PlayerState.activeMediaElement;
+    whenCanPlay(xrMediaElement, () => {
+      // The listener may have left XR mode or changed tracks meanwhile
+      if (PlayerState.activeMediaElement !== xrMediaElement || !PlayerState.isXRMode ||
+          PlayerState.currentTrack !== currentTrack) return;
       
       // Resume playback if it was playing before
-      if (wasPlaying && PlayerState.video) {
+      if (wasPlaying) {
         console.log('Resuming playback in XR mode');
         
-        PlayerState.video.play()
+        xrMediaElement.play()
           .then(() => {
-            console.log('Video playback started successfully');
-            PlayerState.setPlaybackState(true);
+            console.log('XR mode playback started successfully');
             
             // Hide loading message
-            showMessage("360° scene loaded", 1500);
+            showMessage(t('xr.sceneLoaded'), 1500);
             
             // Ensure audio and video are in sync
             syncPlaybackState();
           })
           .catch(error => {
             console.error('Error starting video playback:', error);
-            showMessage("Error starting playback. Try the play button.", 3000);
+            PlayerState.transition('pause', { reason: 'play-failed' });
+            showMessage(t('playback.errorStarting'), 3000);
           });
       } else {
-        // Hide loading message after a delay
-        setTimeout(() => {
-          showMessage("360° scene ready. Press play to start.", 2000);
-        }, 500);
+        showMessage(t('xr.sceneReady'), 2000);
       }
-    }, playbackDelay);
+    });
   } catch (error) {
     ErrorLogger.handleError(error, { function: 'completeXRModeSwitch' });
   }
@@ -337,6 +519,14 @@ export function switchToAudioMode() {
   console.log('Switching to audio-only mode');
   
   try {
+    // Leave the headset session first; the exit-vr handler sees we're leaving XR mode
+    if (PlayerState.isImmersiveVR) {
+      const currentTrack = PlayerState.playlist[PlayerState.currentTrackIndex];
+      if (currentTrack && currentTrack.audioSrc && currentTrack.audioSrc.trim() !== '') {
+        exitImmersiveVR();
+      }
+    }
+    
     // Check if this is an XR-only track (no audio link)
     const currentTrack = PlayerState.currentTrackIndex !== -1 ? 
       PlayerState.playlist[PlayerState.currentTrackIndex] : null;
@@ -348,19 +538,21 @@ export function switchToAudioMode() {
       // If no audio source, don't allow switch to audio mode
       if (!hasAudioSource) {
         console.log('This track has no audio source - remaining in XR mode');
-        showMessage("Audio mode not available for this track", 2000);
+        showMessage(t('audio.notAvailable'), 2000);
         return;
       }
     }
     
-    // Save current time and play state
-    const currentTime = PlayerState.video ? PlayerState.video.currentTime : 0;
-    const wasPlaying = PlayerState.video && !PlayerState.video.paused;
+    // Save current time and play state (the audio leads for photosphere scenes)
+    const xrMediaElement = PlayerState.activeMediaElement || PlayerState.video;
+    const currentTime = xrMediaElement ? xrMediaElement.currentTime : 0;
+    const wasPlaying = xrMediaElement && !xrMediaElement.paused;
     
     // Show a brief message
-    showMessage("Switching to audio mode...");
+    showMessage(t('audio.switching'));
     
     // Pause both media elements to prevent any unexpected playback
+    PlayerState.transition('switchToAudio');
     if (PlayerState.video) PlayerState.video.pause();
     if (PlayerState.audio) PlayerState.audio.pause();
     
@@ -375,11 +567,9 @@ export function switchToAudioMode() {
     // Update the active media element
     PlayerState.setActiveMediaElement(PlayerState.audio);
     
-    // Update UI for audio mode
-    updateUIForCurrentMode(false);
-    
     // Ensure proper muting
     enforceProperMuting();
+    finishModeSwitch();
     
     // Resume playback if it was playing before
     if (wasPlaying && PlayerState.audio) {
@@ -388,21 +578,21 @@ export function switchToAudioMode() {
       PlayerState.audio.play()
         .then(() => {
           console.log('Audio playback started successfully');
-          PlayerState.setPlaybackState(true);
           
           // Clear message
-          showMessage("Audio mode", 1500);
+          showMessage(t('audio.mode'), 1500);
           
           // Ensure audio and video are in sync
           syncPlaybackState();
         })
         .catch(error => {
           console.error('Error starting audio playback:', error);
-          showMessage("Error starting playback. Try the play button.", 3000);
+          PlayerState.transition('pause', { reason: 'play-failed' });
+          showMessage(t('playback.errorStarting'), 3000);
         });
     } else {
       // Hide message after a delay
-      showMessage("Ready for playback", 1500);
+      showMessage(t('playback.ready'), 1500);
     }
   } catch (error) {
     ErrorLogger.handleError(error, { function: 'switchToAudioMode' });
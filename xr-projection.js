@@ -0,0 +1,298 @@
+/**
+ * XR Projection Module
+ * Builds the scene geometry and per-eye texture mapping for each track's projection
+ *
+ * Mono 360° video keeps using the <a-videosphere> in 360video.html. Every other format is
+ * rendered by the `xr-projection` component on #projectionSphere. In an immersive session
+ * stereo formats put each eye's mesh on the WebXR eye layers (1 = left, 2 = right); outside
+ * one, only the left eye is shown.
+ *
+ * All geometry is oriented so the center of the frame faces the initial view (-Z),
+ * matching the videosphere's rotation and the hotspot yaw/pitch convention.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { PROJECTIONS } from './utils/projection-utils.js';
+
+// Radius of the projection geometry (inside the camera's far plane, outside the hotspots)
+const SPHERE_RADIUS = 100;
+
+// Grid resolution of each EAC cube face; the equi-angular warp needs a fine mesh
+const EAC_FACE_SEGMENTS = 16;
+
+// Texture rectangle { u, v, width, height } each eye samples for stereo formats
+const EYE_LAYOUTS = {
+  [PROJECTIONS.STEREO_360_TB]: {
+    left: { u: 0, v: 0.5, width: 1, height: 0.5 },
+    right: { u: 0, v: 0, width: 1, height: 0.5 }
+  },
+  [PROJECTIONS.STEREO_180_SBS]: {
+    left: { u: 0, v: 0, width: 0.5, height: 1 },
+    right: { u: 0.5, v: 0, width: 0.5, height: 1 }
+  }
+};
+
+/**
+ * EAC 3x2 layout as used by YouTube: top row left, front, right; bottom row down, back, up,
+ * with the bottom row's faces rotated (quarter turns clockwise). Each face is seen from
+ * inside the cube, with `right` and `up` giving the face's on-screen axes.
+ */
+const EAC_FACES = [
+  { center: [0, 0, -1], right: [1, 0, 0], up: [0, 1, 0], column: 1, row: 0, turns: 0 },  // front
+  { center: [-1, 0, 0], right: [0, 0, -1], up: [0, 1, 0], column: 0, row: 0, turns: 0 }, // left
+  { center: [1, 0, 0], right: [0, 0, 1], up: [0, 1, 0], column: 2, row: 0, turns: 0 },   // right
+  { center: [0, -1, 0], right: [1, 0, 0], up: [0, 0, -1], column: 0, row: 1, turns: 3 }, // down
+  { center: [0, 0, 1], right: [-1, 0, 0], up: [0, 1, 0], column: 1, row: 1, turns: 1 },  // back
+  { center: [0, 1, 0], right: [1, 0, 0], up: [0, 0, 1], column: 2, row: 1, turns: 3 }    // up
+];
+
+/**
+ * Set up projection handling for track changes
+ */
+export function setupXRProjection() {
+  console.log('Setting up XR projection...');
+
+  try {
+    registerProjectionComponent();
+
+    document.addEventListener('current-track-changed', (event) => {
+      applyTrackProjection(event.detail.track);
+    });
+
+    console.log('XR projection setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupXRProjection' });
+  }
+}
+
+/**
+ * Show a track's scene with the right projection
+ * @param {Object} track - Normalized track object
+ */
+function applyTrackProjection(track) {
+  const videosphere = document.getElementById('videosphere');
+  const projectionSphere = document.getElementById('projectionSphere');
+  if (!videosphere || !projectionSphere) return;
+
+  const projection = track && track.projection ? track.projection : PROJECTIONS.MONO_360;
+  const usesVideosphere = projection === PROJECTIONS.MONO_360;
+
+  console.log(`Using ${projection} projection for "${track ? track.title : 'no track'}"`);
+
+  videosphere.setAttribute('visible', usesVideosphere);
+  projectionSphere.setAttribute('visible', !usesVideosphere);
+  projectionSphere.setAttribute('xr-projection', {
+    format: usesVideosphere ? '' : projection,
+    src: projection === PROJECTIONS.PHOTO_360 ? track.videoSrc : ''
+  });
+}
+
+/**
+ * Register the xr-projection A-Frame component
+ */
+function registerProjectionComponent() {
+  if (typeof AFRAME === 'undefined' || AFRAME.components['xr-projection']) return;
+
+  AFRAME.registerComponent('xr-projection', {
+    schema: {
+      format: { type: 'string', default: '' },
+      src: { type: 'string', default: '' } // Image URL for photospheres; video formats use #video360
+    },
+
+    init: function() {
+      this.meshes = null;
+      this.texture = null;
+      this.updateEyeLayers = this.updateEyeLayers.bind(this);
+
+      this.el.sceneEl.addEventListener('enter-vr', this.updateEyeLayers);
+      this.el.sceneEl.addEventListener('exit-vr', this.updateEyeLayers);
+    },
+
+    update: function() {
+      this.clear();
+
+      const format = this.data.format;
+      if (!format) return;
+
+      this.texture = createTexture(format, this.data.src);
+      if (!this.texture) return;
+
+      const THREE = AFRAME.THREE;
+      const material = new THREE.MeshBasicMaterial({ map: this.texture, side: THREE.DoubleSide });
+      const layouts = EYE_LAYOUTS[format];
+
+      if (layouts) {
+        this.meshes = {
+          left: new THREE.Mesh(createEquirectGeometry(format, layouts.left), material),
+          right: new THREE.Mesh(createEquirectGeometry(format, layouts.right), material)
+        };
+      } else {
+        const geometry = format === PROJECTIONS.EAC ?
+          createEACGeometry() :
+          createEquirectGeometry(format, { u: 0, v: 0, width: 1, height: 1 });
+        this.meshes = { mono: new THREE.Mesh(geometry, material) };
+      }
+
+      Object.values(this.meshes).forEach(mesh => {
+        // Mirror so the texture reads correctly from inside
+        mesh.scale.x = -1;
+        this.el.object3D.add(mesh);
+      });
+
+      this.updateEyeLayers();
+    },
+
+    /**
+     * Put each eye's mesh on the layer its camera renders
+     */
+    updateEyeLayers: function() {
+      if (!this.meshes || !this.meshes.left) return;
+
+      const isImmersive = this.el.sceneEl.is('vr-mode') && PlayerState.isImmersiveVR;
+
+      // Outside a headset the normal camera only renders layer 0, so it sees the left eye
+      this.meshes.left.layers.set(isImmersive ? 1 : 0);
+      this.meshes.right.layers.set(2);
+      this.meshes.right.visible = isImmersive;
+    },
+
+    clear: function() {
+      if (this.meshes) {
+        Object.values(this.meshes).forEach(mesh => {
+          this.el.object3D.remove(mesh);
+          mesh.geometry.dispose();
+        });
+        // Both eyes share one material
+        Object.values(this.meshes)[0].material.dispose();
+        this.meshes = null;
+      }
+
+      if (this.texture) {
+        this.texture.dispose();
+        this.texture = null;
+      }
+    },
+
+    remove: function() {
+      this.clear();
+      this.el.sceneEl.removeEventListener('enter-vr', this.updateEyeLayers);
+      this.el.sceneEl.removeEventListener('exit-vr', this.updateEyeLayers);
+    }
+  });
+}
+
+/**
+ * Create the texture for a format
+ * @param {string} format - Projection name
+ * @param {string} src - Image URL for photospheres
+ * @returns {THREE.Texture|null} The texture
+ */
+function createTexture(format, src) {
+  const THREE = AFRAME.THREE;
+  let texture = null;
+
+  if (format === PROJECTIONS.PHOTO_360) {
+    if (!src) return null;
+
+    const loader = new THREE.TextureLoader();
+    loader.setCrossOrigin('anonymous');
+    texture = loader.load(src, undefined, undefined, (error) => {
+      console.error('Error loading photosphere:', src, error);
+    });
+  } else {
+    const video = PlayerState.video || document.getElementById('video360');
+    if (!video) return null;
+    texture = new THREE.VideoTexture(video);
+  }
+
+  // Match the renderer's colorManagement setting
+  if (THREE.sRGBEncoding !== undefined) {
+    texture.encoding = THREE.sRGBEncoding;
+  }
+  texture.minFilter = THREE.LinearFilter;
+
+  return texture;
+}
+
+/**
+ * Create a sphere (or hemisphere for 180° formats) sampling part of the texture
+ * @param {string} format - Projection name
+ * @param {Object} rect - Texture rectangle { u, v, width, height } to map onto the sphere
+ * @returns {THREE.BufferGeometry} The geometry
+ */
+function createEquirectGeometry(format, rect) {
+  const THREE = AFRAME.THREE;
+  const is180 = format === PROJECTIONS.STEREO_180_SBS;
+
+  // phiStart puts the middle of the texture at -Z once mirrored
+  const geometry = is180 ?
+    new THREE.SphereGeometry(SPHERE_RADIUS, 64, 64, Math.PI, Math.PI) :
+    new THREE.SphereGeometry(SPHERE_RADIUS, 64, 32, Math.PI / 2, Math.PI * 2);
+
+  const uvs = geometry.attributes.uv;
+  for (let i = 0; i < uvs.count; i++) {
+    uvs.setXY(i, rect.u + uvs.getX(i) * rect.width, rect.v + uvs.getY(i) * rect.height);
+  }
+  uvs.needsUpdate = true;
+
+  return geometry;
+}
+
+/**
+ * Create a sphere whose texture coordinates follow the equi-angular cubemap layout
+ * @returns {THREE.BufferGeometry} The geometry
+ */
+function createEACGeometry() {
+  const THREE = AFRAME.THREE;
+  const positions = [];
+  const uvs = [];
+  const indices = [];
+
+  EAC_FACES.forEach(face => {
+    const firstVertex = positions.length / 3;
+
+    for (let row = 0; row <= EAC_FACE_SEGMENTS; row++) {
+      for (let column = 0; column <= EAC_FACE_SEGMENTS; column++) {
+        // Face-local coordinates from -1 to 1
+        const a = (column / EAC_FACE_SEGMENTS) * 2 - 1;
+        const b = (row / EAC_FACE_SEGMENTS) * 2 - 1;
+
+        // Point on the cube, pushed out onto the sphere. Mirrored like the other
+        // formats, so x is negated here and flipped back by the mesh scale
+        const x = face.center[0] + a * face.right[0] + b * face.up[0];
+        const y = face.center[1] + a * face.right[1] + b * face.up[1];
+        const z = face.center[2] + a * face.right[2] + b * face.up[2];
+        const length = Math.sqrt(x * x + y * y + z * z);
+        positions.push((-x / length) * SPHERE_RADIUS, (y / length) * SPHERE_RADIUS, (z / length) * SPHERE_RADIUS);
+
+        // Equi-angular warp: equal texture distance per degree of view
+        let s = 0.5 + (2 / Math.PI) * Math.atan(a);
+        let t = 0.5 + (2 / Math.PI) * Math.atan(b);
+
+        // Undo the face's clockwise quarter turns in the frame
+        for (let turn = 0; turn < face.turns; turn++) {
+          [s, t] = [1 - t, s];
+        }
+
+        // Frame is 3 faces wide and 2 high; the top row is the upper half of the texture
+        uvs.push((face.column + s) / 3, (1 - face.row) / 2 + t / 2);
+      }
+    }
+
+    for (let row = 0; row < EAC_FACE_SEGMENTS; row++) {
+      for (let column = 0; column < EAC_FACE_SEGMENTS; column++) {
+        const topLeft = firstVertex + row * (EAC_FACE_SEGMENTS + 1) + column;
+        const bottomLeft = topLeft + EAC_FACE_SEGMENTS + 1;
+        indices.push(topLeft, bottomLeft, topLeft + 1, bottomLeft, bottomLeft + 1, topLeft + 1);
+      }
+    }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+
+  return geometry;
+}
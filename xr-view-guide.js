@@ -0,0 +1,251 @@
+/**
+ * XR View Guide Module
+ * Starts each track's 360° scene at its initialView and shows a gentle arrow pointing
+ * toward the track's "look here" keyframes when the viewer is looking elsewhere
+ *
+ * Keyframes are authored in playlist.json as { time, yaw, pitch, label } and each one
+ * applies until the next. To find the numbers, look at the subject in the 360° view and
+ * run logCurrentView() in the console.
+ */
+
+import { PlayerState } from './shared-state.js';
+import { ErrorLogger } from './error-logger.js';
+import { parseTimeString } from './utils/format-utils.js';
+import { applyInitialView, getCameraView } from './utils/camera-controls.js';
+
+// How far (in degrees) the viewer can look away from a keyframe before the arrow appears
+const GUIDE_THRESHOLD_DEG = 30;
+
+// Arrow placement in front of the camera: distance ahead and offset from the center
+const GUIDE_DISTANCE = 1;
+const GUIDE_OFFSET = 0.3;
+
+// Fraction of the remaining fade covered per update, and the update interval
+const FADE_STEP = 0.2;
+const GUIDE_TICK_MS = 50;
+const GUIDE_MAX_OPACITY = 0.8;
+
+// Keyframes for the current track, sorted by time
+let keyframes = [];
+
+// Index of the track whose initial view has been applied, so toggling XR mode doesn't snap the view back
+let orientedTrackIndex = -1;
+
+// Guide entities, created on setup
+let guide = null;
+let guideArrow = null;
+let guideLabel = null;
+let guideOpacity = 0;
+let guideLabelOpacity = 0;
+
+/**
+ * Set up initial views and the keyframe guide
+ */
+export function setupViewGuide() {
+  console.log('Setting up XR view guide...');
+
+  try {
+    const camera = document.getElementById('cameraEntity');
+    if (camera) {
+      registerGuideComponent();
+      guide = createGuide();
+      camera.appendChild(guide);
+    }
+
+    document.addEventListener('current-track-changed', (event) => {
+      keyframes = normalizeKeyframes(event.detail.track);
+      orientedTrackIndex = -1;
+
+      if (PlayerState.isXRMode) {
+        orientToTrack();
+      }
+    });
+
+    document.addEventListener('xr-mode-changed', (event) => {
+      if (event.detail.isXRMode && orientedTrackIndex !== PlayerState.currentTrackIndex) {
+        orientToTrack();
+      }
+    });
+
+    // Authoring aid for playlist editors
+    window.logCurrentView = logCurrentView;
+
+    console.log('XR view guide setup complete');
+  } catch (error) {
+    ErrorLogger.handleError(error, { function: 'setupViewGuide' });
+  }
+}
+
+/**
+ * Point the camera at the current track's initial view once the scene can be seen
+ */
+function orientToTrack() {
+  const trackIndex = PlayerState.currentTrackIndex;
+  const scene = document.querySelector('a-scene');
+
+  const apply = () => {
+    // The track may have changed while the scene was loading
+    if (trackIndex !== PlayerState.currentTrackIndex) return;
+
+    if (applyInitialView(PlayerState.playlist[trackIndex])) {
+      orientedTrackIndex = trackIndex;
+    }
+  };
+
+  if (scene && !scene.hasLoaded) {
+    scene.addEventListener('loaded', apply, { once: true });
+  } else {
+    apply();
+  }
+}
+
+/**
+ * Convert a track's keyframes into the form used by the guide
+ * @param {Object} track - Normalized track object
+ * @returns {Array<Object>} Keyframes with numeric time, yaw and pitch, sorted by time
+ */
+function normalizeKeyframes(track) {
+  if (!track || !Array.isArray(track.viewKeyframes)) return [];
+
+  return track.viewKeyframes
+    .filter(keyframe => keyframe && Number.isFinite(keyframe.yaw) &&
+      (keyframe.pitch === undefined || (Number.isFinite(keyframe.pitch) && Math.abs(keyframe.pitch) <= 90)))
+    .map(keyframe => ({
+      time: typeof keyframe.time === 'number' ? keyframe.time : parseTimeString(String(keyframe.time || '0')),
+      yaw: keyframe.yaw,
+      pitch: keyframe.pitch || 0,
+      label: typeof keyframe.label === 'string' ? keyframe.label : ''
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Get the keyframe that applies at the current playback time
+ * @returns {Object|null} The active keyframe
+ */
+function getActiveKeyframe() {
+  const mediaElement = PlayerState.activeMediaElement;
+  if (keyframes.length === 0 || !mediaElement) return null;
+
+  const currentTime = mediaElement.currentTime;
+  let active = null;
+
+  for (const keyframe of keyframes) {
+    if (keyframe.time > currentTime) break;
+    active = keyframe;
+  }
+
+  return active;
+}
+
+/**
+ * Build the guide entity: an arrow and an optional label, placed in front of the camera
+ * @returns {HTMLElement} The guide entity
+ */
+function createGuide() {
+  const guideEl = document.createElement('a-entity');
+  guideEl.setAttribute('id', 'viewGuide');
+  guideEl.setAttribute('position', `0 0 ${-GUIDE_DISTANCE}`);
+  guideEl.setAttribute('visible', false);
+  guideEl.setAttribute('view-guide', '');
+
+  // Triangle pointing along +X; rotated around Z toward the keyframe
+  guideArrow = document.createElement('a-entity');
+  guideArrow.setAttribute('geometry', 'primitive: triangle; vertexA: 0.06 0 0; vertexB: -0.03 0.04 0; vertexC: -0.03 -0.04 0');
+  guideArrow.setAttribute('material', 'color: #FFFDEC; shader: flat; transparent: true; opacity: 0; side: double');
+  guideEl.appendChild(guideArrow);
+
+  guideLabel = document.createElement('a-text');
+  guideLabel.setAttribute('value', '');
+  guideLabel.setAttribute('align', 'center');
+  guideLabel.setAttribute('color', '#FFFDEC');
+  guideLabel.setAttribute('width', 0.8);
+  guideLabel.setAttribute('position', '0 -0.08 0');
+  guideEl.appendChild(guideLabel);
+
+  return guideEl;
+}
+
+/**
+ * Register the view-guide component, which updates the arrow as the viewer looks around
+ */
+function registerGuideComponent() {
+  if (typeof AFRAME === 'undefined' || AFRAME.components['view-guide']) return;
+
+  AFRAME.registerComponent('view-guide', {
+    init: function() {
+      this.tick = AFRAME.utils.throttleTick(this.tick, GUIDE_TICK_MS, this);
+    },
+
+    tick: function() {
+      updateGuide();
+    }
+  });
+}
+
+/**
+ * Fade the arrow in or out and point it toward the active keyframe
+ */
+function updateGuide() {
+  if (!guide || !guideArrow.getObject3D('mesh')) return;
+
+  const keyframe = PlayerState.isXRMode ? getActiveKeyframe() : null;
+  const view = keyframe ? getCameraView() : null;
+  let targetOpacity = 0;
+
+  if (keyframe && view) {
+    // Shortest way around to the keyframe, positive to the right
+    const deltaYaw = ((keyframe.yaw - view.yaw) % 360 + 540) % 360 - 180;
+    const deltaPitch = keyframe.pitch - view.pitch;
+
+    if (Math.hypot(deltaYaw, deltaPitch) > GUIDE_THRESHOLD_DEG) {
+      targetOpacity = GUIDE_MAX_OPACITY;
+
+      // Sit toward the edge of the view in the direction to turn
+      const angle = Math.atan2(deltaPitch, deltaYaw);
+      guide.object3D.position.set(Math.cos(angle) * GUIDE_OFFSET, Math.sin(angle) * GUIDE_OFFSET, -GUIDE_DISTANCE);
+      guideArrow.object3D.rotation.z = angle;
+
+      if (guideLabel.getAttribute('value') !== keyframe.label) {
+        guideLabel.setAttribute('value', keyframe.label);
+      }
+    }
+  }
+
+  guideOpacity += (targetOpacity - guideOpacity) * FADE_STEP;
+  if (guideOpacity < 0.01) {
+    guideOpacity = 0;
+  }
+
+  guide.object3D.visible = guideOpacity > 0;
+  guideArrow.getObject3D('mesh').material.opacity = guideOpacity;
+
+  // Text opacity goes through setAttribute, so only update it in coarse steps
+  const labelOpacity = Math.round(guideOpacity * 10) / 10;
+  if (labelOpacity !== guideLabelOpacity) {
+    guideLabelOpacity = labelOpacity;
+    guideLabel.setAttribute('opacity', labelOpacity);
+  }
+}
+
+/**
+ * Log the current camera direction and playback time as a keyframe for playlist.json
+ * @returns {Object|null} The keyframe
+ */
+function logCurrentView() {
+  const view = getCameraView();
+  if (!view) {
+    console.warn('No 360° camera found');
+    return null;
+  }
+
+  const mediaElement = PlayerState.activeMediaElement;
+  const keyframe = {
+    time: mediaElement ? Math.round(mediaElement.currentTime * 10) / 10 : 0,
+    yaw: Math.round(view.yaw),
+    pitch: Math.round(view.pitch)
+  };
+
+  console.log('Current view:', JSON.stringify(keyframe));
+  return keyframe;
+}